@@ -1,7 +1,63 @@
-# Generic Metrics API Endpoint Generator
-# Add to Start-EMSAPI.ps1 after computer endpoints
+# Metrics API endpoints
+# Dot-sourced by Start-EMSAPI.ps1, which adds $metricsEndpoints to $allEndpoints
 
 $metricsEndpoints = @(
+    # Time-bucketed metric history for charts
+    New-UDEndpoint -Url "/api/metrics/:metricType/series" -Method GET -Endpoint {
+        param($metricType)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $end = if ($Request.Query['end']) { [datetime]$Request.Query['end'] } else { Get-Date }
+            $start = if ($Request.Query['start']) { [datetime]$Request.Query['start'] } else { $end.AddDays(-1) }
+            
+            if ($start -ge $end) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{
+                    success = $false
+                    message = "start must be before end"
+                } | ConvertTo-Json
+                return
+            }
+            
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            $result = Get-MetricSeries -MetricType $metricType -Start $start -End $end -ComputerName $Request.Query['computerName'] -GroupId $groupId
+            
+            if (-not $result) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{
+                    success = $false
+                    message = "Metric type cannot be charted: $metricType"
+                } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                bucket  = $result.Bucket
+                fields  = $result.Fields
+                data    = $result.Rows
+                count   = $result.Rows.Count
+            } | ConvertTo-Json -Depth 10
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ 
+                success = $false
+                error   = $_.Exception.Message 
+            } | ConvertTo-Json
+        }
+    }
+    
     # Generic metric query endpoint
     New-UDEndpoint -Url "/api/metrics/:metricType" -Method GET -Endpoint {
         param($metricType)
@@ -12,45 +68,63 @@ $metricsEndpoints = @(
             return
         }
         
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
         try {
             # Parse query params
             $computerName = $Request.Query['computerName']
             $startDate = $Request.Query['startDate']
             $endDate = $Request.Query['endDate']
-            $limit = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 100 }
-            
-            # Build SQL based on metric type
-            $tableName = "metric_$($metricType -replace '-','_')"
-            
-            $whereClause = @()
-            $params = @{}
+            $page = if ($Request.Query['page']) { [int]$Request.Query['page'] } else { 1 }
+            # 'limit' is still accepted for callers that predate paging
+            $pageSize = if ($Request.Query['pageSize']) { [int]$Request.Query['pageSize'] } elseif ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 100 }
+            $sortBy = $Request.Query['sortBy']
+            $sortDir = if ($Request.Query['sortDir'] -eq 'asc') { 'asc' } else { 'desc' }
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
             
-            if ($computerName) {
-                $whereClause += "computer_name ILIKE @computer"
-                $params.computer = "%$computerName%"
+            # Column filters arrive as a JSON array of { column, op, value }
+            $columnFilters = @()
+            if ($Request.Query['filters']) {
+                try {
+                    $columnFilters = @($Request.Query['filters'] | ConvertFrom-Json)
+                }
+                catch {
+                    New-UDEndpointResponse -StatusCode 400 -Data @{
+                        success = $false
+                        message = "Invalid filters parameter"
+                    } | ConvertTo-Json
+                    return
+                }
             }
             
-            if ($startDate) {
-                $where Clause += "timestamp >= @start"
-                $params.start = $startDate
-            }
+            $result = Get-MetricPage -MetricType $metricType -ComputerName $computerName `
+                -StartDate $startDate -EndDate $endDate -Page $page -PageSize $pageSize `
+                -SortBy $sortBy -SortDirection $sortDir -ColumnFilters $columnFilters -GroupId $groupId
             
-            if ($endDate) {
-                $whereClause += "timestamp <= @end"
-                $params.end = $endDate
+            if (-not $result) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{
+                    success = $false
+                    message = "Unknown metric type: $metricType"
+                } | ConvertTo-Json
+                return
             }
             
-            $whereSql = if ($whereClause.Count -gt 0) { "WHERE " + ($whereClause -join " AND ") } else { "" }
-            
-            $query = "SELECT * FROM $tableName $whereSql ORDER BY timestamp DESC LIMIT @limit"
-            $params.limit = $limit
-            
-            $results = Invoke-PGQuery -Query $query -Parameters $params
-            
             New-UDEndpointResponse -StatusCode 200 -Data @{
-                success = $true
-                data    = $results
-                count   = $results.Count
+                success    = $true
+                data       = $result.Rows
+                count      = $result.Rows.Count
+                total      = $result.Total
+                page       = $result.Page
+                pageSize   = $result.PageSize
+                totalPages = [math]::Max(1, [math]::Ceiling($result.Total / $result.PageSize))
+                sortBy     = $result.SortBy
+                sortDir    = $result.SortDirection
+                columns    = $result.Columns
             } | ConvertTo-Json -Depth 10
         }
         catch {
@@ -61,7 +135,8 @@ $metricsEndpoints = @(
         }
     }
     
-    # Computer-specific all metrics
+    # Computer-specific all metrics; ?tab=network|software|events|experience returns the
+    # latest collection of each section of that computer page tab instead
     New-UDEndpoint -Url "/api/computers/:name/all-metrics" -Method GET -Endpoint {
         param($name)
         
@@ -71,7 +146,26 @@ $metricsEndpoints = @(
             return
         }
         
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
         try {
+            if ($Request.Query['tab']) {
+                $sections = Get-ComputerMetricTab -ComputerName $name -Tab $Request.Query['tab']
+                
+                New-UDEndpointResponse -StatusCode 200 -Data @{
+                    success       = $true
+                    computer_name = $name
+                    tab           = $Request.Query['tab']
+                    sections      = $sections
+                } | ConvertTo-Json -Depth 10
+                return
+            }
+            
             # Get all metric types for a computer
             $metrics = @{
                 computer_name       = $name
@@ -87,15 +181,14 @@ $metricsEndpoints = @(
             
             New-UDEndpointResponse -StatusCode 200 -Data $metrics | ConvertTo-Json -Depth 10
         }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{
+                success = $false
+                message = $_.Exception.Message
+            } | ConvertTo-Json
+        }
         catch {
             New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
         }
     }
 )
-
-# Add to $allEndpoints
-$allEndpoints = $authEndpoints + $scanEndpoints + $resultsEndpoints + $computerEndpoints + $metricsEndpoints + $dashboardEndpoints
-
-# Add to endpoint listing output
-Write-Host "  GET    /api/metrics/:metricType" -ForegroundColor White
-Write-Host "  GET    /api/computers/:name/all-metrics" -ForegroundColor White
@@ -7,7 +7,18 @@
     - Authentication (Login/Logout/Token Validation)
     - Scan Operations (Single/Bulk/Status)
     - Results Retrieval (List/Get/Delete)
+    - Computer Inventory (List/Edit/Decommission/CSV Import and Export)
     - Dashboard Statistics
+    - Device Groups (Rule-Based Scoping of Metrics, Results, Dashboard and Scans)
+    - Exports (CSV, XLSX, JSON and Printable Reports, Background Jobs for Large Exports)
+    - Compliance Baselines, Scorecards and Trends
+    - Software Inventory Analytics (Version Spread, Minimum Versions, Blocklist, Publisher Counts)
+    - Vulnerabilities (Offline CVE Feed Import, Matching Against Installed Software and OS Builds)
+    - Endpoint Reachability (Background Ping/WinRM Checks, Up/Down History, Offline Filters)
+    - Computer Timeline (Scans, Software Changes, Updates, Logons, Crashes, Event Errors, Remediation)
+    - Global Search
+    - Scan Schedules
+    - Alerts, Alert Rules and Notification Channels
     - Remediation Execution
     
 .NOTES
@@ -26,8 +37,24 @@ Import-Module "$ModulePath\Database\PSPGSql.psm1" -Force
 Import-Module "$ModulePath\Database\MetricsData.psm1" -Force
 Import-Module "$ModulePath\Authentication.psm1" -Force
 Import-Module "$ModulePath\Authentication\AuthProviders.psm1" -Force
+Import-Module "$ModulePath\Authentication\JwtTokens.psm1" -Force
+Import-Module "$ModulePath\Authentication\RefreshTokens.psm1" -Force
+Import-Module "$ModulePath\Authentication\OidcAuth.psm1" -Force
 Import-Module "$ModulePath\InputBroker.psm1" -Force
 Import-Module "$ModulePath\DataFetcher.psm1" -Force
+Import-Module "$ModulePath\BulkProcessor.psm1" -Force
+Import-Module "$ModulePath\ScanSession.psm1" -Force
+Import-Module "$ModulePath\ScanScheduler.psm1" -Force
+Import-Module "$ModulePath\Alerting.psm1" -Force
+Import-Module "$ModulePath\ComputerInventory.psm1" -Force
+Import-Module "$ModulePath\DeviceGroups.psm1" -Force
+Import-Module "$ModulePath\ExportJobs.psm1" -Force
+Import-Module "$ModulePath\Compliance.psm1" -Force
+Import-Module "$ModulePath\SoftwareInventory.psm1" -Force
+Import-Module "$ModulePath\Vulnerabilities.psm1" -Force
+Import-Module "$ModulePath\TopologyDetector.psm1" -Force
+Import-Module "$ModulePath\Reachability.psm1" -Force
+Import-Module "$ModulePath\Timeline.psm1" -Force
 Import-Module "$ModulePath\Remediation.psm1" -Force
 
 # Load configuration
@@ -41,77 +68,54 @@ Write-Host "[INFO] EMS REST API Server initializing..." -ForegroundColor Cyan
 
 #region Helper Functions
 
-function New-JWTToken {
+function New-EMSLoginResponse {
     <#
     .SYNOPSIS
-        Generates JWT token for authenticated user
+        Finishes a successful sign-in (password or redirect): resolves the role, stores the user and issues tokens
     #>
     param(
-        [string]$Username,
-        [int]$UserId,
-        [string]$Role
+        [hashtable]$AuthResult
     )
     
-    $secretKey = $Global:EMSConfig.API.JWTSecretKey
-    $expirationMinutes = $Global:EMSConfig.API.TokenExpirationMinutes
-    
-    # Simple JWT implementation (for production, use a proper JWT library)
-    $header = @{
-        alg = "HS256"
-        typ = "JWT"
-    } | ConvertTo-Json -Compress
-    
-    $payload = @{
-        sub    = $Username
-        userId = $UserId
-        role   = $Role
-        iat    = [Math]::Floor([DateTime]::UtcNow.Subtract([DateTime]"1970-01-01").TotalSeconds)
-        exp    = [Math]::Floor([DateTime]::UtcNow.AddMinutes($expirationMinutes).Subtract([DateTime]"1970-01-01").TotalSeconds)
-    } | ConvertTo-Json -Compress
-    
-    $headerBase64 = [Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes($header)).TrimEnd('=').Replace('+', '-').Replace('/', '_')
-    $payloadBase64 = [Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes($payload)).TrimEnd('=').Replace('+', '-').Replace('/', '_')
-    
-    $signature = "$headerBase64.$payloadBase64"
-    $hmac = New-Object System.Security.Cryptography.HMACSHA256
-    $hmac.Key = [Text.Encoding]::UTF8.GetBytes($secretKey)
-    $signatureBytes = $hmac.ComputeHash([Text.Encoding]::UTF8.GetBytes($signature))
-    $signatureBase64 = [Convert]::ToBase64String($signatureBytes).TrimEnd('=').Replace('+', '-').Replace('/', '_')
-    
-    return "$headerBase64.$payloadBase64.$signatureBase64"
-}
-
-function Test-JWTToken {
-    <#
-    .SYNOPSIS
-        Validates JWT token and returns payload
-    #>
-    param([string]$Token)
-    
-    try {
-        $parts = $Token.Split('.')
-        if ($parts.Length -ne 3) { return $null }
-        
-        # Decode payload
-        $payloadBase64 = $parts[1]
-        # Add padding if needed
-        while ($payloadBase64.Length % 4 -ne 0) { $payloadBase64 += '=' }
-        $payloadBase64 = $payloadBase64.Replace('-', '+').Replace('_', '/')
-        
-        $payloadJson = [Text.Encoding]::UTF8.GetString([Convert]::FromBase64String($payloadBase64))
-        $payload = $payloadJson | ConvertFrom-Json
+    # Directory users get their role from group membership; Standalone users keep the role stored in the database
+    if ($AuthResult.Provider -ne "Standalone") {
+        $AuthResult.Role = Resolve-EMSRole -AuthResult $AuthResult -Config $Global:EMSConfig
         
-        # Check expiration
-        $now = [Math]::Floor([DateTime]::UtcNow.Subtract([DateTime]"1970-01-01").TotalSeconds)
-        if ($payload.exp -lt $now) {
-            return $null  # Token expired
+        # AD users must belong to one of the EMS groups
+        if ($AuthResult.Provider -eq "ActiveDirectory" -and -not $AuthResult.Role) {
+            $security = $Global:EMSConfig.Security
+            Write-AuditLog -Action "Login" -User $AuthResult.User -Result "Unauthorized" -RiskLevel "Medium"
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "User not authorized. Must be member of $($security.AdminGroup), $($security.OperatorGroup) or $($security.ViewerGroup)"
+            } | ConvertTo-Json
+            return
         }
-        
-        return $payload
-    }
-    catch {
-        return $null
     }
+    
+    # Get or create user in database
+    $dbUser = Get-OrCreateAuthUser -AuthResult $AuthResult -Config $Global:EMSConfig
+    
+    # Generate JWT token, plus a refresh token that renews it until the session times out
+    $token = New-JWTToken -Username $AuthResult.User -UserId $dbUser.user_id -Role $dbUser.role
+    $refresh = New-RefreshToken -UserId $dbUser.user_id -LifetimeMinutes $Global:EMSConfig.Authentication.SessionTimeoutMinutes
+    
+    Write-AuditLog -Action "Login" -User $AuthResult.User -Result "Success" -RiskLevel "Low" -Details @{ provider = $AuthResult.Provider }
+    
+    New-UDEndpointResponse -StatusCode 200 -Data @{
+        success          = $true
+        token            = $token
+        refreshToken     = $refresh.Token
+        expiresAt        = [DateTimeOffset]::UtcNow.AddMinutes($Global:EMSConfig.API.TokenExpirationMinutes).ToUnixTimeMilliseconds()
+        sessionExpiresAt = ([DateTimeOffset]$refresh.ExpiresAt).ToUnixTimeMilliseconds()
+        provider         = $AuthResult.Provider
+        user             = @{
+            id          = $dbUser.user_id
+            username    = $dbUser.username
+            displayName = $dbUser.display_name
+            role        = $dbUser.role
+        }
+    } | ConvertTo-Json
 }
 
 #endregion
@@ -140,38 +144,7 @@ $authEndpoints = @(
                 return
             }
             
-            # For AD users, check authorization
-            if ($authResult.Provider -eq "ActiveDirectory") {
-                $isAuthorized = Test-UserAuthorization -Username $credentials.username -RequiredGroup $Global:EMSConfig.Security.AdminGroup
-                if (-not $isAuthorized) {
-                    Write-AuditLog -Action "Login" -User $credentials.username -Result "Unauthorized" -RiskLevel "Medium"
-                    New-UDEndpointResponse -StatusCode 403 -Data @{
-                        success = $false
-                        message = "User not authorized. Must be member of $($Global:EMSConfig.Security.AdminGroup)"
-                    } | ConvertTo-Json
-                    return
-                }
-            }
-            
-            # Get or create user in database
-            $dbUser = Get-OrCreateAuthUser -AuthResult $authResult -Config $Global:EMSConfig
-            
-            # Generate JWT token
-            $token = New-JWTToken -Username $authResult.User -UserId $dbUser.user_id -Role $dbUser.role
-            
-            Write-AuditLog -Action "Login" -User $authResult.User -Result "Success" -RiskLevel "Low" -Details "Provider: $($authResult.Provider)"
-            
-            New-UDEndpointResponse -StatusCode 200 -Data @{
-                success  = $true
-                token    = $token
-                provider = $authResult.Provider
-                user     = @{
-                    id          = $dbUser.user_id
-                    username    = $dbUser.username
-                    displayName = $dbUser.display_name
-                    role        = $dbUser.role
-                }
-            } | ConvertTo-Json
+            New-EMSLoginResponse -AuthResult $authResult
         }
         catch {
             Write-EMSLog -Message "Login error: $_" -Severity 'Error'
@@ -207,6 +180,159 @@ $authEndpoints = @(
             New-UDEndpointResponse -StatusCode 401 -Data @{ valid = $false } | ConvertTo-Json
         }
     }
+    
+    # Exchanges a refresh token for a new JWT; the refresh token is rotated on every call
+    New-UDEndpoint -Url "/api/auth/refresh" -Method POST -Endpoint {
+        param($Body)
+        
+        try {
+            $request = $Body | ConvertFrom-Json
+            $sessionMinutes = $Global:EMSConfig.Authentication.SessionTimeoutMinutes
+            
+            $refresh = $null
+            if ($request.refreshToken) {
+                $refresh = Update-RefreshToken -Token $request.refreshToken -LifetimeMinutes $sessionMinutes
+            }
+            
+            $dbUser = if ($refresh) { Get-EMSUser -UserId $refresh.UserId } else { $null }
+            
+            if (-not $dbUser -or -not $dbUser.is_active) {
+                if ($refresh) { Revoke-RefreshToken -Token $refresh.Token }
+                New-UDEndpointResponse -StatusCode 401 -Data @{
+                    success = $false
+                    message = "Session expired"
+                } | ConvertTo-Json
+                return
+            }
+            
+            # Role changes made since login take effect on refresh
+            $token = New-JWTToken -Username $dbUser.username -UserId $dbUser.user_id -Role $dbUser.role
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success          = $true
+                token            = $token
+                refreshToken     = $refresh.Token
+                expiresAt        = [DateTimeOffset]::UtcNow.AddMinutes($Global:EMSConfig.API.TokenExpirationMinutes).ToUnixTimeMilliseconds()
+                sessionExpiresAt = ([DateTimeOffset]$refresh.ExpiresAt).ToUnixTimeMilliseconds()
+                user             = @{
+                    id          = $dbUser.user_id
+                    username    = $dbUser.username
+                    displayName = $dbUser.display_name
+                    role        = $dbUser.role
+                }
+            } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Token refresh error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{
+                success = $false
+                message = "Internal server error"
+            } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/auth/logout" -Method POST -Endpoint {
+        param($Body)
+        
+        try {
+            $request = $Body | ConvertFrom-Json
+            if ($request.refreshToken) {
+                Revoke-RefreshToken -Token $request.refreshToken
+            }
+            
+            $authHeader = $Request.Headers['Authorization']
+            $payload = if ($authHeader) { Test-JWTToken -Token $authHeader.Substring(7) } else { $null }
+            if ($payload) {
+                Write-AuditLog -Action "Logout" -User $payload.sub -Result "Success"
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Settings the Web UI needs to send the browser to a redirect (OIDC) provider
+    New-UDEndpoint -Url "/api/auth/sso/:provider" -Method GET -Endpoint {
+        param($provider)
+        
+        $providerConfig = $Global:EMSConfig.Authentication.Providers |
+        Where-Object { $_.Name -eq $provider -and $_.Enabled -and (Test-OidcProvider -ProviderConfig $_) } |
+        Select-Object -First 1
+        
+        if (-not $providerConfig) {
+            New-UDEndpointResponse -StatusCode 404 -Data @{
+                success = $false
+                message = "Provider '$provider' not found or not enabled for single sign-on"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $settings = Get-OidcLoginSettings -ProviderConfig $providerConfig
+            $settings.success = $true
+            New-UDEndpointResponse -StatusCode 200 -Data $settings | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "SSO discovery for $provider failed: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 502 -Data @{
+                success = $false
+                message = "Identity provider is unreachable"
+            } | ConvertTo-Json
+        }
+    }
+    
+    # Completes a redirect login: exchanges the authorization code (PKCE) and signs the user in
+    New-UDEndpoint -Url "/api/auth/sso/callback" -Method POST -Endpoint {
+        param($Body)
+        
+        try {
+            $request = $Body | ConvertFrom-Json
+            
+            $providerConfig = $Global:EMSConfig.Authentication.Providers |
+            Where-Object { $_.Name -eq $request.provider -and $_.Enabled -and (Test-OidcProvider -ProviderConfig $_) } |
+            Select-Object -First 1
+            
+            if (-not $providerConfig -or -not $request.code -or -not $request.codeVerifier) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{
+                    success = $false
+                    message = "provider, code and codeVerifier are required"
+                } | ConvertTo-Json
+                return
+            }
+            
+            # Only the configured redirect URI may be used, so codes cannot be redeemed for another origin
+            if ($request.redirectUri -ne $providerConfig.RedirectUri) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{
+                    success = $false
+                    message = "Redirect URI does not match the provider configuration"
+                } | ConvertTo-Json
+                return
+            }
+            
+            $authResult = Invoke-OidcCodeExchange -ProviderConfig $providerConfig -Code $request.code -CodeVerifier $request.codeVerifier `
+                -RedirectUri $providerConfig.RedirectUri -Nonce $request.nonce
+            
+            if (-not $authResult.Success) {
+                Write-AuditLog -Action "Login" -User $request.provider -Result "Failed" -RiskLevel "Medium" -Details @{ provider = $request.provider; message = $authResult.Message }
+                New-UDEndpointResponse -StatusCode 401 -Data @{
+                    success = $false
+                    message = $authResult.Message
+                } | ConvertTo-Json
+                return
+            }
+            
+            New-EMSLoginResponse -AuthResult $authResult
+        }
+        catch {
+            Write-EMSLog -Message "SSO login error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{
+                success = $false
+                message = "Internal server error"
+            } | ConvertTo-Json
+        }
+    }
 )
 
 # Scan Endpoints
@@ -228,6 +354,14 @@ $scanEndpoints = @(
             return
         }
         
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Scanning requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
         try {
             $request = $Body | ConvertFrom-Json
             $target = $request.target
@@ -266,11 +400,10 @@ $scanEndpoints = @(
             } | ConvertTo-Json
         }
     }
-)
-
-# Results Endpoints
-$resultsEndpoints = @(
-    New-UDEndpoint -Url "/api/results" -Method GET -Endpoint {
+    
+    New-UDEndpoint -Url "/api/scan/bulk" -Method POST -Endpoint {
+        param($Body)
+        
         # Validate authentication
         $authHeader = $Request.Headers['Authorization']
         if (-not $authHeader) {
@@ -285,22 +418,91 @@ $resultsEndpoints = @(
             return
         }
         
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Scanning requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $bulkConfig = $Global:EMSConfig.BulkProcessing
+        if (-not $bulkConfig.EnableBulkImport) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Bulk scanning is disabled in configuration"
+            } | ConvertTo-Json
+            return
+        }
+        
         try {
-            # Get query parameters
-            $limit = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 50 }
-            $offset = if ($Request.Query['offset']) { [int]$Request.Query['offset'] } else { 0 }
-            $hostname = $Request.Query['hostname']
+            $request = $Body | ConvertFrom-Json
             
-            $results = Get-ScanResults -Limit $limit -Offset $offset -Hostname $hostname
+            # A device group ({ groupId }) is expanded to its current members
+            $group = $null
+            $rawTargets = @($request.targets)
+            if ($request.groupId) {
+                $group = Get-DeviceGroup -GroupId ([int]$request.groupId)
+                if (-not $group) {
+                    New-UDEndpointResponse -StatusCode 404 -Data @{ success = $false; message = "Device group not found" } | ConvertTo-Json
+                    return
+                }
+                $rawTargets = @(Get-DeviceGroupMember -GroupId $group.group_id -NamesOnly)
+            }
             
-            New-UDEndpointResponse -StatusCode 200 -Data @{
-                success = $true
-                results = $results
-                count   = $results.Count
-            } | ConvertTo-Json -Depth 10
+            # Sanitize and deduplicate (same rules as Import-TargetList)
+            $targets = @()
+            $rejected = @()
+            $seen = @{}
+            foreach ($rawTarget in $rawTargets) {
+                if ($null -eq $rawTarget) { continue }
+                $target = ([string]$rawTarget).Trim()
+                
+                if ([string]::IsNullOrWhiteSpace($target)) { continue }
+                
+                if ($target -notmatch '^[a-zA-Z0-9\-\.]+$') {
+                    $rejected += $target
+                    continue
+                }
+                
+                if (-not $seen.ContainsKey($target.ToLower())) {
+                    $seen[$target.ToLower()] = $true
+                    $targets += $target
+                }
+            }
+            
+            if ($targets.Count -eq 0) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{
+                    success  = $false
+                    message  = if ($group) { "Device group '$($group.name)' has no computers to scan" } else { "No valid targets supplied" }
+                    rejected = $rejected
+                } | ConvertTo-Json
+                return
+            }
+            
+            if ($targets.Count -gt $bulkConfig.MaxTargetsPerBatch) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{
+                    success = $false
+                    message = "Too many targets: $($targets.Count) supplied, maximum is $($bulkConfig.MaxTargetsPerBatch)"
+                } | ConvertTo-Json
+                return
+            }
+            
+            $jobId = New-BulkScanJob -Targets $targets -InitiatedBy $payload.userId
+            Start-BulkScanJob -JobId $jobId -Config $Global:EMSConfig -InitiatedBy $payload.userId
+            
+            $auditTarget = if ($group) { "Job $jobId (group '$($group.name)', $($targets.Count) targets)" } else { "Job $jobId ($($targets.Count) targets)" }
+            Write-AuditLog -Action "BulkScanInitiated" -User $payload.sub -Target $auditTarget -Result "Success"
+            
+            New-UDEndpointResponse -StatusCode 202 -Data @{
+                success  = $true
+                jobId    = $jobId
+                accepted = $targets.Count
+                rejected = $rejected
+            } | ConvertTo-Json
         }
         catch {
-            Write-EMSLog -Message "Results retrieval error: $_" -Severity 'Error'
+            Write-EMSLog -Message "Bulk scan error: $_" -Severity 'Error'
             New-UDEndpointResponse -StatusCode 500 -Data @{
                 success = $false
                 error   = $_.Exception.Message
@@ -308,8 +510,8 @@ $resultsEndpoints = @(
         }
     }
     
-    New-UDEndpoint -Url "/api/results/:id" -Method GET -Endpoint {
-        param($id)
+    New-UDEndpoint -Url "/api/scan/bulk/:jobId" -Method GET -Endpoint {
+        param($jobId)
         
         # Validate authentication
         $authHeader = $Request.Headers['Authorization']
@@ -318,93 +520,3289 @@ $resultsEndpoints = @(
             return
         }
         
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Scanning requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
         try {
-            $query = "SELECT * FROM scan_results WHERE scan_id = @scanid"
-            $result = Invoke-PGQuery -Query $query -Parameters @{ scanid = $id }
+            $job = Get-BulkScanJob -JobId $jobId
             
-            if ($result) {
-                # Get diagnostic details
-                $detailsQuery = "SELECT * FROM diagnostic_details WHERE scan_id = @scanid"
-                $details = Invoke-PGQuery -Query $detailsQuery -Parameters @{ scanid = $id }
-                
-                $result | Add-Member -NotePropertyName "diagnostics" -NotePropertyValue $details -Force
-                
-                New-UDEndpointResponse -StatusCode 200 -Data $result | ConvertTo-Json -Depth 10
+            if ($job) {
+                New-UDEndpointResponse -StatusCode 200 -Data @{
+                    success = $true
+                    job     = $job
+                } | ConvertTo-Json -Depth 10
             }
             else {
-                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Scan not found" } | ConvertTo-Json
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Bulk scan job not found" } | ConvertTo-Json
             }
         }
         catch {
             New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
         }
     }
-)
-
-# Computer Management Endpoints
-$computerEndpoints = @(
-    New-UDEndpoint -Url "/api/auth/providers" -Method GET -Endpoint {
-        # Return available auth providers
-        $providers = $Global:EMSConfig.Authentication.Providers | Where-Object { $_.Enabled } | Select-Object Name, @{N = 'RequiresCredentials'; E = { $_.Name -ne 'SSO' } }
-        New-UDEndpointResponse -StatusCode 200 -Data @{
-            providers = $providers
-        } | ConvertTo-Json
-    }
     
-    New-UDEndpoint -Url "/api/computers" -Method GET -Endpoint {
+    New-UDEndpoint -Url "/api/scan/sessions" -Method POST -Endpoint {
+        param($Body)
+        
+        # Validate authentication
         $authHeader = $Request.Headers['Authorization']
         if (-not $authHeader) {
             New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
             return
         }
         
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Scanning requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
         try {
-            $limit = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 100 }
-            $computers = Get-AllComputers -Limit $limit
+            $request = $Body | ConvertFrom-Json
+            $target = "$($request.target)".Trim()
             
-            New-UDEndpointResponse -StatusCode 200 -Data @{
+            # Hostnames, IPs and User IDs (user, DOMAIN\user or user@domain)
+            if (-not $target -or $target -notmatch '^[a-zA-Z0-9\-\.\\@_]+$') {
+                New-UDEndpointResponse -StatusCode 400 -Data @{
+                    success = $false
+                    message = "Invalid target"
+                } | ConvertTo-Json
+                return
+            }
+            
+            $sessionId = New-ScanSession -Target $target -InitiatedBy $payload.userId
+            Start-ScanSession -SessionId $sessionId -Target $target -Config $Global:EMSConfig -InitiatedBy $payload.userId
+            
+            Write-AuditLog -Action "ScanInitiated" -User $payload.sub -Target $target -Result "Success"
+            
+            New-UDEndpointResponse -StatusCode 202 -Data @{
                 success   = $true
-                computers = $computers
-                count     = $computers.Count
-            } | ConvertTo-Json -Depth 5
+                sessionId = $sessionId
+                streamUrl = "/api/scan/stream/$sessionId"
+            } | ConvertTo-Json
         }
         catch {
-            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+            Write-EMSLog -Message "Scan session error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{
+                success = $false
+                error   = $_.Exception.Message
+            } | ConvertTo-Json
         }
     }
     
-    New-UDEndpoint -Url "/api/computers/:name" -Method GET -Endpoint {
-        param($name)
+    # Polling fallback for clients that cannot reach the event stream
+    New-UDEndpoint -Url "/api/scan/sessions/:sessionId" -Method GET -Endpoint {
+        param($sessionId)
         
+        # Validate authentication
         $authHeader = $Request.Headers['Authorization']
         if (-not $authHeader) {
             New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
             return
         }
         
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $session = Get-ScanSession -SessionId $sessionId
+            
+            if (-not $session) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Scan session not found" } | ConvertTo-Json
+                return
+            }
+            
+            # Progress events carry scan results, so only the operator who started the scan or an admin may read them
+            if ($session.initiated_by -ne $payload.userId -and -not (Test-EMSRole -Payload $payload -Role 'admin')) {
+                New-UDEndpointResponse -StatusCode 403 -Data @{
+                    success = $false
+                    message = "Scan session was started by another user"
+                } | ConvertTo-Json
+                return
+            }
+            
+            $after = if ($Request.Query['after']) { [long]$Request.Query['after'] } else { 0 }
+            $events = @(Get-ScanSessionEvents -SessionId $sessionId -AfterEventId $after)
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                session = $session
+                events  = $events
+            } | ConvertTo-Json -Depth 10
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # EventSource cannot send the Authorization header, so the stream is opened with a single-use ticket
+    New-UDEndpoint -Url "/api/scan/sessions/:sessionId/stream-ticket" -Method POST -Endpoint {
+        param($sessionId)
+        
+        # Validate authentication
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $session = Get-ScanSession -SessionId $sessionId
+            
+            if (-not $session) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Scan session not found" } | ConvertTo-Json
+                return
+            }
+            
+            if ($session.initiated_by -ne $payload.userId -and -not (Test-EMSRole -Payload $payload -Role 'admin')) {
+                New-UDEndpointResponse -StatusCode 403 -Data @{
+                    success = $false
+                    message = "Scan session was started by another user"
+                } | ConvertTo-Json
+                return
+            }
+            
+            $ticket = New-ScanStreamTicket -SessionId $sessionId -UserId $payload.userId
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                ticket    = $ticket.Ticket
+                expiresAt = $ticket.ExpiresAt.ToUniversalTime().ToString('o')
+            } | ConvertTo-Json
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/scan/sessions/:sessionId/cancel" -Method POST -Endpoint {
+        param($sessionId)
+        
+        # Validate authentication
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Cancelling scans requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if (Stop-ScanSession -SessionId $sessionId) {
+                Write-AuditLog -Action "ScanCancelled" -User $payload.sub -Target "session:$sessionId" -Result "Success"
+                
+                New-UDEndpointResponse -StatusCode 200 -Data @{
+                    success = $true
+                    message = "Cancel requested; the scan stops after the current phase"
+                } | ConvertTo-Json
+            }
+            else {
+                New-UDEndpointResponse -StatusCode 409 -Data @{
+                    success = $false
+                    message = "Scan session is not running"
+                } | ConvertTo-Json
+            }
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Results Endpoints
+$resultsEndpoints = @(
+    New-UDEndpoint -Url "/api/results" -Method GET -Endpoint {
+        # Validate authentication
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            # Get query parameters
+            $limit = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 50 }
+            $offset = if ($Request.Query['offset']) { [int]$Request.Query['offset'] } else { 0 }
+            $hostname = $Request.Query['hostname']
+            
+            # Drill-down filters used by the dashboard widgets
+            $filterParams = @{}
+            if ($Request.Query['minHealth']) { $filterParams.HealthScoreMin = [int]$Request.Query['minHealth'] }
+            if ($Request.Query['maxHealth']) { $filterParams.HealthScoreMax = [int]$Request.Query['maxHealth'] }
+            if ($Request.Query['topology']) { $filterParams.Topology = $Request.Query['topology'] }
+            if ($Request.Query['status']) { $filterParams.Status = $Request.Query['status'] }
+            if ($Request.Query['category']) { $filterParams.Category = $Request.Query['category'] }
+            if ($Request.Query['critical'] -eq '1') { $filterParams.CriticalOnly = $true }
+            if ($Request.Query['staleDays']) { $filterParams.StaleDays = [int]$Request.Query['staleDays'] }
+            if ($Request.Query['latest'] -eq '1') { $filterParams.LatestOnly = $true }
+            if ($Request.Query['days']) { $filterParams.DaysBack = [int]$Request.Query['days'] }
+            if ($Request.Query['group']) { $filterParams.GroupId = [int]$Request.Query['group'] }
+            
+            $results = Get-ScanResults -Limit $limit -Offset $offset -Hostname $hostname @filterParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                results = $results
+                count   = $results.Count
+            } | ConvertTo-Json -Depth 10
+        }
+        catch {
+            Write-EMSLog -Message "Results retrieval error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{
+                success = $false
+                error   = $_.Exception.Message
+            } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/results/:id" -Method GET -Endpoint {
+        param($id)
+        
+        # Validate authentication
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $scanId = 0L
+        if (-not [long]::TryParse($id, [ref]$scanId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid scan id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $query = @"
+SELECT sr.*, u.username AS initiated_by_username
+FROM scan_results sr
+LEFT JOIN users u ON u.user_id = sr.initiated_by
+WHERE sr.scan_id = @scanid
+"@
+            $result = Invoke-PGQuery -Query $query -Parameters @{ scanid = $scanId } | Select-Object -First 1
+            
+            if ($result) {
+                # Get diagnostic details
+                $detailsQuery = "SELECT * FROM diagnostic_details WHERE scan_id = @scanid ORDER BY category, detail_id"
+                $details = @(Invoke-PGQuery -Query $detailsQuery -Parameters @{ scanid = $scanId })
+                
+                $result | Add-Member -NotePropertyName "diagnostics" -NotePropertyValue $details -Force
+                
+                New-UDEndpointResponse -StatusCode 200 -Data $result | ConvertTo-Json -Depth 10
+            }
+            else {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Scan not found" } | ConvertTo-Json
+            }
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Software, services and startup programs recorded closest to the scan (used by the scan comparison)
+    New-UDEndpoint -Url "/api/results/:id/inventory" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $scanId = 0L
+        if (-not [long]::TryParse($id, [ref]$scanId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid scan id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $scan = Invoke-PGQuery -Query "SELECT hostname, scan_timestamp FROM scan_results WHERE scan_id = @scanid" -Parameters @{ scanid = $scanId } |
+            Select-Object -First 1
+            
+            if (-not $scan) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Scan not found" } | ConvertTo-Json
+                return
+            }
+            
+            $inventory = Get-InventorySnapshot -ComputerName $scan.hostname -At $scan.scan_timestamp
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                scanId   = $scanId
+                hostname = $scan.hostname
+                software = $inventory.Software
+                services = $inventory.Services
+                startup  = $inventory.Startup
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Scan inventory error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Computer Management Endpoints
+$computerEndpoints = @(
+    New-UDEndpoint -Url "/api/auth/providers" -Method GET -Endpoint {
+        # Return available auth providers
+        $providers = $Global:EMSConfig.Authentication.Providers | Where-Object { $_.Enabled } | Select-Object Name, @{N = 'RequiresCredentials'; E = { -not (Test-OidcProvider -ProviderConfig $_) } }
+        New-UDEndpointResponse -StatusCode 200 -Data @{
+            providers = $providers
+        } | ConvertTo-Json
+    }
+    
+    New-UDEndpoint -Url "/api/computers" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $limit = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 100 }
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            # ?reachability=up|down|unchecked and ?offlineDays=N (down with no contact for more than N days)
+            $offlineDays = if ($Request.Query['offlineDays']) { [int]$Request.Query['offlineDays'] } else { 0 }
+            $computers = Get-AllComputers -Limit $limit -ActiveOnly ($Request.Query['includeDecommissioned'] -ne 'true') -GroupId $groupId `
+                -Reachability ([string]$Request.Query['reachability']) -OfflineDays $offlineDays
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                computers = $computers
+                count     = $computers.Count
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Inventory as CSV, in the format accepted by POST /api/computers/import
+    New-UDEndpoint -Url "/api/computers/export" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $csv = Export-ComputerInventoryCsv -IncludeDecommissioned:($Request.Query['includeDecommissioned'] -eq 'true')
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                filename = "computer_inventory_$(Get-Date -Format 'yyyy-MM-dd').csv"
+                csv      = $csv
+            } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Inventory export error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/computers/:name" -Method GET -Endpoint {
+        param($name)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $computer = Invoke-PGQuery -Query "SELECT * FROM computers WHERE computer_name = @name" -Parameters @{ name = $name }
+            if ($computer) {
+                # Get associated users
+                $users = Invoke-PGQuery -Query "SELECT * FROM computer_ad_users WHERE computer_name = @name" -Parameters @{ name = $name }
+                $computer | Add-Member -NotePropertyName "users" -NotePropertyValue $users -Force
+                
+                # Get latest metrics
+                $metrics = Get-ComputerMetrics -ComputerName $name
+                $computer | Add-Member -NotePropertyName "metrics" -NotePropertyValue $metrics -Force
+                
+                New-UDEndpointResponse -StatusCode 200 -Data $computer | ConvertTo-Json -Depth 10
+            }
+            else {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Computer not found" } | ConvertTo-Json
+            }
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/computers" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Registering computers requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $computer = $Body | ConvertFrom-Json
+            Register-Computer -ComputerName $computer.name -IPAddress $computer.ip -IsDomainJoined $false -ComputerType $computer.type
+            
+            New-UDEndpointResponse -StatusCode 201 -Data @{
+                success = $true
+                message = "Computer registered successfully"
+            } | ConvertTo-Json
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Edits the inventory fields; empty values clear a field
+    New-UDEndpoint -Url "/api/computers/:name" -Method PUT -Endpoint {
+        param($name, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing the computer inventory requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $record = ConvertTo-ComputerInventoryRecord -InputObject ($Body | ConvertFrom-Json)
+            if (-not (Set-ComputerInventory -ComputerName $name -Record $record)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Computer not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "ComputerUpdated" -User $payload.sub -Target $name -Result "Success" -RiskLevel "Low" -Details @{ fields = @($record.Keys) }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                computer = Invoke-PGQuery -Query "SELECT * FROM computers WHERE computer_name = @name" -Parameters @{ name = $name }
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Computer update error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Soft decommission ({ reason }); scan and metric history are kept
+    New-UDEndpoint -Url "/api/computers/:name" -Method DELETE -Endpoint {
+        param($name, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing the computer inventory requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $reason = if ($Body) { "$(($Body | ConvertFrom-Json).reason)".Trim() } else { '' }
+            if ($reason.Length -gt 1000) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = "Reason must be at most 1000 characters" } | ConvertTo-Json
+                return
+            }
+            
+            if (-not (Invoke-ComputerDecommission -ComputerName $name -User $payload.sub -Reason $reason)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Computer not found or already decommissioned" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "ComputerDecommissioned" -User $payload.sub -Target $name -Result "Success" -RiskLevel "Medium" -Details @{ reason = $reason }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Computer decommission error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/computers/:name/reinstate" -Method POST -Endpoint {
+        param($name)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing the computer inventory requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if (-not (Restore-DecommissionedComputer -ComputerName $name)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Computer not found or not decommissioned" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "ComputerReinstated" -User $payload.sub -Target $name -Result "Success" -RiskLevel "Low" -Details @{}
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Computer reinstate error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # CSV import ({ csv, apply }); apply = false returns the validation preview only
+    New-UDEndpoint -Url "/api/computers/import" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing the computer inventory requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $request = $Body | ConvertFrom-Json
+            if (-not $request.csv) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = "CSV content is required" } | ConvertTo-Json
+                return
+            }
+            
+            $result = Import-ComputerInventoryCsv -Csv $request.csv -Apply:([bool]$request.apply)
+            
+            if ($result.applied) {
+                Write-AuditLog -Action "InventoryImported" -User $payload.sub -Target "computers" -Result "Success" -RiskLevel "Medium" -Details $result.summary
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success        = $true
+                applied        = $result.applied
+                summary        = $result.summary
+                ignoredColumns = @($result.ignoredColumns)
+                rows           = @($result.rows)
+            } | ConvertTo-Json -Depth 6
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Inventory import error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Bulk tagging ({ computers, add, remove })
+    New-UDEndpoint -Url "/api/computers/tags" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing the computer inventory requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $request = $Body | ConvertFrom-Json
+            $names = @($request.computers | Where-Object { $_ } | ForEach-Object { [string]$_ })
+            $add = @($request.add | Where-Object { $_ } | ForEach-Object { [string]$_ })
+            $remove = @($request.remove | Where-Object { $_ } | ForEach-Object { [string]$_ })
+            
+            if ($names.Count -eq 0 -or ($add.Count + $remove.Count) -eq 0) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = "Select computers and at least one tag to add or remove" } | ConvertTo-Json
+                return
+            }
+            
+            $updated = @(Set-ComputerTags -ComputerName $names -Add $add -Remove $remove)
+            
+            Write-AuditLog -Action "ComputersTagged" -User $payload.sub -Target "$($updated.Count) computers" -Result "Success" -Details @{ add = $add; remove = $remove; computers = $updated }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                updated = $updated.Count
+                skipped = $names.Count - $updated.Count
+            } | ConvertTo-Json
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Bulk tagging error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Metrics Endpoints (generic metric queries, chart series and computer page tabs)
+. "$PSScriptRoot\Metrics-Endpoints.ps1"
+
+# Dashboard Endpoints
+$dashboardEndpoints = @(
+    New-UDEndpoint -Url "/api/dashboard/stats" -Method GET -Endpoint {
+        # Validate authentication
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            $stats = Get-DashboardStats -GroupId $groupId
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success    = $true
+                statistics = $stats
+            } | ConvertTo-Json -Depth 10
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{
+                success = $false
+                error   = $_.Exception.Message
+            } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/dashboard/widgets/:widget" -Method GET -Endpoint {
+        param($widget)
+        
+        # Validate authentication
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $widgetParams = @{ Widget = $widget }
+            if ($Request.Query['limit']) { $widgetParams.Limit = [int]$Request.Query['limit'] }
+            if ($Request.Query['days']) { $widgetParams.Days = [int]$Request.Query['days'] }
+            if ($Request.Query['group']) { $widgetParams.GroupId = [int]$Request.Query['group'] }
+            
+            $data = Get-DashboardWidgetData @widgetParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                widget  = $widget
+                data    = $data
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{
+                success = $false
+                error   = "Unknown widget '$widget' or invalid limit/days"
+            } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Dashboard widget $widget error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{
+                success = $false
+                error   = $_.Exception.Message
+            } | ConvertTo-Json
+        }
+    }
+    
+    # Per-user widget layout; null means the Web UI's default layout
+    New-UDEndpoint -Url "/api/dashboard/layout" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                layout  = Get-DashboardLayout -UserId $payload.userId
+            } | ConvertTo-Json -Depth 6
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/dashboard/layout" -Method PUT -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $request = $Body | ConvertFrom-Json
+            $widgetTypes = @('summary', 'scan-activity', 'unhealthiest', 'alerts-by-category', 'health-by-topology', 'stale-endpoints', 'patch-compliance')
+            
+            $layout = @($request.layout | Where-Object { $_ })
+            $unknown = @($layout | Where-Object { $widgetTypes -notcontains $_.type })
+            if ($layout.Count -gt 20 -or $unknown.Count -gt 0) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{
+                    success = $false
+                    error   = "Layout must be at most 20 widgets of type: $($widgetTypes -join ', ')"
+                } | ConvertTo-Json
+                return
+            }
+            
+            # Keep only the options the widgets understand
+            $entries = @($layout | ForEach-Object {
+                    $options = @{}
+                    if ($_.options.limit) { $options.limit = [Math]::Min(100, [Math]::Max(1, [int]$_.options.limit)) }
+                    if ($_.options.days) { $options.days = [Math]::Min(365, [Math]::Max(1, [int]$_.options.days)) }
+                    @{ type = $_.type; options = $options }
+                })
+            
+            Set-DashboardLayout -UserId $payload.userId -Layout $entries
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                layout  = $entries
+            } | ConvertTo-Json -Depth 6
+        }
+        catch {
+            Write-EMSLog -Message "Dashboard layout save error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Scan Schedule Endpoints
+$scheduleEndpoints = @(
+    New-UDEndpoint -Url "/api/schedules" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                schedules = @(Get-ScanSchedule)
+                subnets   = @{
+                    ho     = @($Global:EMSConfig.Topology.HOSubnets)
+                    remote = @($Global:EMSConfig.Topology.RemoteSubnets)
+                }
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Schedule list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/schedules" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing scan schedules requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-ScanScheduleDefinition -InputObject ($Body | ConvertFrom-Json) -Config $Global:EMSConfig
+            $scheduleId = New-ScanSchedule -Definition $definition -CreatedBy $payload.userId
+            
+            Write-AuditLog -Action "ScheduleCreated" -User $payload.sub -Target $definition.Name -Result "Success" -RiskLevel "Medium" -Details @{ scheduleId = $scheduleId; cron = $definition.CronExpression }
+            
+            New-UDEndpointResponse -StatusCode 201 -Data @{
+                success  = $true
+                schedule = Get-ScanSchedule -ScheduleId $scheduleId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Schedule create error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/schedules/:id" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $scheduleId = 0
+        if (-not [int]::TryParse($id, [ref]$scheduleId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid schedule id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $schedule = Get-ScanSchedule -ScheduleId $scheduleId
+            if (-not $schedule) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Schedule not found" } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                schedule = $schedule
+                runs     = @(Get-ScanScheduleRuns -ScheduleId $scheduleId)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Schedule detail error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Edits, pauses (enabled = false) and resumes a schedule
+    New-UDEndpoint -Url "/api/schedules/:id" -Method PUT -Endpoint {
+        param($id, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing scan schedules requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $scheduleId = 0
+        if (-not [int]::TryParse($id, [ref]$scheduleId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid schedule id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-ScanScheduleDefinition -InputObject ($Body | ConvertFrom-Json) -Config $Global:EMSConfig
+            if (-not (Set-ScanSchedule -ScheduleId $scheduleId -Definition $definition)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Schedule not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "ScheduleUpdated" -User $payload.sub -Target $definition.Name -Result "Success" -RiskLevel "Medium" -Details @{ scheduleId = $scheduleId; enabled = $definition.Enabled; cron = $definition.CronExpression }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                schedule = Get-ScanSchedule -ScheduleId $scheduleId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Schedule update error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/schedules/:id" -Method DELETE -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing scan schedules requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $scheduleId = 0
+        if (-not [int]::TryParse($id, [ref]$scheduleId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid schedule id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if (-not (Remove-ScanSchedule -ScheduleId $scheduleId)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Schedule not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "ScheduleDeleted" -User $payload.sub -Target "$scheduleId" -Result "Success" -RiskLevel "Medium"
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Schedule delete error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Search Endpoints
+$searchEndpoints = @(
+    # Global search bar: grouped computer, user, software and scan hits
+    New-UDEndpoint -Url "/api/search" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $query = "$($Request.Query['q'])".Trim()
+        if ($query.Length -lt 2 -or $query.Length -gt 100) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = "Search text must be between 2 and 100 characters" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $limit = if ($Request.Query['limit']) { [Math]::Min([int]$Request.Query['limit'], 50) } else { 10 }
+            $results = Search-EMSInventory -Query $query -Limit $limit
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                query     = $query
+                computers = $results.computers
+                users     = $results.users
+                software  = $results.software
+                scans     = $results.scans
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Search error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Device Group Endpoints
+$groupEndpoints = @(
+    New-UDEndpoint -Url "/api/groups" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                groups  = @(Get-DeviceGroup)
+            } | ConvertTo-Json -Depth 6
+        }
+        catch {
+            Write-EMSLog -Message "Device group list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Computers an unsaved group definition would match (rule editor preview)
+    New-UDEndpoint -Url "/api/groups/preview" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-DeviceGroupDefinition -InputObject ($Body | ConvertFrom-Json)
+            $members = Get-DeviceGroupMember -Definition $definition -Limit 50
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                total     = $members.total
+                computers = @($members.computers)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Device group preview error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/groups/:id/members" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $groupId = 0
+        if (-not [int]::TryParse($id, [ref]$groupId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid group id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if (-not (Get-DeviceGroup -GroupId $groupId)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Device group not found" } | ConvertTo-Json
+                return
+            }
+            
+            $limit = if ($Request.Query['limit']) { [Math]::Min([Math]::Max([int]$Request.Query['limit'], 1), 1000) } else { 200 }
+            $members = Get-DeviceGroupMember -GroupId $groupId -Limit $limit
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                total     = $members.total
+                computers = @($members.computers)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Device group members error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/groups" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing device groups requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-DeviceGroupDefinition -InputObject ($Body | ConvertFrom-Json)
+            $groupId = New-DeviceGroup -Definition $definition -CreatedBy $payload.userId
+            
+            Write-AuditLog -Action "DeviceGroupCreated" -User $payload.sub -Target $definition.Name -Result "Success" -Details @{ groupId = $groupId; rules = $definition.Rules.Count }
+            
+            New-UDEndpointResponse -StatusCode 201 -Data @{
+                success = $true
+                group   = Get-DeviceGroup -GroupId $groupId
+            } | ConvertTo-Json -Depth 6
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Device group create error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/groups/:id" -Method PUT -Endpoint {
+        param($id, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing device groups requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $groupId = 0
+        if (-not [int]::TryParse($id, [ref]$groupId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid group id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-DeviceGroupDefinition -InputObject ($Body | ConvertFrom-Json)
+            if (-not (Set-DeviceGroup -GroupId $groupId -Definition $definition)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Device group not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "DeviceGroupUpdated" -User $payload.sub -Target $definition.Name -Result "Success" -Details @{ groupId = $groupId; rules = $definition.Rules.Count }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                group   = Get-DeviceGroup -GroupId $groupId
+            } | ConvertTo-Json -Depth 6
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Device group update error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/groups/:id" -Method DELETE -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing device groups requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $groupId = 0
+        if (-not [int]::TryParse($id, [ref]$groupId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid group id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if (-not (Remove-DeviceGroup -GroupId $groupId)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Device group not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "DeviceGroupDeleted" -User $payload.sub -Target "group $groupId" -Result "Success" -Details @{ groupId = $groupId }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Device group delete error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Export Endpoints
+$exportEndpoints = @(
+    # Export the full filtered result set of a metric page or the scan results history
+    New-UDEndpoint -Url "/api/exports" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $exportRequest = ConvertTo-ExportRequest -InputObject ($Body | ConvertFrom-Json)
+            Remove-ExpiredExportJobs
+            
+            $syncLimit = if ($Global:EMSConfig.Export.SyncRowLimit) { [int]$Global:EMSConfig.Export.SyncRowLimit } else { 5000 }
+            $rowCount = Measure-ExportData -Source $exportRequest.Source -Parameters $exportRequest.Parameters -Limit $syncLimit
+            $jobId = New-ExportJob -Request $exportRequest -RequestedBy $payload.userId
+            
+            # Small exports are ready in the response; large ones are polled through GET /api/exports/:id
+            if ($rowCount -le $syncLimit) {
+                Invoke-ExportJob -JobId $jobId -Config $Global:EMSConfig
+            }
+            else {
+                Start-ExportJob -JobId $jobId -Config $Global:EMSConfig
+            }
+            
+            Write-AuditLog -Action "DataExported" -User $payload.sub -Target $exportRequest.Title -Result "Success" -Details @{
+                jobId  = $jobId
+                source = $exportRequest.Source
+                format = $exportRequest.Format
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                job     = Get-ExportJob -JobId $jobId
+            } | ConvertTo-Json -Depth 6
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Export error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # The caller's exports; admins see everyone's
+    New-UDEndpoint -Url "/api/exports" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $jobs = if (Test-EMSRole -Payload $payload -Role 'admin') {
+                Get-ExportJob
+            }
+            else {
+                Get-ExportJob -RequestedBy $payload.userId
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                jobs    = @($jobs)
+            } | ConvertTo-Json -Depth 6
+        }
+        catch {
+            Write-EMSLog -Message "Export list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/exports/:id" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $jobId = 0
+        if (-not [int]::TryParse($id, [ref]$jobId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid export id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            # Other users' exports are reported as missing rather than forbidden
+            $job = Get-ExportJob -JobId $jobId
+            if (-not $job -or ($job.requested_by -ne $payload.userId -and -not (Test-EMSRole -Payload $payload -Role 'admin'))) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Export not found" } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                job     = $job
+            } | ConvertTo-Json -Depth 6
+        }
+        catch {
+            Write-EMSLog -Message "Export status error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/exports/:id/download" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $jobId = 0
+        if (-not [int]::TryParse($id, [ref]$jobId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid export id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $job = Get-ExportJob -JobId $jobId
+            if (-not $job -or ($job.requested_by -ne $payload.userId -and -not (Test-EMSRole -Payload $payload -Role 'admin'))) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Export not found" } | ConvertTo-Json
+                return
+            }
+            
+            $file = Get-ExportFile -JobId $jobId
+            if (-not $file) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Export file is not available" } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success     = $true
+                fileName    = $file.FileName
+                contentType = $file.ContentType
+                content     = $file.Content
+            } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Export download error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/exports/:id" -Method DELETE -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $jobId = 0
+        if (-not [int]::TryParse($id, [ref]$jobId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid export id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $job = Get-ExportJob -JobId $jobId
+            if (-not $job -or ($job.requested_by -ne $payload.userId -and -not (Test-EMSRole -Payload $payload -Role 'admin'))) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Export not found" } | ConvertTo-Json
+                return
+            }
+            
+            Remove-ExportJob -JobId $jobId | Out-Null
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Export delete error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Compliance Endpoints
+$complianceEndpoints = @(
+    # Controls a baseline can be built from, with their parameters and defaults
+    New-UDEndpoint -Url "/api/compliance/controls" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        New-UDEndpointResponse -StatusCode 200 -Data @{
+            success  = $true
+            controls = @(Get-ComplianceControl -Config $Global:EMSConfig)
+        } | ConvertTo-Json -Depth 6
+    }
+    
+    New-UDEndpoint -Url "/api/compliance/baselines" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                baselines = @(Get-ComplianceBaseline)
+            } | ConvertTo-Json -Depth 6
+        }
+        catch {
+            Write-EMSLog -Message "Compliance baseline list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Creates a baseline and evaluates it straight away
+    New-UDEndpoint -Url "/api/compliance/baselines" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing compliance baselines requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-ComplianceBaselineDefinition -InputObject ($Body | ConvertFrom-Json) -Config $Global:EMSConfig
+            $baselineId = New-ComplianceBaseline -Definition $definition -CreatedBy $payload.userId
+            
+            Write-AuditLog -Action "ComplianceBaselineCreated" -User $payload.sub -Target $definition.Name -Result "Success" -Details @{
+                baselineId = $baselineId
+                controls   = @($definition.Controls | ForEach-Object { $_.control })
+            }
+            
+            Invoke-ComplianceEvaluation -BaselineId $baselineId | Out-Null
+            
+            New-UDEndpointResponse -StatusCode 201 -Data @{
+                success  = $true
+                baseline = Get-ComplianceBaseline -BaselineId $baselineId
+            } | ConvertTo-Json -Depth 6
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Compliance baseline create error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/compliance/baselines/:id" -Method PUT -Endpoint {
+        param($id, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing compliance baselines requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $baselineId = 0
+        if (-not [int]::TryParse($id, [ref]$baselineId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid baseline id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-ComplianceBaselineDefinition -InputObject ($Body | ConvertFrom-Json) -Config $Global:EMSConfig
+            if (-not (Set-ComplianceBaseline -BaselineId $baselineId -Definition $definition)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Compliance baseline not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "ComplianceBaselineUpdated" -User $payload.sub -Target $definition.Name -Result "Success" -Details @{
+                baselineId = $baselineId
+                controls   = @($definition.Controls | ForEach-Object { $_.control })
+            }
+            
+            Invoke-ComplianceEvaluation -BaselineId $baselineId | Out-Null
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                baseline = Get-ComplianceBaseline -BaselineId $baselineId
+            } | ConvertTo-Json -Depth 6
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Compliance baseline update error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/compliance/baselines/:id" -Method DELETE -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing compliance baselines requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $baselineId = 0
+        if (-not [int]::TryParse($id, [ref]$baselineId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid baseline id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if (-not (Remove-ComplianceBaseline -BaselineId $baselineId)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Compliance baseline not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "ComplianceBaselineDeleted" -User $payload.sub -Target "baseline $baselineId" -Result "Success" -Details @{ baselineId = $baselineId }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Compliance baseline delete error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Re-checks every computer in scope against the latest metrics
+    New-UDEndpoint -Url "/api/compliance/baselines/:id/evaluate" -Method POST -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Evaluating compliance baselines requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $baselineId = 0
+        if (-not [int]::TryParse($id, [ref]$baselineId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid baseline id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if ((Invoke-ComplianceEvaluation -BaselineId $baselineId) -eq 0) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Compliance baseline not found" } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                baseline = Get-ComplianceBaseline -BaselineId $baselineId
+            } | ConvertTo-Json -Depth 6
+        }
+        catch {
+            Write-EMSLog -Message "Compliance evaluation error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Fleet pass rate, compliant endpoint counts and each control's results
+    New-UDEndpoint -Url "/api/compliance/baselines/:id/scorecard" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $baselineId = 0
+        if (-not [int]::TryParse($id, [ref]$baselineId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid baseline id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $baseline = Get-ComplianceBaseline -BaselineId $baselineId
+            if (-not $baseline) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Compliance baseline not found" } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                baseline  = $baseline
+                scorecard = Get-ComplianceScorecard -BaselineId $baselineId
+            } | ConvertTo-Json -Depth 6
+        }
+        catch {
+            Write-EMSLog -Message "Compliance scorecard error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Per-endpoint scores (?status=compliant|non_compliant|unknown&q=&limit=)
+    New-UDEndpoint -Url "/api/compliance/baselines/:id/endpoints" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $baselineId = 0
+        if (-not [int]::TryParse($id, [ref]$baselineId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid baseline id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $filterParams = @{
+                BaselineId = $baselineId
+                Status     = [string]$Request.Query['status']
+                Search     = [string]$Request.Query['q']
+                Limit      = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 500 }
+            }
+            $result = Get-ComplianceEndpoint @filterParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                total     = $result.total
+                endpoints = @($result.endpoints)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Compliance endpoint list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # One computer's control results and daily score
+    New-UDEndpoint -Url "/api/compliance/baselines/:id/endpoints/:computer" -Method GET -Endpoint {
+        param($id, $computer)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $baselineId = 0
+        if (-not [int]::TryParse($id, [ref]$baselineId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid baseline id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $results = @(Get-ComplianceEndpointResult -BaselineId $baselineId -ComputerName $computer)
+            if ($results.Count -eq 0) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "No compliance results for $computer" } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success      = $true
+                computerName = $computer
+                results      = $results
+                trend        = @(Get-ComplianceTrend -BaselineId $baselineId -ComputerName $computer)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Compliance endpoint result error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Daily fleet compliance (?days=90)
+    New-UDEndpoint -Url "/api/compliance/baselines/:id/trend" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $baselineId = 0
+        if (-not [int]::TryParse($id, [ref]$baselineId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid baseline id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $days = if ($Request.Query['days']) { [int]$Request.Query['days'] } else { 90 }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                trend   = @(Get-ComplianceTrend -BaselineId $baselineId -Days $days)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Compliance trend error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Failing controls, one row per computer and control (?control=&q=&limit=)
+    New-UDEndpoint -Url "/api/compliance/baselines/:id/failures" -Method GET -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $baselineId = 0
+        if (-not [int]::TryParse($id, [ref]$baselineId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid baseline id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $filterParams = @{
+                BaselineId = $baselineId
+                ControlId  = [string]$Request.Query['control']
+                Search     = [string]$Request.Query['q']
+                Limit      = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 500 }
+            }
+            $result = Get-ComplianceFailure @filterParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                total    = $result.total
+                failures = @($result.failures)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Compliance failure list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Software Inventory Endpoints (latest installed software snapshot of each computer; ?group= limits to a device group)
+$softwareEndpoints = @(
+    New-UDEndpoint -Url "/api/software/summary" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                summary = Get-SoftwareSummary -GroupId $groupId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Software summary error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Products with install counts (?q=&vendor=&status=outdated|blocked&limit=)
+    New-UDEndpoint -Url "/api/software/products" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $filterParams = @{
+                Search  = [string]$Request.Query['q']
+                Vendor  = [string]$Request.Query['vendor']
+                Status  = [string]$Request.Query['status']
+                GroupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+                Limit   = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 500 }
+            }
+            $result = Get-SoftwareProduct @filterParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                total    = $result.total
+                products = @($result.products)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Software product list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Version spread of one product (?name=)
+    New-UDEndpoint -Url "/api/software/versions" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $name = [string]$Request.Query['name']
+        if (-not $name) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Product name is required" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                name     = $name
+                versions = @(Get-SoftwareVersion -Name $name -GroupId $groupId)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Software version list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Installs per publisher for license true-up (?q=&limit=)
+    New-UDEndpoint -Url "/api/software/publishers" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $filterParams = @{
+                Search  = [string]$Request.Query['q']
+                GroupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+                Limit   = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 500 }
+            }
+            $result = Get-SoftwarePublisher @filterParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success    = $true
+                total      = $result.total
+                publishers = @($result.publishers)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Software publisher list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Drill-down behind every count (?name=&version=&unversioned=1&vendor=&status=&rule=&q=&limit=)
+    New-UDEndpoint -Url "/api/software/endpoints" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $filterParams = @{
+                Name        = [string]$Request.Query['name']
+                Version     = [string]$Request.Query['version']
+                Unversioned = $Request.Query['unversioned'] -eq '1'
+                Vendor      = [string]$Request.Query['vendor']
+                Status      = [string]$Request.Query['status']
+                RuleId      = if ($Request.Query['rule']) { [int]$Request.Query['rule'] } else { 0 }
+                Search      = [string]$Request.Query['q']
+                GroupId     = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+                Limit       = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 500 }
+            }
+            $result = Get-SoftwareEndpoint @filterParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                total     = $result.total
+                endpoints = @($result.endpoints)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Software endpoint list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Minimum version and blocklist rules with the computers they flag
+    New-UDEndpoint -Url "/api/software/rules" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                rules   = @(Get-SoftwareRule -GroupId $groupId)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Software rule list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/software/rules" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing software rules requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-SoftwareRuleDefinition -InputObject ($Body | ConvertFrom-Json)
+            $ruleId = New-SoftwareRule -Definition $definition -CreatedBy $payload.userId
+            
+            Write-AuditLog -Action "SoftwareRuleCreated" -User $payload.sub -Target $definition.Pattern -Result "Success" -Details @{
+                ruleId     = $ruleId
+                type       = $definition.Type
+                minVersion = $definition.MinVersion
+            }
+            
+            New-UDEndpointResponse -StatusCode 201 -Data @{
+                success = $true
+                rule    = Get-SoftwareRule -RuleId $ruleId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Software rule create error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/software/rules/:id" -Method PUT -Endpoint {
+        param($id, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing software rules requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $ruleId = 0
+        if (-not [int]::TryParse($id, [ref]$ruleId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid rule id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-SoftwareRuleDefinition -InputObject ($Body | ConvertFrom-Json)
+            if (-not (Set-SoftwareRule -RuleId $ruleId -Definition $definition)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Software rule not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "SoftwareRuleUpdated" -User $payload.sub -Target $definition.Pattern -Result "Success" -Details @{
+                ruleId     = $ruleId
+                type       = $definition.Type
+                minVersion = $definition.MinVersion
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                rule    = Get-SoftwareRule -RuleId $ruleId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Software rule update error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/software/rules/:id" -Method DELETE -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing software rules requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $ruleId = 0
+        if (-not [int]::TryParse($id, [ref]$ruleId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid rule id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if (-not (Remove-SoftwareRule -RuleId $ruleId)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Software rule not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "SoftwareRuleDeleted" -User $payload.sub -Target "rule $ruleId" -Result "Success" -Details @{ ruleId = $ruleId }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Software rule delete error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Vulnerability Endpoints (CVEs from imported feed files matched to installed software and operating systems; ?group= limits to a device group)
+$vulnerabilityEndpoints = @(
+    New-UDEndpoint -Url "/api/vulnerabilities/summary" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                summary = Get-VulnerabilitySummary -GroupId $groupId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Vulnerability summary error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Matched CVEs, most severe first (?severity=&q=&limit=)
+    New-UDEndpoint -Url "/api/vulnerabilities/cves" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $filterParams = @{
+                Severity = [string]$Request.Query['severity']
+                Search   = [string]$Request.Query['q']
+                GroupId  = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+                Limit    = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 500 }
+            }
+            $result = Get-Vulnerability @filterParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success         = $true
+                total           = $result.total
+                vulnerabilities = @($result.vulnerabilities)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Vulnerability list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # One CVE with its affected products
+    New-UDEndpoint -Url "/api/vulnerabilities/cves/:cveId" -Method GET -Endpoint {
+        param($cveId)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            $detail = Get-VulnerabilityDetail -CveId $cveId -GroupId $groupId
+            if (-not $detail) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "$cveId is not in the imported feeds" } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success       = $true
+                vulnerability = $detail.vulnerability
+                products      = @($detail.products)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Vulnerability detail error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Affected computers with the matched package and version (?cve=&severity=&q=&limit=)
+    New-UDEndpoint -Url "/api/vulnerabilities/endpoints" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $filterParams = @{
+                CveId    = [string]$Request.Query['cve']
+                Severity = [string]$Request.Query['severity']
+                Search   = [string]$Request.Query['q']
+                GroupId  = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+                Limit    = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 500 }
+            }
+            $result = Get-VulnerabilityEndpoint @filterParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success   = $true
+                total     = $result.total
+                endpoints = @($result.endpoints)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Vulnerable endpoint list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/vulnerabilities/feeds" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                feeds   = @(Get-VulnerabilityFeed)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Vulnerability feed list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Feed import ({ content, fileName }): NVD JSON or CSV; every computer is re-matched afterwards
+    New-UDEndpoint -Url "/api/vulnerabilities/feeds" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Importing vulnerability feeds requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $request = $Body | ConvertFrom-Json
+            if (-not $request.content) {
+                New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = "Feed file content is required" } | ConvertTo-Json
+                return
+            }
+            
+            $result = Import-VulnerabilityFeed -Content $request.content -SourceName ([string]$request.fileName) -ImportedBy $payload.userId
+            
+            Write-AuditLog -Action "VulnerabilityFeedImported" -User $payload.sub -Target ([string]$request.fileName) -Result "Success" -Details @{
+                feedId  = $result.feedId
+                format  = $result.format
+                cves    = $result.cves
+                skipped = $result.skipped
+                matches = $result.matches
+            }
+            
+            New-UDEndpointResponse -StatusCode 201 -Data @{
+                success = $true
+                import  = $result
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Vulnerability feed import error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # CVEs matched on one computer with their evidence (computer details Vulnerabilities tab)
+    New-UDEndpoint -Url "/api/computers/:name/vulnerabilities" -Method GET -Endpoint {
+        param($name)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $result = Get-ComputerVulnerability -ComputerName $name
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success         = $true
+                computerName    = $name
+                vulnerabilities = @($result.vulnerabilities)
+                updates         = $result.updates
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Computer vulnerability list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Reachability Endpoints (ping/WinRM checks made by the reachability monitor, see Reachability.psm1)
+$reachabilityEndpoints = @(
+    # Counts of reachable, unreachable and unchecked computers, and of computers offline for more than 7, 30 and 90 days (?group=)
+    New-UDEndpoint -Url "/api/reachability/summary" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $groupId = if ($Request.Query['group']) { [int]$Request.Query['group'] } else { 0 }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success         = $true
+                summary         = Get-ReachabilitySummary -GroupId $groupId
+                intervalMinutes = $Global:EMSConfig.Reachability.IntervalMinutes
+                monitorEnabled  = [bool]$Global:EMSConfig.Reachability.Enabled
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Reachability summary error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Current reachability of one computer and its up/down history
+    New-UDEndpoint -Url "/api/computers/:name/reachability" -Method GET -Endpoint {
+        param($name)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $result = Get-ComputerReachability -ComputerName $name
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success      = $true
+                computerName = $name
+                reachability = $result.reachability
+                history      = @($result.history)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Computer reachability error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Check one computer now instead of waiting for the monitor
+    New-UDEndpoint -Url "/api/computers/:name/reachability/check" -Method POST -Endpoint {
+        param($name)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Checking reachability requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $round = Invoke-ReachabilityCheck -Config $Global:EMSConfig -ComputerName $name
+            if ($round.checked -eq 0) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Computer not found or decommissioned" } | ConvertTo-Json
+                return
+            }
+            
+            $result = Get-ComputerReachability -ComputerName $name
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success      = $true
+                computerName = $name
+                reachability = $result.reachability
+                history      = @($result.history)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Reachability check error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Timeline Endpoints (events merged from scans, inventory snapshots, metrics and remediation, see Timeline.psm1)
+$timelineEndpoints = @(
+    # Events of one computer between ?from= and ?to= (ISO dates, default the last 7 days), optionally only ?types=scan,logon,...
+    New-UDEndpoint -Url "/api/computers/:name/timeline" -Method GET -Endpoint {
+        param($name)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $to = if ($Request.Query['to']) { [datetime]$Request.Query['to'] } else { Get-Date }
+            $from = if ($Request.Query['from']) { [datetime]$Request.Query['from'] } else { $to.AddDays(-7) }
+            $types = if ($Request.Query['types']) { @($Request.Query['types'] -split ',' | ForEach-Object { $_.Trim() }) } else { @() }
+            $limit = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 500 }
+            
+            $timeline = Get-ComputerTimeline -ComputerName $name -From $from -To $to -Types $types -Limit $limit
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                timeline = $timeline
+            } | ConvertTo-Json -Depth 6
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Timeline error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+)
+
+# Alerting Endpoints
+$alertEndpoints = @(
+    New-UDEndpoint -Url "/api/alerts" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $filterParams = @{
+                Limit = if ($Request.Query['limit']) { [int]$Request.Query['limit'] } else { 200 }
+            }
+            if ($Request.Query['status']) { $filterParams.Status = $Request.Query['status'] }
+            if ($Request.Query['computer']) { $filterParams.ComputerName = $Request.Query['computer'] }
+            if ($Request.Query['severity']) { $filterParams.Severity = $Request.Query['severity'] }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                alerts  = @(Get-Alerts @filterParams)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.Management.Automation.ParameterBindingException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Alert list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Counts behind the header badges
+    New-UDEndpoint -Url "/api/alerts/summary" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                summary = Get-AlertSummary
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Alert summary error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    # Acknowledges, snoozes ({ minutes }) or resolves an alert
+    New-UDEndpoint -Url "/api/alerts/:id/:action" -Method POST -Endpoint {
+        param($id, $action, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'operator')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Handling alerts requires the operator role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $alertId = 0
+        if (-not [long]::TryParse($id, [ref]$alertId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid alert id" } | ConvertTo-Json
+            return
+        }
+        
+        if (@('acknowledge', 'snooze', 'resolve') -notcontains $action) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = "Action must be acknowledge, snooze or resolve" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $stateParams = @{ AlertId = $alertId; Action = $action; User = $payload.sub }
+            if ($action -eq 'snooze') {
+                $request = if ($Body) { $Body | ConvertFrom-Json } else { $null }
+                $minutes = if ($request.minutes) { [int]$request.minutes } else { 60 }
+                if ($minutes -lt 1 -or $minutes -gt 10080) {
+                    New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = "Snooze must be between 1 minute and 7 days" } | ConvertTo-Json
+                    return
+                }
+                $stateParams.SnoozeMinutes = $minutes
+            }
+            
+            if (-not (Set-AlertState @stateParams)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Alert not found or already resolved" } | ConvertTo-Json
+                return
+            }
+            
+            $auditAction = @{ acknowledge = 'AlertAcknowledged'; snooze = 'AlertSnoozed'; resolve = 'AlertResolved' }[$action]
+            Write-AuditLog -Action $auditAction -User $payload.sub -Target "alert $alertId" -Result "Success" -RiskLevel "Low" -Details $stateParams
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Alert $action error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/alert-rules" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                rules   = @(Get-AlertRule)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Alert rule list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/alert-rules" -Method POST -Endpoint {
+        param($Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing alert rules requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-AlertRuleDefinition -InputObject ($Body | ConvertFrom-Json)
+            $ruleId = New-AlertRule -Definition $definition -CreatedBy $payload.userId
+            
+            Write-AuditLog -Action "AlertRuleCreated" -User $payload.sub -Target $definition.Name -Result "Success" -RiskLevel "Medium" -Details @{ ruleId = $ruleId; condition = $definition.ConditionType }
+            
+            New-UDEndpointResponse -StatusCode 201 -Data @{
+                success = $true
+                rule    = Get-AlertRule -RuleId $ruleId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Alert rule create error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/alert-rules/:id" -Method PUT -Endpoint {
+        param($id, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing alert rules requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $ruleId = 0
+        if (-not [int]::TryParse($id, [ref]$ruleId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid rule id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-AlertRuleDefinition -InputObject ($Body | ConvertFrom-Json)
+            if (-not (Set-AlertRule -RuleId $ruleId -Definition $definition)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Alert rule not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "AlertRuleUpdated" -User $payload.sub -Target $definition.Name -Result "Success" -RiskLevel "Medium" -Details @{ ruleId = $ruleId; enabled = $definition.Enabled }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                rule    = Get-AlertRule -RuleId $ruleId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Alert rule update error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/alert-rules/:id" -Method DELETE -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing alert rules requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $ruleId = 0
+        if (-not [int]::TryParse($id, [ref]$ruleId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid rule id" } | ConvertTo-Json
+            return
+        }
+        
         try {
-            $computer = Invoke-PGQuery -Query "SELECT * FROM computers WHERE computer_name = @name" -Parameters @{ name = $name }
-            if ($computer) {
-                # Get associated users
-                $users = Invoke-PGQuery -Query "SELECT * FROM computer_ad_users WHERE computer_name = @name" -Parameters @{ name = $name }
-                $computer | Add-Member -NotePropertyName "users" -NotePropertyValue $users -Force
-                
-                # Get latest metrics
-                $metrics = Get-ComputerMetrics -ComputerName $name
-                $computer | Add-Member -NotePropertyName "metrics" -NotePropertyValue $metrics -Force
-                
-                New-UDEndpointResponse -StatusCode 200 -Data $computer | ConvertTo-Json -Depth 10
-            }
-            else {
-                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Computer not found" } | ConvertTo-Json
+            if (-not (Remove-AlertRule -RuleId $ruleId)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Alert rule not found" } | ConvertTo-Json
+                return
             }
+            
+            Write-AuditLog -Action "AlertRuleDeleted" -User $payload.sub -Target "rule $ruleId" -Result "Success" -RiskLevel "Medium" -Details @{ ruleId = $ruleId }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
         }
         catch {
+            Write-EMSLog -Message "Alert rule delete error: $_" -Severity 'Error'
             New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
         }
     }
     
-    New-UDEndpoint -Url "/api/computers" -Method POST -Endpoint {
+    # Channel settings hold webhook URLs, so only admins can read them
+    New-UDEndpoint -Url "/api/notification-channels" -Method GET -Endpoint {
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing notification channels requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success  = $true
+                channels = @(Get-NotificationChannel)
+            } | ConvertTo-Json -Depth 5
+        }
+        catch {
+            Write-EMSLog -Message "Notification channel list error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/notification-channels" -Method POST -Endpoint {
         param($Body)
         
         $authHeader = $Request.Headers['Authorization']
@@ -413,24 +3811,219 @@ $computerEndpoints = @(
             return
         }
         
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing notification channels requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
         try {
-            $computer = $Body | ConvertFrom-Json
-            Register-Computer -ComputerName $computer.name -IPAddress $computer.ip -IsDomainJoined $false -ComputerType $computer.type
+            $definition = ConvertTo-NotificationChannelDefinition -InputObject ($Body | ConvertFrom-Json)
+            $channelId = New-NotificationChannel -Definition $definition
+            
+            Write-AuditLog -Action "NotificationChannelCreated" -User $payload.sub -Target $definition.Name -Result "Success" -RiskLevel "Medium" -Details @{ channelId = $channelId; type = $definition.ChannelType }
             
             New-UDEndpointResponse -StatusCode 201 -Data @{
                 success = $true
-                message = "Computer registered successfully"
+                channel = Get-NotificationChannel -ChannelId $channelId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Notification channel create error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/notification-channels/:id" -Method PUT -Endpoint {
+        param($id, $Body)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing notification channels requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $channelId = 0
+        if (-not [int]::TryParse($id, [ref]$channelId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid channel id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $definition = ConvertTo-NotificationChannelDefinition -InputObject ($Body | ConvertFrom-Json)
+            if (-not (Set-NotificationChannel -ChannelId $channelId -Definition $definition)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Notification channel not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "NotificationChannelUpdated" -User $payload.sub -Target $definition.Name -Result "Success" -RiskLevel "Medium" -Details @{ channelId = $channelId; enabled = $definition.Enabled }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success = $true
+                channel = Get-NotificationChannel -ChannelId $channelId
+            } | ConvertTo-Json -Depth 5
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ success = $false; message = $_.Exception.Message } | ConvertTo-Json
+        }
+        catch {
+            Write-EMSLog -Message "Notification channel update error: $_" -Severity 'Error'
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
+    
+    New-UDEndpoint -Url "/api/notification-channels/:id" -Method DELETE -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing notification channels requires the admin role"
             } | ConvertTo-Json
+            return
+        }
+        
+        $channelId = 0
+        if (-not [int]::TryParse($id, [ref]$channelId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid channel id" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            if (-not (Remove-NotificationChannel -ChannelId $channelId)) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Notification channel not found" } | ConvertTo-Json
+                return
+            }
+            
+            Write-AuditLog -Action "NotificationChannelDeleted" -User $payload.sub -Target "channel $channelId" -Result "Success" -RiskLevel "Medium" -Details @{ channelId = $channelId }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
         }
         catch {
+            Write-EMSLog -Message "Notification channel delete error: $_" -Severity 'Error'
             New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
         }
     }
+    
+    # Sends a test message so admins can check a channel before relying on it
+    New-UDEndpoint -Url "/api/notification-channels/:id/test" -Method POST -Endpoint {
+        param($id)
+        
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Managing notification channels requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        $channelId = 0
+        if (-not [int]::TryParse($id, [ref]$channelId)) {
+            New-UDEndpointResponse -StatusCode 400 -Data @{ error = "Invalid channel id" } | ConvertTo-Json
+            return
+        }
+        
+        $channel = Get-NotificationChannel -ChannelId $channelId
+        if (-not $channel) {
+            New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Notification channel not found" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            Send-ChannelMessage -Channel $channel -Subject "[EMS] Test notification" `
+                -Body "Test message sent by $($payload.sub) from the Enterprise Monitoring System." `
+                -Alert @{ severity = 'Info'; rule = 'Test'; message = 'Test notification' } -Config $Global:EMSConfig
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{ success = $true } | ConvertTo-Json
+        }
+        catch {
+            # Delivery failures are reported to the admin rather than treated as server errors
+            New-UDEndpointResponse -StatusCode 502 -Data @{ success = $false; message = "Delivery failed: $($_.Exception.Message)" } | ConvertTo-Json
+        }
+    }
 )
 
-# Dashboard Endpoints
-$dashboardEndpoints = @(
-    New-UDEndpoint -Url "/api/dashboard/stats" -Method GET -Endpoint {
+# Remediation Endpoints
+$remediationEndpoints = @(
+    New-UDEndpoint -Url "/api/remediation/actions" -Method GET -Endpoint {
+        # Validate authentication
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        New-UDEndpointResponse -StatusCode 200 -Data @{
+            success             = $true
+            enabled             = [bool]$Global:EMSConfig.Security.EnableRemediation
+            requireConfirmation = [bool]$Global:EMSConfig.Security.RequireConfirmation
+            actions             = @(Get-RemediationActions -Config $Global:EMSConfig)
+        } | ConvertTo-Json -Depth 5
+    }
+    
+    New-UDEndpoint -Url "/api/remediation" -Method POST -Endpoint {
+        param($Body)
+        
         # Validate authentication
         $authHeader = $Request.Headers['Authorization']
         if (-not $authHeader) {
@@ -438,21 +4031,100 @@ $dashboardEndpoints = @(
             return
         }
         
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        $request = $Body | ConvertFrom-Json
+        $computerName = "$($request.computerName)".Trim()
+        
+        # Remediation changes the endpoint, so only administrators may run it
+        if (-not (Test-EMSRole -Payload $payload -Role 'admin')) {
+            Write-AuditLog -Action "RemediationExecuted" -User $payload.sub -Target $computerName -Result "Unauthorized" -RiskLevel "High" -Details @{ action = $request.action }
+            New-UDEndpointResponse -StatusCode 403 -Data @{
+                success = $false
+                message = "Remediation requires the admin role"
+            } | ConvertTo-Json
+            return
+        }
+        
+        if (-not $computerName -or $computerName -notmatch '^[a-zA-Z0-9\-\.]+$') {
+            New-UDEndpointResponse -StatusCode 400 -Data @{
+                success = $false
+                message = "Invalid computer name"
+            } | ConvertTo-Json
+            return
+        }
+        
         try {
-            $stats = Get-DashboardStats
+            $parameters = @{}
+            if ($request.parameters) {
+                $request.parameters.PSObject.Properties | ForEach-Object { $parameters[$_.Name] = $_.Value }
+            }
+            
+            $result = Invoke-RemediationAction -ComputerName $computerName -ActionId $request.action -Parameters $parameters `
+                -Config $Global:EMSConfig -Username $payload.sub -UserId $payload.userId `
+                -ScanId ([long]$request.scanId) -DiagnosticDetailId ([long]$request.diagnosticDetailId) `
+                -Confirmed:([bool]$request.confirm)
             
             New-UDEndpointResponse -StatusCode 200 -Data @{
-                success    = $true
-                statistics = $stats
-            } | ConvertTo-Json -Depth 10
+                success       = $result.Success
+                remediationId = $result.RemediationId
+                message       = $result.Message
+            } | ConvertTo-Json
+        }
+        catch [System.ArgumentException] {
+            New-UDEndpointResponse -StatusCode 400 -Data @{
+                success = $false
+                message = $_.Exception.Message
+            } | ConvertTo-Json
         }
         catch {
+            Write-EMSLog -Message "Remediation error: $_" -Severity 'Error'
             New-UDEndpointResponse -StatusCode 500 -Data @{
                 success = $false
                 error   = $_.Exception.Message
             } | ConvertTo-Json
         }
     }
+    
+    New-UDEndpoint -Url "/api/remediation/:id" -Method GET -Endpoint {
+        param($id)
+        
+        # Validate authentication
+        $authHeader = $Request.Headers['Authorization']
+        if (-not $authHeader) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Unauthorized" } | ConvertTo-Json
+            return
+        }
+        
+        $token = $authHeader.Substring(7)
+        $payload = Test-JWTToken -Token $token
+        if (-not $payload) {
+            New-UDEndpointResponse -StatusCode 401 -Data @{ error = "Invalid token" } | ConvertTo-Json
+            return
+        }
+        
+        try {
+            $record = Get-RemediationRecord -RemediationId $id
+            
+            if (-not $record) {
+                New-UDEndpointResponse -StatusCode 404 -Data @{ error = "Remediation record not found" } | ConvertTo-Json
+                return
+            }
+            
+            New-UDEndpointResponse -StatusCode 200 -Data @{
+                success     = $true
+                remediation = $record
+            } | ConvertTo-Json -Depth 10
+        }
+        catch {
+            New-UDEndpointResponse -StatusCode 500 -Data @{ error = $_.Exception.Message } | ConvertTo-Json
+        }
+    }
 )
 
 #endregion
@@ -465,7 +4137,7 @@ $apiConfig = $Global:EMSConfig.API
 $cors = New-UDCorsPolicy -AllowedOrigin $apiConfig.AllowedOrigins -AllowedMethod @('GET', 'POST', 'PUT', 'DELETE', 'OPTIONS') -AllowedHeader @('Authorization', 'Content-Type')
 
 # Combine all endpoints
-$allEndpoints = $authEndpoints + $scanEndpoints + $resultsEndpoints + $computerEndpoints + $dashboardEndpoints
+$allEndpoints = $authEndpoints + $scanEndpoints + $resultsEndpoints + $computerEndpoints + $metricsEndpoints + $dashboardEndpoints + $scheduleEndpoints + $groupEndpoints + $exportEndpoints + $complianceEndpoints + $softwareEndpoints + $vulnerabilityEndpoints + $reachabilityEndpoints + $timelineEndpoints + $searchEndpoints + $alertEndpoints + $remediationEndpoints
 
 # Create dashboard
 $dashboard = New-UDDashboard -Title "EMS API Server" -Content {
@@ -493,17 +4165,131 @@ Write-Host "Address: $($apiConfig.ListenAddress)" -ForegroundColor Cyan
 Write-Host "Endpoints:" -ForegroundColor Yellow
 Write-Host "  POST   /api/auth/login" -ForegroundColor White
 Write-Host "  GET    /api/auth/validate" -ForegroundColor White
+Write-Host "  POST   /api/auth/refresh" -ForegroundColor White
+Write-Host "  POST   /api/auth/logout" -ForegroundColor White
+Write-Host "  GET    /api/auth/sso/:provider" -ForegroundColor White
+Write-Host "  POST   /api/auth/sso/callback" -ForegroundColor White
 Write-Host "  GET    /api/auth/providers" -ForegroundColor White
 Write-Host "  POST   /api/scan/single" -ForegroundColor White
+Write-Host "  POST   /api/scan/bulk" -ForegroundColor White
+Write-Host "  GET    /api/scan/bulk/:jobId" -ForegroundColor White
+Write-Host "  POST   /api/scan/sessions" -ForegroundColor White
+Write-Host "  GET    /api/scan/sessions/:sessionId" -ForegroundColor White
+Write-Host "  POST   /api/scan/sessions/:sessionId/stream-ticket" -ForegroundColor White
+Write-Host "  POST   /api/scan/sessions/:sessionId/cancel" -ForegroundColor White
 Write-Host "  GET    /api/results" -ForegroundColor White
 Write-Host "  GET    /api/results/:id" -ForegroundColor White
+Write-Host "  GET    /api/results/:id/inventory" -ForegroundColor White
 Write-Host "  GET    /api/computers" -ForegroundColor White
 Write-Host "  GET    /api/computers/:name" -ForegroundColor White
 Write-Host "  POST   /api/computers" -ForegroundColor White
+Write-Host "  PUT    /api/computers/:name" -ForegroundColor White
+Write-Host "  DELETE /api/computers/:name" -ForegroundColor White
+Write-Host "  POST   /api/computers/:name/reinstate" -ForegroundColor White
+Write-Host "  GET    /api/computers/export" -ForegroundColor White
+Write-Host "  POST   /api/computers/import" -ForegroundColor White
+Write-Host "  POST   /api/computers/tags" -ForegroundColor White
+Write-Host "  GET    /api/computers/:name/all-metrics" -ForegroundColor White
+Write-Host "  GET    /api/metrics/:metricType" -ForegroundColor White
+Write-Host "  GET    /api/metrics/:metricType/series" -ForegroundColor White
 Write-Host "  GET    /api/dashboard/stats" -ForegroundColor White
+Write-Host "  GET    /api/dashboard/widgets/:widget" -ForegroundColor White
+Write-Host "  GET    /api/dashboard/layout" -ForegroundColor White
+Write-Host "  PUT    /api/dashboard/layout" -ForegroundColor White
+Write-Host "  GET    /api/schedules" -ForegroundColor White
+Write-Host "  POST   /api/schedules" -ForegroundColor White
+Write-Host "  GET    /api/schedules/:id" -ForegroundColor White
+Write-Host "  PUT    /api/schedules/:id" -ForegroundColor White
+Write-Host "  DELETE /api/schedules/:id" -ForegroundColor White
+Write-Host "  GET    /api/groups" -ForegroundColor White
+Write-Host "  POST   /api/groups" -ForegroundColor White
+Write-Host "  POST   /api/groups/preview" -ForegroundColor White
+Write-Host "  PUT    /api/groups/:id" -ForegroundColor White
+Write-Host "  DELETE /api/groups/:id" -ForegroundColor White
+Write-Host "  GET    /api/groups/:id/members" -ForegroundColor White
+Write-Host "  POST   /api/exports" -ForegroundColor White
+Write-Host "  GET    /api/exports" -ForegroundColor White
+Write-Host "  GET    /api/exports/:id" -ForegroundColor White
+Write-Host "  GET    /api/exports/:id/download" -ForegroundColor White
+Write-Host "  DELETE /api/exports/:id" -ForegroundColor White
+Write-Host "  GET    /api/compliance/controls" -ForegroundColor White
+Write-Host "  GET    /api/compliance/baselines" -ForegroundColor White
+Write-Host "  POST   /api/compliance/baselines" -ForegroundColor White
+Write-Host "  PUT    /api/compliance/baselines/:id" -ForegroundColor White
+Write-Host "  DELETE /api/compliance/baselines/:id" -ForegroundColor White
+Write-Host "  POST   /api/compliance/baselines/:id/evaluate" -ForegroundColor White
+Write-Host "  GET    /api/compliance/baselines/:id/scorecard" -ForegroundColor White
+Write-Host "  GET    /api/compliance/baselines/:id/endpoints" -ForegroundColor White
+Write-Host "  GET    /api/compliance/baselines/:id/endpoints/:computer" -ForegroundColor White
+Write-Host "  GET    /api/compliance/baselines/:id/trend" -ForegroundColor White
+Write-Host "  GET    /api/compliance/baselines/:id/failures" -ForegroundColor White
+Write-Host "  GET    /api/software/summary" -ForegroundColor White
+Write-Host "  GET    /api/software/products" -ForegroundColor White
+Write-Host "  GET    /api/software/versions" -ForegroundColor White
+Write-Host "  GET    /api/software/publishers" -ForegroundColor White
+Write-Host "  GET    /api/software/endpoints" -ForegroundColor White
+Write-Host "  GET    /api/software/rules" -ForegroundColor White
+Write-Host "  POST   /api/software/rules" -ForegroundColor White
+Write-Host "  PUT    /api/software/rules/:id" -ForegroundColor White
+Write-Host "  DELETE /api/software/rules/:id" -ForegroundColor White
+Write-Host "  GET    /api/vulnerabilities/summary" -ForegroundColor White
+Write-Host "  GET    /api/vulnerabilities/cves" -ForegroundColor White
+Write-Host "  GET    /api/vulnerabilities/cves/:cveId" -ForegroundColor White
+Write-Host "  GET    /api/vulnerabilities/endpoints" -ForegroundColor White
+Write-Host "  GET    /api/vulnerabilities/feeds" -ForegroundColor White
+Write-Host "  POST   /api/vulnerabilities/feeds" -ForegroundColor White
+Write-Host "  GET    /api/computers/:name/vulnerabilities" -ForegroundColor White
+Write-Host "  GET    /api/reachability/summary" -ForegroundColor White
+Write-Host "  GET    /api/computers/:name/reachability" -ForegroundColor White
+Write-Host "  POST   /api/computers/:name/reachability/check" -ForegroundColor White
+Write-Host "  GET    /api/computers/:name/timeline" -ForegroundColor White
+Write-Host "  GET    /api/search" -ForegroundColor White
+Write-Host "  GET    /api/alerts" -ForegroundColor White
+Write-Host "  GET    /api/alerts/summary" -ForegroundColor White
+Write-Host "  POST   /api/alerts/:id/:action" -ForegroundColor White
+Write-Host "  GET    /api/alert-rules" -ForegroundColor White
+Write-Host "  POST   /api/alert-rules" -ForegroundColor White
+Write-Host "  PUT    /api/alert-rules/:id" -ForegroundColor White
+Write-Host "  DELETE /api/alert-rules/:id" -ForegroundColor White
+Write-Host "  GET    /api/notification-channels" -ForegroundColor White
+Write-Host "  POST   /api/notification-channels" -ForegroundColor White
+Write-Host "  PUT    /api/notification-channels/:id" -ForegroundColor White
+Write-Host "  DELETE /api/notification-channels/:id" -ForegroundColor White
+Write-Host "  POST   /api/notification-channels/:id/test" -ForegroundColor White
+Write-Host "  GET    /api/remediation/actions" -ForegroundColor White
+Write-Host "  POST   /api/remediation" -ForegroundColor White
+Write-Host "  GET    /api/remediation/:id" -ForegroundColor White
+if ($apiConfig.StreamListenAddress) {
+    Write-Host "Scan event stream: $($apiConfig.StreamListenAddress)api/scan/stream/:sessionId?ticket=..." -ForegroundColor Cyan
+}
 Write-Host "`nPress Ctrl+C to stop the server" -ForegroundColor Yellow
 Write-Host "========================================`n" -ForegroundColor Green
 
+# Scan progress is streamed from a separate listener (see ScanSession.psm1)
+if ($apiConfig.StreamListenAddress) {
+    Start-ScanStreamListener -Prefix $apiConfig.StreamListenAddress -Config $Global:EMSConfig | Out-Null
+}
+
+# Recurring scans run from a background job (see ScanScheduler.psm1)
+if ($Global:EMSConfig.Scheduler.Enabled) {
+    Start-ScanScheduler -Config $Global:EMSConfig -PollIntervalSeconds $Global:EMSConfig.Scheduler.PollIntervalSeconds
+}
+
+# Stale endpoint rules and snooze expiry run from a background job (see Alerting.psm1)
+if ($Global:EMSConfig.Alerting.Enabled) {
+    Start-AlertMonitor -Config $Global:EMSConfig -IntervalMinutes $Global:EMSConfig.Alerting.MonitorIntervalMinutes
+}
+
+# Computers are pinged and their WinRM port checked from a background job (see Reachability.psm1)
+if ($Global:EMSConfig.Reachability.Enabled) {
+    Start-ReachabilityMonitor -Config $Global:EMSConfig -IntervalMinutes $Global:EMSConfig.Reachability.IntervalMinutes
+}
+
+# Baselines are re-evaluated from a background job so ageing data and scope changes show up (see Compliance.psm1)
+if ($Global:EMSConfig.Compliance.Enabled) {
+    Start-ComplianceMonitor -Config $Global:EMSConfig -IntervalMinutes $Global:EMSConfig.Compliance.EvaluationIntervalMinutes
+}
+
 Start-UDDashboard @serverParams
 
 #endregion
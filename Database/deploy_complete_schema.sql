@@ -11,6 +11,45 @@
 \i schema_granular_metrics_part1.sql
 \i schema_granular_metrics_part2.sql
 
+-- Then add bulk scan job tracking
+\i migration_bulk_scan.sql
+
+-- Then add streamed scan sessions
+\i migration_scan_sessions.sql
+
+-- Then add refresh tokens for Web UI sessions
+\i migration_refresh_tokens.sql
+
+-- Then add per-user dashboard layouts
+\i migration_dashboard_layouts.sql
+
+-- Then add scan schedules
+\i migration_scan_schedules.sql
+
+-- Then add alert rules and notification channels
+\i migration_alerting.sql
+
+-- Then add computer inventory fields and decommissioning
+\i migration_computer_inventory.sql
+
+-- Then add device groups
+\i migration_device_groups.sql
+
+-- Then add export jobs
+\i migration_export_jobs.sql
+
+-- Then add compliance baselines
+\i migration_compliance.sql
+
+-- Then add software inventory rules
+\i migration_software_inventory.sql
+
+-- Then add offline vulnerability matching
+\i migration_vulnerabilities.sql
+
+-- Then add endpoint reachability monitoring
+\i migration_reachability.sql
+
 -- Grant permissions on all new tables
 GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO ems_service;
 GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO ems_service;
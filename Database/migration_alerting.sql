@@ -0,0 +1,70 @@
+-- Database Schema Updates for Alerting
+-- Rules are evaluated after each scan (and periodically for stale endpoints);
+-- matching rules raise alerts and notify the rule's channels
+
+-- Where notifications are sent
+CREATE TABLE IF NOT EXISTS notification_channels (
+    channel_id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    channel_type VARCHAR(20) NOT NULL CHECK (channel_type IN ('email', 'webhook', 'teams', 'slack')),
+    settings JSONB NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Conditions that raise alerts
+CREATE TABLE IF NOT EXISTS alert_rules (
+    rule_id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    condition_type VARCHAR(30) NOT NULL CHECK (condition_type IN ('health_score', 'disk_free_percent', 'diagnostic', 'not_seen_days')),
+    operator VARCHAR(2) CHECK (operator IN ('<', '<=', '>', '>=')),
+    threshold NUMERIC(10,2),
+    check_name VARCHAR(100),
+    check_status VARCHAR(20) CHECK (check_status IN ('Warning', 'Critical')),
+    severity VARCHAR(20) NOT NULL DEFAULT 'Warning' CHECK (severity IN ('Info', 'Warning', 'Critical')),
+    channel_ids INTEGER[] NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per rule and computer while the condition holds
+CREATE TABLE IF NOT EXISTS alerts (
+    alert_id BIGSERIAL PRIMARY KEY,
+    rule_id INTEGER NOT NULL REFERENCES alert_rules(rule_id) ON DELETE CASCADE,
+    computer_name VARCHAR(255) NOT NULL,
+    scan_id BIGINT,
+    severity VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'snoozed', 'resolved')),
+    message TEXT,
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    first_triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by VARCHAR(255),
+    acknowledged_at TIMESTAMP,
+    snoozed_until TIMESTAMP,
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_active ON alerts(rule_id, computer_name) WHERE status <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, last_triggered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_computer ON alerts(computer_name, last_triggered_at DESC);
+
+-- Delivery attempts, for troubleshooting channels
+CREATE TABLE IF NOT EXISTS alert_notifications (
+    notification_id BIGSERIAL PRIMARY KEY,
+    alert_id BIGINT REFERENCES alerts(alert_id) ON DELETE CASCADE,
+    channel_id INTEGER REFERENCES notification_channels(channel_id) ON DELETE CASCADE,
+    success BOOLEAN NOT NULL,
+    error_message TEXT,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_notifications_alert ON alert_notifications(alert_id);
+
+COMMENT ON COLUMN notification_channels.settings IS 'email: { recipients }; webhook, teams, slack: { url }';
+COMMENT ON COLUMN alert_rules.condition_type IS 'health_score and disk_free_percent compare with operator/threshold; diagnostic matches check_name at check_status or worse; not_seen_days fires when last_seen is older than threshold days';
+COMMENT ON COLUMN alerts.status IS 'open, acknowledged, snoozed (until snoozed_until) or resolved; resolved_by is system when the condition clears';
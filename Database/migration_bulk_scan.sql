@@ -0,0 +1,36 @@
+-- Database Schema Updates for Bulk Scan Jobs
+-- Tracks batch scans submitted from the Web UI and per-target progress
+
+-- One row per submitted batch
+CREATE TABLE IF NOT EXISTS bulk_scan_jobs (
+    job_id BIGSERIAL PRIMARY KEY,
+    initiated_by INTEGER REFERENCES users(user_id),
+    status VARCHAR(50) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    total_targets INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_created ON bulk_scan_jobs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_status ON bulk_scan_jobs(status);
+
+-- One row per target in a batch
+CREATE TABLE IF NOT EXISTS bulk_scan_job_targets (
+    job_id BIGINT REFERENCES bulk_scan_jobs(job_id) ON DELETE CASCADE,
+    target VARCHAR(255) NOT NULL,
+    position INTEGER NOT NULL,
+    topology VARCHAR(50),
+    status VARCHAR(50) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'scanning', 'done', 'failed')),
+    health_score INTEGER,
+    scan_id BIGINT,
+    error_message TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (job_id, target)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_targets_status ON bulk_scan_job_targets(job_id, status);
+
+COMMENT ON TABLE bulk_scan_jobs IS 'Batch scan jobs submitted via POST /api/scan/bulk';
+COMMENT ON COLUMN bulk_scan_job_targets.status IS 'Per-target progress: queued, scanning, done, failed';
@@ -0,0 +1,60 @@
+-- Database Schema Updates for Compliance Baselines
+-- A baseline is a set of controls (BitLocker on, firewall on for all profiles,
+-- AV definitions fresh, password policy minimums, no banned software, ...)
+-- checked against the latest metrics of each computer in its scope. Each
+-- evaluation replaces the current results and records a daily score per
+-- computer for trends.
+
+CREATE TABLE IF NOT EXISTS compliance_baselines (
+    baseline_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    -- Array of { control, parameters }; see $script:ComplianceControls in Compliance.psm1
+    controls JSONB NOT NULL DEFAULT '[]',
+    -- Computers checked: a device group, or every active computer when NULL
+    group_id INTEGER REFERENCES device_groups(group_id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_evaluated_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_baselines_name ON compliance_baselines(lower(name));
+
+-- Outcome of each control for each computer at the last evaluation
+CREATE TABLE IF NOT EXISTS compliance_results (
+    baseline_id INTEGER NOT NULL REFERENCES compliance_baselines(baseline_id) ON DELETE CASCADE,
+    computer_name VARCHAR(255) NOT NULL,
+    control_id VARCHAR(50) NOT NULL,
+    -- unknown: no metric collected for the computer yet
+    status VARCHAR(10) NOT NULL CHECK (status IN ('pass', 'fail', 'unknown')),
+    actual TEXT,
+    evaluated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (baseline_id, computer_name, control_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_results_control ON compliance_results(baseline_id, control_id, status);
+
+-- One row per baseline, computer and day (the day's last evaluation)
+CREATE TABLE IF NOT EXISTS compliance_score_history (
+    baseline_id INTEGER NOT NULL REFERENCES compliance_baselines(baseline_id) ON DELETE CASCADE,
+    computer_name VARCHAR(255) NOT NULL,
+    score_date DATE NOT NULL,
+    passed INTEGER NOT NULL,
+    failed INTEGER NOT NULL,
+    unknown INTEGER NOT NULL,
+    -- Passed controls as a percentage of controls with data
+    score NUMERIC(5,2),
+    failed_controls TEXT[] NOT NULL DEFAULT '{}',
+    PRIMARY KEY (baseline_id, computer_name, score_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_history_date ON compliance_score_history(baseline_id, score_date);
+
+-- Scorecards can be exported like metric pages and scan results
+ALTER TABLE export_jobs DROP CONSTRAINT IF EXISTS export_jobs_source_check;
+ALTER TABLE export_jobs ADD CONSTRAINT export_jobs_source_check CHECK (source IN ('metric', 'results', 'compliance'));
+
+COMMENT ON TABLE compliance_baselines IS 'Compliance policy baselines; evaluated on save, on demand and by the compliance monitor';
+COMMENT ON TABLE compliance_results IS 'Current per-control outcome for each computer in a baseline''s scope';
+COMMENT ON TABLE compliance_score_history IS 'Daily per-computer compliance scores for trend charts';
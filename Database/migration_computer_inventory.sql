@@ -0,0 +1,19 @@
+-- Database Schema Updates for Computer Inventory Management
+-- Asset fields maintained from the Web UI (edit form and CSV import) and soft decommissioning
+
+-- Asset ownership and free-form labels
+ALTER TABLE computers ADD COLUMN IF NOT EXISTS owner VARCHAR(255);
+ALTER TABLE computers ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- Decommissioned computers keep their scan and metric history but are
+-- marked inactive, so schedules, alerts and the inventory list skip them
+ALTER TABLE computers ADD COLUMN IF NOT EXISTS decommissioned_at TIMESTAMP;
+ALTER TABLE computers ADD COLUMN IF NOT EXISTS decommissioned_by VARCHAR(255);
+ALTER TABLE computers ADD COLUMN IF NOT EXISTS decommission_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_computers_tags ON computers USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_computers_asset_tag ON computers(asset_tag);
+
+COMMENT ON COLUMN computers.owner IS 'Person or team responsible for the asset (set by the asset team, not by scans)';
+COMMENT ON COLUMN computers.tags IS 'Free-form labels edited in the Web UI or imported from CSV (semicolon separated)';
+COMMENT ON COLUMN computers.decommissioned_at IS 'Set when the computer is decommissioned (is_active = false); cleared when it is reinstated';
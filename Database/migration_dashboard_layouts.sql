@@ -0,0 +1,12 @@
+-- Database Schema Updates for Dashboard Layouts
+-- Each user arranges their own set of dashboard widgets
+
+-- One row per user that has saved a layout; users without a row get the default layout
+CREATE TABLE IF NOT EXISTS user_dashboard_layouts (
+    user_id INTEGER PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    layout JSONB NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE user_dashboard_layouts IS 'Dashboard widget layout saved by PUT /api/dashboard/layout';
+COMMENT ON COLUMN user_dashboard_layouts.layout IS 'Ordered array of { type, options } widget entries';
@@ -0,0 +1,71 @@
+-- Database Schema Updates for Device Groups
+-- Dynamic groups of computers defined by rules over inventory fields, tags
+-- and subnets; used to scope metrics, scan results, the dashboard and scans
+
+CREATE TABLE IF NOT EXISTS device_groups (
+    group_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    match_mode VARCHAR(3) NOT NULL DEFAULT 'all' CHECK (match_mode IN ('all', 'any')),
+    -- [{ "field": "location", "operator": "equals", "value": "Pune" }, ...]
+    rules JSONB NOT NULL DEFAULT '[]',
+    created_by INTEGER REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_device_groups_name ON device_groups(lower(name));
+
+-- Whether one rule matches a computer. Rules are validated by
+-- ConvertTo-DeviceGroupDefinition (DeviceGroups.psm1), so the field, operator
+-- and subnet are known to be valid. Text comparisons ignore case; like/not_like
+-- match anywhere in the value with * as a wildcard. The not_ operators also
+-- match computers that have no value for the field.
+CREATE OR REPLACE FUNCTION device_group_rule_matches(c computers, r JSONB)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_value TEXT := lower(r->>'value');
+    v_field TEXT;
+    v_match BOOLEAN;
+BEGIN
+    IF r->>'field' = 'tag' THEN
+        v_match := EXISTS (SELECT 1 FROM unnest(c.tags) t WHERE lower(t) = v_value);
+    ELSIF r->>'field' = 'ip_address' THEN
+        v_match := COALESCE(c.ip_address <<= (r->>'value')::inet, false);
+    ELSE
+        v_field := lower(to_jsonb(c)->>(r->>'field'));
+        IF r->>'operator' IN ('like', 'not_like') THEN
+            v_match := COALESCE(v_field LIKE '%' || replace(replace(replace(replace(v_value, '\', '\\'), '%', '\%'), '_', '\_'), '*', '%') || '%', false);
+        ELSE
+            v_match := COALESCE(v_field = v_value, false);
+        END IF;
+    END IF;
+
+    IF left(r->>'operator', 4) = 'not_' THEN
+        RETURN NOT v_match;
+    END IF;
+    RETURN v_match;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Whether a computer matches all (or any) of a group's rules
+CREATE OR REPLACE FUNCTION device_group_matches(c computers, p_match_mode TEXT, p_rules JSONB)
+RETURNS BOOLEAN AS $$
+    SELECT CASE WHEN p_match_mode = 'any'
+        THEN EXISTS (SELECT 1 FROM jsonb_array_elements(p_rules) r WHERE device_group_rule_matches(c, r))
+        ELSE NOT EXISTS (SELECT 1 FROM jsonb_array_elements(p_rules) r WHERE NOT device_group_rule_matches(c, r))
+    END;
+$$ LANGUAGE sql STABLE;
+
+-- Active computers currently in a group, for scoping queries:
+--   WHERE computer_name IN (SELECT computer_name FROM device_group_members(@groupid))
+CREATE OR REPLACE FUNCTION device_group_members(p_group_id INTEGER)
+RETURNS TABLE (computer_name VARCHAR) AS $$
+    SELECT c.computer_name
+    FROM computers c
+    JOIN device_groups g ON g.group_id = p_group_id
+    WHERE c.is_active = true AND device_group_matches(c, g.match_mode, g.rules);
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON TABLE device_groups IS 'Dynamic computer groups; membership is evaluated from the rules on every query';
+COMMENT ON COLUMN device_groups.rules IS 'Array of { field, operator, value }: text fields use equals/not_equals/like/not_like, tag uses has/not_has, ip_address uses in_subnet/not_in_subnet';
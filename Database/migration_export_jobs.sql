@@ -0,0 +1,29 @@
+-- Database Schema Updates for Exports
+-- Table exports (CSV, XLSX, JSON, printable report) of metric pages and scan
+-- results; small exports are written while the request waits, large ones by a
+-- background job. Files live in the export directory until they expire.
+
+CREATE TABLE IF NOT EXISTS export_jobs (
+    job_id SERIAL PRIMARY KEY,
+    requested_by INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('metric', 'results')),
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'xlsx', 'json', 'html')),
+    title VARCHAR(200) NOT NULL,
+    -- Filters, sort and columns of the exported view
+    parameters JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    row_count INTEGER,
+    file_name VARCHAR(255),
+    file_path VARCHAR(500),
+    file_size BIGINT,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_export_jobs_user ON export_jobs(requested_by, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_export_jobs_expires ON export_jobs(expires_at) WHERE expires_at IS NOT NULL;
+
+COMMENT ON TABLE export_jobs IS 'Table exports; the file is deleted and the row removed once expires_at has passed';
@@ -0,0 +1,39 @@
+-- Database Schema Updates for Endpoint Reachability Monitoring
+-- A background monitor pings registered computers and/or checks their WinRM
+-- port, throttled by the HO/Remote topology limits. The current state is kept
+-- per computer; the up/down history records each change of state.
+
+-- Current reachability of each monitored computer
+CREATE TABLE IF NOT EXISTS computer_reachability (
+    computer_name VARCHAR(255) PRIMARY KEY REFERENCES computers(computer_name) ON DELETE CASCADE,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('up', 'down')),
+    -- Topology the check was throttled under (HO, Remote or Unknown)
+    topology VARCHAR(10),
+    -- Outcome of each probe in the last check; NULL when the probe is not configured
+    ping_ok BOOLEAN,
+    winrm_ok BOOLEAN,
+    response_ms INTEGER,
+    last_error TEXT,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    last_checked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_reachable_at TIMESTAMP,
+    status_changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_computer_reachability_status ON computer_reachability(status, last_reachable_at);
+
+-- Up/down history: one row per change of state (the first check counts as one)
+CREATE TABLE IF NOT EXISTS reachability_events (
+    event_id BIGSERIAL PRIMARY KEY,
+    computer_name VARCHAR(255) NOT NULL REFERENCES computers(computer_name) ON DELETE CASCADE,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('up', 'down')),
+    error_message TEXT,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reachability_events_computer ON reachability_events(computer_name, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reachability_events_changed ON reachability_events(changed_at);
+
+COMMENT ON TABLE computer_reachability IS 'Latest ping/WinRM reachability check of each active computer';
+COMMENT ON TABLE reachability_events IS 'Changes between reachable and unreachable, kept for Reachability.HistoryRetentionDays';
+COMMENT ON COLUMN computer_reachability.last_reachable_at IS 'Last check that reached the computer; scans also prove contact (computers.last_seen)';
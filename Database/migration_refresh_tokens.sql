@@ -0,0 +1,19 @@
+-- Database Schema Updates for Refresh Tokens
+-- Lets the Web UI renew its access token until the session times out
+
+-- One row per issued refresh token; only the SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by BIGINT REFERENCES refresh_tokens(token_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+
+COMMENT ON TABLE refresh_tokens IS 'Refresh tokens issued by POST /api/auth/login and rotated by POST /api/auth/refresh';
+COMMENT ON COLUMN refresh_tokens.replaced_by IS 'Token issued when this one was rotated';
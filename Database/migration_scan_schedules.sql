@@ -0,0 +1,19 @@
+-- Database Schema Updates for Scan Schedules
+-- Recurring scans managed from the Web UI; each run is recorded as a bulk scan job
+
+-- What a schedule scans and when it is allowed to start
+ALTER TABLE scheduled_scans ADD COLUMN IF NOT EXISTS target_type VARCHAR(20) NOT NULL DEFAULT 'list'
+    CHECK (target_type IN ('host', 'list', 'ou', 'subnet'));
+ALTER TABLE scheduled_scans ADD COLUMN IF NOT EXISTS target_value TEXT;
+ALTER TABLE scheduled_scans ADD COLUMN IF NOT EXISTS window_start TIME;
+ALTER TABLE scheduled_scans ADD COLUMN IF NOT EXISTS window_end TIME;
+ALTER TABLE scheduled_scans ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Links each run to the schedule that started it
+ALTER TABLE bulk_scan_jobs ADD COLUMN IF NOT EXISTS schedule_id INTEGER REFERENCES scheduled_scans(schedule_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_schedule ON bulk_scan_jobs(schedule_id, created_at DESC) WHERE schedule_id IS NOT NULL;
+
+COMMENT ON COLUMN scheduled_scans.target_type IS 'host (target_value), list (target_list), ou (target_value = OU distinguished name) or subnet (target_value = CIDR from Topology.HOSubnets/RemoteSubnets)';
+COMMENT ON COLUMN scheduled_scans.window_start IS 'Runs only start between window_start and window_end (may wrap past midnight); NULL for any time';
+COMMENT ON COLUMN bulk_scan_jobs.schedule_id IS 'Schedule that started the job; NULL for jobs submitted via POST /api/scan/bulk';
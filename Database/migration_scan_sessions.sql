@@ -0,0 +1,49 @@
+-- Database Schema Updates for Streamed Scan Sessions
+-- Single-target scans run in the background and record each phase as an event
+-- that the Web UI follows live over Server-Sent Events
+
+-- One row per single-target scan started from the Web UI
+CREATE TABLE IF NOT EXISTS scan_sessions (
+    session_id BIGSERIAL PRIMARY KEY,
+    target VARCHAR(255) NOT NULL,
+    initiated_by INTEGER REFERENCES users(user_id),
+    status VARCHAR(50) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    cancel_requested BOOLEAN NOT NULL DEFAULT false,
+    scan_id BIGINT,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_sessions_created ON scan_sessions(created_at DESC);
+
+-- Ordered progress events for a session; event_id doubles as the SSE event id
+CREATE TABLE IF NOT EXISTS scan_session_events (
+    event_id BIGSERIAL PRIMARY KEY,
+    session_id BIGINT NOT NULL REFERENCES scan_sessions(session_id) ON DELETE CASCADE,
+    phase VARCHAR(50) NOT NULL,
+    status VARCHAR(50) NOT NULL CHECK (status IN ('started', 'completed', 'skipped', 'failed', 'cancelled')),
+    message TEXT,
+    payload JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_session_events ON scan_session_events(session_id, event_id);
+
+-- Single-use tickets that open the event stream; EventSource cannot send an
+-- Authorization header, so the JWT never goes in the stream URL. Only the
+-- SHA-256 hash of a ticket is stored
+CREATE TABLE IF NOT EXISTS scan_stream_tickets (
+    ticket_hash CHAR(64) PRIMARY KEY,
+    session_id BIGINT NOT NULL REFERENCES scan_sessions(session_id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_stream_tickets_expires ON scan_stream_tickets(expires_at);
+
+COMMENT ON TABLE scan_sessions IS 'Streamed single-target scans started via POST /api/scan/sessions';
+COMMENT ON COLUMN scan_sessions.cancel_requested IS 'Set by POST /api/scan/sessions/:id/cancel; checked between scan phases';
+COMMENT ON COLUMN scan_session_events.phase IS 'topology, user_resolution, system_health, security, network, software, user_experience, save or session';
+COMMENT ON TABLE scan_stream_tickets IS 'Issued by POST /api/scan/sessions/:id/stream-ticket and consumed when the stream opens';
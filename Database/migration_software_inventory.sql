@@ -0,0 +1,55 @@
+-- Database Schema Updates for Software Inventory Analytics
+-- Fleet-wide views over each computer's latest installed software snapshot:
+-- versions per product, installs per publisher, and the locally maintained
+-- minimum version and blocklist rules checked against them
+
+CREATE TABLE IF NOT EXISTS software_rules (
+    rule_id SERIAL PRIMARY KEY,
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('minimum_version', 'blocked')),
+    -- Matched anywhere in the software name, ignoring case, with * as a wildcard
+    name_pattern VARCHAR(255) NOT NULL,
+    -- Required for minimum_version rules: installs with a lower version are outdated
+    min_version VARCHAR(100),
+    reason VARCHAR(500),
+    created_by INTEGER REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (rule_type <> 'minimum_version' OR min_version IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_software_rules_pattern ON software_rules(rule_type, lower(name_pattern));
+
+-- The latest snapshot of a computer is every row with its newest timestamp
+CREATE INDEX IF NOT EXISTS idx_software_computer_time ON metric_installed_software(computer_name, timestamp DESC);
+
+-- Whether a software name matches a rule pattern (same matching as the
+-- device group "contains" operator)
+CREATE OR REPLACE FUNCTION software_rule_matches(p_software_name TEXT, p_pattern TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(lower(p_software_name) LIKE '%' || replace(replace(replace(replace(lower(p_pattern), '\', '\\'), '%', '\%'), '_', '\_'), '*', '%') || '%', false);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Sortable form of a version string: the leading dotted number as a numeric
+-- array, so 10.2 > 9.15 and 118.0.5993.70 > 118.0.5993.8. Suffixes such as
+-- " (x64)" or "-beta" are ignored; versions without a number give NULL.
+CREATE OR REPLACE FUNCTION software_version_key(p_version TEXT)
+RETURNS NUMERIC[] AS $$
+    SELECT string_to_array(substring(p_version FROM '(\d+(?:\.\d+)*)'), '.')::NUMERIC[];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Start the blocklist with the EMSConfig.json BlacklistedSoftware defaults
+INSERT INTO software_rules (rule_type, name_pattern, reason)
+VALUES
+    ('blocked', 'Dropbox', 'Unapproved file sharing'),
+    ('blocked', 'Steam', 'Games are not permitted'),
+    ('blocked', 'Tor Browser', 'Anonymizing browser'),
+    ('blocked', 'TeamViewer', 'Unapproved remote access'),
+    ('blocked', 'AnyDesk', 'Unapproved remote access')
+ON CONFLICT DO NOTHING;
+
+-- Software tables can be exported like metric pages and compliance scorecards
+ALTER TABLE export_jobs DROP CONSTRAINT IF EXISTS export_jobs_source_check;
+ALTER TABLE export_jobs ADD CONSTRAINT export_jobs_source_check CHECK (source IN ('metric', 'results', 'compliance', 'software'));
+
+COMMENT ON TABLE software_rules IS 'Minimum software versions and blocked software, checked against the latest installed software snapshots';
+COMMENT ON FUNCTION software_version_key(TEXT) IS 'Numeric array for comparing version strings';
@@ -0,0 +1,118 @@
+-- Database Schema Updates for Offline Vulnerability Matching
+-- CVEs are imported from a local feed file (NVD JSON dump or CSV); there is
+-- no live lookup. Each CVE lists the affected products as CPE-style vendor,
+-- product and version ranges, which are matched against the latest installed
+-- software snapshot and the operating system build of every active computer.
+-- Matches keep the package and version that triggered them as evidence.
+
+-- One row per imported feed file
+CREATE TABLE IF NOT EXISTS vulnerability_feeds (
+    feed_id SERIAL PRIMARY KEY,
+    source_name VARCHAR(255) NOT NULL,
+    format VARCHAR(20) NOT NULL CHECK (format IN ('nvd_json', 'csv')),
+    cve_count INTEGER NOT NULL DEFAULT 0,
+    product_count INTEGER NOT NULL DEFAULT 0,
+    skipped_count INTEGER NOT NULL DEFAULT 0,
+    imported_by INTEGER REFERENCES users(user_id),
+    imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS vulnerabilities (
+    cve_id VARCHAR(30) PRIMARY KEY,
+    severity VARCHAR(10) NOT NULL CHECK (severity IN ('critical', 'high', 'medium', 'low', 'none', 'unknown')),
+    cvss_score NUMERIC(3,1),
+    description TEXT,
+    published_at TIMESTAMP,
+    -- Feed that last added or updated the CVE
+    feed_id INTEGER REFERENCES vulnerability_feeds(feed_id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_vulnerabilities_severity ON vulnerabilities(severity, cvss_score DESC);
+
+-- Split into lowercase words on anything but letters, digits and + . -
+-- ("Notepad++ (64-bit x64)" => {notepad++, 64-bit, x64}). A product matches
+-- a name when all of the product's words appear in the name.
+CREATE OR REPLACE FUNCTION vulnerability_words(p_text TEXT)
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(word), '{}')
+    FROM regexp_split_to_table(lower(COALESCE(p_text, '')), '[^a-z0-9+.\-]+') AS word
+    WHERE word <> '';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Affected products of a CVE (the vulnerable CPE matches of an NVD entry).
+-- Version bounds follow the NVD fields; no version and no bounds means every
+-- version is affected.
+CREATE TABLE IF NOT EXISTS vulnerability_products (
+    product_id SERIAL PRIMARY KEY,
+    cve_id VARCHAR(30) NOT NULL REFERENCES vulnerabilities(cve_id) ON DELETE CASCADE,
+    -- software: installed applications (CPE part a); os: the operating system (CPE part o)
+    target_type VARCHAR(10) NOT NULL CHECK (target_type IN ('software', 'os')),
+    vendor VARCHAR(255),
+    product VARCHAR(255) NOT NULL,
+    version_exact VARCHAR(100),
+    version_start_including VARCHAR(100),
+    version_start_excluding VARCHAR(100),
+    version_end_including VARCHAR(100),
+    version_end_excluding VARCHAR(100),
+    vendor_words TEXT[] GENERATED ALWAYS AS (vulnerability_words(replace(vendor, '_', ' '))) STORED,
+    product_words TEXT[] GENERATED ALWAYS AS (vulnerability_words(replace(product, '_', ' '))) STORED,
+    CHECK (cardinality(vulnerability_words(replace(product, '_', ' '))) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vulnerability_products_cve ON vulnerability_products(cve_id);
+CREATE INDEX IF NOT EXISTS idx_vulnerability_products_words ON vulnerability_products USING GIN (product_words);
+
+-- Current matches: one row per computer and affected product entry
+CREATE TABLE IF NOT EXISTS vulnerability_matches (
+    computer_name VARCHAR(255) NOT NULL,
+    product_id INTEGER NOT NULL REFERENCES vulnerability_products(product_id) ON DELETE CASCADE,
+    cve_id VARCHAR(30) NOT NULL REFERENCES vulnerabilities(cve_id) ON DELETE CASCADE,
+    -- Evidence: the installed package (or operating system) and version that matched
+    target_type VARCHAR(10) NOT NULL,
+    matched_name VARCHAR(500) NOT NULL,
+    matched_version VARCHAR(100),
+    matched_vendor VARCHAR(255),
+    matched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (computer_name, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vulnerability_matches_cve ON vulnerability_matches(cve_id);
+
+-- Whether a version falls within an affected product's version bounds.
+-- Versions are compared with software_version_key (migration_software_inventory.sql);
+-- a missing or non-numeric version only matches entries without bounds.
+CREATE OR REPLACE FUNCTION vulnerability_version_matches(
+    p_version TEXT,
+    p_exact TEXT,
+    p_start_including TEXT,
+    p_start_excluding TEXT,
+    p_end_including TEXT,
+    p_end_excluding TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT CASE
+        WHEN p_exact IS NULL AND p_start_including IS NULL AND p_start_excluding IS NULL
+             AND p_end_including IS NULL AND p_end_excluding IS NULL THEN true
+        WHEN software_version_key(p_version) IS NULL THEN false
+        ELSE (p_exact IS NULL OR software_version_key(p_version) = software_version_key(p_exact))
+         AND (p_start_including IS NULL OR software_version_key(p_version) >= software_version_key(p_start_including))
+         AND (p_start_excluding IS NULL OR software_version_key(p_version) > software_version_key(p_start_excluding))
+         AND (p_end_including IS NULL OR software_version_key(p_version) <= software_version_key(p_end_including))
+         AND (p_end_excluding IS NULL OR software_version_key(p_version) < software_version_key(p_end_excluding))
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Sort order of severities, most severe first
+CREATE OR REPLACE FUNCTION vulnerability_severity_rank(p_severity TEXT)
+RETURNS INTEGER AS $$
+    SELECT array_position(ARRAY['critical', 'high', 'medium', 'low', 'none', 'unknown'], p_severity);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Vulnerability lists can be exported like the software inventory
+ALTER TABLE export_jobs DROP CONSTRAINT IF EXISTS export_jobs_source_check;
+ALTER TABLE export_jobs ADD CONSTRAINT export_jobs_source_check CHECK (source IN ('metric', 'results', 'compliance', 'software', 'vulnerabilities'));
+
+COMMENT ON TABLE vulnerability_feeds IS 'Vulnerability feed files imported from disk (no live feed access)';
+COMMENT ON TABLE vulnerabilities IS 'CVEs from imported feeds';
+COMMENT ON TABLE vulnerability_products IS 'Affected vendor/product/version ranges of each CVE';
+COMMENT ON TABLE vulnerability_matches IS 'CVEs matched to computers, with the package and version that triggered each match';
@@ -0,0 +1,107 @@
+<#
+.SYNOPSIS
+    Pester tests for BulkProcessor.psm1: job target registration and the
+    mapping of scanned hostnames back to submitted targets
+
+.EXAMPLE
+    Invoke-Pester .\Tests\BulkProcessor.Tests.ps1
+#>
+
+BeforeAll {
+    $rootPath = Split-Path $PSScriptRoot -Parent
+
+    # Commands BulkProcessor.psm1 expects from the modules loaded next to it;
+    # stubbed so they can be mocked without a database or remote computers
+    function global:Write-EMSLog { param($Message, $Severity, $Category, $Target) }
+    function global:Invoke-PGQuery { param($Query, $Parameters, [switch]$NonQuery) }
+    function global:Invoke-DataFetch { param($Targets, $Config) }
+    function global:Save-ScanResult { param($ScanData, $InitiatedBy, $TriggeredBy) }
+
+    Import-Module "$rootPath\Modules\BulkProcessor.psm1" -Force
+
+    function New-TestTopology([string]$Hostname) {
+        [PSCustomObject]@{ Hostname = $Hostname; IP = '10.0.0.5'; Topology = 'HO' }
+    }
+}
+
+AfterAll {
+    Remove-Module BulkProcessor -ErrorAction SilentlyContinue
+    Remove-Item Function:\Write-EMSLog, Function:\Invoke-PGQuery, Function:\Invoke-DataFetch, Function:\Save-ScanResult -ErrorAction SilentlyContinue
+}
+
+Describe 'New-BulkScanJob' {
+    BeforeEach {
+        Mock Invoke-PGQuery -ModuleName BulkProcessor { [PSCustomObject]@{ job_id = 42 } }
+    }
+
+    It 'registers a target once when it is repeated with different case' {
+        $jobId = New-BulkScanJob -Targets @('PC01', 'pc01', 'PC02') -InitiatedBy 1
+
+        $jobId | Should -Be 42
+        Should -Invoke Invoke-PGQuery -ModuleName BulkProcessor -Times 2 -Exactly -ParameterFilter { $Query -like '*INSERT INTO bulk_scan_job_targets*' }
+        Should -Invoke Invoke-PGQuery -ModuleName BulkProcessor -Times 1 -Exactly -ParameterFilter { $Query -like '*INSERT INTO bulk_scan_jobs*' -and $Parameters.total -eq 2 }
+    }
+}
+
+Describe 'Get-BulkScanTargetMap' {
+    It 'keeps every submitted target that resolves to the same hostname' {
+        InModuleScope BulkProcessor {
+            $map = Get-BulkScanTargetMap -Resolved @(
+                @{ Target = 'pc01'; Topology = [PSCustomObject]@{ Hostname = 'PC01' } }
+                @{ Target = '10.0.0.5'; Topology = [PSCustomObject]@{ Hostname = 'pc01' } }
+                @{ Target = 'pc02'; Topology = [PSCustomObject]@{ Hostname = 'PC02' } }
+            )
+
+            @($map.Targets).Count | Should -Be 2
+            @($map.TargetsByHostname['pc01']) | Should -Be @('pc01', '10.0.0.5')
+            @($map.TargetsByHostname['pc02']) | Should -Be @('pc02')
+        }
+    }
+
+    It 'returns no targets for an empty job' {
+        InModuleScope BulkProcessor {
+            $map = Get-BulkScanTargetMap -Resolved @()
+
+            @($map.Targets).Count | Should -Be 0
+            $map.TargetsByHostname.Count | Should -Be 0
+        }
+    }
+}
+
+Describe 'Invoke-BulkScanBatches' {
+    BeforeEach {
+        Mock Update-BulkScanTarget -ModuleName BulkProcessor { }
+        Mock Save-ScanResult -ModuleName BulkProcessor { 1001 }
+    }
+
+    It 'records one scan against every target that resolved to the hostname' {
+        Mock Invoke-DataFetch -ModuleName BulkProcessor {
+            [PSCustomObject]@{ Hostname = 'PC01'; Status = 'Complete'; HealthScore = 90 }
+        }
+
+        InModuleScope BulkProcessor -Parameters @{ Topology = (New-TestTopology 'PC01') } {
+            param($Topology)
+            $byHostname = @{ 'pc01' = [System.Collections.Generic.List[string]]@('pc01', '10.0.0.5') }
+
+            Invoke-BulkScanBatches -JobId 7 -Targets @($Topology) -BatchSize 10 -TargetsByHostname $byHostname
+        }
+
+        Should -Invoke Save-ScanResult -ModuleName BulkProcessor -Times 1 -Exactly
+        Should -Invoke Update-BulkScanTarget -ModuleName BulkProcessor -Times 1 -Exactly -ParameterFilter { $Target -eq 'pc01' -and $Status -eq 'done' -and $ScanId -eq 1001 }
+        Should -Invoke Update-BulkScanTarget -ModuleName BulkProcessor -Times 1 -Exactly -ParameterFilter { $Target -eq '10.0.0.5' -and $Status -eq 'done' -and $ScanId -eq 1001 }
+    }
+
+    It 'fails every target of a hostname that returned no result' {
+        Mock Invoke-DataFetch -ModuleName BulkProcessor { }
+
+        InModuleScope BulkProcessor -Parameters @{ Topology = (New-TestTopology 'PC01') } {
+            param($Topology)
+            $byHostname = @{ 'pc01' = [System.Collections.Generic.List[string]]@('pc01', 'PC01.corp.local') }
+
+            Invoke-BulkScanBatches -JobId 7 -Targets @($Topology) -BatchSize 10 -TargetsByHostname $byHostname
+        }
+
+        Should -Invoke Update-BulkScanTarget -ModuleName BulkProcessor -Times 2 -Exactly -ParameterFilter { $Status -eq 'failed' }
+        Should -Invoke Update-BulkScanTarget -ModuleName BulkProcessor -Times 0 -Exactly -ParameterFilter { $Status -eq 'done' }
+    }
+}
@@ -0,0 +1,104 @@
+<#
+.SYNOPSIS
+    Pester tests for JwtTokens.psm1: signature checks and the role hierarchy
+
+.EXAMPLE
+    Invoke-Pester .\Tests\JwtTokens.Tests.ps1
+#>
+
+BeforeAll {
+    $rootPath = Split-Path $PSScriptRoot -Parent
+    Import-Module "$rootPath\Modules\Authentication\JwtTokens.psm1" -Force
+
+    $Global:EMSConfig = [PSCustomObject]@{
+        API = [PSCustomObject]@{
+            JWTSecretKey           = 'unit-test-secret-key-of-at-least-32-chars'
+            TokenExpirationMinutes = 60
+        }
+    }
+
+    function ConvertTo-TestBase64Url([string]$Text) {
+        [Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes($Text)).TrimEnd('=').Replace('+', '-').Replace('/', '_')
+    }
+
+    # Re-signs header.payload with any key, to build tokens the API did not issue
+    function New-TestToken([string]$Header, [string]$Payload, [string]$Key) {
+        $signingInput = "$(ConvertTo-TestBase64Url $Header).$(ConvertTo-TestBase64Url $Payload)"
+        $hmac = New-Object System.Security.Cryptography.HMACSHA256
+        $hmac.Key = [Text.Encoding]::UTF8.GetBytes($Key)
+        $signature = [Convert]::ToBase64String($hmac.ComputeHash([Text.Encoding]::UTF8.GetBytes($signingInput))).TrimEnd('=').Replace('+', '-').Replace('/', '_')
+        return "$signingInput.$signature"
+    }
+
+    $script:Exp = [Math]::Floor([DateTime]::UtcNow.AddMinutes(5).Subtract([DateTime]"1970-01-01").TotalSeconds)
+}
+
+Describe 'Test-JWTToken' {
+    It 'accepts a token it issued and returns the payload' {
+        $token = New-JWTToken -Username 'alice' -UserId 7 -Role 'operator'
+
+        $payload = Test-JWTToken -Token $token
+
+        $payload.sub | Should -Be 'alice'
+        $payload.role | Should -Be 'operator'
+    }
+
+    It 'rejects a token whose payload was changed after signing' {
+        $parts = (New-JWTToken -Username 'alice' -UserId 7 -Role 'viewer').Split('.')
+        $forged = ConvertTo-TestBase64Url "{`"sub`":`"alice`",`"userId`":7,`"role`":`"admin`",`"exp`":$script:Exp}"
+
+        Test-JWTToken -Token "$($parts[0]).$forged.$($parts[2])" | Should -BeNullOrEmpty
+    }
+
+    It 'rejects a token signed with another key' {
+        $token = New-TestToken '{"alg":"HS256","typ":"JWT"}' "{`"sub`":`"mallory`",`"role`":`"admin`",`"exp`":$script:Exp}" 'some-other-key'
+
+        Test-JWTToken -Token $token | Should -BeNullOrEmpty
+    }
+
+    It 'rejects alg "none" with an empty signature' {
+        $token = "$(ConvertTo-TestBase64Url '{"alg":"none","typ":"JWT"}').$(ConvertTo-TestBase64Url "{`"role`":`"admin`",`"exp`":$script:Exp}")."
+
+        Test-JWTToken -Token $token | Should -BeNullOrEmpty
+    }
+
+    It 'rejects algorithms other than HS256 even when correctly signed' {
+        $token = New-TestToken '{"alg":"HS512","typ":"JWT"}' "{`"role`":`"admin`",`"exp`":$script:Exp}" $Global:EMSConfig.API.JWTSecretKey
+
+        Test-JWTToken -Token $token | Should -BeNullOrEmpty
+    }
+
+    It 'rejects an expired token with a valid signature' {
+        $expired = [Math]::Floor([DateTime]::UtcNow.AddMinutes(-1).Subtract([DateTime]"1970-01-01").TotalSeconds)
+        $token = New-TestToken '{"alg":"HS256","typ":"JWT"}' "{`"role`":`"viewer`",`"exp`":$expired}" $Global:EMSConfig.API.JWTSecretKey
+
+        Test-JWTToken -Token $token | Should -BeNullOrEmpty
+    }
+
+    It 'rejects malformed tokens' {
+        Test-JWTToken -Token '' | Should -BeNullOrEmpty
+        Test-JWTToken -Token 'not-a-token' | Should -BeNullOrEmpty
+        Test-JWTToken -Token 'a.b.c' | Should -BeNullOrEmpty
+    }
+}
+
+Describe 'Test-EMSRole' {
+    It 'grants <Required> to <Held>: <Expected>' -TestCases @(
+        @{ Held = 'viewer'; Required = 'viewer'; Expected = $true }
+        @{ Held = 'viewer'; Required = 'operator'; Expected = $false }
+        @{ Held = 'viewer'; Required = 'admin'; Expected = $false }
+        @{ Held = 'operator'; Required = 'viewer'; Expected = $true }
+        @{ Held = 'operator'; Required = 'operator'; Expected = $true }
+        @{ Held = 'operator'; Required = 'admin'; Expected = $false }
+        @{ Held = 'admin'; Required = 'viewer'; Expected = $true }
+        @{ Held = 'admin'; Required = 'operator'; Expected = $true }
+        @{ Held = 'admin'; Required = 'admin'; Expected = $true }
+    ) {
+        Test-EMSRole -Payload ([PSCustomObject]@{ role = $Held }) -Role $Required | Should -Be $Expected
+    }
+
+    It 'denies unknown roles and missing payloads' {
+        Test-EMSRole -Payload ([PSCustomObject]@{ role = 'superuser' }) -Role 'viewer' | Should -BeFalse
+        Test-EMSRole -Payload $null -Role 'viewer' | Should -BeFalse
+    }
+}
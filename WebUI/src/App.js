@@ -1,18 +1,39 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Link, Navigate, useNavigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate, useNavigate, useLocation } from 'react-router-dom';
 import { authService } from './services/api';
 import Login from './components/Login';
+import SsoCallback from './components/SsoCallback';
 import Dashboard from './components/Dashboard';
 import ScanEndpoint from './components/ScanEndpoint';
 import ResultsHistory from './components/ResultsHistory';
+import ScanResultDetail from './components/ScanResultDetail';
+import ScanCompare from './components/ScanCompare';
+import ScanSchedules from './components/ScanSchedules';
+import Alerts from './components/Alerts';
+import AlertBadge from './components/AlertBadge';
+import GlobalSearch from './components/GlobalSearch';
 import ComputerManagement from './components/ComputerManagement';
 import ComputerDetails from './components/ComputerDetails';
+import DeviceGroups from './components/DeviceGroups';
+import Exports from './components/Exports';
+import Compliance from './components/Compliance';
+import Software from './components/Software';
+import Vulnerabilities from './components/Vulnerabilities';
 import MetricsNavigation from './components/MetricsNavigation';
+import RemediationRecord from './components/RemediationRecord';
+import Forbidden from './components/Forbidden';
+import SessionExpiryWarning from './components/SessionExpiryWarning';
 import * as Metrics from './components/MetricComponents';
 import './index.css';
 
 function ProtectedRoute({ children }) {
-    return authService.isAuthenticated() ? children : <Navigate to="/login" />;
+    const location = useLocation();
+    return authService.isAuthenticated() ? children : <Navigate to="/login" state={{ from: location }} />;
+}
+
+// Renders the page only for users with at least the given role (viewer < operator < admin)
+function RoleRoute({ role, children }) {
+    return authService.hasRole(role) ? children : <Forbidden role={role} />;
 }
 
 function MainLayout() {
@@ -36,8 +57,11 @@ function MainLayout() {
                 boxShadow: 'var(--shadow-md)'
             }}>
                 <h2 style={{ margin: 0 }}>Enterprise Monitoring System</h2>
+                <GlobalSearch />
                 <div style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
+                    <AlertBadge />
                     <span>Welcome, {user?.displayName || user?.username}</span>
+                    {user?.role && <span className="badge badge-info">{user.role}</span>}
                     <button className="btn" onClick={handleLogout} style={{
                         background: 'rgba(255,255,255,0.2)',
                         color: 'var(--text-light)',
@@ -48,6 +72,8 @@ function MainLayout() {
                 </div>
             </header>
 
+            <SessionExpiryWarning />
+
             <div className="main-content">
                 <aside className="sidebar">
                     <nav>
@@ -57,14 +83,26 @@ function MainLayout() {
                                     <span>📊</span> Dashboard
                                 </Link>
                             </li>
+                            {authService.hasRole('operator') && (
+                                <li className="nav-item">
+                                    <Link to="/scan" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                        <span>🔍</span> Scan Endpoint
+                                    </Link>
+                                </li>
+                            )}
                             <li className="nav-item">
-                                <Link to="/scan" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
-                                    <span>🔍</span> Scan Endpoint
+                                <Link to="/results" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <span>📝</span> Results History
                                 </Link>
                             </li>
                             <li className="nav-item">
-                                <Link to="/results" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
-                                    <span>📝</span> Results History
+                                <Link to="/schedules" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <span>⏰</span> Schedules
+                                </Link>
+                            </li>
+                            <li className="nav-item">
+                                <Link to="/alerts" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <span>🔔</span> Alerts
                                 </Link>
                             </li>
                             <li className="nav-item">
@@ -72,11 +110,36 @@ function MainLayout() {
                                     <span>💻</span> Computers
                                 </Link>
                             </li>
+                            <li className="nav-item">
+                                <Link to="/groups" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <span>🏷️</span> Device Groups
+                                </Link>
+                            </li>
                             <li className="nav-item">
                                 <Link to="/metrics" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
                                     <span>📈</span> Metrics Explorer
                                 </Link>
                             </li>
+                            <li className="nav-item">
+                                <Link to="/compliance" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <span>🛡️</span> Compliance
+                                </Link>
+                            </li>
+                            <li className="nav-item">
+                                <Link to="/software" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <span>📦</span> Software
+                                </Link>
+                            </li>
+                            <li className="nav-item">
+                                <Link to="/vulnerabilities" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <span>🐞</span> Vulnerabilities
+                                </Link>
+                            </li>
+                            <li className="nav-item">
+                                <Link to="/exports" style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                                    <span>📤</span> Exports
+                                </Link>
+                            </li>
                         </ul>
                     </nav>
                 </aside>
@@ -84,11 +147,22 @@ function MainLayout() {
                 <main className="content-area">
                     <Routes>
                         <Route path="/dashboard" element={<Dashboard />} />
-                        <Route path="/scan" element={<ScanEndpoint />} />
+                        <Route path="/scan" element={<RoleRoute role="operator"><ScanEndpoint /></RoleRoute>} />
                         <Route path="/results" element={<ResultsHistory />} />
+                        <Route path="/results/compare" element={<ScanCompare />} />
+                        <Route path="/results/:scanId" element={<ScanResultDetail />} />
+                        <Route path="/schedules" element={<ScanSchedules />} />
+                        <Route path="/schedules/:scheduleId" element={<ScanSchedules />} />
+                        <Route path="/alerts" element={<Alerts />} />
                         <Route path="/computers" element={<ComputerManagement />} />
                         <Route path="/computers/:computerName" element={<ComputerDetails />} />
+                        <Route path="/groups" element={<DeviceGroups />} />
                         <Route path="/metrics" element={<MetricsNavigation />} />
+                        <Route path="/compliance" element={<Compliance />} />
+                        <Route path="/software" element={<Software />} />
+                        <Route path="/vulnerabilities" element={<Vulnerabilities />} />
+                        <Route path="/exports" element={<Exports />} />
+                        <Route path="/remediation/:remediationId" element={<RemediationRecord />} />
 
                         {/* System Health Metrics */}
                         <Route path="/metrics/cpu" element={<Metrics.CPUUsageMetric />} />
@@ -180,6 +254,7 @@ function App() {
         <Router>
             <Routes>
                 <Route path="/login" element={<Login />} />
+                <Route path="/auth/callback" element={<SsoCallback />} />
                 <Route path="/*" element={
                     <ProtectedRoute>
                         <MainLayout />
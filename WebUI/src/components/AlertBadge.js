@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { alertService } from '../services/api';
+
+const POLL_INTERVAL_MS = 60000;
+
+// Header counts of open critical and warning alerts, linking to the Alerts page
+function AlertBadge() {
+    const [summary, setSummary] = useState(null);
+
+    useEffect(() => {
+        const loadSummary = async () => {
+            try {
+                setSummary(await alertService.getSummary());
+            } catch (err) {
+                console.error('Failed to load alert summary:', err);
+            }
+        };
+
+        loadSummary();
+        const timer = setInterval(loadSummary, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    const critical = Number(summary?.open_critical || 0);
+    const warning = Number(summary?.open_warning || 0);
+
+    return (
+        <Link
+            to="/alerts"
+            title="Open alerts"
+            style={{ display: 'flex', alignItems: 'center', gap: '6px', color: 'inherit', textDecoration: 'none' }}
+        >
+            <span>🔔</span>
+            {critical > 0 && <span className="badge badge-danger">{critical} critical</span>}
+            {warning > 0 && <span className="badge badge-warning">{warning} warning</span>}
+            {critical === 0 && warning === 0 && <span style={{ fontSize: '0.9rem', opacity: 0.8 }}>No open alerts</span>}
+        </Link>
+    );
+}
+
+export default AlertBadge;
@@ -0,0 +1,823 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { authService, alertService } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+
+const SEVERITY_BADGES = {
+    Critical: 'badge-danger',
+    Warning: 'badge-warning',
+    Info: 'badge-info'
+};
+
+const STATUS_BADGES = {
+    open: 'badge-danger',
+    acknowledged: 'badge-info',
+    snoozed: 'badge-secondary',
+    resolved: 'badge-success'
+};
+
+const CONDITIONS = {
+    health_score: 'Health score',
+    disk_free_percent: 'Disk free %',
+    diagnostic: 'Diagnostic check',
+    not_seen_days: 'Not seen for (days)'
+};
+
+const CHECK_NAMES = [
+    'Antivirus_Status', 'Firewall_Status', 'BitLocker_Status', 'TPM_Status', 'Windows_Updates',
+    'Zscaler_Status', 'CPU_Usage', 'Memory_Usage', 'Disk_Space', 'System_Uptime', 'Power_Status'
+];
+
+const CHANNEL_TYPES = {
+    email: 'Email (SMTP)',
+    webhook: 'Webhook',
+    teams: 'Microsoft Teams',
+    slack: 'Slack'
+};
+
+const SNOOZE_OPTIONS = [
+    { label: '1 hour', minutes: 60 },
+    { label: '4 hours', minutes: 240 },
+    { label: '1 day', minutes: 1440 },
+    { label: '1 week', minutes: 10080 }
+];
+
+const EMPTY_RULE = {
+    name: '',
+    conditionType: 'health_score',
+    operator: '<',
+    threshold: '50',
+    checkName: 'Antivirus_Status',
+    checkStatus: 'Critical',
+    severity: 'Warning',
+    channelIds: [],
+    enabled: true
+};
+
+const EMPTY_CHANNEL = {
+    name: '',
+    channelType: 'email',
+    recipients: '',
+    url: '',
+    enabled: true
+};
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '-';
+
+const describeRule = (rule) => {
+    switch (rule.condition_type) {
+        case 'diagnostic':
+            return `${rule.check_name} is ${rule.check_status === 'Critical' ? 'Critical' : 'Warning or worse'}`;
+        case 'not_seen_days':
+            return `Not seen for more than ${Number(rule.threshold)} days`;
+        default:
+            return `${CONDITIONS[rule.condition_type]} ${rule.operator} ${Number(rule.threshold)}`;
+    }
+};
+
+const toRuleForm = (rule) => ({
+    name: rule.name,
+    conditionType: rule.condition_type,
+    operator: rule.operator || '<',
+    threshold: rule.threshold !== null && rule.threshold !== undefined ? String(Number(rule.threshold)) : '',
+    checkName: rule.check_name || 'Antivirus_Status',
+    checkStatus: rule.check_status || 'Critical',
+    severity: rule.severity,
+    channelIds: rule.channel_ids,
+    enabled: rule.enabled
+});
+
+const toChannelForm = (channel) => ({
+    name: channel.name,
+    channelType: channel.channel_type,
+    recipients: channel.settings?.recipients || '',
+    url: channel.settings?.url || '',
+    enabled: channel.enabled
+});
+
+// Request body for POST/PUT /api/notification-channels
+const toChannelRequest = (form) => ({
+    name: form.name,
+    channelType: form.channelType,
+    settings: form.channelType === 'email' ? { recipients: form.recipients } : { url: form.url },
+    enabled: form.enabled
+});
+
+function AlertList() {
+    const canHandle = authService.hasRole('operator');
+    const [alerts, setAlerts] = useState([]);
+    const [filters, setFilters] = useQueryState({ status: 'active', severity: '', computer: '' });
+    const { status, severity, computer } = filters;
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const loadAlerts = useCallback(async () => {
+        try {
+            const params = { status };
+            if (severity) params.severity = severity;
+            if (computer) params.computer = computer;
+            setAlerts(await alertService.getAlerts(params));
+            setError('');
+        } catch (err) {
+            console.error('Failed to load alerts:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [status, severity, computer]);
+
+    useEffect(() => {
+        loadAlerts();
+    }, [loadAlerts]);
+
+    const handleAction = async (action) => {
+        try {
+            await action();
+            await loadAlerts();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', marginBottom: '20px' }}>
+                <select
+                    className="form-control"
+                    style={{ width: 'auto' }}
+                    value={filters.status}
+                    onChange={(e) => setFilters({ status: e.target.value })}
+                >
+                    <option value="active">Active</option>
+                    <option value="open">Open</option>
+                    <option value="acknowledged">Acknowledged</option>
+                    <option value="snoozed">Snoozed</option>
+                    <option value="resolved">Resolved</option>
+                    <option value="all">All</option>
+                </select>
+                <select
+                    className="form-control"
+                    style={{ width: 'auto' }}
+                    value={filters.severity}
+                    onChange={(e) => setFilters({ severity: e.target.value })}
+                >
+                    <option value="">All severities</option>
+                    <option value="Critical">Critical</option>
+                    <option value="Warning">Warning</option>
+                    <option value="Info">Info</option>
+                </select>
+                <input
+                    type="text"
+                    className="form-control"
+                    style={{ width: '220px' }}
+                    placeholder="Computer name..."
+                    value={filters.computer}
+                    onChange={(e) => setFilters({ computer: e.target.value })}
+                />
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            {loading ? (
+                <div className="spinner"></div>
+            ) : (
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Severity</th>
+                                <th>Computer</th>
+                                <th>Rule</th>
+                                <th>Details</th>
+                                <th>Status</th>
+                                <th>Occurrences</th>
+                                <th>First / Last Triggered</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {alerts.length === 0 ? (
+                                <tr>
+                                    <td colSpan="8" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No alerts match the filters
+                                    </td>
+                                </tr>
+                            ) : (
+                                alerts.map(alert => (
+                                    <tr key={alert.alert_id}>
+                                        <td><span className={`badge ${SEVERITY_BADGES[alert.severity]}`}>{alert.severity}</span></td>
+                                        <td><Link to={`/computers/${alert.computer_name}`}>{alert.computer_name}</Link></td>
+                                        <td>{alert.rule_name}</td>
+                                        <td>
+                                            {alert.message}
+                                            {alert.scan_id && (
+                                                <div><Link to={`/results/${alert.scan_id}`} style={{ fontSize: '0.85rem' }}>Scan #{alert.scan_id}</Link></div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <span className={`badge ${STATUS_BADGES[alert.status]}`}>{alert.status}</span>
+                                            <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                                {alert.status === 'acknowledged' && `by ${alert.acknowledged_by}`}
+                                                {alert.status === 'snoozed' && `until ${formatTime(alert.snoozed_until)}`}
+                                                {alert.status === 'resolved' && `by ${alert.resolved_by}`}
+                                            </div>
+                                        </td>
+                                        <td>{alert.occurrences}</td>
+                                        <td style={{ fontSize: '0.9rem' }}>
+                                            {formatTime(alert.first_triggered_at)}
+                                            <br />
+                                            {formatTime(alert.last_triggered_at)}
+                                        </td>
+                                        <td>
+                                            {canHandle && alert.status !== 'resolved' && (
+                                                <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                                                    {alert.status !== 'acknowledged' && (
+                                                        <button className="btn btn-small" onClick={() => handleAction(() => alertService.acknowledgeAlert(alert.alert_id))}>
+                                                            Acknowledge
+                                                        </button>
+                                                    )}
+                                                    <select
+                                                        className="form-control"
+                                                        style={{ width: 'auto', padding: '4px 8px' }}
+                                                        value=""
+                                                        onChange={(e) => handleAction(() => alertService.snoozeAlert(alert.alert_id, Number(e.target.value)))}
+                                                    >
+                                                        <option value="">Snooze...</option>
+                                                        {SNOOZE_OPTIONS.map(option => (
+                                                            <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                                                        ))}
+                                                    </select>
+                                                    <button className="btn btn-small btn-primary" onClick={() => handleAction(() => alertService.resolveAlert(alert.alert_id))}>
+                                                        Resolve
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function RuleForm({ initial, channels, saving, error, onSave, onCancel }) {
+    const [form, setForm] = useState(initial);
+
+    const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+    const toggleChannel = (channelId) => {
+        const channelIds = form.channelIds.includes(channelId)
+            ? form.channelIds.filter(id => id !== channelId)
+            : [...form.channelIds, channelId];
+        update('channelIds', channelIds);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(form);
+    };
+
+    return (
+        <form className="card" onSubmit={handleSubmit}>
+            <h3 style={{ marginBottom: '20px' }}>{initial.name ? `Edit ${initial.name}` : 'New Alert Rule'}</h3>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '15px' }}>
+                <div className="form-group">
+                    <label>Name</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.name}
+                        onChange={(e) => update('name', e.target.value)}
+                        maxLength={255}
+                        required
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label>Condition</label>
+                    <select
+                        className="form-control"
+                        value={form.conditionType}
+                        onChange={(e) => setForm(current => ({
+                            ...current,
+                            conditionType: e.target.value,
+                            threshold: e.target.value === 'not_seen_days' ? '3' : e.target.value === 'disk_free_percent' ? '10' : '50'
+                        }))}
+                    >
+                        {Object.entries(CONDITIONS).map(([type, label]) => (
+                            <option key={type} value={type}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {form.conditionType === 'diagnostic' ? (
+                    <>
+                        <div className="form-group">
+                            <label>Check</label>
+                            <select className="form-control" value={form.checkName} onChange={(e) => update('checkName', e.target.value)}>
+                                {CHECK_NAMES.map(name => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Fires when the check is</label>
+                            <select className="form-control" value={form.checkStatus} onChange={(e) => update('checkStatus', e.target.value)}>
+                                <option value="Critical">Critical</option>
+                                <option value="Warning">Warning or Critical</option>
+                            </select>
+                        </div>
+                    </>
+                ) : (
+                    <div className="form-group">
+                        <label>{form.conditionType === 'not_seen_days' ? 'More than (days)' : 'Fires when value is'}</label>
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            {form.conditionType !== 'not_seen_days' && (
+                                <select
+                                    className="form-control"
+                                    style={{ width: '80px' }}
+                                    value={form.operator}
+                                    onChange={(e) => update('operator', e.target.value)}
+                                >
+                                    {['<', '<=', '>', '>='].map(op => <option key={op} value={op}>{op}</option>)}
+                                </select>
+                            )}
+                            <input
+                                type="number"
+                                className="form-control"
+                                min="0"
+                                max={form.conditionType === 'not_seen_days' ? 365 : 100}
+                                step="any"
+                                value={form.threshold}
+                                onChange={(e) => update('threshold', e.target.value)}
+                                required
+                            />
+                        </div>
+                    </div>
+                )}
+
+                <div className="form-group">
+                    <label>Severity</label>
+                    <select className="form-control" value={form.severity} onChange={(e) => update('severity', e.target.value)}>
+                        <option value="Critical">Critical</option>
+                        <option value="Warning">Warning</option>
+                        <option value="Info">Info</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label>Notify</label>
+                {channels.length === 0 ? (
+                    <p style={{ color: 'var(--text-secondary)', margin: 0 }}>
+                        No notification channels yet. Alerts from this rule are shown on this page only.
+                    </p>
+                ) : (
+                    <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap' }}>
+                        {channels.map(channel => (
+                            <label key={channel.channel_id} style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={form.channelIds.includes(channel.channel_id)}
+                                    onChange={() => toggleChannel(channel.channel_id)}
+                                />
+                                {channel.name} ({CHANNEL_TYPES[channel.channel_type]})
+                            </label>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', marginBottom: '20px' }}>
+                <input type="checkbox" checked={form.enabled} onChange={(e) => update('enabled', e.target.checked)} />
+                Enabled
+            </label>
+
+            <div style={{ display: 'flex', gap: '10px' }}>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Rule'}
+                </button>
+                <button type="button" className="btn" onClick={onCancel} disabled={saving}>Cancel</button>
+            </div>
+        </form>
+    );
+}
+
+function RuleList({ channels }) {
+    const isAdmin = authService.hasRole('admin');
+    const [rules, setRules] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    // null when closed, 'new' or the rule being edited
+    const [editing, setEditing] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const loadRules = useCallback(async () => {
+        try {
+            setRules(await alertService.getRules());
+            setError('');
+        } catch (err) {
+            console.error('Failed to load alert rules:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadRules();
+    }, [loadRules]);
+
+    const openForm = (rule) => {
+        setFormError('');
+        setEditing(rule);
+    };
+
+    const handleSave = async (form) => {
+        setSaving(true);
+        setFormError('');
+        try {
+            if (editing === 'new') {
+                await alertService.createRule(form);
+            } else {
+                await alertService.updateRule(editing.rule_id, form);
+            }
+            setEditing(null);
+            await loadRules();
+        } catch (err) {
+            setFormError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggle = async (rule) => {
+        try {
+            await alertService.updateRule(rule.rule_id, { ...toRuleForm(rule), enabled: !rule.enabled });
+            await loadRules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}" and all of its alerts?`)) return;
+        try {
+            await alertService.deleteRule(rule.rule_id);
+            await loadRules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const channelName = (channelId) => channels.find(c => c.channel_id === channelId)?.name || `#${channelId}`;
+
+    if (loading) {
+        return <div className="spinner"></div>;
+    }
+
+    return (
+        <div>
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            {isAdmin && !editing && (
+                <div style={{ marginBottom: '20px' }}>
+                    <button className="btn btn-primary" onClick={() => openForm('new')}>New Rule</button>
+                </div>
+            )}
+
+            {editing && (
+                <RuleForm
+                    key={editing === 'new' ? 'new' : editing.rule_id}
+                    initial={editing === 'new' ? EMPTY_RULE : toRuleForm(editing)}
+                    channels={channels}
+                    saving={saving}
+                    error={formError}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
+            <div className="card">
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Condition</th>
+                                <th>Severity</th>
+                                <th>Notifies</th>
+                                <th>Active Alerts</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rules.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No alert rules defined
+                                    </td>
+                                </tr>
+                            ) : (
+                                rules.map(rule => (
+                                    <tr key={rule.rule_id}>
+                                        <td>
+                                            <strong>{rule.name}</strong>
+                                            {!rule.enabled && <span className="badge badge-secondary" style={{ marginLeft: '8px' }}>Disabled</span>}
+                                        </td>
+                                        <td>{describeRule(rule)}</td>
+                                        <td><span className={`badge ${SEVERITY_BADGES[rule.severity]}`}>{rule.severity}</span></td>
+                                        <td>
+                                            {rule.channel_ids.length === 0
+                                                ? '-'
+                                                : isAdmin
+                                                    ? rule.channel_ids.map(channelName).join(', ')
+                                                    : `${rule.channel_ids.length} channel${rule.channel_ids.length === 1 ? '' : 's'}`}
+                                        </td>
+                                        <td>{rule.active_alerts}</td>
+                                        <td>
+                                            {isAdmin && (
+                                                <div style={{ display: 'flex', gap: '6px' }}>
+                                                    <button className="btn btn-small" onClick={() => handleToggle(rule)}>
+                                                        {rule.enabled ? 'Disable' : 'Enable'}
+                                                    </button>
+                                                    <button className="btn btn-small" onClick={() => openForm(rule)}>Edit</button>
+                                                    <button className="btn btn-small btn-danger" onClick={() => handleDelete(rule)}>Delete</button>
+                                                </div>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function ChannelForm({ initial, saving, error, onSave, onCancel }) {
+    const [form, setForm] = useState(initial);
+
+    const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(toChannelRequest(form));
+    };
+
+    return (
+        <form className="card" onSubmit={handleSubmit}>
+            <h3 style={{ marginBottom: '20px' }}>{initial.name ? `Edit ${initial.name}` : 'New Notification Channel'}</h3>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '15px' }}>
+                <div className="form-group">
+                    <label>Name</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.name}
+                        onChange={(e) => update('name', e.target.value)}
+                        maxLength={255}
+                        required
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label>Type</label>
+                    <select className="form-control" value={form.channelType} onChange={(e) => update('channelType', e.target.value)}>
+                        {Object.entries(CHANNEL_TYPES).map(([type, label]) => (
+                            <option key={type} value={type}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div className="form-group">
+                {form.channelType === 'email' ? (
+                    <>
+                        <label>Recipients (separated by commas; sent through the SMTP server in EMSConfig.json)</label>
+                        <input
+                            type="text"
+                            className="form-control"
+                            value={form.recipients}
+                            onChange={(e) => update('recipients', e.target.value)}
+                            placeholder="helpdesk@corp.local, security@corp.local"
+                            required
+                        />
+                    </>
+                ) : (
+                    <>
+                        <label>{form.channelType === 'webhook' ? 'Webhook URL (receives the alert as JSON)' : 'Incoming webhook URL'}</label>
+                        <input
+                            type="url"
+                            className="form-control"
+                            value={form.url}
+                            onChange={(e) => update('url', e.target.value)}
+                            placeholder="https://"
+                            required
+                        />
+                    </>
+                )}
+            </div>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', marginBottom: '20px' }}>
+                <input type="checkbox" checked={form.enabled} onChange={(e) => update('enabled', e.target.checked)} />
+                Enabled
+            </label>
+
+            <div style={{ display: 'flex', gap: '10px' }}>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Channel'}
+                </button>
+                <button type="button" className="btn" onClick={onCancel} disabled={saving}>Cancel</button>
+            </div>
+        </form>
+    );
+}
+
+function ChannelList({ channels, onChange }) {
+    const [editing, setEditing] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [testResult, setTestResult] = useState(null);
+
+    const openForm = (channel) => {
+        setFormError('');
+        setEditing(channel);
+    };
+
+    const handleSave = async (request) => {
+        setSaving(true);
+        setFormError('');
+        try {
+            if (editing === 'new') {
+                await alertService.createChannel(request);
+            } else {
+                await alertService.updateChannel(editing.channel_id, request);
+            }
+            setEditing(null);
+            await onChange();
+        } catch (err) {
+            setFormError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (channel) => {
+        if (!window.confirm(`Delete the channel "${channel.name}"? Rules using it will stop notifying it.`)) return;
+        try {
+            await alertService.deleteChannel(channel.channel_id);
+            await onChange();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleTest = async (channel) => {
+        setTestResult({ channelId: channel.channel_id, pending: true });
+        try {
+            await alertService.testChannel(channel.channel_id);
+            setTestResult({ channelId: channel.channel_id, success: true, message: 'Test message sent' });
+        } catch (err) {
+            setTestResult({ channelId: channel.channel_id, success: false, message: err.message });
+        }
+    };
+
+    return (
+        <div>
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            {!editing && (
+                <div style={{ marginBottom: '20px' }}>
+                    <button className="btn btn-primary" onClick={() => openForm('new')}>New Channel</button>
+                </div>
+            )}
+
+            {editing && (
+                <ChannelForm
+                    key={editing === 'new' ? 'new' : editing.channel_id}
+                    initial={editing === 'new' ? EMPTY_CHANNEL : toChannelForm(editing)}
+                    saving={saving}
+                    error={formError}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
+            <div className="card">
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Type</th>
+                                <th>Destination</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {channels.length === 0 ? (
+                                <tr>
+                                    <td colSpan="4" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No notification channels defined
+                                    </td>
+                                </tr>
+                            ) : (
+                                channels.map(channel => (
+                                    <tr key={channel.channel_id}>
+                                        <td>
+                                            <strong>{channel.name}</strong>
+                                            {!channel.enabled && <span className="badge badge-secondary" style={{ marginLeft: '8px' }}>Disabled</span>}
+                                        </td>
+                                        <td>{CHANNEL_TYPES[channel.channel_type]}</td>
+                                        <td style={{ wordBreak: 'break-all' }}>
+                                            {channel.settings?.recipients || channel.settings?.url}
+                                            {testResult?.channelId === channel.channel_id && !testResult.pending && (
+                                                <div style={{ color: testResult.success ? 'var(--success-color)' : 'var(--error-color)', fontSize: '0.85rem' }}>
+                                                    {testResult.message}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <div style={{ display: 'flex', gap: '6px' }}>
+                                                <button
+                                                    className="btn btn-small"
+                                                    onClick={() => handleTest(channel)}
+                                                    disabled={testResult?.channelId === channel.channel_id && testResult.pending}
+                                                >
+                                                    Send Test
+                                                </button>
+                                                <button className="btn btn-small" onClick={() => openForm(channel)}>Edit</button>
+                                                <button className="btn btn-small btn-danger" onClick={() => handleDelete(channel)}>Delete</button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Alerts raised by alert rules, plus rule and channel management (/alerts)
+function Alerts() {
+    const isAdmin = authService.hasRole('admin');
+    const [{ tab: activeTab }, setQuery] = useQueryState({ tab: 'alerts' });
+    const setActiveTab = (tab) => setQuery({ tab });
+    const [channels, setChannels] = useState([]);
+
+    // Channel names are needed by the rule editor, which only admins can open
+    const loadChannels = useCallback(async () => {
+        if (!isAdmin) return;
+        try {
+            setChannels(await alertService.getChannels());
+        } catch (err) {
+            console.error('Failed to load notification channels:', err);
+        }
+    }, [isAdmin]);
+
+    useEffect(() => {
+        loadChannels();
+    }, [loadChannels]);
+
+    return (
+        <div>
+            <h1 style={{ marginBottom: '30px' }}>Alerts</h1>
+
+            <div className="tabs">
+                <button className={`tab ${activeTab === 'alerts' ? 'active' : ''}`} onClick={() => setActiveTab('alerts')}>
+                    Alerts
+                </button>
+                <button className={`tab ${activeTab === 'rules' ? 'active' : ''}`} onClick={() => setActiveTab('rules')}>
+                    Rules
+                </button>
+                {isAdmin && (
+                    <button className={`tab ${activeTab === 'channels' ? 'active' : ''}`} onClick={() => setActiveTab('channels')}>
+                        Notification Channels
+                    </button>
+                )}
+            </div>
+
+            {activeTab === 'alerts' && <AlertList />}
+            {activeTab === 'rules' && <RuleList channels={channels} />}
+            {activeTab === 'channels' && isAdmin && <ChannelList channels={channels} onChange={loadChannels} />}
+        </div>
+    );
+}
+
+export default Alerts;
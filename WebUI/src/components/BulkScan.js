@@ -0,0 +1,442 @@
+import React, { useState, useEffect } from 'react';
+import { scanService, groupService } from '../services/api';
+import DeviceGroupSelect from './DeviceGroupSelect';
+
+// Same column preference and format rules as Import-TargetList in InputBroker.psm1
+const TARGET_COLUMNS = ['hostname', 'computername', 'target', 'ip', 'computer', 'name'];
+const TARGET_PATTERN = /^[a-zA-Z0-9\-.]+$/;
+const POLL_INTERVAL_MS = 3000;
+const GROUP_PREVIEW_LIMIT = 1000;
+
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (inQuotes) {
+            if (ch === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                current += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    fields.push(current);
+    return fields.map(f => f.trim());
+}
+
+function parseTargetList(text, isCsv) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0);
+    let rawTargets = [];
+    let column = null;
+
+    if (isCsv && lines.length > 0) {
+        const header = splitCsvLine(lines[0]);
+        const lowerHeader = header.map(h => h.toLowerCase());
+        let index = -1;
+        for (const col of TARGET_COLUMNS) {
+            index = lowerHeader.indexOf(col);
+            if (index !== -1) break;
+        }
+        if (index === -1) index = 0;
+        column = header[index];
+        rawTargets = lines.slice(1).map(l => splitCsvLine(l)[index] || '');
+    } else {
+        // Pasted lists and TXT files: one or more targets per line
+        rawTargets = lines.flatMap(l => l.split(/[\s,;]+/));
+    }
+
+    const targets = [];
+    const invalid = [];
+    const seen = new Set();
+    let duplicates = 0;
+
+    rawTargets.map(t => t.trim()).filter(t => t.length > 0).forEach(t => {
+        if (!TARGET_PATTERN.test(t)) {
+            invalid.push(t);
+        } else if (seen.has(t.toLowerCase())) {
+            duplicates++;
+        } else {
+            seen.add(t.toLowerCase());
+            targets.push(t);
+        }
+    });
+
+    return { targets, invalid, duplicates, column };
+}
+
+// source 'list' scans an uploaded or pasted target list; 'group' scans the
+// current members of a device group (chosen by the parent), expanded by the API when the job starts
+function BulkScan({ source = 'list', group = '', onGroupChange }) {
+    const [listText, setListText] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [members, setMembers] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [jobId, setJobId] = useState(null);
+    const [job, setJob] = useState(null);
+    const [error, setError] = useState('');
+
+    const jobFinished = job && (job.status === 'completed' || job.status === 'failed');
+
+    useEffect(() => {
+        if (!jobId || jobFinished) return undefined;
+
+        const loadJob = async () => {
+            try {
+                const data = await scanService.getBulkJob(jobId);
+                setJob(data.job);
+            } catch (err) {
+                console.error('Failed to load bulk scan progress:', err);
+            }
+        };
+
+        loadJob();
+        const interval = setInterval(loadJob, POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [jobId, jobFinished]);
+
+    useEffect(() => {
+        if (source !== 'group' || !group) {
+            setMembers(null);
+            return undefined;
+        }
+
+        let active = true;
+        setError('');
+        groupService.getMembers(group, GROUP_PREVIEW_LIMIT)
+            .then(result => { if (active) setMembers(result); })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [source, group]);
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const text = String(reader.result || '');
+            setListText(text);
+            setFileName(file.name);
+            setPreview(parseTargetList(text, file.name.toLowerCase().endsWith('.csv')));
+        };
+        reader.readAsText(file);
+    };
+
+    const handlePreview = () => {
+        setError('');
+        setPreview(parseTargetList(listText, fileName.toLowerCase().endsWith('.csv')));
+    };
+
+    const handleSubmit = async () => {
+        if (source === 'group' ? !members || members.total === 0 : !preview || preview.targets.length === 0) return;
+
+        setError('');
+        setSubmitting(true);
+
+        try {
+            const data = source === 'group'
+                ? await scanService.scanGroup(group)
+                : await scanService.scanBulk(preview.targets);
+
+            if (data.success) {
+                setJob(null);
+                setJobId(data.jobId);
+            } else {
+                setError(data.message || 'Bulk scan could not be started');
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleReset = () => {
+        setListText('');
+        setFileName('');
+        setPreview(null);
+        setJobId(null);
+        setJob(null);
+        setError('');
+    };
+
+    const getStatusBadge = (status) => {
+        switch (status) {
+            case 'done': return 'badge-success';
+            case 'failed': return 'badge-danger';
+            case 'scanning': return 'badge-info';
+            default: return 'badge-secondary';
+        }
+    };
+
+    const getHealthBadge = (score) => {
+        if (score >= 90) return 'badge-success';
+        if (score >= 70) return 'badge-info';
+        if (score >= 50) return 'badge-warning';
+        return 'badge-danger';
+    };
+
+    const counts = job?.counts || {};
+    const total = job?.total_targets || 0;
+    const finished = (counts.done || 0) + (counts.failed || 0);
+
+    return (
+        <div>
+            {!jobId && source === 'group' && (
+                <div className="card">
+                    <div className="form-group">
+                        <label className="form-label">Device Group</label>
+                        <DeviceGroupSelect
+                            value={group}
+                            onChange={onGroupChange}
+                            emptyLabel="Select a group..."
+                            disabled={submitting}
+                        />
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '6px' }}>
+                            Membership is evaluated when the scan starts, so computers added to the group since this preview are included.
+                        </div>
+                    </div>
+
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleSubmit}
+                        disabled={submitting || !members || members.total === 0}
+                    >
+                        {submitting ? 'Submitting...' : `Scan ${members ? members.total : 0} Computers`}
+                    </button>
+
+                    {error && (
+                        <div style={{
+                            marginTop: '20px',
+                            padding: '12px',
+                            background: '#f8d7da',
+                            color: '#721c24',
+                            borderRadius: '6px'
+                        }}>
+                            {error}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {!jobId && source === 'group' && members && (
+                <div className="card">
+                    <h3 style={{ marginBottom: '15px' }}>
+                        Group Members
+                        {members.total > members.computers.length && ` (first ${members.computers.length} of ${members.total})`}
+                    </h3>
+                    {members.total === 0 ? (
+                        <p style={{ color: 'var(--text-secondary)' }}>No active computers match this group's rules.</p>
+                    ) : (
+                        <div className="table-container" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>#</th>
+                                        <th>Target</th>
+                                        <th>Location</th>
+                                        <th>Last Seen</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {members.computers.map((computer, idx) => (
+                                        <tr key={computer.computer_name}>
+                                            <td>{idx + 1}</td>
+                                            <td><code>{computer.computer_name}</code></td>
+                                            <td>{computer.location || '-'}</td>
+                                            <td>{computer.last_seen ? new Date(computer.last_seen).toLocaleString() : 'Never'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {!jobId && source === 'list' && (
+                <div className="card">
+                    <div className="form-group">
+                        <label className="form-label">Upload Target List (CSV or TXT)</label>
+                        <input
+                            type="file"
+                            accept=".csv,.txt,text/csv,text/plain"
+                            onChange={handleFileChange}
+                            disabled={submitting}
+                        />
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '6px' }}>
+                            CSV files use the Hostname, ComputerName, Target, IP, Computer or Name column (first column otherwise).
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Or Paste Targets</label>
+                        <textarea
+                            className="form-control"
+                            rows={8}
+                            placeholder={'WKSTN-HO-01\nWKSTN-HO-02\n10.192.20.15'}
+                            value={listText}
+                            onChange={(e) => {
+                                setListText(e.target.value);
+                                setFileName('');
+                                setPreview(null);
+                            }}
+                            disabled={submitting}
+                        />
+                    </div>
+
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        <button className="btn" onClick={handlePreview} disabled={submitting || !listText.trim()}>
+                            Preview Targets
+                        </button>
+                        <button
+                            className="btn btn-primary"
+                            onClick={handleSubmit}
+                            disabled={submitting || !preview || preview.targets.length === 0}
+                        >
+                            {submitting ? 'Submitting...' : `Scan ${preview ? preview.targets.length : 0} Targets`}
+                        </button>
+                    </div>
+
+                    {error && (
+                        <div style={{
+                            marginTop: '20px',
+                            padding: '12px',
+                            background: '#f8d7da',
+                            color: '#721c24',
+                            borderRadius: '6px'
+                        }}>
+                            {error}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {!jobId && preview && (
+                <div className="card">
+                    <h3 style={{ marginBottom: '15px' }}>Target Preview</h3>
+                    <div style={{ display: 'flex', gap: '20px', marginBottom: '15px' }}>
+                        <span className="badge badge-success">{preview.targets.length} Valid</span>
+                        <span className="badge badge-secondary">{preview.duplicates} Duplicates Removed</span>
+                        <span className="badge badge-danger">{preview.invalid.length} Invalid</span>
+                        {preview.column && <span className="badge badge-info">Column: {preview.column}</span>}
+                    </div>
+
+                    {preview.invalid.length > 0 && (
+                        <p style={{ color: 'var(--error-color)', marginBottom: '15px' }}>
+                            Skipped: {preview.invalid.join(', ')}
+                        </p>
+                    )}
+
+                    <div className="table-container" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>Target</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {preview.targets.map((target, idx) => (
+                                    <tr key={target}>
+                                        <td>{idx + 1}</td>
+                                        <td><code>{target}</code></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {jobId && (
+                <div className="card">
+                    <h2 style={{ marginBottom: '20px', display: 'flex', alignItems: 'center', gap: '15px' }}>
+                        Bulk Scan #{jobId}
+                        {job && <span className={`badge ${job.status === 'failed' ? 'badge-danger' : job.status === 'completed' ? 'badge-success' : 'badge-info'}`}>{job.status}</span>}
+                    </h2>
+
+                    {!job ? (
+                        <div className="spinner"></div>
+                    ) : (
+                        <>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                                <span>{finished} / {total} finished</span>
+                                <span>
+                                    <span className="badge badge-secondary" style={{ marginRight: '8px' }}>{counts.queued || 0} Queued</span>
+                                    <span className="badge badge-info" style={{ marginRight: '8px' }}>{counts.scanning || 0} Scanning</span>
+                                    <span className="badge badge-success" style={{ marginRight: '8px' }}>{counts.done || 0} Done</span>
+                                    <span className="badge badge-danger">{counts.failed || 0} Failed</span>
+                                </span>
+                            </div>
+                            <div className="health-score-bar" style={{ marginBottom: '20px' }}>
+                                <div className="health-score-fill health-good"
+                                    style={{ width: `${total ? (finished / total) * 100 : 0}%` }}>
+                                </div>
+                            </div>
+
+                            {job.error_message && (
+                                <p style={{ color: 'var(--error-color)', marginBottom: '15px' }}>{job.error_message}</p>
+                            )}
+
+                            <div className="table-container">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Target</th>
+                                            <th>Topology</th>
+                                            <th>Status</th>
+                                            <th>Health Score</th>
+                                            <th>Details</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {(job.targets || []).map((t) => (
+                                            <tr key={t.target}>
+                                                <td><strong>{t.target}</strong></td>
+                                                <td>{t.topology || '-'}</td>
+                                                <td>
+                                                    <span className={`badge ${getStatusBadge(t.status)}`}>{t.status}</span>
+                                                </td>
+                                                <td>
+                                                    {t.health_score !== null && t.health_score !== undefined ? (
+                                                        <span className={`badge ${getHealthBadge(t.health_score)}`}>{t.health_score}</span>
+                                                    ) : '-'}
+                                                </td>
+                                                <td>
+                                                    {t.error_message || (t.scan_id ? `Scan ID ${t.scan_id}` : '')}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+
+                    {jobFinished && (
+                        <button className="btn btn-primary" onClick={handleReset} style={{ marginTop: '20px' }}>
+                            New Bulk Scan
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default BulkScan;
@@ -0,0 +1,798 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { asList, authService, complianceService } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+import DeviceGroupSelect from './DeviceGroupSelect';
+import ExportMenu from './ExportMenu';
+import TimeSeriesChart from './TimeSeriesChart';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TREND_RANGES = [
+    { days: '30', label: '30 Days' },
+    { days: '90', label: 'Quarter' },
+    { days: '365', label: 'Year' }
+];
+
+// Same statuses as Get-ComplianceEndpoint in Compliance.psm1
+const ENDPOINT_STATUSES = {
+    compliant: 'Compliant',
+    non_compliant: 'Non-compliant',
+    unknown: 'Missing data'
+};
+
+const RESULT_BADGES = {
+    pass: 'badge-success',
+    fail: 'badge-danger',
+    unknown: 'badge-info'
+};
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '-';
+const formatPercent = (value) => value === null || value === undefined ? '-' : `${Number(value).toFixed(1)}%`;
+
+const scoreBadge = (score) => {
+    if (score === null || score === undefined) return 'badge-info';
+    if (score >= 100) return 'badge-success';
+    if (score >= 80) return 'badge-warning';
+    return 'badge-danger';
+};
+
+const EMPTY_BASELINE = { name: '', description: '', groupId: '', controls: [] };
+
+const toBaselineForm = (baseline) => ({
+    name: baseline.name,
+    description: baseline.description || '',
+    groupId: baseline.group_id ? String(baseline.group_id) : '',
+    controls: baseline.controls.map(({ control, parameters }) => ({ control, parameters: { ...parameters } }))
+});
+
+// List parameters are edited one entry per line
+const parameterText = (parameter, value) => {
+    if (parameter.type === 'list') return asList(value).join('\n');
+    return value ?? '';
+};
+
+const parameterValue = (parameter, text) => {
+    if (parameter.type === 'list') return text.split('\n').map(item => item.trim()).filter(Boolean);
+    return text === '' ? null : Number(text);
+};
+
+function BaselineForm({ initial, catalog, saving, error, onSave, onCancel }) {
+    const [form, setForm] = useState(initial);
+    // Raw text of each parameter input, keyed "control.parameter"
+    const [inputs, setInputs] = useState({});
+
+    const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+    const selected = (id) => form.controls.find(c => c.control === id);
+
+    const toggleControl = (control) => {
+        if (selected(control.id)) {
+            update('controls', form.controls.filter(c => c.control !== control.id));
+            return;
+        }
+        const parameters = Object.fromEntries(control.parameters.map(p => [p.name, p.default]));
+        update('controls', [...form.controls, { control: control.id, parameters }]);
+    };
+
+    const updateParameter = (control, parameter, text) => {
+        setInputs(current => ({ ...current, [`${control.id}.${parameter.name}`]: text }));
+        update('controls', form.controls.map(c => (
+            c.control === control.id
+                ? { ...c, parameters: { ...c.parameters, [parameter.name]: parameterValue(parameter, text) } }
+                : c
+        )));
+    };
+
+    const categories = [...new Set(catalog.map(control => control.category))];
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(form);
+    };
+
+    return (
+        <form className="card" onSubmit={handleSubmit}>
+            <h3 style={{ marginBottom: '20px' }}>{initial.name ? `Edit ${initial.name}` : 'New Compliance Baseline'}</h3>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '15px' }}>
+                <div className="form-group">
+                    <label>Name</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.name}
+                        onChange={(e) => update('name', e.target.value)}
+                        maxLength={100}
+                        placeholder="e.g. CIS Workstation Baseline"
+                        required
+                    />
+                </div>
+                <div className="form-group">
+                    <label>Description</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.description}
+                        onChange={(e) => update('description', e.target.value)}
+                        maxLength={500}
+                    />
+                </div>
+                <div className="form-group">
+                    <label>Applies To</label>
+                    <DeviceGroupSelect
+                        value={form.groupId}
+                        onChange={(groupId) => update('groupId', groupId)}
+                        emptyLabel="All active computers"
+                    />
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label>Controls</label>
+                {categories.map(category => (
+                    <div key={category} style={{ marginTop: '10px' }}>
+                        <div style={{ fontWeight: 600, marginBottom: '6px' }}>{category}</div>
+                        {catalog.filter(control => control.category === category).map(control => {
+                            const current = selected(control.id);
+                            return (
+                                <div key={control.id} style={{ display: 'flex', gap: '12px', alignItems: 'flex-start', flexWrap: 'wrap', marginBottom: '8px' }}>
+                                    <label style={{ display: 'flex', gap: '8px', alignItems: 'flex-start', minWidth: '320px', flex: 1 }}>
+                                        <input type="checkbox" checked={!!current} onChange={() => toggleControl(control)} />
+                                        <span>
+                                            {control.label}
+                                            <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{control.description}</div>
+                                        </span>
+                                    </label>
+                                    {current && control.parameters.map(parameter => {
+                                        const key = `${control.id}.${parameter.name}`;
+                                        const text = inputs[key] ?? parameterText(parameter, current.parameters[parameter.name]);
+                                        return (
+                                            <div key={parameter.name} style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                                                <span style={{ fontSize: '0.85rem' }}>{parameter.label}</span>
+                                                {parameter.type === 'list' ? (
+                                                    <textarea
+                                                        className="form-control"
+                                                        rows={4}
+                                                        value={text}
+                                                        onChange={(e) => updateParameter(control, parameter, e.target.value)}
+                                                        placeholder="One application per line"
+                                                        style={{ width: '240px' }}
+                                                    />
+                                                ) : (
+                                                    <input
+                                                        type="number"
+                                                        className="form-control"
+                                                        value={text}
+                                                        min={parameter.min}
+                                                        max={parameter.max}
+                                                        onChange={(e) => updateParameter(control, parameter, e.target.value)}
+                                                        style={{ width: '120px' }}
+                                                    />
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            );
+                        })}
+                    </div>
+                ))}
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '6px' }}>
+                    Controls are checked against each computer's latest scan. Computers without the needed data are reported as missing data rather than failing.
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '10px' }}>
+                <button type="submit" className="btn btn-primary" disabled={saving || form.controls.length === 0}>
+                    {saving ? 'Saving...' : 'Save Baseline'}
+                </button>
+                <button type="button" className="btn" onClick={onCancel} disabled={saving}>Cancel</button>
+            </div>
+        </form>
+    );
+}
+
+function Overview({ baseline, days, onDaysChange, onShowFailures }) {
+    const [scorecard, setScorecard] = useState(null);
+    const [trend, setTrend] = useState([]);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        Promise.all([
+            complianceService.getScorecard(baseline.baseline_id),
+            complianceService.getTrend(baseline.baseline_id, days)
+        ])
+            .then(([card, points]) => {
+                if (!active) return;
+                setScorecard(card);
+                setTrend(points);
+                setError('');
+            })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [baseline.baseline_id, baseline.last_evaluated_at, days]);
+
+    if (error) return <div className="alert alert-error">{error}</div>;
+    if (!scorecard) return <div className="spinner"></div>;
+
+    const end = Date.now();
+    const start = end - Number(days) * DAY_MS;
+    const series = [
+        {
+            key: 'pass_rate',
+            label: 'Control pass rate',
+            color: '#2563eb',
+            area: true,
+            points: trend.map(point => ({ t: new Date(point.score_date).getTime(), v: point.pass_rate }))
+        },
+        {
+            key: 'compliant_percent',
+            label: 'Compliant endpoints',
+            color: '#16a34a',
+            points: trend.map(point => ({ t: new Date(point.score_date).getTime(), v: point.compliant_percent }))
+        }
+    ];
+
+    return (
+        <>
+            <div className="stat-cards">
+                <div className="stat-card">
+                    <div className="stat-label">Fleet Pass Rate</div>
+                    <div className="stat-value">{formatPercent(scorecard.pass_rate)}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-label">Compliant Endpoints</div>
+                    <div className="stat-value">{scorecard.compliant} / {scorecard.computers}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-label">Non-compliant</div>
+                    <div className="stat-value">{scorecard.non_compliant}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-label">Missing Data</div>
+                    <div className="stat-value">{scorecard.unknown}</div>
+                </div>
+            </div>
+
+            <div className="card">
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+                    <h3>Compliance Trend</h3>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                        {TREND_RANGES.map(range => (
+                            <button key={range.days} className={`btn ${days === range.days ? 'btn-primary' : ''}`} onClick={() => onDaysChange(range.days)}>
+                                {range.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                {trend.length === 0 ? (
+                    <p style={{ color: 'var(--text-secondary)' }}>No evaluations recorded in this period</p>
+                ) : (
+                    <TimeSeriesChart key={days} series={series} start={start} end={end} yMax={100} unit="%" />
+                )}
+            </div>
+
+            <div className="card">
+                <h3 style={{ marginBottom: '15px' }}>Controls</h3>
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Control</th>
+                                <th>Pass Rate</th>
+                                <th>Passed</th>
+                                <th>Failed</th>
+                                <th>Missing Data</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {scorecard.controls.length === 0 ? (
+                                <tr>
+                                    <td colSpan="5" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No computers in scope
+                                    </td>
+                                </tr>
+                            ) : (
+                                scorecard.controls.map(control => (
+                                    <tr key={control.control_id}>
+                                        <td>{control.label}</td>
+                                        <td>
+                                            <span className={`badge ${scoreBadge(control.pass_rate)}`}>{formatPercent(control.pass_rate)}</span>
+                                        </td>
+                                        <td>{control.passed}</td>
+                                        <td>
+                                            {control.failed > 0 ? (
+                                                <button className="btn btn-small btn-danger" onClick={() => onShowFailures(control.control_id)}>
+                                                    {control.failed}
+                                                </button>
+                                            ) : 0}
+                                        </td>
+                                        <td>{control.unknown}</td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </>
+    );
+}
+
+function EndpointResults({ baselineId, computerName }) {
+    const [results, setResults] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        complianceService.getEndpointResult(baselineId, computerName)
+            .then(data => { if (active) setResults(data.results); })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [baselineId, computerName]);
+
+    if (error) return <div className="alert alert-error">{error}</div>;
+    if (!results) return <div className="spinner"></div>;
+
+    return (
+        <table>
+            <tbody>
+                {results.map(result => (
+                    <tr key={result.control_id}>
+                        <td style={{ width: '110px' }}>
+                            <span className={`badge ${RESULT_BADGES[result.status]}`}>{result.status}</span>
+                        </td>
+                        <td>{result.label}</td>
+                        <td style={{ color: 'var(--text-secondary)' }}>{result.actual || 'No data collected'}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+function EndpointList({ baseline, labels, status, search, onFilterChange }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        let active = true;
+        // Wait for typing to settle before querying
+        const timer = setTimeout(() => {
+            complianceService.getEndpoints(baseline.baseline_id, { status, q: search })
+                .then(result => { if (active) { setData(result); setError(''); } })
+                .catch(err => { if (active) setError(err.message); });
+        }, 300);
+        return () => { active = false; clearTimeout(timer); };
+    }, [baseline.baseline_id, baseline.last_evaluated_at, status, search]);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px', flexWrap: 'wrap' }}>
+                <select className="form-control" value={status} onChange={(e) => onFilterChange({ status: e.target.value })} style={{ width: '200px' }}>
+                    <option value="">All endpoints</option>
+                    {Object.entries(ENDPOINT_STATUSES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Computer name contains..."
+                    value={search}
+                    onChange={(e) => onFilterChange({ q: e.target.value })}
+                    style={{ width: '260px' }}
+                />
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {!data && !error && <div className="spinner"></div>}
+            {data && (
+                <>
+                    <p>
+                        {data.total} endpoint{data.total === 1 ? '' : 's'}
+                        {data.total > data.endpoints.length && ` (lowest ${data.endpoints.length} scores shown; export for the full list)`}
+                    </p>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Computer</th>
+                                    <th>Score</th>
+                                    <th>Passed</th>
+                                    <th>Failed</th>
+                                    <th>Missing Data</th>
+                                    <th>Failing Controls</th>
+                                    <th>Evaluated</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {data.endpoints.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="7" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                            No matching endpoints
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    data.endpoints.map(endpoint => (
+                                        <React.Fragment key={endpoint.computer_name}>
+                                            <tr>
+                                                <td>
+                                                    <button
+                                                        className="btn btn-small"
+                                                        onClick={() => setExpanded(expanded === endpoint.computer_name ? null : endpoint.computer_name)}
+                                                        title="Show all controls"
+                                                        style={{ marginRight: '8px' }}
+                                                    >
+                                                        {expanded === endpoint.computer_name ? '▾' : '▸'}
+                                                    </button>
+                                                    <Link to={`/computers/${encodeURIComponent(endpoint.computer_name)}`}>{endpoint.computer_name}</Link>
+                                                </td>
+                                                <td>
+                                                    <span className={`badge ${scoreBadge(endpoint.score)}`}>{formatPercent(endpoint.score)}</span>
+                                                </td>
+                                                <td>{endpoint.passed}</td>
+                                                <td>{endpoint.failed}</td>
+                                                <td>{endpoint.unknown}</td>
+                                                <td style={{ fontSize: '0.9rem' }}>
+                                                    {endpoint.failed_controls.map(id => labels[id] || id).join(', ') || '-'}
+                                                </td>
+                                                <td>{formatTime(endpoint.evaluated_at)}</td>
+                                            </tr>
+                                            {expanded === endpoint.computer_name && (
+                                                <tr>
+                                                    <td colSpan="7">
+                                                        <EndpointResults baselineId={baseline.baseline_id} computerName={endpoint.computer_name} />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+function FailureList({ baseline, controls, control, search, onFilterChange }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        const timer = setTimeout(() => {
+            complianceService.getFailures(baseline.baseline_id, { control, q: search })
+                .then(result => { if (active) { setData(result); setError(''); } })
+                .catch(err => { if (active) setError(err.message); });
+        }, 300);
+        return () => { active = false; clearTimeout(timer); };
+    }, [baseline.baseline_id, baseline.last_evaluated_at, control, search]);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px', flexWrap: 'wrap' }}>
+                <select className="form-control" value={control} onChange={(e) => onFilterChange({ control: e.target.value })} style={{ width: '320px' }}>
+                    <option value="">All controls</option>
+                    {baseline.controls.map(({ control: id }) => (
+                        <option key={id} value={id}>{controls.find(c => c.id === id)?.label || id}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Computer name contains..."
+                    value={search}
+                    onChange={(e) => onFilterChange({ q: e.target.value })}
+                    style={{ width: '260px' }}
+                />
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {!data && !error && <div className="spinner"></div>}
+            {data && (
+                <>
+                    <p>
+                        {data.total} failing control{data.total === 1 ? '' : 's'}
+                        {data.total > data.failures.length && ` (first ${data.failures.length} shown; export for the full list)`}
+                    </p>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Computer</th>
+                                    <th>Control</th>
+                                    <th>Found</th>
+                                    <th>Evaluated</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {data.failures.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="4" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                            No failing controls
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    data.failures.map(failure => (
+                                        <tr key={`${failure.computer_name}-${failure.control_id}`}>
+                                            <td><Link to={`/computers/${encodeURIComponent(failure.computer_name)}`}>{failure.computer_name}</Link></td>
+                                            <td>{failure.control}</td>
+                                            <td>{failure.actual || '-'}</td>
+                                            <td>{formatTime(failure.evaluated_at)}</td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+function BaselineList({ baselines, isAdmin, onSelect, onEdit, onDelete }) {
+    return (
+        <div className="card">
+            <div className="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Applies To</th>
+                            <th>Controls</th>
+                            <th>Pass Rate</th>
+                            <th>Compliant</th>
+                            <th>Last Evaluated</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {baselines.map(baseline => (
+                            <tr key={baseline.baseline_id}>
+                                <td>
+                                    <button className="btn btn-small" onClick={() => onSelect(baseline)} style={{ marginRight: '8px' }}>Open</button>
+                                    <strong>{baseline.name}</strong>
+                                    {baseline.description && (
+                                        <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{baseline.description}</div>
+                                    )}
+                                </td>
+                                <td>{baseline.group_name || 'All active computers'}</td>
+                                <td>{baseline.controls.length}</td>
+                                <td>
+                                    <span className={`badge ${scoreBadge(baseline.pass_rate)}`}>{formatPercent(baseline.pass_rate)}</span>
+                                </td>
+                                <td>{baseline.compliant} / {baseline.computers}</td>
+                                <td>{formatTime(baseline.last_evaluated_at)}</td>
+                                <td>
+                                    {isAdmin && (
+                                        <div style={{ display: 'flex', gap: '6px' }}>
+                                            <button className="btn btn-small" onClick={() => onEdit(baseline)}>Edit</button>
+                                            <button className="btn btn-small btn-danger" onClick={() => onDelete(baseline)}>Delete</button>
+                                        </div>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+// Compliance baselines (/compliance): fleet and per-endpoint scorecards,
+// trends and failing controls. Admins define the baselines; every view can
+// be exported as an auditor report through the Export menu.
+function Compliance() {
+    const isAdmin = authService.hasRole('admin');
+    const canEvaluate = authService.hasRole('operator');
+    const [query, setQuery] = useQueryState({ baseline: '', tab: 'overview', status: '', control: '', q: '', days: '90' });
+    const [baselines, setBaselines] = useState([]);
+    const [controls, setControls] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    // null when closed, 'new' or the baseline being edited
+    const [editing, setEditing] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [evaluating, setEvaluating] = useState(false);
+
+    const loadBaselines = useCallback(async () => {
+        try {
+            setBaselines(await complianceService.getBaselines());
+            setError('');
+        } catch (err) {
+            console.error('Failed to load compliance baselines:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadBaselines();
+        complianceService.getControls()
+            .then(setControls)
+            .catch(err => console.error('Failed to load compliance controls:', err));
+    }, [loadBaselines]);
+
+    const baseline = baselines.find(b => String(b.baseline_id) === query.baseline) || baselines[0];
+    const labels = Object.fromEntries(controls.map(control => [control.id, control.label]));
+
+    const selectBaseline = (next) => setQuery({ baseline: next.baseline_id, tab: 'overview', status: '', control: '', q: '' });
+
+    const openForm = (target) => {
+        setFormError('');
+        setEditing(target);
+    };
+
+    const handleSave = async (form) => {
+        setSaving(true);
+        setFormError('');
+        try {
+            const saved = editing === 'new'
+                ? await complianceService.createBaseline(form)
+                : await complianceService.updateBaseline(editing.baseline_id, form);
+            setEditing(null);
+            await loadBaselines();
+            selectBaseline(saved);
+        } catch (err) {
+            setFormError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (target) => {
+        if (!window.confirm(`Delete the baseline "${target.name}"? Its results and trend history are deleted too.`)) return;
+        try {
+            await complianceService.deleteBaseline(target.baseline_id);
+            if (query.baseline === String(target.baseline_id)) setQuery({ baseline: '' });
+            await loadBaselines();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleEvaluate = async () => {
+        setEvaluating(true);
+        try {
+            await complianceService.evaluate(baseline.baseline_id);
+            await loadBaselines();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setEvaluating(false);
+        }
+    };
+
+    if (loading) {
+        return <div className="spinner"></div>;
+    }
+
+    const tab = baseline ? query.tab : 'baselines';
+    const exportView = {
+        overview: { view: 'controls', title: 'Control Pass Rates' },
+        endpoints: { view: 'endpoints', title: 'Endpoint Scores' },
+        failures: { view: 'failures', title: 'Failing Controls' }
+    }[tab];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px', flexWrap: 'wrap', gap: '10px' }}>
+                <h1 style={{ margin: 0 }}>Compliance</h1>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+                    {baseline && (
+                        <select
+                            className="form-control"
+                            value={String(baseline.baseline_id)}
+                            onChange={(e) => selectBaseline({ baseline_id: e.target.value })}
+                            style={{ width: '240px' }}
+                        >
+                            {baselines.map(b => (
+                                <option key={b.baseline_id} value={String(b.baseline_id)}>{b.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    {baseline && canEvaluate && (
+                        <button className="btn" onClick={handleEvaluate} disabled={evaluating}>
+                            {evaluating ? 'Evaluating...' : 'Evaluate Now'}
+                        </button>
+                    )}
+                    {baseline && exportView && (
+                        <ExportMenu
+                            source="compliance"
+                            title={`${baseline.name} - ${exportView.title}`}
+                            parameters={{
+                                baselineId: baseline.baseline_id,
+                                view: exportView.view,
+                                status: tab === 'endpoints' ? query.status : '',
+                                control: tab === 'failures' ? query.control : '',
+                                search: tab === 'overview' ? '' : query.q
+                            }}
+                        />
+                    )}
+                    {isAdmin && !editing && <button className="btn btn-primary" onClick={() => openForm('new')}>New Baseline</button>}
+                </div>
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            {editing && (
+                <BaselineForm
+                    key={editing === 'new' ? 'new' : editing.baseline_id}
+                    initial={editing === 'new' ? EMPTY_BASELINE : toBaselineForm(editing)}
+                    catalog={controls}
+                    saving={saving}
+                    error={formError}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
+            {!baseline ? (
+                <div className="card" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                    {isAdmin ? 'No compliance baselines yet. Create one to start scoring endpoints.' : 'No compliance baselines have been defined yet.'}
+                </div>
+            ) : (
+                <>
+                    <p style={{ color: 'var(--text-secondary)', marginTop: 0 }}>
+                        {baseline.group_name ? `Device group ${baseline.group_name}` : 'All active computers'}
+                        {' · '}{baseline.controls.length} control{baseline.controls.length === 1 ? '' : 's'}
+                        {' · '}Last evaluated {formatTime(baseline.last_evaluated_at)}
+                    </p>
+
+                    <div className="tabs">
+                        <button className={`tab ${tab === 'overview' ? 'active' : ''}`} onClick={() => setQuery({ tab: 'overview' })}>
+                            Scorecard
+                        </button>
+                        <button className={`tab ${tab === 'endpoints' ? 'active' : ''}`} onClick={() => setQuery({ tab: 'endpoints' })}>
+                            Endpoints
+                        </button>
+                        <button className={`tab ${tab === 'failures' ? 'active' : ''}`} onClick={() => setQuery({ tab: 'failures' })}>
+                            Failing Controls
+                        </button>
+                        <button className={`tab ${tab === 'baselines' ? 'active' : ''}`} onClick={() => setQuery({ tab: 'baselines' })}>
+                            Baselines
+                        </button>
+                    </div>
+
+                    {tab === 'overview' && (
+                        <Overview
+                            baseline={baseline}
+                            days={query.days}
+                            onDaysChange={(days) => setQuery({ days })}
+                            onShowFailures={(control) => setQuery({ tab: 'failures', control, q: '' })}
+                        />
+                    )}
+                    {tab === 'endpoints' && (
+                        <EndpointList baseline={baseline} labels={labels} status={query.status} search={query.q} onFilterChange={setQuery} />
+                    )}
+                    {tab === 'failures' && (
+                        <FailureList baseline={baseline} controls={controls} control={query.control} search={query.q} onFilterChange={setQuery} />
+                    )}
+                    {tab === 'baselines' && (
+                        <BaselineList
+                            baselines={baselines}
+                            isAdmin={isAdmin}
+                            onSelect={selectBaseline}
+                            onEdit={openForm}
+                            onDelete={handleDelete}
+                        />
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default Compliance;
@@ -1,13 +1,47 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import { computerService } from '../services/api';
+import { useParams, Link } from 'react-router-dom';
+import { asList, authService, computerService } from '../services/api';
+import MetricTrendChart from './MetricTrendChart';
+import ComputerInventoryForm from './ComputerInventoryForm';
+import RemediationAction from './RemediationAction';
+import useQueryState from '../hooks/useQueryState';
+import { ComputerVulnerabilities } from './Vulnerabilities';
+import ComputerReachability from './ComputerReachability';
+import ComputerTimeline from './ComputerTimeline';
+import ComputerMetricTab from './ComputerMetricTab';
+
+// History charts of the CPU, Memory and Disk tabs, each with the performance baseline as overlay
+const TREND_CHARTS = {
+    cpu: {
+        title: 'CPU Usage History',
+        metricType: 'cpu_usage',
+        fields: [{ field: 'usage_percent', label: 'CPU Usage', area: true }],
+        overlay: { metricType: 'performance_baseline', label: 'Baseline', fields: [{ field: 'avg_cpu_percent', label: 'Baseline Avg CPU', dashed: true, color: '#6c757d' }] }
+    },
+    memory: {
+        title: 'Memory Usage History',
+        metricType: 'memory',
+        fields: [{ field: 'usage_percent', label: 'Memory Usage', area: true }],
+        overlay: { metricType: 'performance_baseline', label: 'Baseline', fields: [{ field: 'avg_memory_percent', label: 'Baseline Avg Memory', dashed: true, color: '#6c757d' }] }
+    },
+    disk: {
+        title: 'Disk Usage History',
+        metricType: 'disk_space',
+        fields: [{ field: 'usage_percent', label: 'Usage' }],
+        overlay: { metricType: 'performance_baseline', label: 'Baseline', fields: [{ field: 'avg_disk_usage_percent', label: 'Baseline Avg Disk', dashed: true, color: '#6c757d' }] }
+    }
+};
 
 function ComputerDetails() {
     const { computerName } = useParams();
     const [computer, setComputer] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
-    const [activeTab, setActiveTab] = useState('overview');
+    const [{ tab: activeTab }, setQuery] = useQueryState({ tab: 'overview' });
+    const setActiveTab = (tab) => setQuery({ tab });
+    const [editing, setEditing] = useState(false);
+    const [actionError, setActionError] = useState('');
+    const canEdit = authService.hasRole('operator');
 
     useEffect(() => {
         fetchComputerDetails();
@@ -15,6 +49,8 @@ function ComputerDetails() {
 
     const fetchComputerDetails = async () => {
         try {
+            setEditing(false);
+            setActionError('');
             setLoading(true);
             const data = await computerService.getComputer(computerName);
             setComputer(data);
@@ -27,6 +63,26 @@ function ComputerDetails() {
         }
     };
 
+    const handleDecommission = async () => {
+        const reason = window.prompt(`Decommission ${computer.computer_name}? Its scan history is kept. Reason (optional):`);
+        if (reason === null) return;
+        try {
+            await computerService.decommissionComputer(computer.computer_name, reason);
+            fetchComputerDetails();
+        } catch (err) {
+            setActionError(err.message);
+        }
+    };
+
+    const handleReinstate = async () => {
+        try {
+            await computerService.reinstateComputer(computer.computer_name);
+            fetchComputerDetails();
+        } catch (err) {
+            setActionError(err.message);
+        }
+    };
+
     if (loading) {
         return <div className="loading">Loading computer details...</div>;
     }
@@ -37,16 +93,46 @@ function ComputerDetails() {
 
     const metrics = computer.metrics || {};
     const users = computer.users || [];
+    const tags = asList(computer.tags);
+    const stoppedServices = asList(metrics.StoppedServices);
 
     return (
         <div className="page-container">
             <div className="page-header">
                 <h1>{computer.computer_name}</h1>
                 <span className={`badge ${computer.is_active ? 'badge-success' : 'badge-secondary'}`}>
-                    {computer.is_active ? 'Active' : 'Inactive'}
+                    {computer.decommissioned_at ? 'Decommissioned' : computer.is_active ? 'Active' : 'Inactive'}
                 </span>
+                <Link to={`/results/compare?hostname=${encodeURIComponent(computer.computer_name)}`} className="btn">
+                    Compare Scans
+                </Link>
+                {canEdit && !editing && (
+                    <button className="btn" onClick={() => setEditing(true)}>Edit Inventory</button>
+                )}
+                {canEdit && (computer.decommissioned_at ? (
+                    <button className="btn" onClick={handleReinstate}>Reinstate</button>
+                ) : (
+                    <button className="btn btn-danger" onClick={handleDecommission}>Decommission</button>
+                ))}
             </div>
 
+            {actionError && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{actionError}</div>}
+
+            {computer.decommissioned_at && (
+                <div className="alert" style={{ marginBottom: '20px' }}>
+                    Decommissioned {new Date(computer.decommissioned_at).toLocaleString()} by {computer.decommissioned_by}
+                    {computer.decommission_reason && `: ${computer.decommission_reason}`}. Scan history is kept.
+                </div>
+            )}
+
+            {editing && (
+                <ComputerInventoryForm
+                    computer={computer}
+                    onSaved={fetchComputerDetails}
+                    onCancel={() => setEditing(false)}
+                />
+            )}
+
             <div className="card" style={{ marginBottom: '20px' }}>
                 <div className="info-grid">
                     <div>
@@ -81,9 +167,37 @@ function ComputerDetails() {
                         <label>Department</label>
                         <p>{computer.department || 'Not Set'}</p>
                     </div>
+                    <div>
+                        <label>Owner</label>
+                        <p>{computer.owner || 'Not Set'}</p>
+                    </div>
+                    <div>
+                        <label>Asset Tag</label>
+                        <p>{computer.asset_tag || 'Not Set'}</p>
+                    </div>
+                    <div>
+                        <label>Serial Number</label>
+                        <p>{computer.serial_number || 'N/A'}</p>
+                    </div>
+                    <div>
+                        <label>Tags</label>
+                        <p>
+                            {tags.length === 0 ? 'None' : tags.map(tag => (
+                                <span key={tag} className="badge badge-info" style={{ marginRight: '4px' }}>{tag}</span>
+                            ))}
+                        </p>
+                    </div>
                 </div>
+                {computer.notes && (
+                    <div style={{ marginTop: '15px' }}>
+                        <label>Notes</label>
+                        <p style={{ whiteSpace: 'pre-wrap' }}>{computer.notes}</p>
+                    </div>
+                )}
             </div>
 
+            {!computer.decommissioned_at && <ComputerReachability computerName={computer.computer_name} />}
+
             {users.length > 0 && (
                 <div className="card" style={{ marginBottom: '20px' }}>
                     <h3>Associated Users</h3>
@@ -147,6 +261,48 @@ function ComputerDetails() {
                 >
                     Security
                 </button>
+                <button
+                    className={`tab ${activeTab === 'services' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('services')}
+                >
+                    Services {stoppedServices.length > 0 && <span className="badge badge-warning">{stoppedServices.length}</span>}
+                </button>
+                <button
+                    className={`tab ${activeTab === 'network' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('network')}
+                >
+                    Network
+                </button>
+                <button
+                    className={`tab ${activeTab === 'software' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('software')}
+                >
+                    Software
+                </button>
+                <button
+                    className={`tab ${activeTab === 'events' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('events')}
+                >
+                    Events
+                </button>
+                <button
+                    className={`tab ${activeTab === 'experience' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('experience')}
+                >
+                    User Experience
+                </button>
+                <button
+                    className={`tab ${activeTab === 'vulnerabilities' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('vulnerabilities')}
+                >
+                    Vulnerabilities
+                </button>
+                <button
+                    className={`tab ${activeTab === 'timeline' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('timeline')}
+                >
+                    Timeline
+                </button>
             </div>
 
             <div className="tab-content">
@@ -186,6 +342,10 @@ function ComputerDetails() {
                     </div>
                 )}
 
+                {activeTab === 'cpu' && (
+                    <MetricTrendChart {...TREND_CHARTS.cpu} computerName={computerName} yMax={100} unit="%" />
+                )}
+
                 {activeTab === 'cpu' && metrics.CPU && (
                     <div className="card">
                         <h3>CPU Information</h3>
@@ -214,6 +374,10 @@ function ComputerDetails() {
                     </div>
                 )}
 
+                {activeTab === 'memory' && (
+                    <MetricTrendChart {...TREND_CHARTS.memory} computerName={computerName} yMax={100} unit="%" />
+                )}
+
                 {activeTab === 'memory' && metrics.Memory && (
                     <div className="card">
                         <h3>Memory Information</h3>
@@ -244,6 +408,10 @@ function ComputerDetails() {
                     </div>
                 )}
 
+                {activeTab === 'disk' && (
+                    <MetricTrendChart {...TREND_CHARTS.disk} computerName={computerName} yMax={100} unit="%" />
+                )}
+
                 {activeTab === 'disk' && metrics.Disks && (
                     <div className="card">
                         <h3>Disk Information</h3>
@@ -256,6 +424,7 @@ function ComputerDetails() {
                                     <th>Used</th>
                                     <th>Free</th>
                                     <th>Usage</th>
+                                    <th>Remediation</th>
                                 </tr>
                             </thead>
                             <tbody>
@@ -278,6 +447,18 @@ function ComputerDetails() {
                                             </div>
                                             <span>{disk.usage_percent?.toFixed(1)}%</span>
                                         </td>
+                                        <td>
+                                            {disk.usage_percent > 90 && (
+                                                <>
+                                                    <RemediationAction
+                                                        computerName={computer.computer_name}
+                                                        action="disk-clear-temp"
+                                                        description={`Drive ${disk.drive_letter}: is ${disk.usage_percent?.toFixed(1)}% full. Temporary files and downloaded Windows Update packages will be deleted.`}
+                                                    />
+                                                    <RemediationAction computerName={computer.computer_name} action="disk-recycle-bin" />
+                                                </>
+                                            )}
+                                        </td>
                                     </tr>
                                 ))}
                             </tbody>
@@ -287,6 +468,14 @@ function ComputerDetails() {
 
                 {activeTab === 'security' && (
                     <div>
+                        <div className="card" style={{ marginBottom: '15px', display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px' }}>
+                            <div>
+                                <h3>Group Policy</h3>
+                                <p style={{ color: 'var(--text-secondary)' }}>Re-apply firewall, update and security policies from the domain.</p>
+                            </div>
+                            <RemediationAction computerName={computer.computer_name} action="gpo-update" />
+                        </div>
+
                         {metrics.Updates && (
                             <div className="card" style={{ marginBottom: '15px' }}>
                                 <h3>Windows Updates</h3>
@@ -336,6 +525,51 @@ function ComputerDetails() {
                         )}
                     </div>
                 )}
+
+                {activeTab === 'services' && (
+                    <div className="card">
+                        <h3>Stopped Automatic Services</h3>
+                        {stoppedServices.length === 0 ? (
+                            <p style={{ color: 'var(--text-secondary)' }}>All automatic services were running at the last collection.</p>
+                        ) : (
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Service</th>
+                                        <th>Display Name</th>
+                                        <th>Status</th>
+                                        <th>Startup Type</th>
+                                        <th>Remediation</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {stoppedServices.map((svc) => (
+                                        <tr key={svc.service_name}>
+                                            <td>
+                                                <code>{svc.service_name}</code> {svc.is_critical && <span className="badge badge-danger">Critical</span>}
+                                            </td>
+                                            <td>{svc.display_name}</td>
+                                            <td>{svc.status}</td>
+                                            <td>{svc.startup_type}</td>
+                                            <td>
+                                                <RemediationAction computerName={computer.computer_name} action="service-start" parameters={{ ServiceName: svc.service_name }} />
+                                                <RemediationAction computerName={computer.computer_name} action="service-restart" parameters={{ ServiceName: svc.service_name }} />
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                )}
+
+                {['network', 'software', 'events', 'experience'].includes(activeTab) && (
+                    <ComputerMetricTab computerName={computer.computer_name} tab={activeTab} />
+                )}
+
+                {activeTab === 'vulnerabilities' && <ComputerVulnerabilities computerName={computer.computer_name} />}
+
+                {activeTab === 'timeline' && <ComputerTimeline computerName={computer.computer_name} />}
             </div>
         </div>
     );
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { asList, computerService } from '../services/api';
+
+const COMPUTER_TYPES = ['Desktop', 'Laptop', 'Server', 'Workstation'];
+
+const TEXT_FIELDS = [
+    { field: 'location', label: 'Location', maxLength: 100 },
+    { field: 'department', label: 'Department', maxLength: 100 },
+    { field: 'owner', label: 'Owner', maxLength: 255 },
+    { field: 'asset_tag', label: 'Asset Tag', maxLength: 100 },
+    { field: 'serial_number', label: 'Serial Number', maxLength: 100 },
+    { field: 'ip_address', label: 'IP Address', maxLength: 45 },
+    { field: 'mac_address', label: 'MAC Address', maxLength: 17, placeholder: '00:1A:2B:3C:4D:5E' }
+];
+
+// Edits the asset fields of one computer; empty fields are cleared
+function ComputerInventoryForm({ computer, onSaved, onCancel }) {
+    const [form, setForm] = useState(() => ({
+        ...Object.fromEntries(TEXT_FIELDS.map(({ field }) => [field, computer[field] || ''])),
+        computer_type: computer.computer_type || '',
+        notes: computer.notes || '',
+        tags: asList(computer.tags).join(', ')
+    }));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await computerService.updateComputer(computer.computer_name, {
+                ...form,
+                tags: form.tags.split(/[,;]/).map(t => t.trim()).filter(t => t)
+            });
+            onSaved();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form className="card" onSubmit={handleSubmit} style={{ marginBottom: '20px' }}>
+            <h3 style={{ marginBottom: '20px' }}>Edit Inventory</h3>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '15px' }}>
+                {TEXT_FIELDS.map(({ field, label, maxLength, placeholder }) => (
+                    <div className="form-group" key={field}>
+                        <label>{label}</label>
+                        <input
+                            type="text"
+                            className="form-control"
+                            value={form[field]}
+                            onChange={(e) => update(field, e.target.value)}
+                            maxLength={maxLength}
+                            placeholder={placeholder}
+                        />
+                    </div>
+                ))}
+                <div className="form-group">
+                    <label>Computer Type</label>
+                    <select className="form-control" value={form.computer_type} onChange={(e) => update('computer_type', e.target.value)}>
+                        <option value="">Unknown</option>
+                        {COMPUTER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label>Tags (separated by commas)</label>
+                <input
+                    type="text"
+                    className="form-control"
+                    value={form.tags}
+                    onChange={(e) => update('tags', e.target.value)}
+                    placeholder="finance, kiosk"
+                />
+            </div>
+
+            <div className="form-group">
+                <label>Notes</label>
+                <textarea
+                    className="form-control"
+                    rows="3"
+                    value={form.notes}
+                    onChange={(e) => update('notes', e.target.value)}
+                    maxLength={4000}
+                />
+            </div>
+
+            <div style={{ display: 'flex', gap: '10px' }}>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+                <button type="button" className="btn" onClick={onCancel} disabled={saving}>Cancel</button>
+            </div>
+        </form>
+    );
+}
+
+export default ComputerInventoryForm;
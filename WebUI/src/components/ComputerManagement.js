@@ -1,26 +1,42 @@
-import React, { useState, useEffect } from 'react';
-import { computerService } from '../services/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { asList, authService, computerService } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+import InventoryImport from './InventoryImport';
+import DeviceGroupSelect from './DeviceGroupSelect';
 
 function ComputerManagement() {
     const [computers, setComputers] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [showAddForm, setShowAddForm] = useState(false);
+    const [showImport, setShowImport] = useState(false);
+    const [query, setQuery] = useQueryState({ group: '', decommissioned: '', reachability: '', offline: '' });
+    const { group, reachability } = query;
+    const showDecommissioned = query.decommissioned === '1';
+    // "Offline for more than N days": unreachable, and neither a check nor a scan has reached it since
+    const offlineDays = parseInt(query.offline, 10) || 0;
+    const [reachabilitySummary, setReachabilitySummary] = useState(null);
+    // Computer names checked for bulk tagging
+    const [selected, setSelected] = useState([]);
+    const [tagInput, setTagInput] = useState('');
+    const [tagging, setTagging] = useState(false);
+    const [tagMessage, setTagMessage] = useState('');
     const [newComputer, setNewComputer] = useState({
         name: '',
         ip: '',
         type: 'Desktop'
     });
 
-    useEffect(() => {
-        fetchComputers();
-    }, []);
+    // Viewers can browse the inventory but not register computers
+    const canEdit = authService.hasRole('operator');
 
-    const fetchComputers = async () => {
+    const fetchComputers = useCallback(async () => {
         try {
             setLoading(true);
-            const response = await computerService.getComputers(200);
+            const response = await computerService.getComputers(200, showDecommissioned, group, { reachability, offlineDays });
             setComputers(response.computers || []);
+            setSelected([]);
             setError('');
         } catch (err) {
             setError('Failed to load computers');
@@ -28,7 +44,17 @@ function ComputerManagement() {
         } finally {
             setLoading(false);
         }
-    };
+    }, [showDecommissioned, group, reachability, offlineDays]);
+
+    useEffect(() => {
+        fetchComputers();
+    }, [fetchComputers]);
+
+    useEffect(() => {
+        computerService.getReachabilitySummary(group)
+            .then(setReachabilitySummary)
+            .catch(err => console.error('Failed to load reachability summary:', err));
+    }, [group]);
 
     const handleAddComputer = async (e) => {
         e.preventDefault();
@@ -43,6 +69,68 @@ function ComputerManagement() {
         }
     };
 
+    const handleExport = async () => {
+        try {
+            const { filename, csv } = await computerService.exportInventory(showDecommissioned);
+            const blob = new Blob([csv], { type: 'text/csv' });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const toggleSelected = (name) => {
+        setSelected(current => current.includes(name) ? current.filter(n => n !== name) : [...current, name]);
+    };
+
+    const toggleAll = (checked) => {
+        setSelected(checked ? computers.map(c => c.computer_name) : []);
+    };
+
+    const handleTag = async (action) => {
+        const tags = tagInput.split(/[,;]/).map(t => t.trim()).filter(t => t);
+        if (tags.length === 0 || selected.length === 0) return;
+
+        setTagging(true);
+        setTagMessage('');
+        try {
+            const { updated, skipped } = action === 'add'
+                ? await computerService.tagComputers(selected, tags, [])
+                : await computerService.tagComputers(selected, [], tags);
+            setTagInput('');
+            setTagMessage(`Updated ${updated} computer${updated === 1 ? '' : 's'}${skipped ? `; ${skipped} skipped (tag limit reached)` : ''}.`);
+            await fetchComputers();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setTagging(false);
+        }
+    };
+
+    const handleDecommissionSelected = async () => {
+        const reason = window.prompt(`Decommission ${selected.length} computer${selected.length === 1 ? '' : 's'}? Their scan history is kept. Reason (optional):`);
+        if (reason === null) return;
+
+        setTagging(true);
+        setTagMessage('');
+        const failed = [];
+        for (const name of selected) {
+            try {
+                await computerService.decommissionComputer(name, reason);
+            } catch (err) {
+                failed.push(`${name}: ${err.message}`);
+            }
+        }
+        setTagMessage(`Decommissioned ${selected.length - failed.length} computer${selected.length - failed.length === 1 ? '' : 's'}.${failed.length ? ` Failed: ${failed.join('; ')}` : ''}`);
+        setTagging(false);
+        await fetchComputers();
+    };
+
     const formatLastSeen = (timestamp) => {
         if (!timestamp) return 'Never';
         const date = new Date(timestamp);
@@ -55,12 +143,23 @@ function ComputerManagement() {
         return `${Math.floor(diffMins / 1440)}d ago`;
     };
 
-    const getStatusColor = (lastSeen) => {
-        if (!lastSeen) return 'gray';
-        const diffMins = (new Date() - new Date(lastSeen)) / 60000;
-        if (diffMins < 60) return 'green';
-        if (diffMins < 1440) return 'yellow';
-        return 'red';
+    // From the reachability monitor: yellow after the first failed check, red once it keeps failing
+    const getStatusColor = (computer) => {
+        if (!computer.reachability) return 'gray';
+        if (computer.reachability === 'up') return 'green';
+        return computer.consecutive_failures < 3 ? 'yellow' : 'red';
+    };
+
+    const getStatusTitle = (computer) => {
+        if (!computer.reachability) return 'Not checked yet';
+        const probes = [
+            computer.ping_ok !== null && computer.ping_ok !== undefined && `ping ${computer.ping_ok ? 'ok' : 'failed'}`,
+            computer.winrm_ok !== null && computer.winrm_ok !== undefined && `WinRM ${computer.winrm_ok ? 'ok' : 'failed'}`
+        ].filter(Boolean).join(', ');
+        const status = computer.reachability === 'up'
+            ? 'Reachable'
+            : `Unreachable for ${computer.consecutive_failures} check${computer.consecutive_failures === 1 ? '' : 's'}`;
+        return `${status} (${probes}), checked ${formatLastSeen(computer.last_checked_at)}${computer.reachability_error ? `\n${computer.reachability_error}` : ''}`;
     };
 
     if (loading) {
@@ -71,19 +170,40 @@ function ComputerManagement() {
         <div className="page-container">
             <div className="page-header">
                 <h1>Computer Management</h1>
-                <button
-                    className="btn btn-primary"
-                    onClick={() => setShowAddForm(!showAddForm)}
-                >
-                    {showAddForm ? 'Cancel' : '+ Add Computer'}
-                </button>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                    <DeviceGroupSelect value={group} onChange={(next) => setQuery({ group: next })} style={{ width: 'auto' }} />
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                        <input
+                            type="checkbox"
+                            checked={showDecommissioned}
+                            onChange={(e) => setQuery({ decommissioned: e.target.checked ? '1' : '' })}
+                        />
+                        Show decommissioned
+                    </label>
+                    <button className="btn" onClick={handleExport}>Export CSV</button>
+                    {canEdit && (
+                        <button className="btn" onClick={() => setShowImport(!showImport)}>Import CSV</button>
+                    )}
+                    {canEdit && (
+                        <button
+                            className="btn btn-primary"
+                            onClick={() => setShowAddForm(!showAddForm)}
+                        >
+                            {showAddForm ? 'Cancel' : '+ Add Computer'}
+                        </button>
+                    )}
+                </div>
             </div>
 
             {error && (
                 <div className="alert alert-error">{error}</div>
             )}
 
-            {showAddForm && (
+            {canEdit && showImport && (
+                <InventoryImport onImported={() => fetchComputers()} onClose={() => setShowImport(false)} />
+            )}
+
+            {canEdit && showAddForm && (
                 <div className="card" style={{ marginBottom: '20px' }}>
                     <h3>Register New Computer</h3>
                     <form onSubmit={handleAddComputer} className="form-horizontal">
@@ -145,31 +265,149 @@ function ComputerManagement() {
                 </div>
             </div>
 
+            {reachabilitySummary && (
+                <div className="stats-grid" style={{ marginBottom: '20px' }}>
+                    <div className="stat-card" style={{ cursor: 'pointer' }} onClick={() => setQuery({ reachability: 'up', offline: '' })}>
+                        <h3>{reachabilitySummary.up}</h3>
+                        <p>Reachable</p>
+                    </div>
+                    <div className="stat-card" style={{ cursor: 'pointer' }} onClick={() => setQuery({ reachability: 'down', offline: '' })}>
+                        <h3>{reachabilitySummary.down}</h3>
+                        <p>Unreachable</p>
+                    </div>
+                    {reachabilitySummary.offline.map(o => (
+                        <div key={o.days} className="stat-card" style={{ cursor: 'pointer' }} onClick={() => setQuery({ reachability: '', offline: String(o.days) })}>
+                            <h3>{o.computers}</h3>
+                            <p>Offline &gt; {o.days} days</p>
+                        </div>
+                    ))}
+                    <div className="stat-card" style={{ cursor: 'pointer' }} onClick={() => setQuery({ reachability: 'unchecked', offline: '' })}>
+                        <h3>{reachabilitySummary.unchecked}</h3>
+                        <p>Not Checked</p>
+                    </div>
+                </div>
+            )}
+
+            <div className="card" style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '20px' }}>
+                <select
+                    className="form-control"
+                    value={reachability}
+                    onChange={(e) => setQuery({ reachability: e.target.value })}
+                    style={{ width: '200px' }}
+                >
+                    <option value="">Any reachability</option>
+                    <option value="up">Reachable</option>
+                    <option value="down">Unreachable</option>
+                    <option value="unchecked">Not checked yet</option>
+                </select>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    Offline for more than
+                    <input
+                        type="number"
+                        className="form-control"
+                        min="1"
+                        value={query.offline}
+                        onChange={(e) => setQuery({ offline: e.target.value })}
+                        style={{ width: '80px' }}
+                    />
+                    days
+                </label>
+                {(reachability || query.offline) && (
+                    <button className="btn" onClick={() => setQuery({ reachability: '', offline: '' })}>Clear</button>
+                )}
+                {reachabilitySummary && (
+                    <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginLeft: 'auto' }}>
+                        {reachabilitySummary.monitorEnabled
+                            ? `Checked every ${reachabilitySummary.intervalMinutes} minutes; last check ${formatLastSeen(reachabilitySummary.last_checked)}`
+                            : 'The reachability monitor is disabled'}
+                    </span>
+                )}
+            </div>
+
+            {offlineDays > 0 && (
+                <div className="alert" style={{ marginBottom: '20px' }}>
+                    {computers.length} computer{computers.length === 1 ? ' has' : 's have'} been unreachable with no successful check or scan for more than {offlineDays} days,
+                    longest offline first. {canEdit ? 'Select the ones that have been retired to decommission them.' : ''}
+                </div>
+            )}
+
+            {canEdit && selected.length > 0 && (
+                <div className="card" style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '20px' }}>
+                    <strong>{selected.length} selected</strong>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={tagInput}
+                        onChange={(e) => setTagInput(e.target.value)}
+                        placeholder="Tags, separated by commas"
+                        maxLength={200}
+                        style={{ width: '260px' }}
+                        disabled={tagging}
+                    />
+                    <button className="btn btn-primary" onClick={() => handleTag('add')} disabled={tagging || !tagInput.trim()}>Add Tags</button>
+                    <button className="btn" onClick={() => handleTag('remove')} disabled={tagging || !tagInput.trim()}>Remove Tags</button>
+                    {offlineDays > 0 && (
+                        <button className="btn btn-danger" onClick={handleDecommissionSelected} disabled={tagging}>Decommission Selected</button>
+                    )}
+                    <button className="btn" onClick={() => setSelected([])} disabled={tagging}>Clear Selection</button>
+                </div>
+            )}
+
+            {tagMessage && <div className="alert" style={{ marginBottom: '20px' }}>{tagMessage}</div>}
+
             <div className="card">
                 <table className="data-table">
                     <thead>
                         <tr>
+                            {canEdit && (
+                                <th>
+                                    <input
+                                        type="checkbox"
+                                        checked={computers.length > 0 && selected.length === computers.length}
+                                        onChange={(e) => toggleAll(e.target.checked)}
+                                        title="Select all"
+                                    />
+                                </th>
+                            )}
                             <th>Status</th>
                             <th>Computer Name</th>
                             <th>IP Address</th>
                             <th>Type</th>
                             <th>Domain</th>
                             <th>OS</th>
+                            <th>Location</th>
+                            <th>Owner</th>
+                            <th>Tags</th>
                             <th>Last Seen</th>
+                            <th>Last Reachable</th>
                             <th>Actions</th>
                         </tr>
                     </thead>
                     <tbody>
                         {computers.map((computer) => (
                             <tr key={computer.computer_name}>
+                                {canEdit && (
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={selected.includes(computer.computer_name)}
+                                            onChange={() => toggleSelected(computer.computer_name)}
+                                        />
+                                    </td>
+                                )}
                                 <td>
                                     <span
                                         className="status-dot"
-                                        style={{ backgroundColor: getStatusColor(computer.last_seen) }}
-                                        title={computer.is_active ? 'Active' : 'Inactive'}
+                                        style={{ backgroundColor: getStatusColor(computer) }}
+                                        title={getStatusTitle(computer)}
                                     ></span>
                                 </td>
-                                <td><strong>{computer.computer_name}</strong></td>
+                                <td>
+                                    <strong>{computer.computer_name}</strong>
+                                    {computer.decommissioned_at && (
+                                        <span className="badge badge-secondary" style={{ marginLeft: '8px' }}>Decommissioned</span>
+                                    )}
+                                </td>
                                 <td>{computer.ip_address || 'N/A'}</td>
                                 <td>{computer.computer_type || 'Unknown'}</td>
                                 <td>
@@ -180,11 +418,26 @@ function ComputerManagement() {
                                     )}
                                 </td>
                                 <td>{computer.operating_system || 'N/A'}</td>
+                                <td>{computer.location || '-'}</td>
+                                <td>{computer.owner || '-'}</td>
+                                <td>
+                                    {asList(computer.tags).map(tag => (
+                                        <span key={tag} className="badge badge-info" style={{ marginRight: '4px' }}>{tag}</span>
+                                    ))}
+                                </td>
                                 <td>{formatLastSeen(computer.last_seen)}</td>
                                 <td>
-                                    <a href={`#/computers/${computer.computer_name}`} className="btn btn-sm">
+                                    {formatLastSeen(computer.last_reachable_at)}
+                                    {computer.reachability === 'down' && (
+                                        <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                            {computer.consecutive_failures} failed check{computer.consecutive_failures === 1 ? '' : 's'}
+                                        </div>
+                                    )}
+                                </td>
+                                <td>
+                                    <Link to={`/computers/${encodeURIComponent(computer.computer_name)}`} className="btn btn-sm">
                                         View Details
-                                    </a>
+                                    </Link>
                                 </td>
                             </tr>
                         ))}
@@ -193,7 +446,11 @@ function ComputerManagement() {
 
                 {computers.length === 0 && (
                     <div className="empty-state">
-                        <p>No computers found. Add a computer to get started.</p>
+                        <p>
+                            {reachability || offlineDays
+                                ? 'No computers match the reachability filter.'
+                                : group ? 'No computers in this device group.' : 'No computers found. Add a computer to get started.'}
+                        </p>
                     </div>
                 )}
             </div>
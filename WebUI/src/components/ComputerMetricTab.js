@@ -0,0 +1,357 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { computerService } from '../services/api';
+
+const EVENT_COLUMNS = [
+    { key: 'timestamp', label: 'Time', format: 'time' },
+    { key: 'level', label: 'Level' },
+    { key: 'event_id', label: 'Event ID' },
+    { key: 'source', label: 'Source' },
+    { key: 'message', label: 'Message', wrap: true },
+    { key: 'user_name', label: 'User' }
+];
+
+// Sections of each tab, in the order the API returns them (Get-ComputerMetricTab).
+// route is the metric page listing every collection of the section.
+const TAB_SECTIONS = {
+    network: [
+        {
+            key: 'network_adapters', title: 'Network Adapters', route: 'network_adapters', columns: [
+                { key: 'adapter_name', label: 'Adapter' },
+                { key: 'adapter_status', label: 'Status' },
+                { key: 'ip_addresses', label: 'IP Addresses', format: 'list' },
+                { key: 'mac_address', label: 'MAC' },
+                { key: 'link_speed_mbps', label: 'Speed (Mbps)' },
+                { key: 'dhcp_enabled', label: 'DHCP', format: 'bool' },
+                { key: 'dns_servers', label: 'DNS Servers', format: 'list' },
+                { key: 'is_wireless', label: 'Wireless', format: 'bool' }
+            ]
+        },
+        {
+            key: 'network_connections', title: 'Active Connections', route: 'network_connections', columns: [
+                { key: 'protocol', label: 'Protocol' },
+                { key: 'local_address', label: 'Local Address' },
+                { key: 'local_port', label: 'Local Port' },
+                { key: 'remote_address', label: 'Remote Address' },
+                { key: 'remote_port', label: 'Remote Port' },
+                { key: 'state', label: 'State' },
+                { key: 'process_name', label: 'Process' },
+                { key: 'process_id', label: 'PID' }
+            ]
+        },
+        {
+            key: 'routing_table', title: 'Routing Table', route: 'routing', columns: [
+                { key: 'destination', label: 'Destination' },
+                { key: 'gateway', label: 'Gateway' },
+                { key: 'interface_name', label: 'Interface' },
+                { key: 'metric', label: 'Metric' },
+                { key: 'is_persistent', label: 'Persistent', format: 'bool' }
+            ]
+        },
+        {
+            key: 'dns_cache', title: 'DNS Cache', route: 'dns_cache', columns: [
+                { key: 'record_name', label: 'Name' },
+                { key: 'record_type', label: 'Type' },
+                { key: 'record_data', label: 'Data' },
+                { key: 'ttl', label: 'TTL' }
+            ]
+        },
+        {
+            key: 'vpn_connections', title: 'VPN Connections', route: 'vpn', columns: [
+                { key: 'connection_name', label: 'Connection' },
+                { key: 'connection_status', label: 'Status' },
+                { key: 'vpn_type', label: 'Type' },
+                { key: 'server_address', label: 'Server' },
+                { key: 'assigned_ip', label: 'Assigned IP' },
+                { key: 'connected_since', label: 'Connected Since', format: 'time' },
+                { key: 'bytes_sent_mb', label: 'Sent (MB)' },
+                { key: 'bytes_received_mb', label: 'Received (MB)' }
+            ]
+        },
+        {
+            key: 'wifi_networks', title: 'WiFi Networks', route: 'wifi', columns: [
+                { key: 'ssid', label: 'SSID' },
+                { key: 'is_connected', label: 'Connected', format: 'bool' },
+                { key: 'signal_strength_percent', label: 'Signal (%)' },
+                { key: 'channel', label: 'Channel' },
+                { key: 'frequency_ghz', label: 'Band (GHz)' },
+                { key: 'security_type', label: 'Security' }
+            ]
+        }
+    ],
+    software: [
+        {
+            key: 'installed_software', title: 'Installed Software', route: 'software', columns: [
+                { key: 'software_name', label: 'Name' },
+                { key: 'version', label: 'Version' },
+                { key: 'vendor', label: 'Vendor' },
+                { key: 'install_date', label: 'Installed', format: 'date' },
+                { key: 'size_mb', label: 'Size (MB)' },
+                { key: 'is_system_component', label: 'System Component', format: 'bool' }
+            ]
+        },
+        {
+            key: 'services', title: 'Services', route: 'services', columns: [
+                { key: 'service_name', label: 'Service' },
+                { key: 'display_name', label: 'Display Name' },
+                { key: 'status', label: 'Status' },
+                { key: 'startup_type', label: 'Startup Type' },
+                { key: 'account', label: 'Account' },
+                { key: 'is_critical', label: 'Critical', format: 'bool' }
+            ]
+        },
+        {
+            key: 'startup_programs', title: 'Startup Programs', route: 'startup', columns: [
+                { key: 'program_name', label: 'Program' },
+                { key: 'command', label: 'Command', wrap: true },
+                { key: 'location', label: 'Location' },
+                { key: 'user_context', label: 'User Context' },
+                { key: 'enabled', label: 'Enabled', format: 'bool' },
+                { key: 'impact', label: 'Impact' }
+            ]
+        },
+        {
+            key: 'scheduled_tasks', title: 'Scheduled Tasks', route: 'tasks', columns: [
+                { key: 'task_name', label: 'Task' },
+                { key: 'task_path', label: 'Path' },
+                { key: 'state', label: 'State' },
+                { key: 'enabled', label: 'Enabled', format: 'bool' },
+                { key: 'last_run_time', label: 'Last Run', format: 'time' },
+                { key: 'last_result', label: 'Last Result' },
+                { key: 'next_run_time', label: 'Next Run', format: 'time' },
+                { key: 'run_as_user', label: 'Run As' }
+            ]
+        },
+        {
+            key: 'drivers', title: 'Drivers', route: 'drivers', columns: [
+                { key: 'device_name', label: 'Device' },
+                { key: 'device_class', label: 'Class' },
+                { key: 'driver_provider', label: 'Provider' },
+                { key: 'driver_version', label: 'Version' },
+                { key: 'driver_date', label: 'Date', format: 'date' },
+                { key: 'is_signed', label: 'Signed', format: 'bool' },
+                { key: 'device_status', label: 'Status' }
+            ]
+        }
+    ],
+    events: [
+        {
+            key: 'error_summary', title: 'Error Summary (Last 24h)', route: 'errors', columns: [
+                { key: 'error_count_24h', label: 'Errors' },
+                { key: 'critical_count_24h', label: 'Critical' },
+                { key: 'most_common_error_id', label: 'Most Common Event ID' },
+                { key: 'most_common_error_source', label: 'Source' },
+                { key: 'most_common_error_count', label: 'Occurrences' }
+            ]
+        },
+        { key: 'system_events', title: 'System Log Errors', route: 'system_events', columns: EVENT_COLUMNS },
+        { key: 'application_events', title: 'Application Log Errors', route: 'app_events', columns: EVENT_COLUMNS },
+        {
+            key: 'security_events', title: 'Security Log Errors and Audit Failures', route: 'security_events', columns: [
+                ...EVENT_COLUMNS,
+                { key: 'logon_type', label: 'Logon Type' }
+            ]
+        }
+    ],
+    experience: [
+        {
+            key: 'login_time', title: 'Login Time', route: 'login_time', columns: [
+                { key: 'user_id', label: 'User' },
+                { key: 'boot_duration_sec', label: 'Boot (s)' },
+                { key: 'gpo_processing_sec', label: 'Group Policy (s)' },
+                { key: 'profile_load_sec', label: 'Profile Load (s)' },
+                { key: 'login_duration_sec', label: 'Login (s)' },
+                { key: 'desktop_ready_sec', label: 'Desktop Ready (s)' },
+                { key: 'total_duration_sec', label: 'Total (s)' }
+            ]
+        },
+        {
+            key: 'login_history', title: 'Recent Logons', route: 'login_history', columns: [
+                { key: 'user_name', label: 'User' },
+                { key: 'login_time', label: 'Logon', format: 'time' },
+                { key: 'logout_time', label: 'Logoff', format: 'time' },
+                { key: 'login_type', label: 'Type' },
+                { key: 'source_ip', label: 'Source IP' },
+                { key: 'session_duration_minutes', label: 'Session (min)' }
+            ]
+        },
+        {
+            key: 'application_crashes', title: 'Application Crashes', route: 'crashes', columns: [
+                { key: 'application_name', label: 'Application' },
+                { key: 'application_version', label: 'Version' },
+                { key: 'crash_time', label: 'Crashed', format: 'time' },
+                { key: 'exception_code', label: 'Exception' },
+                { key: 'faulting_module', label: 'Faulting Module' },
+                { key: 'crash_count_7d', label: 'Crashes (7d)' },
+                { key: 'crash_count_30d', label: 'Crashes (30d)' }
+            ]
+        },
+        {
+            key: 'printers', title: 'Printers', route: 'printers', columns: [
+                { key: 'printer_name', label: 'Printer' },
+                { key: 'printer_status', label: 'Status' },
+                { key: 'is_default', label: 'Default', format: 'bool' },
+                { key: 'is_network', label: 'Network', format: 'bool' },
+                { key: 'port_name', label: 'Port' },
+                { key: 'driver_name', label: 'Driver' },
+                { key: 'location', label: 'Location' }
+            ]
+        },
+        {
+            key: 'printing_issues', title: 'Printing Issues', route: 'printing', columns: [
+                { key: 'total_print_jobs', label: 'Print Jobs' },
+                { key: 'failed_print_jobs', label: 'Failed' },
+                { key: 'pending_print_jobs', label: 'Pending' },
+                { key: 'last_error_time', label: 'Last Error', format: 'time' },
+                { key: 'last_error_code', label: 'Error Code' },
+                { key: 'last_error_message', label: 'Message', wrap: true }
+            ]
+        },
+        {
+            key: 'mapped_drives', title: 'Mapped Drives', route: 'mapped_drives', columns: [
+                { key: 'drive_letter', label: 'Drive' },
+                { key: 'network_path', label: 'Path' },
+                { key: 'status', label: 'Status' },
+                { key: 'persistent', label: 'Persistent', format: 'bool' },
+                { key: 'user_name', label: 'User' }
+            ]
+        }
+    ]
+};
+
+const formatValue = (value, format) => {
+    if (value === null || value === undefined || value === '') return '-';
+    switch (format) {
+        case 'time':
+            return new Date(value).toLocaleString();
+        case 'date':
+            return new Date(value).toLocaleDateString();
+        case 'bool':
+            return value ? 'Yes' : 'No';
+        case 'list':
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        default:
+            return String(value);
+    }
+};
+
+// Numbers and times sort by value, everything else alphabetically; empty values go last
+const compareValues = (a, b, format) => {
+    const aEmpty = a === null || a === undefined || a === '';
+    const bEmpty = b === null || b === undefined || b === '';
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+    if (format === 'time' || format === 'date') return new Date(a) - new Date(b);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(b) - Number(a);
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// One section card: last collected time, a table sortable by clicking its headers and a link to the full metric page
+function MetricSection({ section, data, computerName }) {
+    const [sort, setSort] = useState({ column: null, direction: 'asc' });
+
+    const rows = data?.rows || [];
+    const sortColumn = section.columns.find(col => col.key === sort.column);
+    const sorted = sortColumn
+        ? [...rows].sort((a, b) => {
+            const result = compareValues(a[sortColumn.key], b[sortColumn.key], sortColumn.format);
+            return sort.direction === 'asc' ? result : -result;
+        })
+        : rows;
+
+    const toggleSort = (column) => {
+        setSort(current => ({
+            column,
+            direction: current.column === column && current.direction === 'asc' ? 'desc' : 'asc'
+        }));
+    };
+
+    return (
+        <div className="card" style={{ marginBottom: '20px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', flexWrap: 'wrap', gap: '10px' }}>
+                <h3 style={{ margin: 0 }}>
+                    {section.title}{' '}
+                    {rows.length > 0 && <span className="badge badge-secondary">{data.total}</span>}
+                </h3>
+                <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                    {data?.collected_at ? `Last collected ${new Date(data.collected_at).toLocaleString()}` : 'Not collected yet'}
+                    {data?.window && ` · showing the ${data.window} up to then`}
+                    {' · '}
+                    <Link to={`/metrics/${section.route}?computerName=${encodeURIComponent(computerName)}`}>All collections</Link>
+                </span>
+            </div>
+
+            {rows.length === 0 ? (
+                <p style={{ color: 'var(--text-secondary)', marginBottom: 0 }}>
+                    {data?.collected_at ? 'Nothing recorded in the latest collection.' : 'No data has been collected for this computer yet.'}
+                </p>
+            ) : (
+                <div className="table-container" style={{ marginTop: '10px' }}>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                {section.columns.map(col => (
+                                    <th key={col.key} onClick={() => toggleSort(col.key)} style={{ cursor: 'pointer', whiteSpace: 'nowrap' }}>
+                                        {col.label}
+                                        {sort.column === col.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sorted.map((row, idx) => (
+                                <tr key={idx}>
+                                    {section.columns.map(col => (
+                                        <td key={col.key} style={col.wrap ? { fontSize: '0.85rem', wordBreak: 'break-word' } : undefined}>
+                                            {formatValue(row[col.key], col.format)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {data.total > rows.length && (
+                        <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                            Showing {rows.length} of {data.total} rows; open all collections for the rest.
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Network, Software, Events and User Experience tabs of the computer details page:
+// the latest collection of each metric in the tab, so one computer can be reviewed without the metric pages
+function ComputerMetricTab({ computerName, tab }) {
+    const [sections, setSections] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        setSections(null);
+        setError('');
+        computerService.getMetricTab(computerName, tab)
+            .then(result => { if (active) setSections(result); })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [computerName, tab]);
+
+    if (error) {
+        return <div className="alert alert-error">{error}</div>;
+    }
+
+    if (!sections) {
+        return <div className="spinner"></div>;
+    }
+
+    return (
+        <div>
+            {TAB_SECTIONS[tab].map(section => (
+                <MetricSection key={section.key} section={section} data={sections[section.key]} computerName={computerName} />
+            ))}
+        </div>
+    );
+}
+
+export default ComputerMetricTab;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { authService, computerService } from '../services/api';
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : 'Never';
+
+const probeLabel = (ok) => {
+    if (ok === null || ok === undefined) return 'not checked';
+    return ok ? 'answered' : 'no answer';
+};
+
+// Reachability card of the computer details page: the monitor's latest ping/WinRM check and the up/down history
+function ComputerReachability({ computerName }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+    const [checking, setChecking] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    const canCheck = authService.hasRole('operator');
+
+    useEffect(() => {
+        let active = true;
+        computerService.getReachability(computerName)
+            .then(result => { if (active) { setData(result); setError(''); } })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [computerName]);
+
+    const handleCheck = async () => {
+        setChecking(true);
+        setError('');
+        try {
+            setData(await computerService.checkReachability(computerName));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    const current = data?.reachability;
+
+    return (
+        <div className="card" style={{ marginBottom: '20px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ margin: 0 }}>
+                    Reachability{' '}
+                    {current && (
+                        <span className={`badge ${current.status === 'up' ? 'badge-success' : 'badge-danger'}`}>
+                            {current.status === 'up' ? 'Reachable' : 'Unreachable'}
+                        </span>
+                    )}
+                </h3>
+                {canCheck && (
+                    <button className="btn btn-small" onClick={handleCheck} disabled={checking}>
+                        {checking ? 'Checking...' : 'Check Now'}
+                    </button>
+                )}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginTop: '15px' }}>{error}</div>}
+            {!data && !error && <div className="spinner"></div>}
+
+            {data && !current && (
+                <p style={{ color: 'var(--text-secondary)' }}>The reachability monitor has not checked this computer yet.</p>
+            )}
+
+            {current && (
+                <>
+                    <div className="info-grid" style={{ marginTop: '15px' }}>
+                        <div>
+                            <label>Last Checked</label>
+                            <p>{formatTime(current.last_checked_at)}</p>
+                        </div>
+                        <div>
+                            <label>Last Reachable</label>
+                            <p>{formatTime(current.last_reachable_at)}</p>
+                        </div>
+                        <div>
+                            <label>Last Contact (Check or Scan)</label>
+                            <p>{formatTime(current.last_contact)}</p>
+                        </div>
+                        <div>
+                            <label>Consecutive Failures</label>
+                            <p>{current.consecutive_failures}</p>
+                        </div>
+                        <div>
+                            <label>Ping</label>
+                            <p>{probeLabel(current.ping_ok)}</p>
+                        </div>
+                        <div>
+                            <label>WinRM</label>
+                            <p>{probeLabel(current.winrm_ok)}</p>
+                        </div>
+                        <div>
+                            <label>Response Time</label>
+                            <p>{current.response_ms !== null && current.response_ms !== undefined ? `${current.response_ms} ms` : 'N/A'}</p>
+                        </div>
+                        <div>
+                            <label>Topology</label>
+                            <p>{current.topology || 'Unknown'}</p>
+                        </div>
+                        <div>
+                            <label>Status Since</label>
+                            <p>{formatTime(current.status_changed_at)}</p>
+                        </div>
+                    </div>
+                    {current.last_error && (
+                        <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>{current.last_error}</p>
+                    )}
+
+                    <button className="btn btn-small" onClick={() => setShowHistory(!showHistory)}>
+                        {showHistory ? 'Hide History' : 'Show Up/Down History'}
+                    </button>
+                    {showHistory && (
+                        <table className="data-table" style={{ marginTop: '10px' }}>
+                            <thead>
+                                <tr>
+                                    <th>Changed</th>
+                                    <th>Status</th>
+                                    <th>Error</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {data.history.map(event => (
+                                    <tr key={event.event_id}>
+                                        <td>{formatTime(event.changed_at)}</td>
+                                        <td>
+                                            <span className={`badge ${event.status === 'up' ? 'badge-success' : 'badge-danger'}`}>
+                                                {event.status === 'up' ? 'Reachable' : 'Unreachable'}
+                                            </span>
+                                        </td>
+                                        <td style={{ fontSize: '0.85rem' }}>{event.error_message || '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default ComputerReachability;
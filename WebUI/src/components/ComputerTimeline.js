@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { computerService } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+    { key: '24h', label: '24h', ms: DAY_MS },
+    { key: '7d', label: '7d', ms: 7 * DAY_MS },
+    { key: '30d', label: '30d', ms: 30 * DAY_MS },
+    { key: '90d', label: '90d', ms: 90 * DAY_MS }
+];
+
+const EVENT_TYPES = [
+    { key: 'scan', label: 'Scans', color: '#3b82f6' },
+    { key: 'software', label: 'Software', color: '#8b5cf6' },
+    { key: 'updates', label: 'Windows Updates', color: '#10b981' },
+    { key: 'logon', label: 'Logons', color: '#64748b' },
+    { key: 'crash', label: 'Crashes', color: '#ef4444' },
+    { key: 'event_error', label: 'Event Errors', color: '#f59e0b' },
+    { key: 'remediation', label: 'Remediation', color: '#06b6d4' },
+    { key: 'reachability', label: 'Reachability', color: '#ec4899' }
+];
+
+const SEVERITY_BADGES = {
+    info: 'badge-info',
+    success: 'badge-success',
+    warning: 'badge-warning',
+    error: 'badge-danger'
+};
+
+// Buckets the server splits the range into (Get-ComputerTimeline -Buckets)
+const BUCKETS = 60;
+const WIDTH = 800;
+const LANE_HEIGHT = 22;
+const MARGIN = { top: 6, right: 20, bottom: 24, left: 120 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const MIN_ZOOM_PX = 8;
+
+const typeInfo = (key) => EVENT_TYPES.find(t => t.key === key) || { key, label: key, color: '#94a3b8' };
+
+const toDateInput = (date) => {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().split('T')[0];
+};
+
+const formatTick = (t, span) => {
+    const date = new Date(t);
+    if (span <= 2 * DAY_MS) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+// Where the link of an event goes: scans open their results, remediation actions their record
+const referenceLink = (event) => {
+    if (!event.reference) return null;
+    if (event.event_type === 'scan') return `/results/${event.reference}`;
+    if (event.event_type === 'remediation') return `/remediation/${event.reference}`;
+    return null;
+};
+
+// One lane per event type with a cell per bucket, darker where more happened.
+// Drag across the lanes to zoom the page into that part of the range.
+function TimelineDensity({ types, buckets, start, end, onZoom }) {
+    const svgRef = useRef(null);
+    const [dragFrom, setDragFrom] = useState(null);
+    const [hoverT, setHoverT] = useState(null);
+
+    const span = Math.max(end - start, 1);
+    const height = MARGIN.top + types.length * LANE_HEIGHT + MARGIN.bottom;
+    const cellWidth = PLOT_WIDTH / BUCKETS;
+    const maxCount = Math.max(1, ...buckets.map(b => Number(b.count)));
+    const xScale = (t) => MARGIN.left + ((t - start) / span) * PLOT_WIDTH;
+
+    // Convert a mouse event into a time on the x axis
+    const eventTime = (e) => {
+        const svg = svgRef.current;
+        const point = svg.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        const local = point.matrixTransform(svg.getScreenCTM().inverse());
+        const x = Math.min(Math.max(local.x, MARGIN.left), MARGIN.left + PLOT_WIDTH);
+        return start + ((x - MARGIN.left) / PLOT_WIDTH) * span;
+    };
+
+    const handleMouseUp = (e) => {
+        if (dragFrom === null) return;
+        const to = eventTime(e);
+        const [a, b] = dragFrom < to ? [dragFrom, to] : [to, dragFrom];
+        if (((b - a) / span) * PLOT_WIDTH >= MIN_ZOOM_PX) {
+            onZoom(new Date(a), new Date(b));
+        }
+        setDragFrom(null);
+    };
+
+    const xTicks = [0, 0.2, 0.4, 0.6, 0.8, 1].map(f => start + f * span);
+
+    return (
+        <svg
+            ref={svgRef}
+            viewBox={`0 0 ${WIDTH} ${height}`}
+            width="100%"
+            style={{ userSelect: 'none', cursor: 'crosshair' }}
+            onMouseMove={(e) => setHoverT(eventTime(e))}
+            onMouseLeave={() => { setHoverT(null); setDragFrom(null); }}
+            onMouseDown={(e) => setDragFrom(eventTime(e))}
+            onMouseUp={handleMouseUp}
+        >
+            {types.map((type, lane) => {
+                const info = typeInfo(type);
+                const y = MARGIN.top + lane * LANE_HEIGHT;
+                return (
+                    <g key={type}>
+                        <text x={MARGIN.left - 8} y={y + LANE_HEIGHT / 2 + 4} textAnchor="end" fontSize="11" fill="var(--text-secondary)">
+                            {info.label}
+                        </text>
+                        <rect x={MARGIN.left} y={y + 2} width={PLOT_WIDTH} height={LANE_HEIGHT - 4} fill="var(--border-color)" fillOpacity="0.3" />
+                        {buckets.filter(b => b.event_type === type).map(b => (
+                            <rect
+                                key={b.bucket}
+                                x={MARGIN.left + b.bucket * cellWidth}
+                                y={y + 2}
+                                width={Math.max(cellWidth - 1, 1)}
+                                height={LANE_HEIGHT - 4}
+                                fill={info.color}
+                                fillOpacity={0.25 + 0.75 * (Number(b.count) / maxCount)}
+                            >
+                                <title>
+                                    {`${info.label}: ${b.count} between ${new Date(start + b.bucket * span / BUCKETS).toLocaleString()} and ${new Date(start + (b.bucket + 1) * span / BUCKETS).toLocaleString()}`}
+                                </title>
+                            </rect>
+                        ))}
+                    </g>
+                );
+            })}
+
+            {xTicks.map(t => (
+                <text key={t} x={xScale(t)} y={height - 8} textAnchor="middle" fontSize="11" fill="var(--text-secondary)">
+                    {formatTick(t, span)}
+                </text>
+            ))}
+
+            {dragFrom !== null && hoverT !== null && (
+                <rect
+                    x={xScale(Math.min(dragFrom, hoverT))}
+                    y={MARGIN.top}
+                    width={Math.abs(xScale(hoverT) - xScale(dragFrom))}
+                    height={types.length * LANE_HEIGHT}
+                    fill="var(--info-color)"
+                    fillOpacity="0.15"
+                />
+            )}
+        </svg>
+    );
+}
+
+// Timeline tab of the computer details page: scans, software changes, Windows updates, logons, crashes,
+// event log errors, remediation and reachability changes in one list. Range and type filters are kept in the URL.
+function ComputerTimeline({ computerName }) {
+    const [query, setQuery] = useQueryState({ range: '7d', from: '', to: '', types: [] });
+    const [timeline, setTimeline] = useState(null);
+    const [shown, setShown] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // An empty list means every type
+    const selectedTypes = query.types.length ? query.types : EVENT_TYPES.map(t => t.key);
+    const typesKey = query.types.join(',');
+
+    useEffect(() => {
+        let end;
+        let start;
+        if (query.range === 'custom') {
+            end = query.to ? new Date(query.to) : new Date();
+            start = query.from ? new Date(query.from) : new Date(end.getTime() - 7 * DAY_MS);
+        } else {
+            end = new Date();
+            start = new Date(end.getTime() - (RANGES.find(r => r.key === query.range) || RANGES[1]).ms);
+        }
+        if (isNaN(start) || isNaN(end) || start >= end) {
+            setError('The start of the range must be before its end');
+            setLoading(false);
+            return undefined;
+        }
+
+        let active = true;
+        setLoading(true);
+        computerService.getTimeline(computerName, { from: start, to: end, types: typesKey ? typesKey.split(',') : [] })
+            .then(result => {
+                if (!active) return;
+                setTimeline(result);
+                setShown({ start: start.getTime(), end: end.getTime() });
+                setError('');
+            })
+            .catch(err => { if (active) setError(err.message); })
+            .finally(() => { if (active) setLoading(false); });
+        return () => { active = false; };
+    }, [computerName, query.range, query.from, query.to, typesKey]);
+
+    const setCustomRange = (from, to) => {
+        setQuery({ range: 'custom', from: from.toISOString(), to: to.toISOString() });
+    };
+
+    const handleZoomOut = () => {
+        const span = shown.end - shown.start;
+        const end = Math.min(shown.end + span / 2, Date.now());
+        setCustomRange(new Date(end - span * 2), new Date(end));
+    };
+
+    const toggleType = (key) => {
+        const next = selectedTypes.includes(key)
+            ? selectedTypes.filter(t => t !== key)
+            : [...selectedTypes, key];
+        if (next.length === 0) return;
+        setQuery({ types: next.length === EVENT_TYPES.length ? [] : EVENT_TYPES.map(t => t.key).filter(t => next.includes(t)) });
+    };
+
+    const events = timeline?.events || [];
+    const days = [];
+    events.forEach(event => {
+        const day = new Date(event.event_time).toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        if (days.length === 0 || days[days.length - 1].day !== day) {
+            days.push({ day, events: [] });
+        }
+        days[days.length - 1].events.push(event);
+    });
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+                <h3 style={{ margin: 0 }}>Timeline</h3>
+                <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }}>
+                    {RANGES.map(r => (
+                        <button
+                            key={r.key}
+                            className={`btn btn-small ${query.range === r.key ? 'btn-primary' : ''}`}
+                            onClick={() => setQuery({ range: r.key, from: '', to: '' })}
+                        >
+                            {r.label}
+                        </button>
+                    ))}
+                    <button
+                        className={`btn btn-small ${query.range === 'custom' ? 'btn-primary' : ''}`}
+                        onClick={() => shown && setCustomRange(new Date(shown.start), new Date(shown.end))}
+                    >
+                        Custom
+                    </button>
+                    {query.range === 'custom' && shown && (
+                        <>
+                            <input
+                                type="date"
+                                value={toDateInput(new Date(shown.start))}
+                                max={toDateInput(new Date(shown.end))}
+                                onChange={(e) => e.target.value && setCustomRange(new Date(`${e.target.value}T00:00:00`), new Date(shown.end))}
+                            />
+                            <span>to</span>
+                            <input
+                                type="date"
+                                value={toDateInput(new Date(shown.end))}
+                                min={toDateInput(new Date(shown.start))}
+                                onChange={(e) => e.target.value && setCustomRange(new Date(shown.start), new Date(`${e.target.value}T23:59:59`))}
+                            />
+                            <button className="btn btn-small" onClick={handleZoomOut}>Zoom Out</button>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', marginBottom: '15px' }}>
+                {EVENT_TYPES.map(t => (
+                    <label key={t.key} style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                        <input type="checkbox" checked={selectedTypes.includes(t.key)} onChange={() => toggleType(t.key)} />
+                        <span className="chart-swatch" style={{ background: t.color }}></span>
+                        {t.label}
+                        {timeline && timeline.counts[t.key] !== undefined && (
+                            <span style={{ color: 'var(--text-secondary)' }}>({timeline.counts[t.key]})</span>
+                        )}
+                    </label>
+                ))}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {loading && !timeline && <div className="spinner"></div>}
+
+            {timeline && shown && (
+                <>
+                    <div style={{ opacity: loading ? 0.5 : 1 }}>
+                        <TimelineDensity
+                            types={selectedTypes}
+                            buckets={timeline.buckets}
+                            start={shown.start}
+                            end={shown.end}
+                            onZoom={setCustomRange}
+                        />
+                        <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', margin: '5px 0 20px' }}>
+                            {new Date(shown.start).toLocaleString()} – {new Date(shown.end).toLocaleString()} · {timeline.total} events.
+                            Drag across the lanes to zoom in.
+                        </p>
+                    </div>
+
+                    {events.length === 0 && (
+                        <p style={{ color: 'var(--text-secondary)' }}>Nothing was recorded for this computer in this time range.</p>
+                    )}
+                    {events.length > 0 && events.length < timeline.total && (
+                        <div className="alert" style={{ marginBottom: '15px' }}>
+                            Showing the {events.length} most recent of {timeline.total} events. Zoom in or narrow the event types to see the rest.
+                        </div>
+                    )}
+
+                    {days.map(group => (
+                        <div key={group.day} style={{ marginBottom: '20px' }}>
+                            <h4 style={{ margin: '0 0 8px', color: 'var(--text-secondary)' }}>{group.day}</h4>
+                            <table className="data-table">
+                                <tbody>
+                                    {group.events.map((event, index) => {
+                                        const info = typeInfo(event.event_type);
+                                        const link = referenceLink(event);
+                                        return (
+                                            <tr key={`${event.event_type}-${event.event_time}-${index}`}>
+                                                <td style={{ whiteSpace: 'nowrap', width: '90px' }}>
+                                                    {new Date(event.event_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                                </td>
+                                                <td style={{ whiteSpace: 'nowrap', width: '160px' }}>
+                                                    <span className="chart-swatch" style={{ background: info.color }}></span>
+                                                    {info.label}
+                                                </td>
+                                                <td>
+                                                    <strong>{link ? <Link to={link}>{event.title}</Link> : event.title}</strong>
+                                                    {event.detail && (
+                                                        <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{event.detail}</div>
+                                                    )}
+                                                </td>
+                                                <td style={{ width: '90px' }}>
+                                                    <span className={`badge ${SEVERITY_BADGES[event.severity] || 'badge-secondary'}`}>{event.severity}</span>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default ComputerTimeline;
@@ -1,170 +1,173 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { dashboardService } from '../services/api';
+import DashboardWidget, { WIDGET_TYPES, DEFAULT_LAYOUT } from './DashboardWidgets';
+import DeviceGroupSelect from './DeviceGroupSelect';
+
+// Layout entries get a client-side key so widgets keep their data when reordered
+let nextWidgetKey = 1;
+const withKeys = (layout) => layout
+    .filter(entry => WIDGET_TYPES[entry.type])
+    .map(entry => ({ ...entry, options: { ...entry.options }, key: nextWidgetKey++ }));
 
 function Dashboard() {
-    const [stats, setStats] = useState(null);
-    const [loading, setLoading] = useState(true);
+    const [searchParams, setSearchParams] = useSearchParams();
+    // Device group the widgets are scoped to, kept in the URL so scoped dashboards can be linked
+    const group = searchParams.get('group') || '';
+    const [layout, setLayout] = useState(null);
+    // Working copy while customizing; null when not editing
+    const [draft, setDraft] = useState(null);
+    const [addType, setAddType] = useState(Object.keys(WIDGET_TYPES)[0]);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
 
     useEffect(() => {
-        loadStats();
-        const interval = setInterval(loadStats, 30000); // Refresh every 30 seconds
-        return () => clearInterval(interval);
+        const loadLayout = async () => {
+            try {
+                const saved = await dashboardService.getLayout();
+                setLayout(withKeys(saved || DEFAULT_LAYOUT));
+            } catch (err) {
+                console.error('Failed to load dashboard layout:', err);
+                setLayout(withKeys(DEFAULT_LAYOUT));
+            }
+        };
+
+        loadLayout();
     }, []);
 
-    const loadStats = async () => {
+    const editing = draft !== null;
+    const widgets = editing ? draft : layout;
+
+    const moveWidget = (index, delta) => {
+        const target = index + delta;
+        if (target < 0 || target >= draft.length) return;
+        const next = [...draft];
+        [next[index], next[target]] = [next[target], next[index]];
+        setDraft(next);
+    };
+
+    const removeWidget = (index) => {
+        setDraft(draft.filter((_, i) => i !== index));
+    };
+
+    const addWidget = () => {
+        const options = WIDGET_TYPES[addType].options;
+        setDraft([...draft, ...withKeys([{ type: addType, options }])]);
+    };
+
+    const updateOption = (index, name, value) => {
+        const number = parseInt(value, 10);
+        if (!number || number < 1) return;
+        setDraft(draft.map((entry, i) => i === index ? { ...entry, options: { ...entry.options, [name]: number } } : entry));
+    };
+
+    const changeGroup = (value) => {
+        setSearchParams(value ? { group: value } : {});
+    };
+
+    const saveLayout = async () => {
+        setSaving(true);
+        setError('');
         try {
-            const data = await dashboardService.getStats();
-            setStats(data);
-        } catch (error) {
-            console.error('Failed to load stats:', error);
+            const saved = await dashboardService.saveLayout(draft);
+            setLayout(withKeys(saved));
+            setDraft(null);
+        } catch (err) {
+            setError(`Could not save the layout: ${err.message}`);
         } finally {
-            setLoading(false);
+            setSaving(false);
         }
     };
 
-    if (loading) {
+    if (!widgets) {
         return <div className="spinner"></div>;
     }
 
+    const renderControls = (entry, index) => {
+        if (!editing) return null;
+        const defaults = WIDGET_TYPES[entry.type].options || {};
+
+        return (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                {defaults.limit !== undefined && (
+                    <label style={{ fontSize: '0.85rem' }}>
+                        Show{' '}
+                        <input
+                            type="number"
+                            min="1"
+                            max="100"
+                            value={entry.options.limit ?? defaults.limit}
+                            onChange={(e) => updateOption(index, 'limit', e.target.value)}
+                            style={{ width: '60px' }}
+                        />
+                    </label>
+                )}
+                {defaults.days !== undefined && (
+                    <label style={{ fontSize: '0.85rem' }}>
+                        Days{' '}
+                        <input
+                            type="number"
+                            min="1"
+                            max="365"
+                            value={entry.options.days ?? defaults.days}
+                            onChange={(e) => updateOption(index, 'days', e.target.value)}
+                            style={{ width: '60px' }}
+                        />
+                    </label>
+                )}
+                <button className="btn btn-small" onClick={() => moveWidget(index, -1)} disabled={index === 0} title="Move up">↑</button>
+                <button className="btn btn-small" onClick={() => moveWidget(index, 1)} disabled={index === draft.length - 1} title="Move down">↓</button>
+                <button className="btn btn-small btn-danger" onClick={() => removeWidget(index)}>Remove</button>
+            </div>
+        );
+    };
+
     return (
         <div>
-            <h1 style={{ marginBottom: '30px' }}>Dashboard</h1>
-
-            {stats && (
-                <>
-                    <div className="stat-cards">
-                        <div className="stat-card">
-                            <div className="stat-label">Total Scans</div>
-                            <div className="stat-value">{stats.total_scans || 0}</div>
-                            <div style={{ fontSize: '0.85rem', marginTop: '8px' }}>
-                                {stats.scans_last_24h || 0} in last 24h
-                            </div>
-                        </div>
-
-                        <div className="stat-card" style={{ background: 'linear-gradient(135deg, #4caf50, #81c784)' }}>
-                            <div className="stat-label">Healthy Endpoints</div>
-                            <div className="stat-value">{stats.excellent_health || 0}</div>
-                            <div style={{ fontSize: '0.85rem', marginTop: '8px' }}>
-                                Health Score ≥ 90
-                            </div>
-                        </div>
-
-                        <div className="stat-card" style={{ background: 'linear-gradient(135deg, #f44336, #e57373)' }}>
-                            <div className="stat-label">Critical Alerts</div>
-                            <div className="stat-value">{stats.total_critical_alerts || 0}</div>
-                            <div style={{ fontSize: '0.85rem', marginTop: '8px' }}>
-                                Requires attention
-                            </div>
-                        </div>
-
-                        <div className="stat-card" style={{ background: 'linear-gradient(135deg, #2196f3, #64b5f6)' }}>
-                            <div className="stat-label">Unique Endpoints</div>
-                            <div className="stat-value">{stats.unique_endpoints || 0}</div>
-                            <div style={{ fontSize: '0.85rem', marginTop: '8px' }}>
-                                Monitored devices
-                            </div>
-                        </div>
-                    </div>
-
-                    <div className="card">
-                        <h3 style={{ marginBottom: '20px' }}>System Health Overview</h3>
-                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '20px' }}>
-                            <div>
-                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                                    <span>Excellent</span>
-                                    <strong style={{ color: 'var(--success-color)' }}>
-                                        {stats.excellent_health || 0}
-                                    </strong>
-                                </div>
-                                <div className="health-score-bar">
-                                    <div className="health-score-fill health-excellent"
-                                        style={{ width: `${((stats.excellent_health || 0) / (stats.total_scans || 1)) * 100}%` }}>
-                                    </div>
-                                </div>
-                            </div>
-
-                            <div>
-                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                                    <span>Good</span>
-                                    <strong style={{ color: 'var(--info-color)' }}>
-                                        {stats.good_health || 0}
-                                    </strong>
-                                </div>
-                                <div className="health-score-bar">
-                                    <div className="health-score-fill health-good"
-                                        style={{ width: `${((stats.good_health || 0) / (stats.total_scans || 1)) * 100}%` }}>
-                                    </div>
-                                </div>
-                            </div>
-
-                            <div>
-                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                                    <span>Fair</span>
-                                    <strong style={{ color: 'var(--warning-color)' }}>
-                                        {stats.fair_health || 0}
-                                    </strong>
-                                </div>
-                                <div className="health-score-bar">
-                                    <div className="health-score-fill health-fair"
-                                        style={{ width: `${((stats.fair_health || 0) / (stats.total_scans || 1)) * 100}%` }}>
-                                    </div>
-                                </div>
-                            </div>
-
-                            <div>
-                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                                    <span>Poor</span>
-                                    <strong style={{ color: 'var(--error-color)' }}>
-                                        {stats.poor_health || 0}
-                                    </strong>
-                                </div>
-                                <div className="health-score-bar">
-                                    <div className="health-score-fill health-poor"
-                                        style={{ width: `${((stats.poor_health || 0) / (stats.total_scans || 1)) * 100}%` }}>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px', gap: '15px', flexWrap: 'wrap' }}>
+                <h1 style={{ margin: 0 }}>Dashboard</h1>
+                {editing ? (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+                        <select className="form-control" value={addType} onChange={(e) => setAddType(e.target.value)} style={{ width: 'auto' }}>
+                            {Object.entries(WIDGET_TYPES).map(([type, definition]) => (
+                                <option key={type} value={type}>{definition.title}</option>
+                            ))}
+                        </select>
+                        <button className="btn" onClick={addWidget}>Add Widget</button>
+                        <button className="btn" onClick={() => setDraft(withKeys(DEFAULT_LAYOUT))} disabled={saving}>Reset to Default</button>
+                        <button className="btn" onClick={() => { setDraft(null); setError(''); }} disabled={saving}>Cancel</button>
+                        <button className="btn btn-primary" onClick={saveLayout} disabled={saving}>
+                            {saving ? 'Saving...' : 'Save Layout'}
+                        </button>
                     </div>
-
-                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px', marginTop: '20px' }}>
-                        <div className="card">
-                            <h3 style={{ marginBottom: '15px' }}>Scan Status</h3>
-                            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 0', borderBottom: '1px solid var(--border-color)' }}>
-                                <span>Completed</span>
-                                <span className="badge badge-success">{stats.completed_scans || 0}</span>
-                            </div>
-                            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 0', borderBottom: '1px solid var(--border-color)' }}>
-                                <span>Failed</span>
-                                <span className="badge badge-danger">{stats.failed_scans || 0}</span>
-                            </div>
-                            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 0' }}>
-                                <span>In Progress</span>
-                                <span className="badge badge-info">{stats.in_progress_scans || 0}</span>
-                            </div>
-                        </div>
-
-                        <div className="card">
-                            <h3 style={{ marginBottom: '15px' }}>Performance Metrics</h3>
-                            <div style={{ padding: '10px 0', borderBottom: '1px solid var(--border-color)' }}>
-                                <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '5px' }}>
-                                    Average Scan Time
-                                </div>
-                                <div style={{ fontSize: '1.5rem', fontWeight: '600', color: 'var(--primary-color)' }}>
-                                    {stats.avg_scan_time ? `${stats.avg_scan_time.toFixed(2)}s` : 'N/A'}
-                                </div>
-                            </div>
-                            <div style={{ padding: '10px 0', marginTop: '10px' }}>
-                                <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '5px' }}>
-                                    Last Scan
-                                </div>
-                                <div style={{ fontSize: '1rem', color: 'var(--text-primary)' }}>
-                                    {stats.last_scan_time ? new Date(stats.last_scan_time).toLocaleString() : 'N/A'}
-                                </div>
-                            </div>
-                        </div>
+                ) : (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <DeviceGroupSelect value={group} onChange={changeGroup} style={{ width: 'auto' }} />
+                        <button className="btn" onClick={() => setDraft(layout)}>Customize</button>
                     </div>
-                </>
+                )}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            {widgets.length === 0 ? (
+                <div className="card">
+                    <p style={{ color: 'var(--text-secondary)' }}>
+                        No widgets on this dashboard. {editing ? 'Add one above.' : 'Use Customize to add some.'}
+                    </p>
+                </div>
+            ) : (
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(420px, 1fr))', gap: '20px' }}>
+                    {widgets.map((entry, index) => (
+                        <DashboardWidget
+                            key={entry.key}
+                            type={entry.type}
+                            options={entry.options}
+                            group={group || undefined}
+                            controls={renderControls(entry, index)}
+                        />
+                    ))}
+                </div>
             )}
         </div>
     );
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { dashboardService } from '../services/api';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+const HEALTH_BANDS = [
+    { key: 'excellent', label: 'Excellent', min: 90, max: 100, color: 'var(--success-color)' },
+    { key: 'good', label: 'Good', min: 70, max: 89, color: 'var(--info-color)' },
+    { key: 'fair', label: 'Fair', min: 50, max: 69, color: 'var(--warning-color)' },
+    { key: 'poor', label: 'Poor', min: 0, max: 49, color: 'var(--error-color)' }
+];
+
+// ResultsHistory URL with the given /api/results filters, kept within the dashboard's device group
+export const resultsLink = (filters, group) => `/results?${new URLSearchParams(group ? { ...filters, group } : filters).toString()}`;
+
+// Metric page URL with column filters ("column:op:value", see MetricDetail)
+const metricLink = (metricType, filters = [], group) => {
+    const params = new URLSearchParams();
+    filters.forEach(filter => params.append('filter', filter));
+    if (group) params.set('group', group);
+    const query = params.toString();
+    return `/metrics/${metricType}${query ? `?${query}` : ''}`;
+};
+
+const getHealthBadge = (score) => {
+    if (score >= 90) return 'badge-success';
+    if (score >= 70) return 'badge-info';
+    if (score >= 50) return 'badge-warning';
+    return 'badge-danger';
+};
+
+// Loads a widget's data and reloads it every 30 seconds
+const useWidgetData = (type, limit, days, group) => {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+
+        const load = async () => {
+            try {
+                const result = type === 'summary' || type === 'scan-activity'
+                    ? await dashboardService.getStats(group)
+                    : await dashboardService.getWidget(type, { limit, days, group });
+                if (active) {
+                    setData(result);
+                    setError('');
+                }
+            } catch (err) {
+                console.error(`Failed to load dashboard widget ${type}:`, err);
+                if (active) setError(err.message);
+            }
+        };
+
+        load();
+        const interval = setInterval(load, REFRESH_INTERVAL_MS);
+        return () => {
+            active = false;
+            clearInterval(interval);
+        };
+    }, [type, limit, days, group]);
+
+    return { data, error };
+};
+
+const linkStyle = { color: 'inherit', textDecoration: 'none' };
+
+function SummaryWidget({ data, group }) {
+    const cards = [
+        { label: 'Total Scans', value: data.total_scans, note: `${data.scans_last_24h || 0} in last 24h`, to: resultsLink({ days: 30 }, group) },
+        { label: 'Healthy Endpoints', value: data.excellent_health, note: 'Health Score ≥ 90', to: resultsLink({ minHealth: 90 }, group), background: 'linear-gradient(135deg, #4caf50, #81c784)' },
+        { label: 'Critical Alerts', value: data.total_critical_alerts, note: 'Requires attention', to: resultsLink({ critical: 1 }, group), background: 'linear-gradient(135deg, #f44336, #e57373)' },
+        { label: 'Unique Endpoints', value: data.unique_endpoints, note: 'Monitored devices', to: resultsLink({ latest: 1 }, group), background: 'linear-gradient(135deg, #2196f3, #64b5f6)' }
+    ];
+
+    return (
+        <div className="stat-cards" style={{ marginBottom: 0 }}>
+            {cards.map(card => (
+                <Link key={card.label} to={card.to} className="stat-card" style={{ ...linkStyle, color: 'var(--text-light)', background: card.background }}>
+                    <div className="stat-label">{card.label}</div>
+                    <div className="stat-value">{card.value || 0}</div>
+                    <div style={{ fontSize: '0.85rem', marginTop: '8px' }}>{card.note}</div>
+                </Link>
+            ))}
+        </div>
+    );
+}
+
+function ScanActivityWidget({ data, group }) {
+    const rows = [
+        { label: 'Completed', value: data.completed_scans, status: 'completed', badge: 'badge-success' },
+        { label: 'Failed', value: data.failed_scans, status: 'failed', badge: 'badge-danger' },
+        { label: 'In Progress', value: data.in_progress_scans, status: 'in_progress', badge: 'badge-info' }
+    ];
+
+    return (
+        <>
+            {rows.map(row => (
+                <div key={row.status} style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 0', borderBottom: '1px solid var(--border-color)' }}>
+                    <span>{row.label}</span>
+                    <Link to={resultsLink({ status: row.status }, group)} className={`badge ${row.badge}`} style={linkStyle}>{row.value || 0}</Link>
+                </div>
+            ))}
+            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 0', borderBottom: '1px solid var(--border-color)' }}>
+                <span>Average Scan Time</span>
+                <strong>{data.avg_scan_time ? `${Number(data.avg_scan_time).toFixed(2)}s` : 'N/A'}</strong>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 0' }}>
+                <span>Last Scan</span>
+                <span>{data.last_scan_time ? new Date(data.last_scan_time).toLocaleString() : 'N/A'}</span>
+            </div>
+        </>
+    );
+}
+
+function UnhealthiestWidget({ data, group }) {
+    if (data.length === 0) {
+        return <p style={{ color: 'var(--text-secondary)' }}>No completed scans in the last 30 days.</p>;
+    }
+
+    return (
+        <div className="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Endpoint</th>
+                        <th>Health</th>
+                        <th>Alerts</th>
+                        <th>Last Scan</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {data.map(row => (
+                        <tr key={row.hostname}>
+                            <td><Link to={`/computers/${row.hostname}`}>{row.hostname}</Link></td>
+                            <td>
+                                <Link to={resultsLink({ hostname: row.hostname }, group)} className={`badge ${getHealthBadge(row.health_score)}`} style={linkStyle}>
+                                    {row.health_score}
+                                </Link>
+                            </td>
+                            <td>
+                                <Link to={resultsLink({ hostname: row.hostname, critical: 1 }, group)} style={{ ...linkStyle, color: 'var(--error-color)', fontWeight: '600', marginRight: '10px' }}>
+                                    {row.critical_count || 0} C
+                                </Link>
+                                <span style={{ color: 'var(--warning-color)', fontWeight: '600' }}>{row.warning_count || 0} W</span>
+                            </td>
+                            <td>{new Date(row.scan_timestamp).toLocaleString()}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function AlertsByCategoryWidget({ data, group }) {
+    if (data.length === 0) {
+        return <p style={{ color: 'var(--text-secondary)' }}>No critical alerts on the latest scans.</p>;
+    }
+
+    const max = Math.max(...data.map(row => Number(row.alert_count) || 0), 1);
+
+    return (
+        <div>
+            {data.map(row => (
+                <div key={row.category} style={{ marginBottom: '15px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                        <span>{row.category}</span>
+                        <Link to={resultsLink({ latest: 1, category: row.category }, group)} style={{ color: 'var(--error-color)', fontWeight: '600' }}>
+                            {row.alert_count} alerts on {row.endpoint_count} endpoint{Number(row.endpoint_count) === 1 ? '' : 's'}
+                        </Link>
+                    </div>
+                    <div className="health-score-bar">
+                        <div className="health-score-fill health-poor" style={{ width: `${(Number(row.alert_count) / max) * 100}%` }}></div>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function HealthByTopologyWidget({ data, group }) {
+    if (data.length === 0) {
+        return <p style={{ color: 'var(--text-secondary)' }}>No completed scans in the last 30 days.</p>;
+    }
+
+    return (
+        <div className="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Topology</th>
+                        <th>Endpoints</th>
+                        {HEALTH_BANDS.map(band => <th key={band.key}>{band.label}</th>)}
+                        <th>Average</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {data.map(row => (
+                        <tr key={row.topology}>
+                            <td><strong>{row.topology}</strong></td>
+                            <td><Link to={resultsLink({ latest: 1, topology: row.topology }, group)}>{row.endpoints}</Link></td>
+                            {HEALTH_BANDS.map(band => (
+                                <td key={band.key}>
+                                    <Link
+                                        to={resultsLink({ latest: 1, topology: row.topology, minHealth: band.min, maxHealth: band.max }, group)}
+                                        style={{ color: band.color, fontWeight: '600' }}
+                                    >
+                                        {row[band.key] || 0}
+                                    </Link>
+                                </td>
+                            ))}
+                            <td>
+                                <span className={`badge ${getHealthBadge(Number(row.avg_score))}`}>{row.avg_score}</span>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function StaleEndpointsWidget({ data, group }) {
+    return (
+        <div>
+            <div style={{ marginBottom: '15px' }}>
+                <Link
+                    to={resultsLink({ latest: 1, staleDays: data.days, days: 365 }, group)}
+                    style={{ fontSize: '2rem', fontWeight: '700', color: data.count > 0 ? 'var(--warning-color)' : 'var(--success-color)' }}
+                >
+                    {data.count}
+                </Link>
+                <span style={{ marginLeft: '10px', color: 'var(--text-secondary)' }}>
+                    active endpoint{data.count === 1 ? '' : 's'} not seen in {data.days} days
+                </span>
+            </div>
+            {data.endpoints.map(row => (
+                <div key={row.computer_name} style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', borderBottom: '1px solid var(--border-color)' }}>
+                    <Link to={`/computers/${row.computer_name}`}>{row.computer_name}</Link>
+                    <span style={{ color: 'var(--text-secondary)' }}>{new Date(row.last_seen).toLocaleDateString()}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function PatchComplianceWidget({ data, group }) {
+    if (!data || !data.total) {
+        return <p style={{ color: 'var(--text-secondary)' }}>No Windows Update data collected yet.</p>;
+    }
+
+    const percent = Number(data.percent);
+    const fill = percent >= 90 ? 'health-excellent' : percent >= 70 ? 'health-good' : percent >= 50 ? 'health-fair' : 'health-poor';
+
+    return (
+        <div>
+            <Link to={metricLink('windows_updates', [], group)} style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--primary-color)' }}>
+                {percent}%
+            </Link>
+            <span style={{ marginLeft: '10px', color: 'var(--text-secondary)' }}>
+                {data.compliant} of {data.total} endpoints fully patched
+            </span>
+            <div className="health-score-bar" style={{ margin: '15px 0' }}>
+                <div className={`health-score-fill ${fill}`} style={{ width: `${percent}%` }}></div>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', borderBottom: '1px solid var(--border-color)' }}>
+                <span>Pending updates</span>
+                <Link to={metricLink('windows_updates', ['pending_updates:gte:1'], group)} className="badge badge-warning" style={linkStyle}>{data.pending}</Link>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0' }}>
+                <span>Failed updates</span>
+                <Link to={metricLink('windows_updates', ['failed_updates:gte:1'], group)} className="badge badge-danger" style={linkStyle}>{data.failed}</Link>
+            </div>
+        </div>
+    );
+}
+
+// Widget catalog; the API accepts the same type names (PUT /api/dashboard/layout)
+export const WIDGET_TYPES = {
+    summary: { title: 'Fleet Summary', component: SummaryWidget, wide: true },
+    'scan-activity': { title: 'Scan Activity', component: ScanActivityWidget },
+    unhealthiest: { title: 'Unhealthiest Endpoints', component: UnhealthiestWidget, options: { limit: 10 } },
+    'alerts-by-category': { title: 'Critical Alerts by Category', component: AlertsByCategoryWidget },
+    'health-by-topology': { title: 'Health Score by Topology', component: HealthByTopologyWidget },
+    'stale-endpoints': { title: 'Stale Endpoints', component: StaleEndpointsWidget, options: { days: 14, limit: 10 } },
+    'patch-compliance': { title: 'Patch Compliance', component: PatchComplianceWidget }
+};
+
+export const DEFAULT_LAYOUT = [
+    { type: 'summary' },
+    { type: 'unhealthiest', options: { limit: 10 } },
+    { type: 'alerts-by-category' },
+    { type: 'health-by-topology' },
+    { type: 'patch-compliance' },
+    { type: 'stale-endpoints', options: { days: 14, limit: 10 } },
+    { type: 'scan-activity' }
+];
+
+// One widget with its data, optionally scoped to a device group;
+// the title bar holds the edit controls while customizing
+function DashboardWidget({ type, options = {}, group, controls }) {
+    const definition = WIDGET_TYPES[type];
+    const { data, error } = useWidgetData(type, options.limit, options.days, group);
+    const Body = definition.component;
+
+    return (
+        <div className="card" style={{ gridColumn: definition.wide ? '1 / -1' : undefined, marginBottom: 0 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', marginBottom: '15px', flexWrap: 'wrap' }}>
+                <h3 style={{ margin: 0 }}>
+                    {definition.title}
+                    {options.limit && type === 'unhealthiest' && ` (Top ${options.limit})`}
+                </h3>
+                {controls}
+            </div>
+            {error && <div className="alert alert-error">{error}</div>}
+            {!error && !data && <div className="loading">Loading...</div>}
+            {data && <Body data={data} group={group} />}
+        </div>
+    );
+}
+
+export default DashboardWidget;
@@ -0,0 +1,35 @@
+import React, { useState, useEffect } from 'react';
+import { groupService } from '../services/api';
+
+// Device group picker used to scope metrics, results, the dashboard and scans.
+// value is a group ID ('' for no group); onChange receives the new ID.
+function DeviceGroupSelect({ value, onChange, emptyLabel = 'All computers', disabled = false, style }) {
+    const [groups, setGroups] = useState([]);
+
+    useEffect(() => {
+        let active = true;
+        groupService.getGroups()
+            .then(result => { if (active) setGroups(result); })
+            .catch(err => console.error('Failed to load device groups:', err));
+        return () => { active = false; };
+    }, []);
+
+    return (
+        <select
+            className="form-control"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            disabled={disabled}
+            style={style}
+        >
+            <option value="">{emptyLabel}</option>
+            {groups.map(group => (
+                <option key={group.group_id} value={String(group.group_id)}>
+                    {group.name} ({group.member_count})
+                </option>
+            ))}
+        </select>
+    );
+}
+
+export default DeviceGroupSelect;
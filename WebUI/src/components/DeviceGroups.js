@@ -0,0 +1,431 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { authService, groupService } from '../services/api';
+
+const TEXT_OPERATORS = ['equals', 'not_equals', 'like', 'not_like'];
+
+// Same fields and operators as $script:RuleFields in DeviceGroups.psm1
+const RULE_FIELDS = {
+    operating_system: { label: 'Operating system', operators: TEXT_OPERATORS, placeholder: 'Windows 10' },
+    os_version: { label: 'OS version', operators: TEXT_OPERATORS, placeholder: '22H2' },
+    location: { label: 'Location', operators: TEXT_OPERATORS, placeholder: 'Pune' },
+    department: { label: 'Department', operators: TEXT_OPERATORS, placeholder: 'Finance' },
+    owner: { label: 'Owner', operators: TEXT_OPERATORS },
+    tag: { label: 'Tag', operators: ['has', 'not_has'], placeholder: 'kiosk' },
+    ip_address: { label: 'IP address', operators: ['in_subnet', 'not_in_subnet'], placeholder: '10.192.20.0/24' },
+    computer_name: { label: 'Computer name', operators: TEXT_OPERATORS, placeholder: 'WKSTN-PN-*' },
+    computer_type: { label: 'Computer type', operators: ['equals', 'not_equals'], placeholder: 'Laptop' },
+    domain: { label: 'Domain', operators: TEXT_OPERATORS },
+    manufacturer: { label: 'Manufacturer', operators: TEXT_OPERATORS },
+    model: { label: 'Model', operators: TEXT_OPERATORS }
+};
+
+const OPERATOR_LABELS = {
+    equals: 'is',
+    not_equals: 'is not',
+    like: 'contains',
+    not_like: 'does not contain',
+    has: 'is',
+    not_has: 'is not',
+    in_subnet: 'in subnet',
+    not_in_subnet: 'not in subnet'
+};
+
+const EMPTY_RULE = { field: 'operating_system', operator: 'like', value: '' };
+const EMPTY_GROUP = { name: '', description: '', match: 'all', rules: [EMPTY_RULE] };
+
+const toGroupForm = (group) => ({
+    name: group.name,
+    description: group.description || '',
+    match: group.match_mode,
+    rules: group.rules.map(({ field, operator, value }) => ({ field, operator, value }))
+});
+
+const describeRule = (rule) => {
+    const field = RULE_FIELDS[rule.field]?.label || rule.field;
+    const operator = OPERATOR_LABELS[rule.operator] || rule.operator;
+    return rule.field === 'tag' ? `${field} ${operator} "${rule.value}"` : `${field} ${operator} ${rule.value}`;
+};
+
+export const describeGroup = (group) => group.rules.map(describeRule).join(group.match_mode === 'any' ? ' OR ' : ' AND ');
+
+function MemberTable({ computers }) {
+    return (
+        <div className="table-container" style={{ maxHeight: '400px', overflowY: 'auto' }}>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Computer</th>
+                        <th>Operating System</th>
+                        <th>IP Address</th>
+                        <th>Location</th>
+                        <th>Department</th>
+                        <th>Tags</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {computers.map(computer => (
+                        <tr key={computer.computer_name}>
+                            <td><Link to={`/computers/${encodeURIComponent(computer.computer_name)}`}>{computer.computer_name}</Link></td>
+                            <td>{computer.operating_system || '-'}</td>
+                            <td>{computer.ip_address || '-'}</td>
+                            <td>{computer.location || '-'}</td>
+                            <td>{computer.department || '-'}</td>
+                            <td>
+                                {computer.tags.map(tag => (
+                                    <span key={tag} className="badge badge-info" style={{ marginRight: '4px' }}>{tag}</span>
+                                ))}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function GroupForm({ initial, saving, error, onSave, onCancel }) {
+    const [form, setForm] = useState(initial);
+    const [preview, setPreview] = useState(null);
+    const [previewError, setPreviewError] = useState('');
+    const [previewing, setPreviewing] = useState(false);
+
+    const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+    const updateRule = (index, changes) => {
+        setForm(current => ({
+            ...current,
+            rules: current.rules.map((rule, i) => {
+                if (i !== index) return rule;
+                const next = { ...rule, ...changes };
+                // A new field may not support the current operator
+                if (changes.field && !RULE_FIELDS[changes.field].operators.includes(next.operator)) {
+                    next.operator = RULE_FIELDS[changes.field].operators[0];
+                }
+                return next;
+            })
+        }));
+        setPreview(null);
+    };
+
+    const addRule = () => update('rules', [...form.rules, EMPTY_RULE]);
+    const removeRule = (index) => update('rules', form.rules.filter((_, i) => i !== index));
+
+    const handlePreview = async () => {
+        setPreviewing(true);
+        setPreviewError('');
+        try {
+            setPreview(await groupService.preview(form));
+        } catch (err) {
+            setPreview(null);
+            setPreviewError(err.message);
+        } finally {
+            setPreviewing(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(form);
+    };
+
+    return (
+        <form className="card" onSubmit={handleSubmit}>
+            <h3 style={{ marginBottom: '20px' }}>{initial.name ? `Edit ${initial.name}` : 'New Device Group'}</h3>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '15px' }}>
+                <div className="form-group">
+                    <label>Name</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.name}
+                        onChange={(e) => update('name', e.target.value)}
+                        maxLength={100}
+                        required
+                    />
+                </div>
+                <div className="form-group">
+                    <label>Description</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.description}
+                        onChange={(e) => update('description', e.target.value)}
+                        maxLength={500}
+                        placeholder="e.g. Pune office Windows 10 fleet"
+                    />
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label>
+                    Computers matching{' '}
+                    <select
+                        className="form-control"
+                        value={form.match}
+                        onChange={(e) => { update('match', e.target.value); setPreview(null); }}
+                        style={{ display: 'inline-block', width: 'auto' }}
+                    >
+                        <option value="all">all</option>
+                        <option value="any">any</option>
+                    </select>
+                    {' '}of these rules
+                </label>
+
+                {form.rules.map((rule, index) => (
+                    <div key={index} style={{ display: 'flex', gap: '8px', marginTop: '8px', alignItems: 'center' }}>
+                        <select
+                            className="form-control"
+                            value={rule.field}
+                            onChange={(e) => updateRule(index, { field: e.target.value })}
+                            style={{ width: '200px' }}
+                        >
+                            {Object.entries(RULE_FIELDS).map(([field, definition]) => (
+                                <option key={field} value={field}>{definition.label}</option>
+                            ))}
+                        </select>
+                        <select
+                            className="form-control"
+                            value={rule.operator}
+                            onChange={(e) => updateRule(index, { operator: e.target.value })}
+                            style={{ width: '170px' }}
+                        >
+                            {RULE_FIELDS[rule.field].operators.map(operator => (
+                                <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            className="form-control"
+                            value={rule.value}
+                            onChange={(e) => updateRule(index, { value: e.target.value })}
+                            placeholder={RULE_FIELDS[rule.field].placeholder}
+                            maxLength={255}
+                            required
+                        />
+                        <button
+                            type="button"
+                            className="btn btn-small"
+                            onClick={() => removeRule(index)}
+                            disabled={form.rules.length === 1}
+                            title="Remove rule"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))}
+
+                <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                    <button type="button" className="btn btn-small" onClick={addRule} disabled={form.rules.length >= 20}>Add Rule</button>
+                </div>
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '6px' }}>
+                    Text rules ignore case; "contains" accepts * as a wildcard. Decommissioned computers are never members.
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Group'}
+                </button>
+                <button type="button" className="btn" onClick={handlePreview} disabled={previewing}>
+                    {previewing ? 'Checking...' : 'Preview Members'}
+                </button>
+                <button type="button" className="btn" onClick={onCancel} disabled={saving}>Cancel</button>
+            </div>
+
+            {previewError && <div className="alert alert-error">{previewError}</div>}
+            {preview && (
+                <>
+                    <p>
+                        <strong>{preview.total}</strong> computer{preview.total === 1 ? '' : 's'} match
+                        {preview.total > preview.computers.length && ` (first ${preview.computers.length} shown)`}
+                    </p>
+                    {preview.computers.length > 0 && <MemberTable computers={preview.computers} />}
+                </>
+            )}
+        </form>
+    );
+}
+
+function GroupMembers({ group, onClose }) {
+    const [members, setMembers] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        groupService.getMembers(group.group_id)
+            .then(result => { if (active) setMembers(result); })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [group.group_id]);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <h3 style={{ margin: 0 }}>{group.name} Members</h3>
+                <button className="btn btn-small" onClick={onClose}>Close</button>
+            </div>
+            {error && <div className="alert alert-error">{error}</div>}
+            {!error && !members && <div className="spinner"></div>}
+            {members && (
+                <>
+                    <p>
+                        {members.total} computer{members.total === 1 ? '' : 's'}
+                        {members.total > members.computers.length && ` (first ${members.computers.length} shown)`}
+                    </p>
+                    {members.computers.length > 0 && <MemberTable computers={members.computers} />}
+                </>
+            )}
+        </div>
+    );
+}
+
+// Rule-based device groups that scope metrics, results, the dashboard and scans
+function DeviceGroups() {
+    const canEdit = authService.hasRole('operator');
+    const [groups, setGroups] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    // null when closed, 'new' or the group being edited
+    const [editing, setEditing] = useState(null);
+    const [viewing, setViewing] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const loadGroups = useCallback(async () => {
+        try {
+            setGroups(await groupService.getGroups());
+            setError('');
+        } catch (err) {
+            console.error('Failed to load device groups:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadGroups();
+    }, [loadGroups]);
+
+    const openForm = (group) => {
+        setFormError('');
+        setViewing(null);
+        setEditing(group);
+    };
+
+    const handleSave = async (form) => {
+        setSaving(true);
+        setFormError('');
+        try {
+            if (editing === 'new') {
+                await groupService.createGroup(form);
+            } else {
+                await groupService.updateGroup(editing.group_id, form);
+            }
+            setEditing(null);
+            await loadGroups();
+        } catch (err) {
+            setFormError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (group) => {
+        if (!window.confirm(`Delete the device group "${group.name}"? Its computers are not affected.`)) return;
+        try {
+            await groupService.deleteGroup(group.group_id);
+            if (viewing?.group_id === group.group_id) setViewing(null);
+            await loadGroups();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (loading) {
+        return <div className="spinner"></div>;
+    }
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+                <h1 style={{ margin: 0 }}>Device Groups</h1>
+                {canEdit && !editing && <button className="btn btn-primary" onClick={() => openForm('new')}>New Group</button>}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            {editing && (
+                <GroupForm
+                    key={editing === 'new' ? 'new' : editing.group_id}
+                    initial={editing === 'new' ? EMPTY_GROUP : toGroupForm(editing)}
+                    saving={saving}
+                    error={formError}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
+            {viewing && <GroupMembers key={viewing.group_id} group={viewing} onClose={() => setViewing(null)} />}
+
+            <div className="card">
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Rules</th>
+                                <th>Members</th>
+                                <th>Open In</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {groups.length === 0 ? (
+                                <tr>
+                                    <td colSpan="5" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No device groups defined
+                                    </td>
+                                </tr>
+                            ) : (
+                                groups.map(group => (
+                                    <tr key={group.group_id}>
+                                        <td>
+                                            <strong>{group.name}</strong>
+                                            {group.description && (
+                                                <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{group.description}</div>
+                                            )}
+                                        </td>
+                                        <td style={{ fontSize: '0.9rem' }}>{describeGroup(group)}</td>
+                                        <td>
+                                            <button className="btn btn-small" onClick={() => setViewing(group)}>{group.member_count}</button>
+                                        </td>
+                                        <td style={{ whiteSpace: 'nowrap' }}>
+                                            <Link to={`/dashboard?group=${group.group_id}`} style={{ marginRight: '10px' }}>Dashboard</Link>
+                                            <Link to={`/results?latest=1&group=${group.group_id}`} style={{ marginRight: '10px' }}>Results</Link>
+                                            {canEdit && <Link to={`/scan?mode=group&group=${group.group_id}`}>Scan</Link>}
+                                        </td>
+                                        <td>
+                                            {canEdit && (
+                                                <div style={{ display: 'flex', gap: '6px' }}>
+                                                    <button className="btn btn-small" onClick={() => openForm(group)}>Edit</button>
+                                                    <button className="btn btn-small btn-danger" onClick={() => handleDelete(group)}>Delete</button>
+                                                </div>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default DeviceGroups;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { exportService } from '../services/api';
+
+export const EXPORT_FORMATS = [
+    { format: 'csv', label: 'CSV' },
+    { format: 'xlsx', label: 'Excel (XLSX)' },
+    { format: 'json', label: 'JSON' },
+    { format: 'html', label: 'Printable report (HTML/PDF)' }
+];
+
+// Saves a downloaded export through the browser
+export const saveExportFile = async (jobId) => {
+    const { fileName, blob } = await exportService.downloadExport(jobId);
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    window.URL.revokeObjectURL(url);
+};
+
+// "Export" dropdown for a table. Exports every row matching the page's filters,
+// not just the loaded page: small exports download straight away, large ones
+// run in the background and are collected from the Exports page.
+// source is 'metric', 'results', 'compliance', 'software' or 'vulnerabilities'; parameters are the page's current filters.
+function ExportMenu({ source, title, parameters, disabled = false }) {
+    const [open, setOpen] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        const close = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', close);
+        return () => document.removeEventListener('mousedown', close);
+    }, [open]);
+
+    const startExport = async (format) => {
+        setOpen(false);
+        setBusy(true);
+        setMessage(null);
+        try {
+            const job = await exportService.createExport({ source, format, title, parameters });
+            if (job.status === 'completed') {
+                await saveExportFile(job.job_id);
+                if (job.error_message) setMessage({ type: 'info', text: job.error_message });
+            } else if (job.status === 'failed') {
+                setMessage({ type: 'error', text: job.error_message || 'Export failed' });
+            } else {
+                setMessage({ type: 'queued', text: 'This export is large and is being prepared in the background.' });
+            }
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message || 'Export failed' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div ref={menuRef} style={{ position: 'relative', display: 'inline-block' }}>
+            <button className="btn btn-primary" onClick={() => setOpen(!open)} disabled={disabled || busy} aria-haspopup="menu" aria-expanded={open}>
+                {busy ? 'Exporting...' : '📥 Export ▾'}
+            </button>
+
+            {open && (
+                <div
+                    role="menu"
+                    style={{
+                        position: 'absolute',
+                        top: 'calc(100% + 4px)',
+                        right: 0,
+                        minWidth: '220px',
+                        background: 'var(--bg-primary)',
+                        color: 'var(--text-primary)',
+                        borderRadius: '8px',
+                        boxShadow: 'var(--shadow-lg)',
+                        zIndex: 1000,
+                        overflow: 'hidden'
+                    }}
+                >
+                    {EXPORT_FORMATS.map(({ format, label }) => (
+                        <button
+                            key={format}
+                            role="menuitem"
+                            onClick={() => startExport(format)}
+                            style={{
+                                display: 'block',
+                                width: '100%',
+                                padding: '10px 16px',
+                                border: 'none',
+                                background: 'none',
+                                color: 'inherit',
+                                textAlign: 'left',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {message && (
+                <div
+                    className={message.type === 'error' ? 'alert alert-error' : 'alert'}
+                    style={{
+                        position: 'absolute',
+                        top: 'calc(100% + 4px)',
+                        right: 0,
+                        width: '320px',
+                        padding: '12px',
+                        background: 'var(--bg-primary)',
+                        borderRadius: '8px',
+                        boxShadow: 'var(--shadow-lg)',
+                        zIndex: 999,
+                        textAlign: 'left'
+                    }}
+                >
+                    {message.text}{' '}
+                    {message.type === 'queued' && <Link to="/exports">View exports</Link>}
+                    <button className="btn btn-small" style={{ marginLeft: '8px' }} onClick={() => setMessage(null)}>Dismiss</button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ExportMenu;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { exportService } from '../services/api';
+import { EXPORT_FORMATS, saveExportFile } from './ExportMenu';
+
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_BADGES = {
+    queued: 'badge-info',
+    running: 'badge-warning',
+    completed: 'badge-success',
+    failed: 'badge-danger'
+};
+
+const SOURCE_LABELS = {
+    metric: 'Metric',
+    results: 'Scan results',
+    compliance: 'Compliance',
+    software: 'Software inventory',
+    vulnerabilities: 'Vulnerabilities'
+};
+
+const formatLabel = (format) => EXPORT_FORMATS.find(f => f.format === format)?.label || format;
+
+const formatSize = (bytes) => {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '-';
+
+// Recent exports started from metric pages, the results history, compliance scorecards, the software inventory and vulnerability lists.
+// Large exports are prepared in the background; this page refreshes until they finish.
+function Exports() {
+    const [jobs, setJobs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadJobs = useCallback(async () => {
+        try {
+            setJobs(await exportService.getExports());
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadJobs();
+    }, [loadJobs]);
+
+    const pending = jobs.some(job => job.status === 'queued' || job.status === 'running');
+
+    useEffect(() => {
+        if (!pending) return undefined;
+        const timer = setTimeout(loadJobs, POLL_INTERVAL_MS);
+        return () => clearTimeout(timer);
+    }, [pending, jobs, loadJobs]);
+
+    const handleDownload = async (job) => {
+        try {
+            await saveExportFile(job.job_id);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDelete = async (job) => {
+        if (!window.confirm(`Delete the export "${job.title}"?`)) return;
+        try {
+            await exportService.deleteExport(job.job_id);
+            await loadJobs();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (loading) {
+        return <div className="spinner"></div>;
+    }
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+                <h1 style={{ margin: 0 }}>Exports</h1>
+                <button className="btn btn-primary" onClick={loadJobs}>Refresh</button>
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            <div className="card">
+                <p style={{ marginTop: 0, color: 'var(--text-secondary)' }}>
+                    Use the Export menu on a metric page, the results history, a compliance scorecard, the software inventory or the vulnerability lists to export every matching row.
+                    Files are kept for a limited time and then removed.
+                </p>
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Title</th>
+                                <th>Format</th>
+                                <th>Status</th>
+                                <th>Rows</th>
+                                <th>Size</th>
+                                <th>Requested</th>
+                                <th>Expires</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {jobs.length === 0 ? (
+                                <tr>
+                                    <td colSpan="8" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No exports yet
+                                    </td>
+                                </tr>
+                            ) : (
+                                jobs.map(job => (
+                                    <tr key={job.job_id}>
+                                        <td>
+                                            <strong>{job.title}</strong>
+                                            <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                                {SOURCE_LABELS[job.source] || job.source}
+                                                {job.requested_by_name && ` · ${job.requested_by_name}`}
+                                            </div>
+                                        </td>
+                                        <td>{formatLabel(job.format)}</td>
+                                        <td>
+                                            <span className={`badge ${STATUS_BADGES[job.status] || 'badge-info'}`}>{job.status}</span>
+                                            {job.error_message && (
+                                                <div style={{ fontSize: '0.85rem', color: job.status === 'failed' ? 'var(--error-color)' : 'var(--text-secondary)' }}>
+                                                    {job.error_message}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td>{job.row_count ?? '-'}</td>
+                                        <td>{formatSize(job.file_size)}</td>
+                                        <td>{formatTime(job.created_at)}</td>
+                                        <td>{formatTime(job.expires_at)}</td>
+                                        <td>
+                                            <div style={{ display: 'flex', gap: '6px' }}>
+                                                <button className="btn btn-small btn-primary" disabled={job.status !== 'completed'} onClick={() => handleDownload(job)}>
+                                                    Download
+                                                </button>
+                                                <button className="btn btn-small btn-danger" onClick={() => handleDelete(job)}>Delete</button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Exports;
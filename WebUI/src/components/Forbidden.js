@@ -0,0 +1,24 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../services/api';
+
+// Shown by RoleRoute when the signed-in user's role is below the page's required role
+function Forbidden({ role }) {
+    const currentRole = authService.getRole() || 'none';
+
+    return (
+        <div className="card" style={{ textAlign: 'center', padding: '40px' }}>
+            <h1 style={{ fontSize: '3rem', color: 'var(--error-color)', marginBottom: '10px' }}>403</h1>
+            <h2 style={{ marginBottom: '15px' }}>Access Denied</h2>
+            <p style={{ color: 'var(--text-secondary)', marginBottom: '25px' }}>
+                This page requires the <strong>{role}</strong> role. You are signed in as <strong>{currentRole}</strong>.
+                Ask an EMS administrator if you need access.
+            </p>
+            <Link to="/dashboard" className="btn btn-primary" style={{ textDecoration: 'none' }}>
+                Back to Dashboard
+            </Link>
+        </div>
+    );
+}
+
+export default Forbidden;
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { searchService } from '../services/api';
+
+const DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+const GROUP_TITLES = {
+    computers: 'Computers',
+    users: 'Users',
+    software: 'Software',
+    scans: 'Recent Scans'
+};
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '-';
+
+// One navigable entry per hit; software hits expand into one entry per computer
+const toItems = (results) => {
+    const items = [];
+
+    results.computers.forEach(c => items.push({
+        group: 'computers',
+        key: `computer-${c.computer_name}`,
+        label: c.computer_name,
+        detail: [c.ip_address, c.mac_address, c.operating_system].filter(Boolean).join(' · ') + (c.is_active ? '' : ' (inactive)'),
+        to: `/computers/${c.computer_name}`
+    }));
+
+    results.users.forEach(u => items.push({
+        group: 'users',
+        key: `user-${u.user_id}-${u.computer_name}`,
+        label: u.user_display_name ? `${u.user_id} (${u.user_display_name})` : u.user_id,
+        detail: `on ${u.computer_name} · ${u.source === 'scan'
+            ? `logged on at last scan, ${formatTime(u.last_login)}`
+            : u.is_primary_user ? 'primary user' : `last login ${formatTime(u.last_login)}`}`,
+        to: `/computers/${u.computer_name}`
+    }));
+
+    results.software.forEach(s => s.computers.forEach((computer, index) => items.push({
+        group: 'software',
+        key: `software-${s.software_name}-${s.version}-${computer}`,
+        heading: index === 0
+            ? `${s.software_name} ${s.version || ''} · ${s.computer_count} computer${Number(s.computer_count) === 1 ? '' : 's'}`
+            : null,
+        label: computer,
+        detail: s.vendor || '',
+        to: `/computers/${computer}`
+    })));
+
+    results.scans.forEach(s => items.push({
+        group: 'scans',
+        key: `scan-${s.scan_id}`,
+        label: `Scan #${s.scan_id} · ${s.hostname}`,
+        detail: `${formatTime(s.scan_timestamp)} · health ${s.health_score ?? '-'}${s.user_id_resolved ? ` · ${s.user_id_resolved}` : ''}`,
+        to: `/results/${s.scan_id}`
+    }));
+
+    return items;
+};
+
+// Header search across computers, users, installed software and recent scans
+function GlobalSearch() {
+    const navigate = useNavigate();
+    const [query, setQuery] = useState('');
+    const [items, setItems] = useState([]);
+    const [open, setOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    // Ignores responses to queries the user has already typed past
+    const latestRequest = useRef(0);
+
+    useEffect(() => {
+        const text = query.trim();
+        if (text.length < MIN_QUERY_LENGTH) {
+            latestRequest.current++;
+            setItems([]);
+            setError('');
+            setLoading(false);
+            return undefined;
+        }
+
+        setLoading(true);
+        const timer = setTimeout(async () => {
+            const requestId = ++latestRequest.current;
+            try {
+                const results = await searchService.search(text);
+                if (requestId !== latestRequest.current) return;
+                setItems(toItems(results));
+                setActiveIndex(0);
+                setError('');
+            } catch (err) {
+                if (requestId !== latestRequest.current) return;
+                setItems([]);
+                setError(err.message);
+            } finally {
+                if (requestId === latestRequest.current) setLoading(false);
+            }
+        }, DEBOUNCE_MS);
+
+        return () => clearTimeout(timer);
+    }, [query]);
+
+    const select = (item) => {
+        setOpen(false);
+        setQuery('');
+        navigate(item.to);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            setOpen(false);
+            e.target.blur();
+        } else if (e.key === 'ArrowDown' && items.length > 0) {
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex(index => (index + 1) % items.length);
+        } else if (e.key === 'ArrowUp' && items.length > 0) {
+            e.preventDefault();
+            setActiveIndex(index => (index - 1 + items.length) % items.length);
+        } else if (e.key === 'Enter' && items[activeIndex]) {
+            e.preventDefault();
+            select(items[activeIndex]);
+        }
+    };
+
+    const showPanel = open && query.trim().length >= MIN_QUERY_LENGTH;
+
+    return (
+        <div style={{ position: 'relative', flex: 1, maxWidth: '480px', margin: '0 30px' }}>
+            <input
+                type="search"
+                className="form-control"
+                placeholder="Search computers, users, software, scans..."
+                value={query}
+                onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setOpen(false)}
+                onKeyDown={handleKeyDown}
+                aria-label="Global search"
+                aria-expanded={showPanel}
+                aria-controls="global-search-results"
+                role="combobox"
+                aria-autocomplete="list"
+                aria-activedescendant={showPanel && items[activeIndex] ? `global-search-${activeIndex}` : undefined}
+            />
+
+            {showPanel && (
+                <div
+                    id="global-search-results"
+                    role="listbox"
+                    style={{
+                        position: 'absolute',
+                        top: 'calc(100% + 6px)',
+                        left: 0,
+                        right: 0,
+                        maxHeight: '70vh',
+                        overflowY: 'auto',
+                        background: 'var(--bg-primary)',
+                        color: 'var(--text-primary)',
+                        borderRadius: '8px',
+                        boxShadow: 'var(--shadow-lg)',
+                        zIndex: 1000
+                    }}
+                >
+                    {loading && items.length === 0 && <div style={{ padding: '12px 16px' }}>Searching...</div>}
+                    {error && <div className="alert alert-error" style={{ margin: '8px' }}>{error}</div>}
+                    {!loading && !error && items.length === 0 && (
+                        <div style={{ padding: '12px 16px', color: 'var(--text-secondary)' }}>No matches for "{query.trim()}"</div>
+                    )}
+
+                    {items.map((item, index) => (
+                        <React.Fragment key={item.key}>
+                            {(index === 0 || items[index - 1].group !== item.group) && (
+                                <div style={{
+                                    padding: '8px 16px 4px',
+                                    fontSize: '0.75rem',
+                                    fontWeight: 600,
+                                    textTransform: 'uppercase',
+                                    color: 'var(--text-secondary)',
+                                    borderTop: index === 0 ? 'none' : '1px solid var(--border-color)'
+                                }}>
+                                    {GROUP_TITLES[item.group]}
+                                </div>
+                            )}
+                            {item.heading && (
+                                <div style={{ padding: '4px 16px', fontWeight: 600, fontSize: '0.9rem' }}>{item.heading}</div>
+                            )}
+                            <div
+                                id={`global-search-${index}`}
+                                role="option"
+                                aria-selected={index === activeIndex}
+                                onMouseDown={(e) => { e.preventDefault(); select(item); }}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                style={{
+                                    padding: item.group === 'software' ? '6px 16px 6px 32px' : '6px 16px',
+                                    cursor: 'pointer',
+                                    background: index === activeIndex ? 'var(--bg-secondary)' : 'transparent'
+                                }}
+                            >
+                                <div>{item.label}</div>
+                                {item.detail && <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{item.detail}</div>}
+                            </div>
+                        </React.Fragment>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default GlobalSearch;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { computerService } from '../services/api';
+
+const ACTION_BADGES = {
+    create: 'badge-success',
+    update: 'badge-info',
+    unchanged: 'badge-secondary',
+    error: 'badge-danger'
+};
+
+// CSV import of inventory fields: validate and preview every row, then apply
+function InventoryImport({ onImported, onClose }) {
+    const [csv, setCsv] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [result, setResult] = useState(null);
+    const [showUnchanged, setShowUnchanged] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const runImport = async (text, apply) => {
+        setBusy(true);
+        setError('');
+        try {
+            const data = await computerService.importInventory(text, apply);
+            if (apply) {
+                setResult(data);
+                setPreview(null);
+                onImported();
+            } else {
+                setPreview(data);
+                setResult(null);
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const text = String(reader.result || '');
+            setCsv(text);
+            setFileName(file.name);
+            runImport(text, false);
+        };
+        reader.readAsText(file);
+    };
+
+    const report = result || preview;
+    const pending = preview ? (preview.summary.create || 0) + (preview.summary.update || 0) : 0;
+    const rows = report ? report.rows.filter(row => showUnchanged || row.action !== 'unchanged') : [];
+
+    return (
+        <div className="card" style={{ marginBottom: '20px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <h3 style={{ margin: 0 }}>Import Inventory CSV</h3>
+                <button className="btn btn-small" onClick={onClose}>Close</button>
+            </div>
+
+            <p style={{ color: 'var(--text-secondary)', marginBottom: '15px' }}>
+                Use the Export CSV layout: computer_name plus any of ip_address, mac_address, computer_type, location,
+                department, owner, asset_tag, serial_number, notes and tags (separated by semicolons). Blank cells keep the
+                current value; unknown computers are added.
+            </p>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '15px' }}>
+                <input type="file" accept=".csv,text/csv" onChange={handleFileChange} disabled={busy} />
+                {fileName && <span style={{ color: 'var(--text-secondary)' }}>{fileName}</span>}
+                {busy && <span>Checking...</span>}
+            </div>
+
+            {report && (
+                <>
+                    <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '15px' }}>
+                        <strong>{result ? 'Imported:' : 'Preview:'}</strong>
+                        <span className="badge badge-success">{report.summary.create || 0} new</span>
+                        <span className="badge badge-info">{report.summary.update || 0} updated</span>
+                        <span className="badge badge-secondary">{report.summary.unchanged || 0} unchanged</span>
+                        <span className="badge badge-danger">{report.summary.error || 0} with errors</span>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginLeft: 'auto', cursor: 'pointer' }}>
+                            <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                            Show unchanged rows
+                        </label>
+                    </div>
+
+                    {report.ignoredColumns.length > 0 && (
+                        <div className="alert" style={{ marginBottom: '15px' }}>
+                            Ignored columns: {report.ignoredColumns.join(', ')}
+                        </div>
+                    )}
+
+                    <div className="table-container" style={{ maxHeight: '400px', overflowY: 'auto', marginBottom: '15px' }}>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Line</th>
+                                    <th>Computer</th>
+                                    <th>Result</th>
+                                    <th>Changes</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(row => (
+                                    <tr key={row.line}>
+                                        <td>{row.line}</td>
+                                        <td>{row.computer_name || '-'}</td>
+                                        <td><span className={`badge ${ACTION_BADGES[row.action]}`}>{row.action}</span></td>
+                                        <td style={{ fontSize: '0.9rem' }}>
+                                            {row.error ? (
+                                                <span style={{ color: 'var(--error-color)' }}>{row.error}</span>
+                                            ) : (
+                                                Object.entries(row.changes || {}).map(([field, change]) => (
+                                                    <div key={field}>
+                                                        <strong>{field}</strong>: {change.from || '(empty)'} → {change.to}
+                                                    </div>
+                                                ))
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {preview && (
+                <button className="btn btn-primary" onClick={() => runImport(csv, true)} disabled={busy || pending === 0}>
+                    {pending === 0 ? 'Nothing to import' : `Import ${pending} row${pending === 1 ? '' : 's'}`}
+                </button>
+            )}
+            {preview && preview.summary.error > 0 && pending > 0 && (
+                <span style={{ marginLeft: '10px', color: 'var(--text-secondary)' }}>Rows with errors are skipped.</span>
+            )}
+        </div>
+    );
+}
+
+export default InventoryImport;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { authService } from '../services/api';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { asList, authService } from '../services/api';
 
 function Login({ onLogin }) {
     const [username, setUsername] = useState('');
@@ -9,17 +9,26 @@ function Login({ onLogin }) {
     const [providers, setProviders] = useState([]);
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    const [redirecting, setRedirecting] = useState(null);
     const navigate = useNavigate();
+    const location = useLocation();
+    const sessionExpired = new URLSearchParams(location.search).has('expired');
+
+    // SSO and OIDC-enabled ADFS sign in through a browser redirect instead of the form
+    const credentialProviders = providers.filter(p => p.RequiresCredentials !== false);
+    const redirectProviders = providers.filter(p => p.RequiresCredentials === false);
 
     useEffect(() => {
         // Fetch available authentication providers
         const fetchProviders = async () => {
             try {
                 const response = await authService.getProviders();
-                setProviders(response.providers || []);
-                // Set default provider to first enabled one
-                if (response.providers && response.providers.length > 0) {
-                    setProvider(response.providers[0].Name);
+                const list = asList(response.providers);
+                setProviders(list);
+                // Set default provider to first enabled one that takes a username and password
+                const firstCredential = list.find(p => p.RequiresCredentials !== false);
+                if (firstCredential) {
+                    setProvider(firstCredential.Name);
                 }
             } catch (err) {
                 console.error('Failed to fetch auth providers:', err);
@@ -40,23 +49,39 @@ function Login({ onLogin }) {
             const response = await authService.login(username, password, provider);
 
             if (response.success) {
-                // Store token and user info
-                localStorage.setItem('token', response.token);
-                localStorage.setItem('user', JSON.stringify(response.user));
+                // Token and user are stored by authService.login
                 localStorage.setItem('authProvider', response.provider || provider);
 
                 if (onLogin) onLogin(response.user);
-                navigate('/dashboard');
+
+                // Go back to the page that sent the user here (expired session or protected route)
+                navigate(getReturnPath(), { replace: true });
             } else {
                 setError(response.message || 'Login failed');
             }
         } catch (err) {
-            setError(err.response?.data?.message || 'Authentication failed. Please check your credentials.');
+            setError(err.message);
         } finally {
             setLoading(false);
         }
     };
 
+    const getReturnPath = () => {
+        const from = location.state?.from;
+        return authService.consumeReturnPath() || (from ? `${from.pathname}${from.search}` : '/dashboard');
+    };
+
+    const handleSsoLogin = async (providerName) => {
+        setError('');
+        setRedirecting(providerName);
+        try {
+            await authService.beginSsoLogin(providerName, getReturnPath());
+        } catch (err) {
+            setError(err.message);
+            setRedirecting(null);
+        }
+    };
+
     const getProviderDisplayName = (providerName) => {
         const names = {
             'Standalone': 'Local Account',
@@ -90,6 +115,18 @@ function Login({ onLogin }) {
                     Sign in to access the dashboard
                 </p>
 
+                {sessionExpired && !error && (
+                    <div style={{
+                        padding: '12px',
+                        marginBottom: '20px',
+                        background: '#fff3cd',
+                        color: '#856404',
+                        borderRadius: '6px'
+                    }}>
+                        Your session has expired. Sign in again to continue where you left off.
+                    </div>
+                )}
+
                 {error && (
                     <div style={{
                         padding: '12px',
@@ -102,61 +139,82 @@ function Login({ onLogin }) {
                     </div>
                 )}
 
-                <form onSubmit={handleSubmit}>
-                    {providers.length > 1 && (
-                        <div className="form-group" style={{ marginBottom: '20px' }}>
-                            <label className="form-label">Authentication Method</label>
-                            <select
+                {redirectProviders.map((p) => (
+                    <button
+                        key={p.Name}
+                        type="button"
+                        className="btn btn-primary"
+                        style={{ width: '100%', marginBottom: '10px' }}
+                        onClick={() => handleSsoLogin(p.Name)}
+                        disabled={loading || redirecting !== null}
+                    >
+                        {redirecting === p.Name ? 'Redirecting...' : `Sign in with ${getProviderDisplayName(p.Name)}`}
+                    </button>
+                ))}
+
+                {redirectProviders.length > 0 && credentialProviders.length > 0 && (
+                    <p style={{ margin: '10px 0 20px', textAlign: 'center', color: 'var(--text-secondary)' }}>
+                        or sign in with a username and password
+                    </p>
+                )}
+
+                {(credentialProviders.length > 0 || providers.length === 0) && (
+                    <form onSubmit={handleSubmit}>
+                        {credentialProviders.length > 1 && (
+                            <div className="form-group" style={{ marginBottom: '20px' }}>
+                                <label className="form-label">Authentication Method</label>
+                                <select
+                                    className="form-control"
+                                    value={provider}
+                                    onChange={(e) => setProvider(e.target.value)}
+                                    disabled={loading}
+                                >
+                                    {credentialProviders.map((p) => (
+                                        <option key={p.Name} value={p.Name}>
+                                            {getProviderDisplayName(p.Name)}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        <div className="form-group">
+                            <label className="form-label">Username</label>
+                            <input
+                                type="text"
                                 className="form-control"
-                                value={provider}
-                                onChange={(e) => setProvider(e.target.value)}
+                                placeholder={getUsernamePlaceholder()}
+                                value={username}
+                                onChange={(e) => setUsername(e.target.value)}
+                                required
                                 disabled={loading}
-                            >
-                                {providers.map((p) => (
-                                    <option key={p.Name} value={p.Name}>
-                                        {getProviderDisplayName(p.Name)}
-                                    </option>
-                                ))}
-                            </select>
+                                autoFocus
+                            />
                         </div>
-                    )}
-
-                    <div className="form-group">
-                        <label className="form-label">Username</label>
-                        <input
-                            type="text"
-                            className="form-control"
-                            placeholder={getUsernamePlaceholder()}
-                            value={username}
-                            onChange={(e) => setUsername(e.target.value)}
-                            required
-                            disabled={loading}
-                            autoFocus
-                        />
-                    </div>
 
-                    <div className="form-group">
-                        <label className="form-label">Password</label>
-                        <input
-                            type="password"
-                            className="form-control"
-                            placeholder="Enter your password"
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            required
-                            disabled={loading}
-                        />
-                    </div>
+                        <div className="form-group">
+                            <label className="form-label">Password</label>
+                            <input
+                                type="password"
+                                className="form-control"
+                                placeholder="Enter your password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                                disabled={loading}
+                            />
+                        </div>
 
-                    <button
-                        type="submit"
-                        className="btn btn-primary"
-                        style={{ width: '100%', marginTop: '10px' }}
-                        disabled={loading}
-                    >
-                        {loading ? 'Signing in...' : 'Sign In'}
-                    </button>
-                </form>
+                        <button
+                            type="submit"
+                            className="btn btn-primary"
+                            style={{ width: '100%', marginTop: '10px' }}
+                            disabled={loading}
+                        >
+                            {loading ? 'Signing in...' : 'Sign In'}
+                        </button>
+                    </form>
+                )}
 
                 <div style={{ marginTop: '20px', textAlign: 'center' }}>
                     <small style={{ color: 'var(--text-secondary)' }}>
@@ -1,62 +1,233 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { metricsService, API_ERROR_TYPES } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+import MetricTrendChart from './MetricTrendChart';
+import DeviceGroupSelect from './DeviceGroupSelect';
+import ExportMenu from './ExportMenu';
 
-// Reusable Metric Detail Component with filtering and export
-function MetricDetail({ metricName, metricType, apiEndpoint }) {
-    const [data, setData] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [filters, setFilters] = useState({
+const getErrorTitle = (error) => {
+    switch (error.type) {
+        case API_ERROR_TYPES.AUTH: return 'Session expired';
+        case API_ERROR_TYPES.FORBIDDEN: return 'Access denied';
+        case API_ERROR_TYPES.NOT_FOUND: return 'Metric not available';
+        case API_ERROR_TYPES.NETWORK: return 'Connection error';
+        default: return 'Failed to load data';
+    }
+};
+
+const PAGE_SIZES = [50, 100, 500, 1000];
+const DEFAULT_PAGE_SIZE = 100;
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'];
+const DATE_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone'];
+
+const hiddenColumnsKey = (metricType) => `ems_metric_hidden_columns_${metricType}`;
+
+const loadHiddenColumns = (metricType) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(hiddenColumnsKey(metricType)));
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
+    }
+};
+
+const getFilterKind = (type) => {
+    if (NUMERIC_TYPES.includes(type)) return 'number';
+    if (DATE_TYPES.includes(type)) return 'date';
+    return 'text';
+};
+
+// Turn the per-column inputs into the { column, op, value } list the API expects
+const toColumnFilters = (draft, columns) => columns.flatMap(({ name, type }) => {
+    const entry = draft[name];
+    if (!entry) return [];
+    if (getFilterKind(type) === 'text') {
+        return entry.text ? [{ column: name, op: 'contains', value: entry.text }] : [];
+    }
+    return [
+        ...(entry.min !== undefined && entry.min !== '' ? [{ column: name, op: 'gte', value: entry.min }] : []),
+        ...(entry.max !== undefined && entry.max !== '' ? [{ column: name, op: 'lte', value: entry.max }] : [])
+    ];
+});
+
+// Column filters kept in the URL as filter=column:op:value (also used by dashboard drill-down links)
+const parseUrlFilters = (values) => values.flatMap(raw => {
+    const [column, op, ...rest] = raw.split(':');
+    const value = rest.join(':');
+    return column && ['gte', 'lte', 'contains'].includes(op) && value !== '' ? [{ column, op, value }] : [];
+});
+
+const toFilterDraft = (filters) => filters.reduce((draft, { column, op, value }) => {
+    const field = op === 'gte' ? 'min' : op === 'lte' ? 'max' : 'text';
+    return { ...draft, [column]: { ...draft[column], [field]: value } };
+}, {});
+
+// Reusable Metric Detail Component with server-side paging, sorting, filtering and export.
+// Filters, sort and page live in the URL so a filtered view can be bookmarked or shared.
+// renderChart(computerName, groupId) optionally draws trend charts above the table.
+function MetricDetail({ metricName, metricType, renderChart }) {
+    const [query, setQuery] = useQueryState({
         computerName: '',
+        group: '',
         startDate: '',
         endDate: '',
-        limit: 100
+        page: '1',
+        pageSize: String(DEFAULT_PAGE_SIZE),
+        sortBy: '',
+        sortDir: 'desc',
+        filter: []
     });
+    const { computerName, group, startDate, endDate } = query;
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = PAGE_SIZES.includes(Number(query.pageSize)) ? Number(query.pageSize) : DEFAULT_PAGE_SIZE;
+    const sortColumn = query.sortBy;
+    const sortDirection = query.sortDir === 'asc' ? 'asc' : 'desc';
+    // Compared by value so the request only reruns when the filters actually change
+    const filterKey = query.filter.join('\n');
+    const columnFilters = useMemo(() => parseUrlFilters(filterKey ? filterKey.split('\n') : []), [filterKey]);
+    const [data, setData] = useState([]);
+    const [columns, setColumns] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+    // Sort the API actually applied, including its default when none was chosen
+    const [appliedSort, setAppliedSort] = useState({ column: '', direction: 'desc' });
+    const [filterDraft, setFilterDraft] = useState(() => toFilterDraft(columnFilters));
+    const [hiddenColumns, setHiddenColumns] = useState(() => loadHiddenColumns(metricType));
+    const [showColumnChooser, setShowColumnChooser] = useState(false);
+    // Charts need an exact name and only follow the filter once it is applied, not per keystroke
+    const [chartComputer, setChartComputer] = useState(computerName.trim());
+    const [chartGroup, setChartGroup] = useState(group);
 
+    // Keep the column inputs in step when the URL changes underneath (back/forward, drill-down links)
     useEffect(() => {
-        fetchData();
-    }, [filters]);
-
-    const fetchData = async () => {
-        try {
-            setLoading(true);
-            const params = new URLSearchParams(filters).toString();
-            const response = await fetch(`${apiEndpoint}?${params}`, {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+        setFilterDraft(toFilterDraft(columnFilters));
+    }, [columnFilters]);
+
+    useEffect(() => {
+        // Cancel the in-flight request when the query changes or the page unmounts
+        const controller = new AbortController();
+
+        const fetchData = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const result = await metricsService.getMetric(metricType, {
+                    computerName,
+                    group,
+                    startDate,
+                    endDate,
+                    page,
+                    pageSize,
+                    sortBy: sortColumn,
+                    sortDir: sortDirection,
+                    filters: columnFilters
+                }, { signal: controller.signal });
+                setData(result.data);
+                setTotal(result.total ?? result.data.length);
+                if (result.columns.length > 0) {
+                    setColumns(result.columns);
+                } else if (result.data.length > 0) {
+                    setColumns(Object.keys(result.data[0]).map(name => ({ name, type: 'text' })));
                 }
-            });
-            const result = await response.json();
-            setData(result.data || []);
-        } catch (err) {
-            console.error('Error fetching metric data:', err);
-        } finally {
-            setLoading(false);
-        }
+                setAppliedSort({ column: result.sortBy || sortColumn, direction: result.sortDir || sortDirection });
+            } catch (err) {
+                if (err.type === API_ERROR_TYPES.CANCELLED) return;
+                console.error('Error fetching metric data:', err);
+                setData([]);
+                setTotal(0);
+                setError(err);
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        fetchData();
+        return () => controller.abort();
+    }, [metricType, computerName, group, startDate, endDate, page, pageSize, sortColumn, sortDirection, columnFilters, refreshKey]);
+
+    const visibleColumns = columns.filter(col => !hiddenColumns.includes(col.name));
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+    const updateFilters = (changes) => {
+        setQuery({ ...changes, page: 1 });
+    };
+
+    const updateDraft = (column, changes) => {
+        setFilterDraft({ ...filterDraft, [column]: { ...filterDraft[column], ...changes } });
     };
 
-    const exportCSV = () => {
-        if (data.length === 0) return;
-
-        const headers = Object.keys(data[0]);
-        const csvContent = [
-            headers.join(','),
-            ...data.map(row => headers.map(h => JSON.stringify(row[h] || '')).join(','))
-        ].join('\n');
-
-        const blob = new Blob([csvContent], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${metricType}_${new Date().toISOString().split('T')[0]}.csv`;
-        a.click();
+    const applyFilters = () => {
+        setChartComputer(computerName.trim());
+        setChartGroup(group);
+        setQuery({ filter: toColumnFilters(filterDraft, columns).map(f => `${f.column}:${f.op}:${f.value}`), page: 1 });
+        setRefreshKey(k => k + 1);
     };
 
-    if (loading) return <div className="loading">Loading {metricName}...</div>;
+    const clearColumnFilters = () => {
+        setFilterDraft({});
+        setQuery({ filter: [], page: 1 });
+    };
+
+    const toggleSort = (column) => {
+        setQuery({
+            sortBy: column,
+            sortDir: appliedSort.column === column && appliedSort.direction === 'asc' ? 'desc' : 'asc',
+            page: 1
+        });
+    };
+
+    const toggleColumn = (column) => {
+        const next = hiddenColumns.includes(column)
+            ? hiddenColumns.filter(c => c !== column)
+            : [...hiddenColumns, column];
+        setHiddenColumns(next);
+        localStorage.setItem(hiddenColumnsKey(metricType), JSON.stringify(next));
+    };
+
+    const renderColumnFilter = ({ name, type }) => {
+        const entry = filterDraft[name] || {};
+        const kind = getFilterKind(type);
+        const inputStyle = { width: '100%', minWidth: '70px', padding: '4px', fontSize: '0.8rem' };
+        const onEnter = (e) => { if (e.key === 'Enter') applyFilters(); };
+
+        if (kind === 'text') {
+            return (
+                <input type="text" style={inputStyle} placeholder="contains" value={entry.text || ''}
+                    onChange={(e) => updateDraft(name, { text: e.target.value })} onKeyDown={onEnter} />
+            );
+        }
+        return (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                <input type={kind} style={inputStyle} placeholder="min" value={entry.min ?? ''}
+                    onChange={(e) => updateDraft(name, { min: e.target.value })} onKeyDown={onEnter} />
+                <input type={kind} style={inputStyle} placeholder="max" value={entry.max ?? ''}
+                    onChange={(e) => updateDraft(name, { max: e.target.value })} onKeyDown={onEnter} />
+            </div>
+        );
+    };
 
     return (
         <div className="page-container">
             <div className="page-header">
                 <h1>{metricName}</h1>
-                <button className="btn btn-primary" onClick={exportCSV}>📥 Export CSV</button>
+                <ExportMenu
+                    source="metric"
+                    title={metricName}
+                    disabled={total === 0}
+                    parameters={{
+                        metricType,
+                        computerName,
+                        group,
+                        startDate,
+                        endDate,
+                        sortBy: sortColumn,
+                        sortDir: sortDirection,
+                        filters: columnFilters,
+                        columns: visibleColumns.map(col => col.name)
+                    }}
+                />
             </div>
 
             <div className="card" style={{ marginBottom: '20px' }}>
@@ -64,123 +235,247 @@ function MetricDetail({ metricName, metricType, apiEndpoint }) {
                 <div className="form-row">
                     <div className="form-group">
                         <label>Computer Name</label>
-                        <input type="text" value={filters.computerName} onChange={(e) => setFilters({ ...filters, computerName: e.target.value })} placeholder="Filter by computer name" />
+                        <input type="text" value={computerName} onChange={(e) => updateFilters({ computerName: e.target.value })} placeholder="Filter by computer name" />
+                    </div>
+                    <div className="form-group">
+                        <label>Device Group</label>
+                        <DeviceGroupSelect value={group} onChange={(group) => updateFilters({ group })} />
                     </div>
                     <div className="form-group">
                         <label>Start Date</label>
-                        <input type="date" value={filters.startDate} onChange={(e) => setFilters({ ...filters, startDate: e.target.value })} />
+                        <input type="date" value={startDate} onChange={(e) => updateFilters({ startDate: e.target.value })} />
                     </div>
                     <div className="form-group">
                         <label>End Date</label>
-                        <input type="date" value={filters.endDate} onChange={(e) => setFilters({ ...filters, endDate: e.target.value })} />
+                        <input type="date" value={endDate} onChange={(e) => updateFilters({ endDate: e.target.value })} />
                     </div>
                     <div className="form-group">
-                        <label>Limit</label>
-                        <select value={filters.limit} onChange={(e) => setFilters({ ...filters, limit: e.target.value })}>
-                            <option>50</option><option>100</option><option>500</option><option>1000</option>
+                        <label>Rows per Page</label>
+                        <select value={pageSize} onChange={(e) => setQuery({ pageSize: e.target.value, page: 1 })}>
+                            {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
                         </select>
                     </div>
                 </div>
-                <button className="btn" onClick={fetchData}>Apply Filters</button>
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <button className="btn" onClick={applyFilters}>Apply Filters</button>
+                    {columnFilters.length > 0 && (
+                        <button className="btn" onClick={clearColumnFilters}>Clear Column Filters ({columnFilters.length})</button>
+                    )}
+                    <button className="btn" onClick={() => setShowColumnChooser(!showColumnChooser)}>
+                        Columns ({visibleColumns.length}/{columns.length})
+                    </button>
+                </div>
+
+                {showColumnChooser && columns.length > 0 && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px 20px', marginTop: '15px' }}>
+                        {columns.map(col => (
+                            <label key={col.name} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9rem' }}>
+                                <input type="checkbox" checked={!hiddenColumns.includes(col.name)} onChange={() => toggleColumn(col.name)} />
+                                {col.name.replace(/_/g, ' ')}
+                            </label>
+                        ))}
+                    </div>
+                )}
             </div>
 
+            {renderChart && renderChart(chartComputer, chartGroup)}
+
+            {error && (
+                <div className="alert alert-error" style={{ marginBottom: '20px' }}>
+                    <strong>{getErrorTitle(error)}:</strong> {error.message}
+                </div>
+            )}
+
             <div className="card">
-                <p>Total Records: {data.length}</p>
+                {loading && <div className="loading">Loading {metricName}...</div>}
+                <p>Total Records: {total}</p>
                 <div className="table-responsive">
                     <table className="data-table">
                         <thead>
-                            <tr>{data.length > 0 && Object.keys(data[0]).map(key => (<th key={key}>{key.replace(/_/g, ' ').toUpperCase()}</th>))}</tr>
+                            <tr>
+                                {visibleColumns.map(({ name }) => (
+                                    <th key={name} onClick={() => toggleSort(name)} style={{ cursor: 'pointer', whiteSpace: 'nowrap' }}>
+                                        {name.replace(/_/g, ' ').toUpperCase()}
+                                        {appliedSort.column === name && (appliedSort.direction === 'asc' ? ' ▲' : ' ▼')}
+                                    </th>
+                                ))}
+                            </tr>
+                            <tr>
+                                {visibleColumns.map(col => <th key={col.name}>{renderColumnFilter(col)}</th>)}
+                            </tr>
                         </thead>
                         <tbody>
                             {data.map((row, idx) => (
                                 <tr key={idx}>
-                                    {Object.values(row).map((val, i) => (<td key={i}>{val !== null && val !== undefined ? String(val) : 'N/A'}</td>))}
+                                    {visibleColumns.map(({ name }) => (
+                                        <td key={name}>{row[name] !== null && row[name] !== undefined ? String(row[name]) : 'N/A'}</td>
+                                    ))}
                                 </tr>
                             ))}
                         </tbody>
                     </table>
                 </div>
-                {data.length === 0 && <div className="empty-state"><p>No data found for the selected filters</p></div>}
+                {data.length === 0 && !error && !loading && <div className="empty-state"><p>No data found for the selected filters</p></div>}
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '15px' }}>
+                    <span>
+                        {total > 0 ? `Showing ${(page - 1) * pageSize + 1}-${Math.min(page * pageSize, total)} of ${total}` : ''}
+                    </span>
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                        <button className="btn" onClick={() => setQuery({ page: 1 })} disabled={page <= 1 || loading}>«</button>
+                        <button className="btn" onClick={() => setQuery({ page: page - 1 })} disabled={page <= 1 || loading}>‹ Prev</button>
+                        <span>Page {page} of {totalPages}</span>
+                        <button className="btn" onClick={() => setQuery({ page: page + 1 })} disabled={page >= totalPages || loading}>Next ›</button>
+                        <button className="btn" onClick={() => setQuery({ page: totalPages })} disabled={page >= totalPages || loading}>»</button>
+                    </div>
+                </div>
             </div>
         </div>
     );
 }
 
 // ALL 63 METRIC PAGES - System Health (10)
-export const CPUUsageMetric = () => <MetricDetail metricName="CPU Usage" metricType="cpu_usage" apiEndpoint="/api/metrics/cpu_usage" />;
-export const MemoryMetric = () => <MetricDetail metricName="Memory Usage" metricType="memory" apiEndpoint="/api/metrics/memory" />;
-export const DiskSpaceMetric = () => <MetricDetail metricName="Disk Space" metricType="disk_space" apiEndpoint="/api/metrics/disk_space" />;
-export const DiskPerformanceMetric = () => <MetricDetail metricName="Disk Performance" metricType="disk_performance" apiEndpoint="/api/metrics/disk_performance" />;
-export const NetworkAdaptersMetric = () => <MetricDetail metricName="Network Adapters" metricType="network_adapters" apiEndpoint="/api/metrics/network_adapters" />;
-export const TemperatureMetric = () => <MetricDetail metricName="Temperature" metricType="temperature" apiEndpoint="/api/metrics/temperature" />;
-export const PowerStatusMetric = () => <MetricDetail metricName="Power Status" metricType="power_status" apiEndpoint="/api/metrics/power_status" />;
-export const BiosInfoMetric = () => <MetricDetail metricName="BIOS Information" metricType="bios_info" apiEndpoint="/api/metrics/bios_info" />;
-export const MotherboardMetric = () => <MetricDetail metricName="Motherboard" metricType="motherboard" apiEndpoint="/api/metrics/motherboard" />;
-export const SystemUptimeMetric = () => <MetricDetail metricName="System Uptime" metricType="system_uptime" apiEndpoint="/api/metrics/system_uptime" />;
+export const CPUUsageMetric = () => <MetricDetail metricName="CPU Usage" metricType="cpu_usage" />;
+export const MemoryMetric = () => <MetricDetail metricName="Memory Usage" metricType="memory" />;
+export const DiskSpaceMetric = () => <MetricDetail metricName="Disk Space" metricType="disk_space" />;
+export const DiskPerformanceMetric = () => <MetricDetail metricName="Disk Performance" metricType="disk_performance" />;
+export const NetworkAdaptersMetric = () => <MetricDetail metricName="Network Adapters" metricType="network_adapters" />;
+export const TemperatureMetric = () => <MetricDetail metricName="Temperature" metricType="temperature" />;
+export const PowerStatusMetric = () => <MetricDetail metricName="Power Status" metricType="power_status" />;
+export const BiosInfoMetric = () => <MetricDetail metricName="BIOS Information" metricType="bios_info" />;
+export const MotherboardMetric = () => <MetricDetail metricName="Motherboard" metricType="motherboard" />;
+export const SystemUptimeMetric = () => <MetricDetail metricName="System Uptime" metricType="system_uptime" />;
 
 // Security (15)
-export const WindowsUpdatesMetric = () => <MetricDetail metricName="Windows Updates" metricType="windows_updates" apiEndpoint="/api/metrics/windows_updates" />;
-export const AntivirusMetric = () => <MetricDetail metricName="Antivirus Status" metricType="antivirus" apiEndpoint="/api/metrics/antivirus" />;
-export const FirewallMetric = () => <MetricDetail metricName="Firewall Status" metricType="firewall" apiEndpoint="/api/metrics/firewall" />;
-export const UserAccountsMetric = () => <MetricDetail metricName="User Accounts" metricType="user_accounts" apiEndpoint="/api/metrics/user_accounts" />;
-export const GroupMembershipMetric = () => <MetricDetail metricName="Group Membership" metricType="group_membership" apiEndpoint="/api/metrics/group_membership" />;
-export const LoginHistoryMetric = () => <MetricDetail metricName="Login History" metricType="login_history" apiEndpoint="/api/metrics/login_history" />;
-export const FailedLoginsMetric = () => <MetricDetail metricName="Failed Logins" metricType="failed_logins" apiEndpoint="/api/metrics/failed_logins" />;
-export const BitLockerMetric = () => <MetricDetail metricName="BitLocker Encryption" metricType="bitlocker" apiEndpoint="/api/metrics/bitlocker" />;
-export const TPMMetric = () => <MetricDetail metricName="TPM Status" metricType="tpm" apiEndpoint="/api/metrics/tpm" />;
-export const SecureBootMetric = () => <MetricDetail metricName="Secure Boot" metricType="secure_boot" apiEndpoint="/api/metrics/secure_boot" />;
-export const AuditPoliciesMetric = () => <MetricDetail metricName="Audit Policies" metricType="audit_policies" apiEndpoint="/api/metrics/audit_policies" />;
-export const PasswordPolicyMetric = () => <MetricDetail metricName="Password Policy" metricType="password_policy" apiEndpoint="/api/metrics/password_policy" />;
-export const SMBSharesMetric = () => <MetricDetail metricName="SMB Shares" metricType="smb_shares" apiEndpoint="/api/metrics/smb_shares" />;
-export const OpenPortsMetric = () => <MetricDetail metricName="Open Ports" metricType="open_ports" apiEndpoint="/api/metrics/open_ports" />;
-export const CertificatesMetric = () => <MetricDetail metricName="Certificates" metricType="certificates" apiEndpoint="/api/metrics/certificates" />;
+export const WindowsUpdatesMetric = () => <MetricDetail metricName="Windows Updates" metricType="windows_updates" />;
+export const AntivirusMetric = () => <MetricDetail metricName="Antivirus Status" metricType="antivirus" />;
+export const FirewallMetric = () => <MetricDetail metricName="Firewall Status" metricType="firewall" />;
+export const UserAccountsMetric = () => <MetricDetail metricName="User Accounts" metricType="user_accounts" />;
+export const GroupMembershipMetric = () => <MetricDetail metricName="Group Membership" metricType="group_membership" />;
+export const LoginHistoryMetric = () => <MetricDetail metricName="Login History" metricType="login_history" />;
+export const FailedLoginsMetric = () => <MetricDetail metricName="Failed Logins" metricType="failed_logins" />;
+export const BitLockerMetric = () => <MetricDetail metricName="BitLocker Encryption" metricType="bitlocker" />;
+export const TPMMetric = () => <MetricDetail metricName="TPM Status" metricType="tpm" />;
+export const SecureBootMetric = () => <MetricDetail metricName="Secure Boot" metricType="secure_boot" />;
+export const AuditPoliciesMetric = () => <MetricDetail metricName="Audit Policies" metricType="audit_policies" />;
+export const PasswordPolicyMetric = () => <MetricDetail metricName="Password Policy" metricType="password_policy" />;
+export const SMBSharesMetric = () => <MetricDetail metricName="SMB Shares" metricType="smb_shares" />;
+export const OpenPortsMetric = () => <MetricDetail metricName="Open Ports" metricType="open_ports" />;
+export const CertificatesMetric = () => <MetricDetail metricName="Certificates" metricType="certificates" />;
 
 // Network (8)
-export const NetworkConnectionsMetric = () => <MetricDetail metricName="Network Connections" metricType="network_connections" apiEndpoint="/api/metrics/network_connections" />;
-export const NetworkStatsMetric = () => <MetricDetail metricName="Network Statistics" metricType="network_stats" apiEndpoint="/api/metrics/network_stats" />;
-export const DNSCacheMetric = () => <MetricDetail metricName="DNS Cache" metricType="dns_cache" apiEndpoint="/api/metrics/dns_cache" />;
-export const RoutingTableMetric = () => <MetricDetail metricName="Routing Table" metricType="routing_table" apiEndpoint="/api/metrics/routing_table" />;
-export const NetworkSpeedMetric = () => <MetricDetail metricName="Network Speed" metricType="network_speed" apiEndpoint="/api/metrics/network_speed" />;
-export const WiFiNetworksMetric = () => <MetricDetail metricName="WiFi Networks" metricType="wifi_networks" apiEndpoint="/api/metrics/wifi_networks" />;
-export const VPNConnectionsMetric = () => <MetricDetail metricName="VPN Connections" metricType="vpn_connections" apiEndpoint="/api/metrics/vpn_connections" />;
-export const ProxySettingsMetric = () => <MetricDetail metricName="Proxy Settings" metricType="proxy_settings" apiEndpoint="/api/metrics/proxy_settings" />;
+export const NetworkConnectionsMetric = () => <MetricDetail metricName="Network Connections" metricType="network_connections" />;
+export const NetworkStatsMetric = () => <MetricDetail metricName="Network Statistics" metricType="network_stats" />;
+export const DNSCacheMetric = () => <MetricDetail metricName="DNS Cache" metricType="dns_cache" />;
+export const RoutingTableMetric = () => <MetricDetail metricName="Routing Table" metricType="routing_table" />;
+export const NetworkSpeedMetric = () => <MetricDetail metricName="Network Speed" metricType="network_speed" />;
+export const WiFiNetworksMetric = () => <MetricDetail metricName="WiFi Networks" metricType="wifi_networks" />;
+export const VPNConnectionsMetric = () => <MetricDetail metricName="VPN Connections" metricType="vpn_connections" />;
+export const ProxySettingsMetric = () => <MetricDetail metricName="Proxy Settings" metricType="proxy_settings" />;
 
 // Software & Compliance (12)
-export const InstalledSoftwareMetric = () => <MetricDetail metricName="Installed Software" metricType="installed_software" apiEndpoint="/api/metrics/installed_software" />;
-export const StartupProgramsMetric = () => <MetricDetail metricName="Startup Programs" metricType="startup_programs" apiEndpoint="/api/metrics/startup_programs" />;
-export const ServicesMetric = () => <MetricDetail metricName="Windows Services" metricType="services" apiEndpoint="/api/metrics/services" />;
-export const ScheduledTasksMetric = () => <MetricDetail metricName="Scheduled Tasks" metricType="scheduled_tasks" apiEndpoint="/api/metrics/scheduled_tasks" />;
-export const BrowserExtensionsMetric = () => <MetricDetail metricName="Browser Extensions" metricType="browser_extensions" apiEndpoint="/api/metrics/browser_extensions" />;
-export const OfficeVersionMetric = () => <MetricDetail metricName="Office Version" metricType="office_version" apiEndpoint="/api/metrics/office_version" />;
-export const RegistrySettingsMetric = () => <MetricDetail metricName="Registry Settings" metricType="registry_settings" apiEndpoint="/api/metrics/registry_settings" />;
-export const GPOAppliedMetric = () => <MetricDetail metricName="Group Policies Applied" metricType="gpo_applied" apiEndpoint="/api/metrics/gpo_applied" />;
-export const EnvironmentVariablesMetric = () => <MetricDetail metricName="Environment Variables" metricType="environment_variables" apiEndpoint="/api/metrics/environment_variables" />;
-export const DriversMetric = () => <MetricDetail metricName="Device Drivers" metricType="drivers" apiEndpoint="/api/metrics/drivers" />;
-export const WindowsFeaturesMetric = () => <MetricDetail metricName="Windows Features" metricType="windows_features" apiEndpoint="/api/metrics/windows_features" />;
-export const PowerShellVersionMetric = () => <MetricDetail metricName="PowerShell Version" metricType="powershell_version" apiEndpoint="/api/metrics/powershell_version" />;
+export const InstalledSoftwareMetric = () => <MetricDetail metricName="Installed Software" metricType="installed_software" />;
+export const StartupProgramsMetric = () => <MetricDetail metricName="Startup Programs" metricType="startup_programs" />;
+export const ServicesMetric = () => <MetricDetail metricName="Windows Services" metricType="services" />;
+export const ScheduledTasksMetric = () => <MetricDetail metricName="Scheduled Tasks" metricType="scheduled_tasks" />;
+export const BrowserExtensionsMetric = () => <MetricDetail metricName="Browser Extensions" metricType="browser_extensions" />;
+export const OfficeVersionMetric = () => <MetricDetail metricName="Office Version" metricType="office_version" />;
+export const RegistrySettingsMetric = () => <MetricDetail metricName="Registry Settings" metricType="registry_settings" />;
+export const GPOAppliedMetric = () => <MetricDetail metricName="Group Policies Applied" metricType="gpo_applied" />;
+export const EnvironmentVariablesMetric = () => <MetricDetail metricName="Environment Variables" metricType="environment_variables" />;
+export const DriversMetric = () => <MetricDetail metricName="Device Drivers" metricType="drivers" />;
+export const WindowsFeaturesMetric = () => <MetricDetail metricName="Windows Features" metricType="windows_features" />;
+export const PowerShellVersionMetric = () => <MetricDetail metricName="PowerShell Version" metricType="powershell_version" />;
 
 // User Experience (10)
-export const LoginTimeMetric = () => <MetricDetail metricName="Login Time" metricType="login_time" apiEndpoint="/api/metrics/login_time" />;
-export const ApplicationCrashesMetric = () => <MetricDetail metricName="Application Crashes" metricType="application_crashes" apiEndpoint="/api/metrics/application_crashes" />;
-export const BrowserPerformanceMetric = () => <MetricDetail metricName="Browser Performance" metricType="browser_performance" apiEndpoint="/api/metrics/browser_performance" />;
-export const PrintingIssuesMetric = () => <MetricDetail metricName="Printing Issues" metricType="printing_issues" apiEndpoint="/api/metrics/printing_issues" />;
-export const MappedDrivesMetric = () => <MetricDetail metricName="Mapped Drives" metricType="mapped_drives" apiEndpoint="/api/metrics/mapped_drives" />;
-export const PrintersMetric = () => <MetricDetail metricName="Installed Printers" metricType="printers" apiEndpoint="/api/metrics/printers" />;
-export const DisplaySettingsMetric = () => <MetricDetail metricName="Display Settings" metricType="display_settings" apiEndpoint="/api/metrics/display_settings" />;
-export const SoundDevicesMetric = () => <MetricDetail metricName="Sound Devices" metricType="sound_devices" apiEndpoint="/api/metrics/sound_devices" />;
-export const USBDevicesMetric = () => <MetricDetail metricName="USB Devices" metricType="usb_devices" apiEndpoint="/api/metrics/usb_devices" />;
-export const BluetoothDevicesMetric = () => <MetricDetail metricName="Bluetooth Devices" metricType="bluetooth_devices" apiEndpoint="/api/metrics/bluetooth_devices" />;
+export const LoginTimeMetric = () => <MetricDetail metricName="Login Time" metricType="login_time" />;
+export const ApplicationCrashesMetric = () => <MetricDetail metricName="Application Crashes" metricType="application_crashes" />;
+export const BrowserPerformanceMetric = () => <MetricDetail metricName="Browser Performance" metricType="browser_performance" />;
+export const PrintingIssuesMetric = () => <MetricDetail metricName="Printing Issues" metricType="printing_issues" />;
+export const MappedDrivesMetric = () => <MetricDetail metricName="Mapped Drives" metricType="mapped_drives" />;
+export const PrintersMetric = () => <MetricDetail metricName="Installed Printers" metricType="printers" />;
+export const DisplaySettingsMetric = () => <MetricDetail metricName="Display Settings" metricType="display_settings" />;
+export const SoundDevicesMetric = () => <MetricDetail metricName="Sound Devices" metricType="sound_devices" />;
+export const USBDevicesMetric = () => <MetricDetail metricName="USB Devices" metricType="usb_devices" />;
+export const BluetoothDevicesMetric = () => <MetricDetail metricName="Bluetooth Devices" metricType="bluetooth_devices" />;
 
 // Event Logs (5)
-export const SystemEventsMetric = () => <MetricDetail metricName="System Events" metricType="system_events" apiEndpoint="/api/metrics/system_events" />;
-export const ApplicationEventsMetric = () => <MetricDetail metricName="Application Events" metricType="application_events" apiEndpoint="/api/metrics/application_events" />;
-export const SecurityEventsMetric = () => <MetricDetail metricName="Security Events" metricType="security_events" apiEndpoint="/api/metrics/security_events" />;
-export const ErrorSummaryMetric = () => <MetricDetail metricName="Error Summary" metricType="error_summary" apiEndpoint="/api/metrics/error_summary" />;
-export const WarningSummaryMetric = () => <MetricDetail metricName="Warning Summary" metricType="warning_summary" apiEndpoint="/api/metrics/warning_summary" />;
+export const SystemEventsMetric = () => <MetricDetail metricName="System Events" metricType="system_events" />;
+export const ApplicationEventsMetric = () => <MetricDetail metricName="Application Events" metricType="application_events" />;
+export const SecurityEventsMetric = () => <MetricDetail metricName="Security Events" metricType="security_events" />;
+export const ErrorSummaryMetric = () => <MetricDetail metricName="Error Summary" metricType="error_summary" />;
+export const WarningSummaryMetric = () => <MetricDetail metricName="Warning Summary" metricType="warning_summary" />;
+
+// Chart title suffix for the computer or device group a trend covers
+const trendScope = (computerName, groupId) => {
+    if (computerName) return ` - ${computerName}`;
+    return groupId ? ' (group average)' : ' (fleet average)';
+};
+
+// Chart fields are module constants so MetricTrendChart does not refetch on every render
+const BASELINE_CPU_FIELDS = [
+    { field: 'avg_cpu_percent', label: 'Baseline Avg CPU', dashed: true, color: '#6c757d' },
+    { field: 'peak_cpu_percent', label: 'Baseline Peak CPU', dashed: true, color: '#ff9800' }
+];
+const ACTUAL_CPU_OVERLAY = { metricType: 'cpu_usage', label: 'Actual', fields: [{ field: 'usage_percent', label: 'Actual CPU', area: true, color: '#2196f3' }] };
+const BASELINE_MEMORY_FIELDS = [
+    { field: 'avg_memory_percent', label: 'Baseline Avg Memory', dashed: true, color: '#6c757d' },
+    { field: 'peak_memory_percent', label: 'Baseline Peak Memory', dashed: true, color: '#ff9800' }
+];
+const ACTUAL_MEMORY_OVERLAY = { metricType: 'memory', label: 'Actual', fields: [{ field: 'usage_percent', label: 'Actual Memory', area: true, color: '#4caf50' }] };
+const HEALTH_SCORE_FIELDS = [
+    { field: 'avg_health_score', label: 'Average', area: true, color: '#2196f3' },
+    { field: 'min_health_score', label: 'Minimum', color: '#f44336' },
+    { field: 'max_health_score', label: 'Maximum', color: '#4caf50' }
+];
 
 // Performance Baselines (3)
-export const PerformanceBaselineMetric = () => <MetricDetail metricName="Performance Baseline" metricType="performance_baseline" apiEndpoint="/api/metrics/performance_baseline" />;
-export const HealthScoreHistoryMetric = () => <MetricDetail metricName="Health Score History" metricType="health_score_history" apiEndpoint="/api/metrics/health_score_history" />;
-export const ComplianceScoreMetric = () => <MetricDetail metricName="Compliance Score" metricType="compliance_score" apiEndpoint="/api/metrics/compliance_score" />;
+export const PerformanceBaselineMetric = () => (
+    <MetricDetail
+        metricName="Performance Baseline"
+        metricType="performance_baseline"
+        renderChart={(computerName, groupId) => (
+            <>
+                <MetricTrendChart
+                    title={`CPU Baseline vs Actual${trendScope(computerName, groupId)}`}
+                    metricType="performance_baseline"
+                    computerName={computerName}
+                    groupId={groupId}
+                    fields={BASELINE_CPU_FIELDS}
+                    overlay={ACTUAL_CPU_OVERLAY}
+                    yMax={100}
+                    unit="%"
+                />
+                <MetricTrendChart
+                    title={`Memory Baseline vs Actual${trendScope(computerName, groupId)}`}
+                    metricType="performance_baseline"
+                    computerName={computerName}
+                    groupId={groupId}
+                    fields={BASELINE_MEMORY_FIELDS}
+                    overlay={ACTUAL_MEMORY_OVERLAY}
+                    yMax={100}
+                    unit="%"
+                />
+            </>
+        )}
+    />
+);
+export const HealthScoreHistoryMetric = () => (
+    <MetricDetail
+        metricName="Health Score History"
+        metricType="health_score_history"
+        renderChart={(computerName, groupId) => (
+            <MetricTrendChart
+                title={`Health Score Trend${trendScope(computerName, groupId)}`}
+                metricType="health_score_history"
+                computerName={computerName}
+                groupId={groupId}
+                fields={HEALTH_SCORE_FIELDS}
+                yMax={100}
+            />
+        )}
+    />
+);
+export const ComplianceScoreMetric = () => <MetricDetail metricName="Compliance Score" metricType="compliance_score" />;
 
 export default MetricDetail;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { metricsService, API_ERROR_TYPES } from '../services/api';
+import TimeSeriesChart from './TimeSeriesChart';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGES = [
+    { key: '24h', label: '24h', ms: DAY_MS },
+    { key: '7d', label: '7d', ms: 7 * DAY_MS },
+    { key: '30d', label: '30d', ms: 30 * DAY_MS }
+];
+const SERIES_COLORS = ['#2196f3', '#4caf50', '#ff9800', '#9c27b0', '#f44336', '#00bcd4'];
+
+const toDateInput = (date) => {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().split('T')[0];
+};
+
+// Turn API rows into chart series; tables split by a series column (disk drives) get one line per value
+const toSeries = (rows, fields, keyPrefix) => {
+    const byKey = new Map();
+    rows.forEach(row => {
+        fields.forEach(field => {
+            const key = row.series ? `${keyPrefix}-${field.field}-${row.series}` : `${keyPrefix}-${field.field}`;
+            if (!byKey.has(key)) {
+                byKey.set(key, {
+                    ...field,
+                    key,
+                    label: row.series ? `${row.series}: ${field.label}` : field.label,
+                    points: []
+                });
+            }
+            const value = row[field.field];
+            byKey.get(key).points.push({ t: Number(row.time), v: value === null || value === undefined ? null : Number(value) });
+        });
+    });
+    return [...byKey.values()];
+};
+
+// Time-series card with range selection and an optional overlay from another metric
+// (baseline against actual values). fields/overlay.fields: [{ field, label, area, dashed }]
+// fields and overlay are effect dependencies: pass module constants or memoized values
+function MetricTrendChart({ title, metricType, computerName, groupId, fields, overlay, yMax, unit }) {
+    const [rangeKey, setRangeKey] = useState('24h');
+    const [customStart, setCustomStart] = useState(toDateInput(new Date(Date.now() - 7 * DAY_MS)));
+    const [customEnd, setCustomEnd] = useState(toDateInput(new Date()));
+    const [showOverlay, setShowOverlay] = useState(true);
+    const [series, setSeries] = useState([]);
+    const [range, setRange] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Fetches the series (and the overlay when shown) for one range query
+    const loadSeries = useCallback(async (query, options) => {
+        const requests = [metricsService.getSeries(metricType, query, options)];
+        if (overlay && showOverlay) {
+            requests.push(metricsService.getSeries(overlay.metricType, query, options));
+        }
+        const [main, extra] = await Promise.all(requests);
+
+        const colored = (list, offset) => list.map((s, i) => ({
+            ...s,
+            color: s.color || SERIES_COLORS[(i + offset) % SERIES_COLORS.length]
+        }));
+        const mainSeries = colored(toSeries(main.data, fields, metricType), 0);
+        const overlaySeries = extra
+            ? colored(toSeries(extra.data, overlay.fields, overlay.metricType), mainSeries.length)
+            : [];
+        return [...mainSeries, ...overlaySeries];
+    }, [metricType, fields, overlay, showOverlay]);
+
+    useEffect(() => {
+        let start;
+        let end;
+        if (rangeKey === 'custom') {
+            start = new Date(`${customStart}T00:00:00`);
+            end = new Date(`${customEnd}T23:59:59`);
+        } else {
+            end = new Date();
+            start = new Date(end.getTime() - RANGES.find(r => r.key === rangeKey).ms);
+        }
+        if (isNaN(start) || isNaN(end) || start >= end) return undefined;
+
+        const controller = new AbortController();
+        const options = { signal: controller.signal };
+        const query = { computerName, groupId, start, end };
+
+        const fetchSeries = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                setSeries(await loadSeries(query, options));
+                setRange([start.getTime(), end.getTime()]);
+            } catch (err) {
+                if (err.type === API_ERROR_TYPES.CANCELLED) return;
+                console.error('Error fetching metric history:', err);
+                setSeries([]);
+                setError(err);
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        fetchSeries();
+        return () => controller.abort();
+    }, [loadSeries, computerName, groupId, rangeKey, customStart, customEnd]);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+                <h3>{title}</h3>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                    {overlay && (
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginRight: '10px' }}>
+                            <input type="checkbox" checked={showOverlay} onChange={(e) => setShowOverlay(e.target.checked)} />
+                            Show {overlay.label}
+                        </label>
+                    )}
+                    {RANGES.map(r => (
+                        <button key={r.key} className={`btn ${rangeKey === r.key ? 'btn-primary' : ''}`} onClick={() => setRangeKey(r.key)}>
+                            {r.label}
+                        </button>
+                    ))}
+                    <button className={`btn ${rangeKey === 'custom' ? 'btn-primary' : ''}`} onClick={() => setRangeKey('custom')}>
+                        Custom
+                    </button>
+                    {rangeKey === 'custom' && (
+                        <>
+                            <input type="date" value={customStart} max={customEnd} onChange={(e) => setCustomStart(e.target.value)} />
+                            <span>to</span>
+                            <input type="date" value={customEnd} min={customStart} onChange={(e) => setCustomEnd(e.target.value)} />
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {error && (
+                <div className="alert alert-error" style={{ marginBottom: '15px' }}>
+                    Failed to load history: {error.message}
+                </div>
+            )}
+
+            {loading && !range ? (
+                <div className="loading">Loading history...</div>
+            ) : range && (
+                <TimeSeriesChart key={range.join('-')} series={series} start={range[0]} end={range[1]} yMax={yMax} unit={unit} />
+            )}
+        </div>
+    );
+}
+
+export default MetricTrendChart;
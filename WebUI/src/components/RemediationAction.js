@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { asList, authService, remediationService } from '../services/api';
+
+// Remediation actions offered for a scan diagnostic row (rows come from ConvertTo-ScanDiagnostic in ScanSession.psm1)
+export const getDiagnosticRemediations = (diag) => {
+    const details = diag.Details || {};
+    const flagged = diag.Status === 'Warning' || diag.Status === 'Critical';
+
+    switch (diag.CheckName) {
+        case 'Disk_Space':
+            return flagged ? [
+                { action: 'disk-clear-temp' },
+                { action: 'disk-cleanmgr' },
+                { action: 'disk-recycle-bin' }
+            ] : [];
+        case 'Services_Status': {
+            const services = asList(details.Services);
+            return services
+                .filter(svc => svc.State && svc.State !== 'Running')
+                .map(svc => ({
+                    action: 'service-start',
+                    label: `Start ${svc.DisplayName || svc.ServiceName}`,
+                    parameters: { ServiceName: svc.ServiceName }
+                }));
+        }
+        case 'Firewall_Status':
+            // Firewall profiles are enforced by Group Policy
+            return flagged ? [{ action: 'gpo-update' }] : [];
+        default:
+            return [];
+    }
+};
+
+// Button that runs one remediation action on an endpoint after confirmation.
+// Only admins can run actions; actions disabled in EMSConfig.json are not shown.
+function RemediationAction({ computerName, action, label, parameters, scanId, description }) {
+    const [catalog, setCatalog] = useState(null);
+    const [confirming, setConfirming] = useState(false);
+    const [running, setRunning] = useState(false);
+    const [outcome, setOutcome] = useState(null);
+    const [error, setError] = useState('');
+
+    const isAdmin = authService.hasRole('admin');
+
+    useEffect(() => {
+        let active = true;
+        remediationService.getActions()
+            .then(data => { if (active) setCatalog(data); })
+            .catch(err => console.error('Failed to load remediation actions:', err));
+        return () => { active = false; };
+    }, []);
+
+    const definition = catalog?.actions.find(a => a.id === action);
+    if (!catalog || !catalog.enabled || !definition || !definition.enabled) {
+        return null;
+    }
+
+    const buttonLabel = label || definition.label;
+
+    const runAction = async () => {
+        setRunning(true);
+        setError('');
+        try {
+            const data = await remediationService.run({ computerName, action, parameters, scanId, confirm: confirming });
+            setOutcome(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const handleClick = () => {
+        setOutcome(null);
+        setError('');
+        if (catalog.requireConfirmation) {
+            setConfirming(true);
+        } else {
+            runAction();
+        }
+    };
+
+    const renderOutcome = () => (
+        <>
+            {outcome && (
+                <span style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}>
+                    <span className={`badge ${outcome.success ? 'badge-success' : 'badge-danger'}`}>
+                        {outcome.success ? 'Succeeded' : 'Failed'}
+                    </span>
+                    <span>{outcome.message}</span>
+                    {outcome.remediationId && (
+                        <Link to={`/remediation/${outcome.remediationId}`}>Audit record #{outcome.remediationId}</Link>
+                    )}
+                </span>
+            )}
+            {error && <span style={{ color: 'var(--error-color)' }}>{error}</span>}
+        </>
+    );
+
+    return (
+        <span style={{ display: 'inline-flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginRight: '8px' }}>
+            <button
+                className="btn btn-small"
+                onClick={handleClick}
+                disabled={!isAdmin || running}
+                title={isAdmin ? definition.label : 'Remediation requires the admin role'}
+            >
+                {running ? 'Running...' : buttonLabel}
+            </button>
+            {!confirming && renderOutcome()}
+
+            {confirming && (
+                <div className="modal-overlay">
+                    <div className="modal">
+                        <h3 style={{ marginBottom: '15px' }}>{buttonLabel}</h3>
+                        <p>Target: <strong>{computerName}</strong></p>
+                        {definition.parameter && parameters?.[definition.parameter] && (
+                            <p>{definition.parameter}: <code>{parameters[definition.parameter]}</code></p>
+                        )}
+                        {description && <p style={{ marginTop: '10px' }}>{description}</p>}
+                        <p style={{ marginTop: '10px', color: 'var(--text-secondary)' }}>
+                            This changes the endpoint and is recorded in the audit log under your account.
+                        </p>
+
+                        {(outcome || error) && (
+                            <div style={{ marginTop: '15px' }}>{renderOutcome()}</div>
+                        )}
+
+                        <div className="modal-actions">
+                            {outcome || error ? (
+                                <button className="btn btn-primary" onClick={() => setConfirming(false)}>Close</button>
+                            ) : (
+                                <>
+                                    <button className="btn" onClick={() => setConfirming(false)} disabled={running}>Cancel</button>
+                                    <button className="btn btn-danger" onClick={runAction} disabled={running}>
+                                        {running ? 'Running...' : 'Run Action'}
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </span>
+    );
+}
+
+export default RemediationAction;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { remediationService } from '../services/api';
+
+const STATUS_BADGES = {
+    pending: 'badge-info',
+    success: 'badge-success',
+    failed: 'badge-danger',
+    rolled_back: 'badge-warning'
+};
+
+// Audit view of one remediation_history row and the audit_logs entries written for it
+function RemediationRecord() {
+    const { remediationId } = useParams();
+    const [record, setRecord] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchRecord = async () => {
+            try {
+                setLoading(true);
+                setError('');
+                setRecord(await remediationService.getRecord(remediationId));
+            } catch (err) {
+                console.error('Failed to load remediation record:', err);
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchRecord();
+    }, [remediationId]);
+
+    if (loading) {
+        return <div className="loading">Loading remediation record...</div>;
+    }
+
+    if (error || !record) {
+        return <div className="alert alert-error">{error || 'Remediation record not found'}</div>;
+    }
+
+    return (
+        <div>
+            <h1 style={{ marginBottom: '30px', display: 'flex', alignItems: 'center', gap: '15px' }}>
+                Remediation #{record.remediation_id}
+                <span className={`badge ${STATUS_BADGES[record.status] || 'badge-secondary'}`}>{record.status}</span>
+            </h1>
+
+            <div className="card">
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '15px' }}>
+                    <div>
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Computer</div>
+                        <div style={{ fontWeight: '600' }}>
+                            <Link to={`/computers/${record.hostname}`}>{record.hostname}</Link>
+                        </div>
+                    </div>
+                    <div>
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Type</div>
+                        <div style={{ fontWeight: '600' }}>{record.remediation_type}</div>
+                    </div>
+                    <div>
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Executed By</div>
+                        <div style={{ fontWeight: '600' }}>{record.executed_by_username || 'Unknown'}</div>
+                    </div>
+                    <div>
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Executed At</div>
+                        <div style={{ fontWeight: '600' }}>{new Date(record.executed_at).toLocaleString()}</div>
+                    </div>
+                    <div>
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Duration</div>
+                        <div style={{ fontWeight: '600' }}>
+                            {record.execution_time_seconds !== null && record.execution_time_seconds !== undefined ? `${record.execution_time_seconds}s` : 'N/A'}
+                        </div>
+                    </div>
+                    <div>
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Scan</div>
+                        <div style={{ fontWeight: '600' }}>{record.scan_id || 'N/A'}</div>
+                    </div>
+                </div>
+
+                <div style={{ marginTop: '20px' }}>
+                    <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Command</div>
+                    <code>{record.remediation_command}</code>
+                </div>
+                <div style={{ marginTop: '15px' }}>
+                    <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Result</div>
+                    <div>{record.result_message || 'No result recorded'}</div>
+                </div>
+            </div>
+
+            <div className="card">
+                <h3 style={{ marginBottom: '15px' }}>Audit Log</h3>
+                {record.audit.length === 0 ? (
+                    <p style={{ color: 'var(--text-secondary)' }}>No audit entries found for this remediation.</p>
+                ) : (
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Log ID</th>
+                                    <th>Timestamp</th>
+                                    <th>User</th>
+                                    <th>Action</th>
+                                    <th>Target</th>
+                                    <th>Result</th>
+                                    <th>Risk</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {record.audit.map(entry => (
+                                    <tr key={entry.log_id}>
+                                        <td>{entry.log_id}</td>
+                                        <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                                        <td>{entry.username}</td>
+                                        <td>{entry.action}</td>
+                                        <td>{entry.target}</td>
+                                        <td>
+                                            <span className={`badge ${entry.result === 'Success' ? 'badge-success' : 'badge-danger'}`}>{entry.result}</span>
+                                        </td>
+                                        <td>{entry.risk_level}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default RemediationRecord;
@@ -1,31 +1,76 @@
-import React, { useState, useEffect } from 'react';
-import { resultsService } from '../services/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate, Link } from 'react-router-dom';
+import { asList, resultsService } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+import ExportMenu from './ExportMenu';
+
+// Query parameters the dashboard links with; passed straight through to /api/results
+const DRILL_DOWN_FILTERS = {
+    hostname: (v) => `Hostname contains "${v}"`,
+    group: (v) => `Device group #${v}`,
+    latest: () => 'Latest scan per endpoint',
+    minHealth: (v) => `Health ≥ ${v}`,
+    maxHealth: (v) => `Health ≤ ${v}`,
+    topology: (v) => `Topology ${v}`,
+    status: (v) => `Status ${v}`,
+    category: (v) => `Critical ${v} alerts`,
+    critical: () => 'Has critical alerts',
+    staleDays: (v) => `Not seen in ${v} days`,
+    days: (v) => `Last ${v} days`
+};
 
 function ResultsHistory() {
+    const location = useLocation();
+    const navigate = useNavigate();
     const [results, setResults] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [filter, setFilter] = useState('');
+    // Hostname/user filter applied to the loaded page, kept in the URL with the drill-down filters
+    const [{ q: filter }, setQuery] = useQueryState({ q: '' });
+    // Scans ticked for side-by-side comparison
+    const [selected, setSelected] = useState([]);
 
-    useEffect(() => {
-        loadResults();
-    }, []);
+    const search = new URLSearchParams(location.search);
+    const drillDown = Object.keys(DRILL_DOWN_FILTERS)
+        .filter(key => search.get(key))
+        .map(key => ({ key, value: search.get(key) }));
+    // Only the drill-down filters reach the API; typing in the text filter does not reload
+    const apiQuery = new URLSearchParams(drillDown.map(({ key, value }) => [key, value])).toString();
 
-    const loadResults = async () => {
+    const loadResults = useCallback(async () => {
         try {
-            const data = await resultsService.getResults({ limit: 100 });
-            setResults(data.results || []);
+            setLoading(true);
+            const params = { limit: 100 };
+            new URLSearchParams(apiQuery).forEach((value, key) => {
+                params[key] = value;
+            });
+            const data = await resultsService.getResults(params);
+            const rows = data.results;
+            setResults(asList(rows));
         } catch (error) {
             console.error('Failed to load results:', error);
         } finally {
             setLoading(false);
         }
-    };
+    }, [apiQuery]);
+
+    useEffect(() => {
+        loadResults();
+    }, [loadResults]);
 
     const filteredResults = results.filter(r =>
         r.hostname.toLowerCase().includes(filter.toLowerCase()) ||
         (r.user_id_resolved && r.user_id_resolved.toLowerCase().includes(filter.toLowerCase()))
     );
 
+    const toggleSelected = (result) => {
+        setSelected(current => current.some(r => r.scan_id === result.scan_id)
+            ? current.filter(r => r.scan_id !== result.scan_id)
+            : [...current, result]);
+    };
+
+    const canCompare = selected.length === 2 &&
+        selected[0].hostname.toLowerCase() === selected[1].hostname.toLowerCase();
+
     const getHealthBadge = (score) => {
         if (score >= 90) return 'badge-success';
         if (score >= 70) return 'badge-info';
@@ -58,24 +103,55 @@ function ResultsHistory() {
                             className="form-control"
                             placeholder="Filter by hostname or user..."
                             value={filter}
-                            onChange={(e) => setFilter(e.target.value)}
+                            onChange={(e) => setQuery({ q: e.target.value })}
                         />
                     </div>
                     <button className="btn btn-primary" onClick={loadResults}>
                         Refresh
                     </button>
+                    <ExportMenu
+                        source="results"
+                        title="Scan Results"
+                        parameters={{ ...Object.fromEntries(drillDown.map(({ key, value }) => [key, value])), search: filter }}
+                    />
                 </div>
+                {drillDown.length > 0 && (
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginTop: '15px' }}>
+                        <span style={{ color: 'var(--text-secondary)' }}>Filtered by:</span>
+                        {drillDown.map(({ key, value }) => (
+                            <span key={key} className="badge badge-info">{DRILL_DOWN_FILTERS[key](value)}</span>
+                        ))}
+                        <Link to="/results">Clear filters</Link>
+                    </div>
+                )}
             </div>
 
             <div className="card">
-                <h3 style={{ marginBottom: '20px' }}>
-                    {filteredResults.length} Results
-                </h3>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px', gap: '15px' }}>
+                    <h3 style={{ margin: 0 }}>
+                        {filteredResults.length} Results
+                    </h3>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        {selected.length > 0 && !canCompare && (
+                            <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                                Select two scans of the same computer to compare
+                            </span>
+                        )}
+                        <button
+                            className="btn"
+                            disabled={!canCompare}
+                            onClick={() => navigate(`/results/compare?a=${selected[0].scan_id}&b=${selected[1].scan_id}`)}
+                        >
+                            Compare Selected
+                        </button>
+                    </div>
+                </div>
 
                 <div className="table-container">
                     <table>
                         <thead>
                             <tr>
+                                <th></th>
                                 <th>Timestamp</th>
                                 <th>Hostname</th>
                                 <th>IP Address</th>
@@ -89,15 +165,34 @@ function ResultsHistory() {
                         <tbody>
                             {filteredResults.length === 0 ? (
                                 <tr>
-                                    <td colSpan="8" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                    <td colSpan="9" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
                                         No results found
                                     </td>
                                 </tr>
                             ) : (
-                                filteredResults.map((result, idx) => (
-                                    <tr key={idx}>
-                                        <td>{new Date(result.scan_timestamp).toLocaleString()}</td>
-                                        <td><strong>{result.hostname}</strong></td>
+                                filteredResults.map((result) => (
+                                    <tr
+                                        key={result.scan_id}
+                                        onClick={() => navigate(`/results/${result.scan_id}`)}
+                                        style={{ cursor: 'pointer' }}
+                                        title="View full scan"
+                                    >
+                                        <td onClick={(e) => e.stopPropagation()}>
+                                            <input
+                                                type="checkbox"
+                                                checked={selected.some(r => r.scan_id === result.scan_id)}
+                                                onChange={() => toggleSelected(result)}
+                                                title="Select for comparison"
+                                            />
+                                        </td>
+                                        <td>
+                                            <Link to={`/results/${result.scan_id}`}>{new Date(result.scan_timestamp).toLocaleString()}</Link>
+                                        </td>
+                                        <td>
+                                            <Link to={`/computers/${result.hostname}`} onClick={(e) => e.stopPropagation()}>
+                                                <strong>{result.hostname}</strong>
+                                            </Link>
+                                        </td>
                                         <td>{result.ip_address || 'N/A'}</td>
                                         <td>{result.user_id_resolved || '-'}</td>
                                         <td>
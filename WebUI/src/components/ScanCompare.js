@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import { useLocation, useNavigate, Link } from 'react-router-dom';
+import { asList, resultsService } from '../services/api';
+
+const FAILING_SEVERITIES = ['Warning', 'Critical'];
+
+const SEVERITY_BADGES = {
+    Critical: 'badge-danger',
+    Warning: 'badge-warning',
+    Info: 'badge-info'
+};
+
+const ROW_STYLES = {
+    added: { background: '#e8f5e9' },
+    removed: { background: '#fdecea' },
+    changed: { background: '#fff8e1' }
+};
+
+// Inventory lists and the fields shown / compared for each
+const INVENTORIES = [
+    {
+        key: 'software',
+        title: 'Installed Software',
+        id: (row) => row.software_name,
+        label: (row) => row.software_name,
+        compare: ['version'],
+        describe: (row) => [row.version, row.vendor].filter(Boolean).join(' · ')
+    },
+    {
+        key: 'services',
+        title: 'Services',
+        id: (row) => row.service_name,
+        label: (row) => row.display_name || row.service_name,
+        compare: ['status', 'startup_type'],
+        describe: (row) => `${row.status || 'Unknown'} (${row.startup_type || 'Unknown'})`
+    },
+    {
+        key: 'startup',
+        title: 'Startup Programs',
+        id: (row) => `${row.program_name}|${row.location}`,
+        label: (row) => row.program_name,
+        compare: ['command', 'enabled'],
+        describe: (row) => `${row.location || ''}${row.enabled === false ? ' (disabled)' : ''}: ${row.command || ''}`
+    }
+];
+
+const diagnosticKey = (row) => `${row.category}|${row.subcategory || ''}|${row.check_name}`;
+const isFailing = (row) => !!row && FAILING_SEVERITIES.includes(row.severity);
+
+// Checks that newly fail, were fixed, or changed severity between the baseline and the later scan
+const diffDiagnostics = (before, after) => {
+    const beforeMap = new Map(before.map(row => [diagnosticKey(row), row]));
+    const afterMap = new Map(after.map(row => [diagnosticKey(row), row]));
+    const keys = [...new Set([...beforeMap.keys(), ...afterMap.keys()])].sort();
+
+    const diff = { newlyFailing: [], fixed: [], severityChanged: [], stillFailing: [] };
+    keys.forEach(key => {
+        const a = beforeMap.get(key);
+        const b = afterMap.get(key);
+        const entry = { key, before: a, after: b, row: b || a };
+
+        if (isFailing(b) && !isFailing(a)) diff.newlyFailing.push(entry);
+        else if (isFailing(a) && !isFailing(b)) diff.fixed.push(entry);
+        else if (isFailing(a) && isFailing(b) && a.severity !== b.severity) diff.severityChanged.push(entry);
+        else if (isFailing(a) && isFailing(b)) diff.stillFailing.push(entry);
+    });
+    return diff;
+};
+
+// Added, removed and changed entries of one inventory list
+const diffInventory = (definition, before, after) => {
+    const beforeMap = new Map(before.map(row => [definition.id(row), row]));
+    const afterMap = new Map(after.map(row => [definition.id(row), row]));
+    const keys = [...new Set([...beforeMap.keys(), ...afterMap.keys()])].sort();
+
+    return keys.flatMap(key => {
+        const a = beforeMap.get(key);
+        const b = afterMap.get(key);
+        if (!a) return [{ key, change: 'added', before: null, after: b }];
+        if (!b) return [{ key, change: 'removed', before: a, after: null }];
+        const changed = definition.compare.some(field => String(a[field] ?? '') !== String(b[field] ?? ''));
+        return changed ? [{ key, change: 'changed', before: a, after: b }] : [];
+    });
+};
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : 'N/A';
+
+function SeverityCell({ row }) {
+    if (!row) return <span style={{ color: 'var(--text-secondary)' }}>Not checked</span>;
+    return (
+        <span>
+            <span className={`badge ${SEVERITY_BADGES[row.severity] || 'badge-info'}`}>{row.severity}</span>{' '}
+            {row.status}
+        </span>
+    );
+}
+
+function DiagnosticGroup({ title, entries, badge, emptyText }) {
+    return (
+        <div className="card">
+            <h3 style={{ marginBottom: '15px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+                {title} <span className={`badge ${badge}`}>{entries.length}</span>
+            </h3>
+            {entries.length === 0 ? (
+                <p style={{ color: 'var(--text-secondary)' }}>{emptyText}</p>
+            ) : (
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Category</th>
+                                <th>Check</th>
+                                <th>Before</th>
+                                <th>After</th>
+                                <th>Message (after)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map(entry => (
+                                <tr key={entry.key}>
+                                    <td>{entry.row.category}</td>
+                                    <td><code>{entry.row.check_name}</code></td>
+                                    <td><SeverityCell row={entry.before} /></td>
+                                    <td><SeverityCell row={entry.after} /></td>
+                                    <td>{entry.after?.message || '-'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function InventoryDiff({ definition, before, after }) {
+    const changes = diffInventory(definition, before.rows, after.rows);
+    const sameSnapshot = before.timestamp && before.timestamp === after.timestamp;
+    const missing = !before.timestamp || !after.timestamp;
+
+    return (
+        <div className="card">
+            <h3 style={{ marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+                {definition.title} <span className="badge badge-info">{changes.length} changes</span>
+            </h3>
+            <p style={{ marginBottom: '15px', color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                Snapshots: {formatTime(before.timestamp)} → {formatTime(after.timestamp)}
+                {sameSnapshot && ' (both scans use the same snapshot, so no changes can be shown)'}
+                {missing && ' (no inventory collected for one of the scans)'}
+            </p>
+            {changes.length > 0 && (
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Change</th>
+                                <th>Name</th>
+                                <th>Before</th>
+                                <th>After</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {changes.map(entry => (
+                                <tr key={entry.key} style={ROW_STYLES[entry.change]}>
+                                    <td><strong>{entry.change}</strong></td>
+                                    <td>{definition.label(entry.after || entry.before)}</td>
+                                    <td>{entry.before ? definition.describe(entry.before) : '-'}</td>
+                                    <td>{entry.after ? definition.describe(entry.after) : '-'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Side-by-side diff of two scans of the same endpoint (/results/compare?a=&b=).
+// With only ?hostname= the two most recent scans of that endpoint are compared.
+function ScanCompare() {
+    const location = useLocation();
+    const navigate = useNavigate();
+    const params = new URLSearchParams(location.search);
+    const idA = params.get('a');
+    const idB = params.get('b');
+    const hostnameParam = params.get('hostname');
+
+    const [history, setHistory] = useState([]);
+    const [scans, setScans] = useState(null);
+    const [inventory, setInventory] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // Without scan IDs, pick the two latest scans of the endpoint
+    useEffect(() => {
+        if ((idA && idB) || !hostnameParam) return;
+
+        const pickLatest = async () => {
+            try {
+                const data = await resultsService.getResults({ hostname: hostnameParam, limit: 50, days: 365 });
+                const rows = asList(data.results)
+                    .filter(r => r.hostname.toLowerCase() === hostnameParam.toLowerCase());
+                if (rows.length < 2) {
+                    setError(`${hostnameParam} needs at least two scans to compare`);
+                    setLoading(false);
+                    return;
+                }
+                navigate(`/results/compare?a=${rows[1].scan_id}&b=${rows[0].scan_id}`, { replace: true });
+            } catch (err) {
+                setError(err.message);
+                setLoading(false);
+            }
+        };
+
+        pickLatest();
+    }, [idA, idB, hostnameParam, navigate]);
+
+    useEffect(() => {
+        if (!idA || !idB) {
+            if (!hostnameParam) {
+                setError('Select two scans to compare');
+                setLoading(false);
+            }
+            return;
+        }
+
+        const fetchScans = async () => {
+            try {
+                setLoading(true);
+                setError('');
+                const [first, second, firstInventory, secondInventory] = await Promise.all([
+                    resultsService.getResultById(idA),
+                    resultsService.getResultById(idB),
+                    resultsService.getInventory(idA),
+                    resultsService.getInventory(idB)
+                ]);
+
+                // Always diff from the older scan to the newer one
+                const swap = new Date(first.scan_timestamp) > new Date(second.scan_timestamp);
+                setScans(swap ? { before: second, after: first } : { before: first, after: second });
+                setInventory(swap
+                    ? { before: secondInventory, after: firstInventory }
+                    : { before: firstInventory, after: secondInventory });
+
+                const data = await resultsService.getResults({ hostname: first.hostname, limit: 50, days: 365 });
+                const rows = asList(data.results);
+                setHistory(rows.filter(r => r.hostname.toLowerCase() === first.hostname.toLowerCase()));
+            } catch (err) {
+                console.error('Failed to load scans for comparison:', err);
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchScans();
+    }, [idA, idB, hostnameParam]);
+
+    const selectScan = (side, scanId) => {
+        const next = { a: scans.before.scan_id, b: scans.after.scan_id, [side]: scanId };
+        navigate(`/results/compare?a=${next.a}&b=${next.b}`);
+    };
+
+    if (loading) {
+        return <div className="loading">Loading scans...</div>;
+    }
+
+    if (error || !scans) {
+        return <div className="alert alert-error">{error || 'Scans not found'}</div>;
+    }
+
+    const { before, after } = scans;
+
+    if (before.hostname.toLowerCase() !== after.hostname.toLowerCase()) {
+        return (
+            <div className="alert alert-error">
+                Scan #{before.scan_id} ({before.hostname}) and scan #{after.scan_id} ({after.hostname}) are from different endpoints.
+            </div>
+        );
+    }
+
+    const diff = diffDiagnostics(before.diagnostics, after.diagnostics);
+    const scoreChange = (after.health_score ?? 0) - (before.health_score ?? 0);
+
+    const renderScanColumn = (scan, side, label) => (
+        <div>
+            <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>{label}</div>
+            <select
+                className="form-control"
+                value={scan.scan_id}
+                onChange={(e) => selectScan(side, e.target.value)}
+                style={{ margin: '5px 0 10px' }}
+            >
+                {!history.some(h => String(h.scan_id) === String(scan.scan_id)) && (
+                    <option value={scan.scan_id}>#{scan.scan_id} · {formatTime(scan.scan_timestamp)}</option>
+                )}
+                {history.map(h => (
+                    <option key={h.scan_id} value={h.scan_id}>
+                        #{h.scan_id} · {formatTime(h.scan_timestamp)} · score {h.health_score}
+                    </option>
+                ))}
+            </select>
+            <div>
+                <Link to={`/results/${scan.scan_id}`}>Scan #{scan.scan_id}</Link> · health <strong>{scan.health_score}</strong> ·{' '}
+                {scan.critical_count || 0} critical, {scan.warning_count || 0} warnings
+            </div>
+            <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                User {scan.user_id_resolved || 'N/A'} · {scan.topology || 'N/A'}
+            </div>
+        </div>
+    );
+
+    return (
+        <div>
+            <h1 style={{ marginBottom: '30px', display: 'flex', alignItems: 'center', gap: '15px' }}>
+                Compare Scans: <Link to={`/computers/${after.hostname}`}>{after.hostname}</Link>
+                <span className={`badge ${scoreChange < 0 ? 'badge-danger' : scoreChange > 0 ? 'badge-success' : 'badge-secondary'}`}>
+                    Health {scoreChange > 0 ? '+' : ''}{scoreChange}
+                </span>
+            </h1>
+
+            <div className="card">
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '30px' }}>
+                    {renderScanColumn(before, 'a', 'Before')}
+                    {renderScanColumn(after, 'b', 'After')}
+                </div>
+            </div>
+
+            <DiagnosticGroup
+                title="Newly Failing"
+                entries={diff.newlyFailing}
+                badge="badge-danger"
+                emptyText="No checks started failing."
+            />
+            <DiagnosticGroup
+                title="Severity Changed"
+                entries={diff.severityChanged}
+                badge="badge-warning"
+                emptyText="No failing check changed severity."
+            />
+            <DiagnosticGroup
+                title="Fixed"
+                entries={diff.fixed}
+                badge="badge-success"
+                emptyText="No previously failing checks were fixed."
+            />
+            {diff.stillFailing.length > 0 && (
+                <p style={{ marginBottom: '20px', color: 'var(--text-secondary)' }}>
+                    {diff.stillFailing.length} check{diff.stillFailing.length === 1 ? '' : 's'} failing in both scans with the same severity
+                    (see <Link to={`/results/${after.scan_id}`}>scan #{after.scan_id}</Link>).
+                </p>
+            )}
+
+            {INVENTORIES.map(definition => (
+                <InventoryDiff
+                    key={definition.key}
+                    definition={definition}
+                    before={inventory.before[definition.key]}
+                    after={inventory.after[definition.key]}
+                />
+            ))}
+        </div>
+    );
+}
+
+export default ScanCompare;
@@ -1,33 +1,111 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { scanService } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+import BulkScan from './BulkScan';
+import RemediationAction, { getDiagnosticRemediations } from './RemediationAction';
+
+// Scan phases in the order ScanSession.psm1 runs them
+const SCAN_PHASES = [
+    { key: 'user_resolution', label: 'User Resolution' },
+    { key: 'topology', label: 'Topology Detection' },
+    { key: 'system_health', label: 'System Health' },
+    { key: 'security', label: 'Security Posture' },
+    { key: 'network', label: 'Network' },
+    { key: 'software', label: 'Software Compliance' },
+    { key: 'user_experience', label: 'User Experience' },
+    { key: 'save', label: 'Save to Database' }
+];
+
+const PHASE_BADGES = {
+    started: { className: 'badge-info', label: 'Running' },
+    completed: { className: 'badge-success', label: 'Done' },
+    skipped: { className: 'badge-secondary', label: 'Skipped' },
+    failed: { className: 'badge-danger', label: 'Failed' },
+    cancelled: { className: 'badge-warning', label: 'Cancelled' }
+};
 
 function ScanEndpoint() {
+    // Device Groups links here with ?mode=group&group=<id> to scan a group
+    const [{ mode, group }, setQuery] = useQueryState({ mode: 'single', group: '' });
+    const setMode = (next) => setQuery({ mode: next });
     const [target, setTarget] = useState('');
     const [scanning, setScanning] = useState(false);
+    const [sessionId, setSessionId] = useState(null);
+    const [phases, setPhases] = useState({});
+    const [diagnostics, setDiagnostics] = useState([]);
+    const [cancelling, setCancelling] = useState(false);
     const [result, setResult] = useState(null);
     const [error, setError] = useState('');
+    const unsubscribeRef = useRef(null);
+
+    // Stop listening if the page is left mid-scan; the scan itself keeps running
+    useEffect(() => () => {
+        if (unsubscribeRef.current) unsubscribeRef.current();
+    }, []);
+
+    const handleEvent = (event) => {
+        setPhases(current => ({ ...current, [event.phase]: { status: event.status, message: event.message } }));
+
+        const rows = event.payload?.diagnostics;
+        if (rows) {
+            setDiagnostics(current => [...current, ...(Array.isArray(rows) ? rows : [rows])]);
+        }
+
+        if (event.phase === 'session') {
+            if (event.status === 'completed') {
+                setResult(event.payload?.result || null);
+            } else if (event.status === 'cancelled') {
+                setError('Scan cancelled. Results gathered before cancelling are shown below but were not saved.');
+            } else {
+                setError(event.message || 'Scan failed');
+            }
+        }
+    };
 
     const handleScan = async (e) => {
         e.preventDefault();
         setError('');
         setResult(null);
+        setPhases({});
+        setDiagnostics([]);
+        setCancelling(false);
         setScanning(true);
 
         try {
-            const data = await scanService.scanSingle(target);
+            const data = await scanService.startSession(target);
 
-            if (data.success) {
-                setResult(data.results[0]);
-            } else {
+            if (!data.success) {
                 setError(data.message || 'Scan failed');
+                setScanning(false);
+                return;
             }
+
+            setSessionId(data.sessionId);
+            unsubscribeRef.current = scanService.subscribeSession(data.sessionId, {
+                onEvent: handleEvent,
+                onEnd: () => setScanning(false),
+                onError: (err) => {
+                    unsubscribeRef.current();
+                    setError(err.message);
+                    setScanning(false);
+                }
+            });
         } catch (err) {
-            setError(err.response?.data?.message || 'Network error');
-        } finally {
+            setError(err.message);
             setScanning(false);
         }
     };
 
+    const handleCancel = async () => {
+        setCancelling(true);
+        try {
+            await scanService.cancelSession(sessionId);
+        } catch (err) {
+            setCancelling(false);
+            setError(err.message);
+        }
+    };
+
     const getHealthColor = (score) => {
         if (score >= 90) return 'var(--success-color)';
         if (score >= 70) return 'var(--info-color)';
@@ -39,53 +117,112 @@ function ScanEndpoint() {
         <div>
             <h1 style={{ marginBottom: '30px' }}>Scan Endpoint</h1>
 
-            <div className="card">
-                <form onSubmit={handleScan}>
-                    <div className="form-group">
-                        <label className="form-label">Target (Hostname, IP, or User ID)</label>
-                        <input
-                            type="text"
-                            className="form-control"
-                            placeholder="e.g., WKSTN-HO-01 or jsmith"
-                            value={target}
-                            onChange={(e) => setTarget(e.target.value)}
-                            required
+            <div className="tabs" style={{ marginBottom: '20px' }}>
+                <button
+                    className={`tab ${mode === 'single' ? 'active' : ''}`}
+                    onClick={() => setMode('single')}
+                    disabled={scanning}
+                >
+                    Single Target
+                </button>
+                <button
+                    className={`tab ${mode === 'bulk' ? 'active' : ''}`}
+                    onClick={() => setMode('bulk')}
+                    disabled={scanning}
+                >
+                    Bulk Scan
+                </button>
+                <button
+                    className={`tab ${mode === 'group' ? 'active' : ''}`}
+                    onClick={() => setMode('group')}
+                    disabled={scanning}
+                >
+                    Device Group
+                </button>
+            </div>
+
+            {mode === 'bulk' && <BulkScan />}
+            {mode === 'group' && <BulkScan source="group" group={group} onGroupChange={(next) => setQuery({ group: next })} />}
+
+            {mode === 'single' && (
+                <div className="card">
+                    <form onSubmit={handleScan}>
+                        <div className="form-group">
+                            <label className="form-label">Target (Hostname, IP, or User ID)</label>
+                            <input
+                                type="text"
+                                className="form-control"
+                                placeholder="e.g., WKSTN-HO-01 or jsmith"
+                                value={target}
+                                onChange={(e) => setTarget(e.target.value)}
+                                required
+                                disabled={scanning}
+                            />
+                        </div>
+
+                        <button
+                            type="submit"
+                            className="btn btn-primary"
                             disabled={scanning}
-                        />
-                    </div>
+                        >
+                            {scanning ? 'Scanning...' : 'Start Scan'}
+                        </button>
+                    </form>
 
-                    <button
-                        type="submit"
-                        className="btn btn-primary"
-                        disabled={scanning}
-                    >
-                        {scanning ? 'Scanning...' : 'Start Scan'}
-                    </button>
-                </form>
-
-                {error && (
-                    <div style={{
-                        marginTop: '20px',
-                        padding: '12px',
-                        background: '#f8d7da',
-                        color: '#721c24',
-                        borderRadius: '6px'
-                    }}>
-                        {error}
-                    </div>
-                )}
-            </div>
+                    {error && (
+                        <div style={{
+                            marginTop: '20px',
+                            padding: '12px',
+                            background: '#f8d7da',
+                            color: '#721c24',
+                            borderRadius: '6px'
+                        }}>
+                            {error}
+                        </div>
+                    )}
+                </div>
+            )}
 
-            {scanning && (
-                <div className="card" style={{ textAlign: 'center' }}>
-                    <div className="spinner"></div>
-                    <p style={{ marginTop: '10px', color: 'var(--text-secondary)' }}>
-                        Scanning endpoint... This may take a moment.
-                    </p>
+            {mode === 'single' && sessionId && (
+                <div className="card">
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                        <h3>Scan Progress</h3>
+                        {scanning && (
+                            <button className="btn btn-danger" onClick={handleCancel} disabled={cancelling}>
+                                {cancelling ? 'Cancelling...' : 'Cancel Scan'}
+                            </button>
+                        )}
+                    </div>
+                    <div className="table-container">
+                        <table>
+                            <tbody>
+                                {SCAN_PHASES.map(phase => {
+                                    const state = phases[phase.key];
+                                    const badge = state ? PHASE_BADGES[state.status] : null;
+                                    return (
+                                        <tr key={phase.key}>
+                                            <td style={{ width: '220px' }}><strong>{phase.label}</strong></td>
+                                            <td style={{ width: '120px' }}>
+                                                {badge
+                                                    ? <span className={`badge ${badge.className}`}>{badge.label}</span>
+                                                    : <span className="badge badge-secondary">Pending</span>}
+                                            </td>
+                                            <td>{state?.message || ''}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                    {scanning && cancelling && (
+                        <p style={{ marginTop: '10px', color: 'var(--text-secondary)' }}>
+                            The scan stops once the current phase finishes.
+                        </p>
+                    )}
                 </div>
             )}
 
-            {result && (
+            {mode === 'single' && result && (
                 <div className="card">
                     <h2 style={{ marginBottom: '20px', display: 'flex', alignItems: 'center', gap: '15px' }}>
                         Scan Results
@@ -137,42 +274,57 @@ function ScanEndpoint() {
                             </div>
                         </div>
                     </div>
+                </div>
+            )}
 
-                    {result.Diagnostics && result.Diagnostics.length > 0 && (
-                        <div style={{ marginTop: '30px' }}>
-                            <h3 style={{ marginBottom: '15px' }}>Diagnostic Details</h3>
-                            <div className="table-container">
-                                <table>
-                                    <thead>
-                                        <tr>
-                                            <th>Category</th>
-                                            <th>Check</th>
-                                            <th>Status</th>
-                                            <th>Severity</th>
-                                            <th>Message</th>
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-                                        {result.Diagnostics.map((diag, idx) => (
-                                            <tr key={idx}>
-                                                <td>{diag.Category}</td>
-                                                <td><code>{diag.CheckName}</code></td>
-                                                <td>{diag.Status}</td>
-                                                <td>
-                                                    <span className={`badge badge-${diag.Severity === 'Critical' ? 'danger' :
-                                                            diag.Severity === 'Warning' ? 'warning' : 'info'
-                                                        }`}>
-                                                        {diag.Severity}
-                                                    </span>
-                                                </td>
-                                                <td>{diag.Message}</td>
-                                            </tr>
-                                        ))}
-                                    </tbody>
-                                </table>
-                            </div>
-                        </div>
-                    )}
+            {mode === 'single' && diagnostics.length > 0 && (
+                <div className="card">
+                    <h3 style={{ marginBottom: '15px' }}>
+                        Diagnostic Details {scanning && <span className="badge badge-info">Partial</span>}
+                    </h3>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Category</th>
+                                    <th>Check</th>
+                                    <th>Status</th>
+                                    <th>Severity</th>
+                                    <th>Message</th>
+                                    {result && <th>Remediation</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {diagnostics.map((diag, idx) => (
+                                    <tr key={idx}>
+                                        <td>{diag.Category}</td>
+                                        <td><code>{diag.CheckName}</code></td>
+                                        <td>{diag.Status}</td>
+                                        <td>
+                                            <span className={`badge badge-${diag.Severity === 'Critical' ? 'danger' :
+                                                    diag.Severity === 'Warning' ? 'warning' : 'info'
+                                                }`}>
+                                                {diag.Severity}
+                                            </span>
+                                        </td>
+                                        <td>{diag.Message}</td>
+                                        {result && (
+                                            <td>
+                                                {getDiagnosticRemediations(diag).map(remediation => (
+                                                    <RemediationAction
+                                                        key={`${remediation.action}-${remediation.parameters?.ServiceName || ''}`}
+                                                        computerName={result.Hostname}
+                                                        scanId={result.scan_id}
+                                                        {...remediation}
+                                                    />
+                                                ))}
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
                 </div>
             )}
         </div>
@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { authService, resultsService, scanService } from '../services/api';
+import RemediationAction, { getDiagnosticRemediations } from './RemediationAction';
+
+const SEVERITIES = ['Critical', 'Warning', 'Info'];
+
+const SEVERITY_BADGES = {
+    Critical: 'badge-danger',
+    Warning: 'badge-warning',
+    Info: 'badge-info'
+};
+
+const STATUS_BADGES = {
+    completed: 'badge-success',
+    failed: 'badge-danger',
+    in_progress: 'badge-info',
+    timeout: 'badge-warning'
+};
+
+const getHealthColor = (score) => {
+    if (score >= 90) return 'var(--success-color)';
+    if (score >= 70) return 'var(--info-color)';
+    if (score >= 50) return 'var(--warning-color)';
+    return 'var(--error-color)';
+};
+
+// diagnostic_details rows use column names; the remediation helpers expect the scan event shape
+const toScanDiagnostic = (row) => ({
+    Category: row.category,
+    CheckName: row.check_name,
+    Status: row.status,
+    Severity: row.severity,
+    Message: row.message,
+    Details: row.details || {}
+});
+
+// Complete view of one saved scan (/results/:scanId) with its diagnostics grouped by category
+function ScanResultDetail() {
+    const { scanId } = useParams();
+    const navigate = useNavigate();
+    const [scan, setScan] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [severities, setSeverities] = useState(SEVERITIES);
+    const [rerun, setRerun] = useState(null);
+    const unsubscribeRef = useRef(null);
+
+    useEffect(() => {
+        const fetchScan = async () => {
+            try {
+                setLoading(true);
+                setError('');
+                setScan(await resultsService.getResultById(scanId));
+            } catch (err) {
+                console.error('Failed to load scan result:', err);
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchScan();
+    }, [scanId]);
+
+    // Stop following a re-run when the page is left; the scan itself keeps running
+    useEffect(() => () => {
+        if (unsubscribeRef.current) unsubscribeRef.current();
+    }, []);
+
+    const handleRerun = async () => {
+        setRerun({ running: true, message: 'Starting scan...' });
+        try {
+            const data = await scanService.startSession(scan.hostname);
+            if (!data.success) {
+                setRerun({ running: false, error: data.message || 'Scan failed' });
+                return;
+            }
+
+            setRerun({ running: true, sessionId: data.sessionId, message: 'Scan queued' });
+            unsubscribeRef.current = scanService.subscribeSession(data.sessionId, {
+                onEvent: (event) => {
+                    if (event.phase !== 'session') {
+                        setRerun(current => ({ ...current, message: event.message || event.phase }));
+                        return;
+                    }
+                    const newScanId = event.payload?.result?.scan_id;
+                    if (event.status === 'completed' && newScanId) {
+                        setRerun(null);
+                        navigate(`/results/${newScanId}`);
+                    } else {
+                        setRerun({ running: false, error: event.message || `Scan ${event.status}` });
+                    }
+                },
+                onEnd: () => setRerun(current => current && { ...current, running: false }),
+                onError: (err) => {
+                    unsubscribeRef.current();
+                    setRerun({ running: false, error: err.message });
+                }
+            });
+        } catch (err) {
+            setRerun({ running: false, error: err.message });
+        }
+    };
+
+    const handleCancelRerun = async () => {
+        try {
+            await scanService.cancelSession(rerun.sessionId);
+            setRerun(current => ({ ...current, message: 'Cancelling after the current phase...' }));
+        } catch (err) {
+            setRerun(current => ({ ...current, error: err.message }));
+        }
+    };
+
+    const toggleSeverity = (severity) => {
+        setSeverities(current => current.includes(severity)
+            ? current.filter(s => s !== severity)
+            : [...current, severity]);
+    };
+
+    if (loading) {
+        return <div className="loading">Loading scan result...</div>;
+    }
+
+    if (error || !scan) {
+        return <div className="alert alert-error">{error || 'Scan result not found'}</div>;
+    }
+
+    const counts = SEVERITIES.reduce((acc, severity) => ({
+        ...acc,
+        [severity]: scan.diagnostics.filter(d => d.severity === severity).length
+    }), {});
+
+    const visible = scan.diagnostics.filter(d => severities.includes(d.severity));
+    const categories = [...new Set(visible.map(d => d.category))];
+
+    const fields = [
+        { label: 'Computer', value: <Link to={`/computers/${scan.hostname}`}>{scan.hostname}</Link> },
+        { label: 'IP Address', value: scan.ip_address || 'N/A' },
+        { label: 'Resolved User', value: scan.user_id_resolved || 'N/A' },
+        { label: 'Topology', value: scan.topology || 'N/A' },
+        { label: 'Scanned At', value: new Date(scan.scan_timestamp).toLocaleString() },
+        { label: 'Execution Time', value: scan.execution_time_seconds !== null && scan.execution_time_seconds !== undefined ? `${scan.execution_time_seconds}s` : 'N/A' },
+        { label: 'Scan Type', value: scan.scan_type || 'full' },
+        { label: 'Triggered By', value: scan.initiated_by_username ? `${scan.triggered_by} (${scan.initiated_by_username})` : scan.triggered_by }
+    ];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px', gap: '15px', flexWrap: 'wrap' }}>
+                <h1 style={{ margin: 0, display: 'flex', alignItems: 'center', gap: '15px' }}>
+                    Scan #{scan.scan_id}
+                    <span style={{ fontSize: '2rem', fontWeight: '700', color: getHealthColor(scan.health_score) }}>
+                        {scan.health_score}
+                    </span>
+                    <span className={`badge ${STATUS_BADGES[scan.status] || 'badge-secondary'}`}>{scan.status}</span>
+                </h1>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                    <Link to={`/results?hostname=${encodeURIComponent(scan.hostname)}`} className="btn">Scan History</Link>
+                    <Link to={`/results/compare?hostname=${encodeURIComponent(scan.hostname)}`} className="btn">Compare Scans</Link>
+                    {authService.hasRole('operator') && (
+                        rerun?.running ? (
+                            <button className="btn btn-danger" onClick={handleCancelRerun} disabled={!rerun.sessionId}>Cancel Re-run</button>
+                        ) : (
+                            <button className="btn btn-primary" onClick={handleRerun}>Re-run Scan</button>
+                        )
+                    )}
+                </div>
+            </div>
+
+            {rerun && (rerun.running || rerun.error) && (
+                <div className="card" style={{ background: rerun.error ? '#f8d7da' : '#e3f2fd', color: rerun.error ? '#721c24' : 'inherit' }}>
+                    {rerun.error || <>Re-running scan of <strong>{scan.hostname}</strong>: {rerun.message}</>}
+                </div>
+            )}
+
+            <div className="card">
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '15px' }}>
+                    {fields.map(field => (
+                        <div key={field.label}>
+                            <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>{field.label}</div>
+                            <div style={{ fontWeight: '600' }}>{field.value}</div>
+                        </div>
+                    ))}
+                </div>
+                {scan.error_message && (
+                    <div style={{ marginTop: '15px', color: 'var(--error-color)' }}>{scan.error_message}</div>
+                )}
+            </div>
+
+            <div className="card">
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '15px', flexWrap: 'wrap' }}>
+                    <h3 style={{ margin: 0 }}>Diagnostics ({scan.diagnostics.length})</h3>
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        {SEVERITIES.map(severity => (
+                            <label key={severity} style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={severities.includes(severity)}
+                                    onChange={() => toggleSeverity(severity)}
+                                />
+                                <span className={`badge ${SEVERITY_BADGES[severity]}`}>{counts[severity]} {severity}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+                {visible.length === 0 && (
+                    <p style={{ marginTop: '15px', color: 'var(--text-secondary)' }}>
+                        {scan.diagnostics.length === 0 ? 'No diagnostics were saved for this scan.' : 'No diagnostics match the selected severities.'}
+                    </p>
+                )}
+            </div>
+
+            {categories.map(category => (
+                <div className="card" key={category}>
+                    <h3 style={{ marginBottom: '15px' }}>{category}</h3>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Check</th>
+                                    <th>Status</th>
+                                    <th>Severity</th>
+                                    <th>Message</th>
+                                    <th>Remediation</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visible.filter(d => d.category === category).map(row => {
+                                    const diag = toScanDiagnostic(row);
+                                    return (
+                                        <tr key={row.detail_id}>
+                                            <td>
+                                                <code>{row.check_name}</code>
+                                                {row.subcategory && <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{row.subcategory}</div>}
+                                            </td>
+                                            <td>{row.status}</td>
+                                            <td><span className={`badge ${SEVERITY_BADGES[row.severity] || 'badge-info'}`}>{row.severity}</span></td>
+                                            <td>
+                                                {row.message}
+                                                {row.details && typeof row.details === 'object' && Object.keys(row.details).length > 0 && (
+                                                    <details style={{ marginTop: '6px' }}>
+                                                        <summary style={{ cursor: 'pointer', color: 'var(--text-secondary)' }}>Details</summary>
+                                                        <pre style={{ whiteSpace: 'pre-wrap', fontSize: '0.8rem' }}>{JSON.stringify(row.details, null, 2)}</pre>
+                                                    </details>
+                                                )}
+                                            </td>
+                                            <td>
+                                                {getDiagnosticRemediations(diag).map(remediation => (
+                                                    <RemediationAction
+                                                        key={`${remediation.action}-${remediation.parameters?.ServiceName || ''}`}
+                                                        computerName={scan.hostname}
+                                                        scanId={scan.scan_id}
+                                                        {...remediation}
+                                                    />
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default ScanResultDetail;
@@ -0,0 +1,568 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { asList, authService, scanService, scheduleService } from '../services/api';
+
+const TARGET_TYPES = {
+    host: 'Single host',
+    list: 'Target list',
+    ou: 'Organizational unit',
+    subnet: 'Subnet'
+};
+
+const CRON_PRESETS = [
+    { label: 'Every hour', cron: '0 * * * *' },
+    { label: 'Every 4 hours', cron: '0 */4 * * *' },
+    { label: 'Daily at 02:00', cron: '0 2 * * *' },
+    { label: 'Weekdays at 07:00', cron: '0 7 * * 1-5' },
+    { label: 'Weekly on Sunday at 03:00', cron: '0 3 * * 0' }
+];
+
+const RUN_BADGES = {
+    completed: 'badge-success',
+    failed: 'badge-danger',
+    running: 'badge-info',
+    queued: 'badge-secondary'
+};
+
+const EMPTY_FORM = {
+    name: '',
+    targetType: 'host',
+    targetValue: '',
+    targetListText: '',
+    cronExpression: CRON_PRESETS[2].cron,
+    windowStart: '',
+    windowEnd: '',
+    enabled: true
+};
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '-';
+
+const describeCron = (cron) => CRON_PRESETS.find(p => p.cron === cron)?.label || cron;
+
+const describeTarget = (schedule) => {
+    if (schedule.target_type === 'list') {
+        return `${schedule.target_list.length} target${schedule.target_list.length === 1 ? '' : 's'}`;
+    }
+    return schedule.target_value;
+};
+
+// Form state for an existing schedule
+const toForm = (schedule) => ({
+    name: schedule.schedule_name,
+    targetType: schedule.target_type,
+    targetValue: schedule.target_value || '',
+    targetListText: schedule.target_list.join('\n'),
+    cronExpression: schedule.cron_expression,
+    windowStart: schedule.window_start || '',
+    windowEnd: schedule.window_end || '',
+    enabled: schedule.enabled
+});
+
+// Request body for POST/PUT /api/schedules
+const toRequest = (form) => ({
+    name: form.name,
+    targetType: form.targetType,
+    targetValue: form.targetType === 'list' ? null : form.targetValue,
+    targetList: form.targetType === 'list' ? form.targetListText.split(/[\s,;]+/).filter(t => t) : [],
+    cronExpression: form.cronExpression,
+    windowStart: form.windowStart || null,
+    windowEnd: form.windowEnd || null,
+    enabled: form.enabled
+});
+
+function ScheduleForm({ initial, subnets, saving, error, onSave, onCancel }) {
+    const [form, setForm] = useState(initial);
+    const preset = CRON_PRESETS.some(p => p.cron === form.cronExpression) ? form.cronExpression : 'custom';
+
+    const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(toRequest(form));
+    };
+
+    return (
+        <form className="card" onSubmit={handleSubmit}>
+            <h3 style={{ marginBottom: '20px' }}>{initial.name ? `Edit ${initial.name}` : 'New Schedule'}</h3>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '15px' }}>
+                <div className="form-group">
+                    <label>Name</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.name}
+                        onChange={(e) => update('name', e.target.value)}
+                        maxLength={255}
+                        required
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label>Target</label>
+                    <select
+                        className="form-control"
+                        value={form.targetType}
+                        onChange={(e) => setForm(current => ({ ...current, targetType: e.target.value, targetValue: '' }))}
+                    >
+                        {Object.entries(TARGET_TYPES).map(([type, label]) => (
+                            <option key={type} value={type}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="form-group">
+                    <label>Frequency</label>
+                    <select
+                        className="form-control"
+                        value={preset}
+                        onChange={(e) => e.target.value !== 'custom' && update('cronExpression', e.target.value)}
+                    >
+                        {CRON_PRESETS.map(p => (
+                            <option key={p.cron} value={p.cron}>{p.label}</option>
+                        ))}
+                        <option value="custom">Custom (cron)</option>
+                    </select>
+                </div>
+
+                <div className="form-group">
+                    <label>Cron expression</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.cronExpression}
+                        onChange={(e) => update('cronExpression', e.target.value)}
+                        placeholder="minute hour day month weekday"
+                        required
+                    />
+                </div>
+            </div>
+
+            <div className="form-group">
+                {form.targetType === 'host' && (
+                    <>
+                        <label>Hostname or IP</label>
+                        <input
+                            type="text"
+                            className="form-control"
+                            value={form.targetValue}
+                            onChange={(e) => update('targetValue', e.target.value)}
+                            placeholder="PC-001"
+                            required
+                        />
+                    </>
+                )}
+                {form.targetType === 'list' && (
+                    <>
+                        <label>Targets (one per line, or separated by commas)</label>
+                        <textarea
+                            className="form-control"
+                            rows="5"
+                            value={form.targetListText}
+                            onChange={(e) => update('targetListText', e.target.value)}
+                            required
+                        />
+                    </>
+                )}
+                {form.targetType === 'ou' && (
+                    <>
+                        <label>OU distinguished name (enabled computer accounts are scanned)</label>
+                        <input
+                            type="text"
+                            className="form-control"
+                            value={form.targetValue}
+                            onChange={(e) => update('targetValue', e.target.value)}
+                            placeholder="OU=Workstations,DC=corp,DC=local"
+                            required
+                        />
+                    </>
+                )}
+                {form.targetType === 'subnet' && (
+                    <>
+                        <label>Subnet (active computers last seen in the subnet are scanned)</label>
+                        <select
+                            className="form-control"
+                            value={form.targetValue}
+                            onChange={(e) => update('targetValue', e.target.value)}
+                            required
+                        >
+                            <option value="">Select a subnet...</option>
+                            <optgroup label="Head office">
+                                {subnets.ho.map(subnet => <option key={subnet} value={subnet}>{subnet}</option>)}
+                            </optgroup>
+                            <optgroup label="Remote">
+                                {subnets.remote.map(subnet => <option key={subnet} value={subnet}>{subnet}</option>)}
+                            </optgroup>
+                        </select>
+                    </>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', gap: '15px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+                <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label>Only start between</label>
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                        <input
+                            type="time"
+                            className="form-control"
+                            value={form.windowStart}
+                            onChange={(e) => update('windowStart', e.target.value)}
+                        />
+                        and
+                        <input
+                            type="time"
+                            className="form-control"
+                            value={form.windowEnd}
+                            onChange={(e) => update('windowEnd', e.target.value)}
+                        />
+                    </div>
+                </div>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', paddingBottom: '10px' }}>
+                    <input
+                        type="checkbox"
+                        checked={form.enabled}
+                        onChange={(e) => update('enabled', e.target.checked)}
+                    />
+                    Enabled
+                </label>
+            </div>
+            <p style={{ margin: '8px 0 20px', color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                Leave the window empty to allow runs at any time. A window such as 22:00 to 06:00 spans midnight.
+            </p>
+
+            <div style={{ display: 'flex', gap: '10px' }}>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Schedule'}
+                </button>
+                <button type="button" className="btn" onClick={onCancel} disabled={saving}>Cancel</button>
+            </div>
+        </form>
+    );
+}
+
+function RunTargets({ jobId }) {
+    const [job, setJob] = useState(null);
+
+    useEffect(() => {
+        const loadJob = async () => {
+            try {
+                const data = await scanService.getBulkJob(jobId);
+                setJob(data.job);
+            } catch (err) {
+                console.error('Failed to load run targets:', err);
+            }
+        };
+
+        loadJob();
+    }, [jobId]);
+
+    if (!job) {
+        return <div className="spinner"></div>;
+    }
+
+    const targets = asList(job.targets);
+
+    return (
+        <table>
+            <tbody>
+                {targets.map(t => (
+                    <tr key={t.target}>
+                        <td><Link to={`/computers/${t.target}`}>{t.target}</Link></td>
+                        <td><span className={`badge ${t.status === 'done' ? 'badge-success' : t.status === 'failed' ? 'badge-danger' : 'badge-info'}`}>{t.status}</span></td>
+                        <td>
+                            {t.scan_id ? <Link to={`/results/${t.scan_id}`}>Scan #{t.scan_id} (health {t.health_score})</Link> : t.error_message || '-'}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+function ScheduleHistory({ scheduleId, onClose }) {
+    const [detail, setDetail] = useState(null);
+    const [error, setError] = useState('');
+    const [openRun, setOpenRun] = useState(null);
+
+    useEffect(() => {
+        const loadHistory = async () => {
+            try {
+                setError('');
+                setDetail(await scheduleService.getSchedule(scheduleId));
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+
+        loadHistory();
+    }, [scheduleId]);
+
+    if (error) {
+        return <div className="alert alert-error">{error}</div>;
+    }
+
+    if (!detail) {
+        return <div className="spinner"></div>;
+    }
+
+    const { schedule, runs } = detail;
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+                <h3 style={{ margin: 0 }}>Run History: {schedule.schedule_name}</h3>
+                <button className="btn btn-small" onClick={onClose}>Close</button>
+            </div>
+
+            {schedule.target_type === 'list' && (
+                <p style={{ marginBottom: '15px', color: 'var(--text-secondary)' }}>
+                    Targets: {schedule.target_list.join(', ')}
+                </p>
+            )}
+
+            {runs.length === 0 ? (
+                <p style={{ color: 'var(--text-secondary)' }}>This schedule has not run yet. Next run: {formatTime(schedule.next_run)}</p>
+            ) : (
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Started</th>
+                                <th>Status</th>
+                                <th>Targets</th>
+                                <th>Scanned</th>
+                                <th>Failed</th>
+                                <th>Finished</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {runs.map(run => (
+                                <React.Fragment key={run.job_id}>
+                                    <tr>
+                                        <td>{formatTime(run.created_at)}</td>
+                                        <td><span className={`badge ${RUN_BADGES[run.status] || 'badge-info'}`}>{run.status}</span></td>
+                                        <td>{run.total_targets}</td>
+                                        <td>{run.done}</td>
+                                        <td>{run.failed}</td>
+                                        <td>{run.error_message || formatTime(run.completed_at)}</td>
+                                        <td>
+                                            {run.total_targets > 0 && (
+                                                <button
+                                                    className="btn btn-small"
+                                                    onClick={() => setOpenRun(openRun === run.job_id ? null : run.job_id)}
+                                                >
+                                                    {openRun === run.job_id ? 'Hide' : 'Targets'}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                    {openRun === run.job_id && (
+                                        <tr>
+                                            <td colSpan="7">
+                                                <RunTargets jobId={run.job_id} />
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Recurring scans (/schedules); /schedules/:scheduleId opens a schedule's run history
+function ScanSchedules() {
+    const { scheduleId } = useParams();
+    const navigate = useNavigate();
+    const canEdit = authService.hasRole('operator');
+    const [schedules, setSchedules] = useState([]);
+    const [subnets, setSubnets] = useState({ ho: [], remote: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    // null when closed, 'new' or the schedule being edited
+    const [editing, setEditing] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const loadSchedules = useCallback(async () => {
+        try {
+            const data = await scheduleService.getSchedules();
+            setSchedules(data.schedules);
+            setSubnets(data.subnets);
+            setError('');
+        } catch (err) {
+            console.error('Failed to load schedules:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadSchedules();
+    }, [loadSchedules]);
+
+    const openForm = (schedule) => {
+        setFormError('');
+        setEditing(schedule);
+    };
+
+    const handleSave = async (request) => {
+        setSaving(true);
+        setFormError('');
+        try {
+            if (editing === 'new') {
+                await scheduleService.createSchedule(request);
+            } else {
+                await scheduleService.updateSchedule(editing.schedule_id, request);
+            }
+            setEditing(null);
+            await loadSchedules();
+        } catch (err) {
+            setFormError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggle = async (schedule) => {
+        try {
+            await scheduleService.updateSchedule(schedule.schedule_id, toRequest({ ...toForm(schedule), enabled: !schedule.enabled }));
+            await loadSchedules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDelete = async (schedule) => {
+        if (!window.confirm(`Delete the schedule "${schedule.schedule_name}"? Its past runs stay in the scan history.`)) return;
+        try {
+            await scheduleService.deleteSchedule(schedule.schedule_id);
+            if (String(schedule.schedule_id) === scheduleId) navigate('/schedules');
+            await loadSchedules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (loading) {
+        return <div className="spinner"></div>;
+    }
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+                <h1 style={{ margin: 0 }}>Scan Schedules</h1>
+                {canEdit && !editing && (
+                    <button className="btn btn-primary" onClick={() => openForm('new')}>New Schedule</button>
+                )}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            {editing && (
+                <ScheduleForm
+                    key={editing === 'new' ? 'new' : editing.schedule_id}
+                    initial={editing === 'new' ? EMPTY_FORM : toForm(editing)}
+                    subnets={subnets}
+                    saving={saving}
+                    error={formError}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
+            <div className="card">
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Target</th>
+                                <th>Frequency</th>
+                                <th>Window</th>
+                                <th>Last Run</th>
+                                <th>Next Run</th>
+                                <th>Runs</th>
+                                <th>Scans</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {schedules.length === 0 ? (
+                                <tr>
+                                    <td colSpan="9" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No scan schedules defined
+                                    </td>
+                                </tr>
+                            ) : (
+                                schedules.map(schedule => (
+                                    <tr key={schedule.schedule_id}>
+                                        <td>
+                                            <Link to={`/schedules/${schedule.schedule_id}`}><strong>{schedule.schedule_name}</strong></Link>
+                                            {!schedule.enabled && <span className="badge badge-secondary" style={{ marginLeft: '8px' }}>Paused</span>}
+                                        </td>
+                                        <td>
+                                            <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{TARGET_TYPES[schedule.target_type]}</div>
+                                            {describeTarget(schedule)}
+                                        </td>
+                                        <td title={schedule.cron_expression}>{describeCron(schedule.cron_expression)}</td>
+                                        <td>{schedule.window_start ? `${schedule.window_start}–${schedule.window_end}` : 'Any time'}</td>
+                                        <td>
+                                            {formatTime(schedule.last_run)}
+                                            {schedule.last_status && (
+                                                <span className={`badge ${RUN_BADGES[schedule.last_status] || 'badge-info'}`} style={{ marginLeft: '6px' }}>
+                                                    {schedule.last_status}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td>{schedule.enabled ? formatTime(schedule.next_run) : '-'}</td>
+                                        <td>
+                                            {schedule.run_count || 0}
+                                            {schedule.failed_runs > 0 && <span style={{ color: 'var(--error-color)' }}> ({schedule.failed_runs} failed)</span>}
+                                        </td>
+                                        <td>
+                                            <span style={{ color: 'var(--success-color)', fontWeight: '600', marginRight: '10px' }}>
+                                                {schedule.targets_done || 0} ✓
+                                            </span>
+                                            <span style={{ color: 'var(--error-color)', fontWeight: '600' }}>
+                                                {schedule.targets_failed || 0} ✗
+                                            </span>
+                                        </td>
+                                        <td style={{ whiteSpace: 'nowrap' }}>
+                                            {canEdit && (
+                                                <>
+                                                    <button className="btn btn-small" onClick={() => openForm(schedule)}>Edit</button>{' '}
+                                                    <button className="btn btn-small" onClick={() => handleToggle(schedule)}>
+                                                        {schedule.enabled ? 'Pause' : 'Resume'}
+                                                    </button>{' '}
+                                                    <button className="btn btn-small btn-danger" onClick={() => handleDelete(schedule)}>Delete</button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {scheduleId && (
+                <ScheduleHistory
+                    key={scheduleId}
+                    scheduleId={scheduleId}
+                    onClose={() => navigate('/schedules')}
+                />
+            )}
+        </div>
+    );
+}
+
+export default ScanSchedules;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { authService } from '../services/api';
+
+const WARNING_MS = 5 * 60 * 1000;
+const CHECK_INTERVAL_MS = 15000;
+
+// Banner shown a few minutes before the session (refresh token) expires.
+// "Stay signed in" renews it; when it runs out the user is sent to the login page
+// and brought back to the current route afterwards.
+function SessionExpiryWarning() {
+    const [remaining, setRemaining] = useState(null);
+    const [extending, setExtending] = useState(false);
+    const [error, setError] = useState('');
+
+    const checkExpiry = () => {
+        const expiresAt = authService.getSessionExpiry();
+        if (!expiresAt) {
+            setRemaining(null);
+            return;
+        }
+
+        const left = expiresAt - Date.now();
+        if (left <= 0) {
+            authService.expireSession();
+            return;
+        }
+        setRemaining(left);
+    };
+
+    useEffect(() => {
+        checkExpiry();
+        const interval = setInterval(checkExpiry, CHECK_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    const handleStaySignedIn = async () => {
+        setExtending(true);
+        setError('');
+        try {
+            await authService.refresh();
+            checkExpiry();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setExtending(false);
+        }
+    };
+
+    if (remaining === null || remaining > WARNING_MS) {
+        return null;
+    }
+
+    const minutes = Math.max(1, Math.ceil(remaining / 60000));
+
+    return (
+        <div style={{
+            padding: '12px 30px',
+            background: '#fff3cd',
+            color: '#856404',
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            gap: '15px'
+        }}>
+            <span>
+                Your session expires in {minutes} minute{minutes === 1 ? '' : 's'}. Unsaved work on this page will be lost.
+                {error && <strong> Could not extend the session: {error}</strong>}
+            </span>
+            <button className="btn btn-primary" onClick={handleStaySignedIn} disabled={extending}>
+                {extending ? 'Extending...' : 'Stay Signed In'}
+            </button>
+        </div>
+    );
+}
+
+export default SessionExpiryWarning;
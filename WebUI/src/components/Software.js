@@ -0,0 +1,676 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { authService, softwareService } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+import DeviceGroupSelect from './DeviceGroupSelect';
+import ExportMenu from './ExportMenu';
+
+// Filters of the Endpoints tab; every count on the page opens it with some of these set
+const DRILL_FILTERS = { name: '', version: '', unversioned: '', vendor: '', status: '', rule: '' };
+
+const RULE_TYPES = {
+    minimum_version: { tab: 'outdated', label: 'Minimum Version', violation: 'Outdated' },
+    blocked: { tab: 'blocked', label: 'Blocklist', violation: 'Installed' }
+};
+
+const EMPTY_RULE = { pattern: '', minVersion: '', reason: '' };
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString() : '-';
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '-';
+
+// Count that opens the matching endpoints; zero is shown as plain text
+function DrillCount({ count, onClick, danger = false }) {
+    if (!Number(count)) return <span>{count ?? 0}</span>;
+    return (
+        <button className={`btn btn-small ${danger ? 'btn-danger' : ''}`} onClick={onClick} title="Show endpoints">
+            {count}
+        </button>
+    );
+}
+
+function ProductVersions({ name, groupId, onDrill }) {
+    const [versions, setVersions] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        softwareService.getVersions(name, groupId)
+            .then(result => { if (active) setVersions(result); })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [name, groupId]);
+
+    if (error) return <div className="alert alert-error">{error}</div>;
+    if (!versions) return <div className="spinner"></div>;
+
+    return (
+        <table>
+            <thead>
+                <tr>
+                    <th>Version</th>
+                    <th>Computers</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                {versions.map(v => (
+                    <tr key={v.version}>
+                        <td>{v.version || <em>No version reported</em>}</td>
+                        <td>
+                            <DrillCount
+                                count={v.computer_count}
+                                onClick={() => onDrill(v.version ? { name, version: v.version } : { name, unversioned: '1' })}
+                            />
+                        </td>
+                        <td>
+                            {v.required_version && <span className="badge badge-warning">Below minimum {v.required_version}</span>}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+function ProductList({ query, setQuery, groupId, onDrill }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        let active = true;
+        // Wait for typing to settle before querying
+        const timer = setTimeout(() => {
+            softwareService.getProducts({ q: query.q, vendor: query.vendor, status: query.status, group: groupId || undefined })
+                .then(result => { if (active) { setData(result); setError(''); } })
+                .catch(err => { if (active) setError(err.message); });
+        }, 300);
+        return () => { active = false; clearTimeout(timer); };
+    }, [query.q, query.vendor, query.status, groupId]);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px', flexWrap: 'wrap', alignItems: 'center' }}>
+                <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Product name contains..."
+                    value={query.q}
+                    onChange={(e) => setQuery({ q: e.target.value })}
+                    style={{ width: '280px' }}
+                />
+                <select className="form-control" value={query.status} onChange={(e) => setQuery({ status: e.target.value })} style={{ width: '200px' }}>
+                    <option value="">All products</option>
+                    <option value="outdated">With outdated installs</option>
+                    <option value="blocked">On the blocklist</option>
+                </select>
+                {query.vendor && (
+                    <span className="badge badge-info">
+                        Publisher: {query.vendor}{' '}
+                        <button className="btn btn-small" onClick={() => setQuery({ vendor: '' })} title="Clear publisher">✕</button>
+                    </span>
+                )}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {!data && !error && <div className="spinner"></div>}
+            {data && (
+                <>
+                    <p>
+                        {data.total} product{data.total === 1 ? '' : 's'}
+                        {data.total > data.products.length && ` (${data.products.length} most installed shown; export for the full list)`}
+                    </p>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Product</th>
+                                    <th>Publisher</th>
+                                    <th>Computers</th>
+                                    <th>Versions</th>
+                                    <th>Newest Version</th>
+                                    <th>Outdated</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {data.products.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="6" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                            No matching software
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    data.products.map(product => (
+                                        <React.Fragment key={product.software_name}>
+                                            <tr>
+                                                <td>
+                                                    <button
+                                                        className="btn btn-small"
+                                                        onClick={() => setExpanded(expanded === product.software_name ? null : product.software_name)}
+                                                        title="Show versions"
+                                                        style={{ marginRight: '8px' }}
+                                                    >
+                                                        {expanded === product.software_name ? '▾' : '▸'}
+                                                    </button>
+                                                    {product.software_name}
+                                                    {product.blocked && <span className="badge badge-danger" style={{ marginLeft: '8px' }}>Blocked</span>}
+                                                </td>
+                                                <td>{product.vendor}</td>
+                                                <td>
+                                                    <DrillCount count={product.computer_count} onClick={() => onDrill({ name: product.software_name })} />
+                                                </td>
+                                                <td>{product.version_count}</td>
+                                                <td>{product.latest_version || '-'}</td>
+                                                <td>
+                                                    <DrillCount
+                                                        count={product.outdated_count}
+                                                        danger
+                                                        onClick={() => onDrill({ name: product.software_name, status: 'outdated' })}
+                                                    />
+                                                </td>
+                                            </tr>
+                                            {expanded === product.software_name && (
+                                                <tr>
+                                                    <td colSpan="6">
+                                                        <ProductVersions name={product.software_name} groupId={groupId} onDrill={onDrill} />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+function PublisherList({ query, setQuery, groupId, onDrill }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        const timer = setTimeout(() => {
+            softwareService.getPublishers({ q: query.q, group: groupId || undefined })
+                .then(result => { if (active) { setData(result); setError(''); } })
+                .catch(err => { if (active) setError(err.message); });
+        }, 300);
+        return () => { active = false; clearTimeout(timer); };
+    }, [query.q, groupId]);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+                <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Publisher contains..."
+                    value={query.q}
+                    onChange={(e) => setQuery({ q: e.target.value })}
+                    style={{ width: '280px' }}
+                />
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {!data && !error && <div className="spinner"></div>}
+            {data && (
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Publisher</th>
+                                <th>Products</th>
+                                <th>Installs</th>
+                                <th>Computers</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.publishers.length === 0 ? (
+                                <tr>
+                                    <td colSpan="4" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No matching publishers
+                                    </td>
+                                </tr>
+                            ) : (
+                                data.publishers.map(publisher => (
+                                    <tr key={publisher.vendor}>
+                                        <td>{publisher.vendor}</td>
+                                        <td>
+                                            <button
+                                                className="btn btn-small"
+                                                onClick={() => setQuery({ tab: 'products', vendor: publisher.vendor, q: '', status: '' })}
+                                                title="Show products"
+                                            >
+                                                {publisher.product_count}
+                                            </button>
+                                        </td>
+                                        <td>
+                                            <DrillCount count={publisher.install_count} onClick={() => onDrill({ vendor: publisher.vendor })} />
+                                        </td>
+                                        <td>{publisher.computer_count}</td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+const describeDrill = (query, rules) => {
+    const parts = [];
+    if (query.name) parts.push(query.name);
+    if (query.unversioned) parts.push('no version reported');
+    else if (query.version) parts.push(`version ${query.version}`);
+    if (query.vendor) parts.push(`published by ${query.vendor}`);
+    if (query.status === 'outdated') parts.push('below the minimum version');
+    if (query.status === 'blocked') parts.push('on the blocklist');
+    if (query.rule) {
+        const rule = rules.find(r => String(r.rule_id) === query.rule);
+        parts.push(!rule ? `rule #${query.rule}` : rule.rule_type === 'blocked'
+            ? `blocked "${rule.name_pattern}"`
+            : `"${rule.name_pattern}" below ${rule.min_version}`);
+    }
+    return parts.join(', ');
+};
+
+function EndpointList({ query, setQuery, groupId, rules }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        const timer = setTimeout(() => {
+            softwareService.getEndpoints({
+                name: query.name,
+                version: query.version,
+                unversioned: query.unversioned,
+                vendor: query.vendor,
+                status: query.status,
+                rule: query.rule,
+                q: query.q,
+                group: groupId || undefined
+            })
+                .then(result => { if (active) { setData(result); setError(''); } })
+                .catch(err => { if (active) setError(err.message); });
+        }, 300);
+        return () => { active = false; clearTimeout(timer); };
+    }, [query.name, query.version, query.unversioned, query.vendor, query.status, query.rule, query.q, groupId]);
+
+    const description = describeDrill(query, rules);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px', flexWrap: 'wrap', alignItems: 'center' }}>
+                <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Computer name contains..."
+                    value={query.q}
+                    onChange={(e) => setQuery({ q: e.target.value })}
+                    style={{ width: '280px' }}
+                />
+                {description && (
+                    <span className="badge badge-info">
+                        {description}{' '}
+                        <button className="btn btn-small" onClick={() => setQuery(DRILL_FILTERS)} title="Show all installs">✕</button>
+                    </span>
+                )}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {!data && !error && <div className="spinner"></div>}
+            {data && (
+                <>
+                    <p>
+                        {data.total} install{data.total === 1 ? '' : 's'}
+                        {data.total > data.endpoints.length && ` (first ${data.endpoints.length} shown; export for the full list)`}
+                    </p>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Computer</th>
+                                    <th>Product</th>
+                                    <th>Version</th>
+                                    <th>Publisher</th>
+                                    <th>Installed</th>
+                                    <th>Last Inventory</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {data.endpoints.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="6" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                            No matching installs
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    data.endpoints.map(install => (
+                                        <tr key={`${install.computer_name}-${install.software_name}-${install.version}`}>
+                                            <td><Link to={`/computers/${encodeURIComponent(install.computer_name)}`}>{install.computer_name}</Link></td>
+                                            <td>
+                                                {install.software_name}
+                                                {install.blocked && <span className="badge badge-danger" style={{ marginLeft: '8px' }}>Blocked</span>}
+                                            </td>
+                                            <td>
+                                                {install.version || '-'}
+                                                {install.required_version && (
+                                                    <span className="badge badge-warning" style={{ marginLeft: '8px' }}>Needs {install.required_version}</span>
+                                                )}
+                                            </td>
+                                            <td>{install.vendor}</td>
+                                            <td>{formatDate(install.install_date)}</td>
+                                            <td>{formatTime(install.last_seen)}</td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+function RuleForm({ type, initial, saving, error, onSave, onCancel }) {
+    const [form, setForm] = useState(initial);
+    const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave({ ...form, type });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} style={{ marginBottom: '20px' }}>
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '15px' }}>
+                <div className="form-group">
+                    <label>Product Name Contains</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.pattern}
+                        onChange={(e) => update('pattern', e.target.value)}
+                        maxLength={255}
+                        placeholder={type === 'blocked' ? 'e.g. uTorrent' : 'e.g. Google Chrome'}
+                        required
+                    />
+                </div>
+                {type === 'minimum_version' && (
+                    <div className="form-group">
+                        <label>Minimum Version</label>
+                        <input
+                            type="text"
+                            className="form-control"
+                            value={form.minVersion}
+                            onChange={(e) => update('minVersion', e.target.value)}
+                            maxLength={100}
+                            placeholder="e.g. 118.0.5993"
+                            required
+                        />
+                    </div>
+                )}
+                <div className="form-group">
+                    <label>Reason</label>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={form.reason}
+                        onChange={(e) => update('reason', e.target.value)}
+                        maxLength={500}
+                        placeholder={type === 'blocked' ? 'e.g. Unapproved remote access' : 'e.g. CVE-2023-5217'}
+                    />
+                </div>
+            </div>
+            <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginBottom: '10px' }}>
+                Names match anywhere and ignore case; * is a wildcard.
+                {type === 'minimum_version' && ' Versions are compared number by number, so 10.2 is newer than 9.15.'}
+            </div>
+            <div style={{ display: 'flex', gap: '10px' }}>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Rule'}
+                </button>
+                <button type="button" className="btn" onClick={onCancel} disabled={saving}>Cancel</button>
+            </div>
+        </form>
+    );
+}
+
+function RuleList({ type, rules, isAdmin, onChange, onDrill }) {
+    // null when closed, 'new' or the rule being edited
+    const [editing, setEditing] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const definition = RULE_TYPES[type];
+    const shown = rules.filter(rule => rule.rule_type === type);
+
+    const handleSave = async (form) => {
+        setSaving(true);
+        setFormError('');
+        try {
+            if (editing === 'new') {
+                await softwareService.createRule(form);
+            } else {
+                await softwareService.updateRule(editing.rule_id, form);
+            }
+            setEditing(null);
+            await onChange();
+        } catch (err) {
+            setFormError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete the ${definition.label.toLowerCase()} rule for "${rule.name_pattern}"?`)) return;
+        try {
+            await softwareService.deleteRule(rule.rule_id);
+            await onChange();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <p style={{ margin: 0, color: 'var(--text-secondary)' }}>
+                    {type === 'blocked'
+                        ? 'Software that must not be installed. Every install of a matching product is flagged.'
+                        : 'Minimum versions maintained locally. Installs of a matching product below the version are outdated.'}
+                </p>
+                {isAdmin && !editing && (
+                    <button className="btn btn-primary" onClick={() => { setFormError(''); setEditing('new'); }}>Add Rule</button>
+                )}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+
+            {editing && (
+                <RuleForm
+                    key={editing === 'new' ? 'new' : editing.rule_id}
+                    type={type}
+                    initial={editing === 'new' ? EMPTY_RULE : { pattern: editing.name_pattern, minVersion: editing.min_version || '', reason: editing.reason || '' }}
+                    saving={saving}
+                    error={formError}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
+            <div className="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Product Name Contains</th>
+                            {type === 'minimum_version' && <th>Minimum Version</th>}
+                            <th>Reason</th>
+                            <th>Matching Products</th>
+                            <th>Computers With Product</th>
+                            <th>{definition.violation}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {shown.length === 0 ? (
+                            <tr>
+                                <td colSpan="7" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                    No {definition.label.toLowerCase()} rules
+                                </td>
+                            </tr>
+                        ) : (
+                            shown.map(rule => (
+                                <tr key={rule.rule_id}>
+                                    <td><strong>{rule.name_pattern}</strong></td>
+                                    {type === 'minimum_version' && <td>{rule.min_version}</td>}
+                                    <td>{rule.reason || '-'}</td>
+                                    <td style={{ fontSize: '0.9rem' }}>{rule.products.join(', ') || '-'}</td>
+                                    <td>{rule.installed_count}</td>
+                                    <td>
+                                        <DrillCount count={rule.violation_count} danger onClick={() => onDrill({ rule: String(rule.rule_id) })} />
+                                    </td>
+                                    <td>
+                                        {isAdmin && (
+                                            <div style={{ display: 'flex', gap: '6px' }}>
+                                                <button className="btn btn-small" onClick={() => { setFormError(''); setEditing(rule); }}>Edit</button>
+                                                <button className="btn btn-small btn-danger" onClick={() => handleDelete(rule)}>Delete</button>
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+// Fleet-wide software inventory (/software): version spread per product,
+// installs below the locally maintained minimum versions, blocked software
+// and installs per publisher. Every count opens the endpoints behind it.
+function Software() {
+    const isAdmin = authService.hasRole('admin');
+    const [query, setQuery] = useQueryState({ tab: 'products', group: '', q: '', ...DRILL_FILTERS });
+    const [summary, setSummary] = useState(null);
+    const [rules, setRules] = useState([]);
+    const [error, setError] = useState('');
+
+    const loadOverview = useCallback(async () => {
+        try {
+            const [totals, ruleList] = await Promise.all([
+                softwareService.getSummary(query.group),
+                softwareService.getRules(query.group)
+            ]);
+            setSummary(totals);
+            setRules(ruleList);
+            setError('');
+        } catch (err) {
+            console.error('Failed to load software inventory:', err);
+            setError(err.message);
+        }
+    }, [query.group]);
+
+    useEffect(() => {
+        loadOverview();
+    }, [loadOverview]);
+
+    const showTab = (tab) => setQuery({ tab, q: '', ...DRILL_FILTERS });
+    const drill = (filters) => setQuery({ tab: 'endpoints', q: '', ...DRILL_FILTERS, ...filters });
+
+    const exportView = {
+        products: { title: 'Installed Software', parameters: { view: 'products', q: query.q, vendor: query.vendor, status: query.status } },
+        publishers: { title: 'Software Publishers', parameters: { view: 'publishers', q: query.q } },
+        endpoints: {
+            title: 'Software Installs',
+            parameters: { view: 'endpoints', q: query.q, name: query.name, version: query.version, unversioned: query.unversioned, vendor: query.vendor, status: query.status, rule: query.rule }
+        },
+        outdated: { title: 'Software Rules', parameters: { view: 'rules' } },
+        blocked: { title: 'Software Rules', parameters: { view: 'rules' } }
+    }[query.tab];
+
+    const tabs = [
+        { key: 'products', label: 'Products' },
+        { key: 'outdated', label: `Outdated${summary ? ` (${summary.outdated_computers})` : ''}` },
+        { key: 'blocked', label: `Blocked${summary ? ` (${summary.blocked_computers})` : ''}` },
+        { key: 'publishers', label: 'Publishers' },
+        { key: 'endpoints', label: 'Endpoints' }
+    ];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px', flexWrap: 'wrap', gap: '10px' }}>
+                <h1 style={{ margin: 0 }}>Software</h1>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                    <DeviceGroupSelect value={query.group} onChange={(group) => setQuery({ group })} style={{ width: '220px' }} />
+                    {exportView && (
+                        <ExportMenu
+                            source="software"
+                            title={exportView.title}
+                            parameters={{ ...exportView.parameters, group: query.group }}
+                        />
+                    )}
+                </div>
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            {summary && (
+                <div className="stat-cards">
+                    <div className="stat-card">
+                        <div className="stat-label">Computers Inventoried</div>
+                        <div className="stat-value">{summary.computers}</div>
+                    </div>
+                    <div className="stat-card">
+                        <div className="stat-label">Products</div>
+                        <div className="stat-value">{summary.products}</div>
+                    </div>
+                    <div className="stat-card">
+                        <div className="stat-label">Publishers</div>
+                        <div className="stat-value">{summary.publishers}</div>
+                    </div>
+                    <div className="stat-card" style={{ cursor: 'pointer' }} onClick={() => drill({ status: 'outdated' })}>
+                        <div className="stat-label">Outdated Installs</div>
+                        <div className="stat-value">{summary.outdated_installs}</div>
+                    </div>
+                    <div className="stat-card" style={{ cursor: 'pointer' }} onClick={() => drill({ status: 'blocked' })}>
+                        <div className="stat-label">Blocked Installs</div>
+                        <div className="stat-value">{summary.blocked_installs}</div>
+                    </div>
+                </div>
+            )}
+
+            <div className="tabs">
+                {tabs.map(tab => (
+                    <button key={tab.key} className={`tab ${query.tab === tab.key ? 'active' : ''}`} onClick={() => showTab(tab.key)}>
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+
+            {query.tab === 'products' && <ProductList query={query} setQuery={setQuery} groupId={query.group} onDrill={drill} />}
+            {query.tab === 'publishers' && <PublisherList query={query} setQuery={setQuery} groupId={query.group} onDrill={drill} />}
+            {query.tab === 'endpoints' && <EndpointList query={query} setQuery={setQuery} groupId={query.group} rules={rules} />}
+            {query.tab === 'outdated' && (
+                <RuleList type="minimum_version" rules={rules} isAdmin={isAdmin} onChange={loadOverview} onDrill={drill} />
+            )}
+            {query.tab === 'blocked' && (
+                <RuleList type="blocked" rules={rules} isAdmin={isAdmin} onChange={loadOverview} onDrill={drill} />
+            )}
+        </div>
+    );
+}
+
+export default Software;
@@ -0,0 +1,66 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { authService } from '../services/api';
+
+// Landing page for SSO/ADFS redirects (the provider's RedirectUri). Exchanges the
+// authorization code through the API, stores the session and opens the original route.
+function SsoCallback() {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [error, setError] = useState('');
+    // The code can only be redeemed once; guards against the double effect run in StrictMode
+    const started = useRef(false);
+
+    useEffect(() => {
+        if (started.current) return;
+        started.current = true;
+
+        const completeLogin = async () => {
+            try {
+                const response = await authService.completeSsoLogin(location.search);
+                localStorage.setItem('authProvider', response.provider);
+                navigate(response.returnPath || '/dashboard', { replace: true });
+            } catch (err) {
+                console.error('SSO sign-in failed:', err);
+                setError(err.message);
+            }
+        };
+
+        completeLogin();
+    }, [location.search, navigate]);
+
+    return (
+        <div style={{
+            minHeight: '100vh',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'linear-gradient(135deg, #1a237e 0%, #534bae 100%)'
+        }}>
+            <div className="card" style={{ width: '100%', maxWidth: '420px' }}>
+                <h2 style={{ marginBottom: '20px', color: 'var(--primary-color)' }}>
+                    Enterprise Monitoring System
+                </h2>
+
+                {error ? (
+                    <>
+                        <div style={{
+                            padding: '12px',
+                            marginBottom: '20px',
+                            background: '#f8d7da',
+                            color: '#721c24',
+                            borderRadius: '6px'
+                        }}>
+                            {error}
+                        </div>
+                        <Link to="/login" className="btn btn-primary">Back to Sign In</Link>
+                    </>
+                ) : (
+                    <div className="loading">Completing sign-in...</div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SsoCallback;
@@ -0,0 +1,212 @@
+import React, { useState, useRef, useId } from 'react';
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const MARGIN = { top: 10, right: 20, bottom: 30, left: 50 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const MIN_ZOOM_PX = 8;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Round the axis maximum up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+    if (!value || value <= 0) return 1;
+    const power = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(s => s * power >= value);
+    return step * power;
+};
+
+const formatTick = (t, span) => {
+    const date = new Date(t);
+    if (span <= 48 * HOUR_MS) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+// Index of the point whose time is closest to t (points are sorted by time)
+const nearestIndex = (points, t) => {
+    let lo = 0;
+    let hi = points.length - 1;
+    while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (points[mid].t < t) lo = mid + 1; else hi = mid;
+    }
+    if (lo > 0 && Math.abs(points[lo - 1].t - t) < Math.abs(points[lo].t - t)) return lo - 1;
+    return lo;
+};
+
+// Line/area chart drawn as plain SVG.
+// series: [{ key, label, color, points: [{ t, v }], area, dashed }], start/end in epoch ms.
+// Drag across the plot to zoom in; double-click or "Reset Zoom" returns to the full range.
+function TimeSeriesChart({ series, start, end, yMax, unit = '' }) {
+    const svgRef = useRef(null);
+    // Unique per chart so several charts on one page clip to their own plot area
+    const clipId = `plot-area${useId().replace(/:/g, '')}`;
+    const [zoom, setZoom] = useState(null);
+    const [hoverT, setHoverT] = useState(null);
+    const [dragFrom, setDragFrom] = useState(null);
+
+    const [x0, x1] = zoom || [start, end];
+    const span = Math.max(x1 - x0, 1);
+
+    const visible = series.map(s => ({
+        ...s,
+        points: s.points.filter(p => p.v !== null && p.v !== undefined && p.t >= x0 && p.t <= x1)
+    }));
+
+    const dataMax = Math.max(0, ...visible.flatMap(s => s.points.map(p => p.v)));
+    const y1 = yMax || niceMax(dataMax);
+
+    const xScale = (t) => MARGIN.left + ((t - x0) / span) * PLOT_WIDTH;
+    const yScale = (v) => MARGIN.top + PLOT_HEIGHT - (Math.min(v, y1) / y1) * PLOT_HEIGHT;
+
+    // Convert a mouse event into a time on the x axis
+    const eventTime = (e) => {
+        const svg = svgRef.current;
+        const point = svg.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        const local = point.matrixTransform(svg.getScreenCTM().inverse());
+        const x = Math.min(Math.max(local.x, MARGIN.left), MARGIN.left + PLOT_WIDTH);
+        return x0 + ((x - MARGIN.left) / PLOT_WIDTH) * span;
+    };
+
+    const handleMouseUp = (e) => {
+        if (dragFrom === null) return;
+        const to = eventTime(e);
+        const [a, b] = dragFrom < to ? [dragFrom, to] : [to, dragFrom];
+        if (((b - a) / span) * PLOT_WIDTH >= MIN_ZOOM_PX) {
+            setZoom([a, b]);
+        }
+        setDragFrom(null);
+    };
+
+    const linePath = (points) => points
+        .map((p, i) => `${i === 0 ? 'M' : 'L'}${xScale(p.t).toFixed(1)},${yScale(p.v).toFixed(1)}`)
+        .join(' ');
+
+    const areaPath = (points) => {
+        if (points.length === 0) return '';
+        const baseline = MARGIN.top + PLOT_HEIGHT;
+        return `${linePath(points)} L${xScale(points[points.length - 1].t).toFixed(1)},${baseline} L${xScale(points[0].t).toFixed(1)},${baseline} Z`;
+    };
+
+    const yTicks = [0, 0.25, 0.5, 0.75, 1].map(f => f * y1);
+    const xTicks = [0, 0.2, 0.4, 0.6, 0.8, 1].map(f => x0 + f * span);
+
+    const hover = hoverT === null ? null : visible
+        .filter(s => s.points.length > 0)
+        .map(s => ({ ...s, point: s.points[nearestIndex(s.points, hoverT)] }));
+    const hoverX = hover && hover.length > 0 ? xScale(hover[0].point.t) : null;
+    const hasData = visible.some(s => s.points.length > 0);
+
+    return (
+        <div className="chart-container">
+            {zoom && (
+                <button className="btn chart-reset" onClick={() => setZoom(null)}>Reset Zoom</button>
+            )}
+            <svg
+                ref={svgRef}
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                width="100%"
+                style={{ userSelect: 'none', cursor: 'crosshair' }}
+                onMouseMove={(e) => setHoverT(eventTime(e))}
+                onMouseLeave={() => { setHoverT(null); setDragFrom(null); }}
+                onMouseDown={(e) => setDragFrom(eventTime(e))}
+                onMouseUp={handleMouseUp}
+                onDoubleClick={() => setZoom(null)}
+            >
+                <defs>
+                    <clipPath id={clipId}>
+                        <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} />
+                    </clipPath>
+                </defs>
+
+                {yTicks.map(v => (
+                    <g key={`y${v}`}>
+                        <line x1={MARGIN.left} x2={MARGIN.left + PLOT_WIDTH} y1={yScale(v)} y2={yScale(v)} stroke="var(--border-color)" />
+                        <text x={MARGIN.left - 6} y={yScale(v) + 4} textAnchor="end" fontSize="11" fill="var(--text-secondary)">
+                            {Number.isInteger(v) ? v : v.toFixed(1)}{unit}
+                        </text>
+                    </g>
+                ))}
+                {xTicks.map(t => (
+                    <text key={`x${t}`} x={xScale(t)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="var(--text-secondary)">
+                        {formatTick(t, span)}
+                    </text>
+                ))}
+
+                <g clipPath={`url(#${clipId})`}>
+                    {visible.map(s => (
+                        <g key={s.key}>
+                            {s.area && <path d={areaPath(s.points)} fill={s.color} fillOpacity="0.15" stroke="none" />}
+                            <path
+                                d={linePath(s.points)}
+                                fill="none"
+                                stroke={s.color}
+                                strokeWidth="2"
+                                strokeDasharray={s.dashed ? '6 4' : undefined}
+                            />
+                        </g>
+                    ))}
+                </g>
+
+                {dragFrom !== null && hoverT !== null && (
+                    <rect
+                        x={xScale(Math.min(dragFrom, hoverT))}
+                        y={MARGIN.top}
+                        width={Math.abs(xScale(hoverT) - xScale(dragFrom))}
+                        height={PLOT_HEIGHT}
+                        fill="var(--info-color)"
+                        fillOpacity="0.15"
+                    />
+                )}
+
+                {hoverX !== null && (
+                    <g pointerEvents="none">
+                        <line x1={hoverX} x2={hoverX} y1={MARGIN.top} y2={MARGIN.top + PLOT_HEIGHT} stroke="var(--text-secondary)" strokeDasharray="3 3" />
+                        {hover.map(s => (
+                            <circle key={s.key} cx={xScale(s.point.t)} cy={yScale(s.point.v)} r="4" fill={s.color} />
+                        ))}
+                    </g>
+                )}
+
+                {!hasData && (
+                    <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" fill="var(--text-secondary)">
+                        No data in this time range
+                    </text>
+                )}
+            </svg>
+
+            {hoverX !== null && (
+                <div
+                    className="chart-tooltip"
+                    style={{
+                        left: `${(hoverX / WIDTH) * 100}%`,
+                        transform: hoverX > WIDTH / 2 ? 'translateX(calc(-100% - 12px))' : 'translateX(12px)'
+                    }}
+                >
+                    <strong>{new Date(hover[0].point.t).toLocaleString()}</strong>
+                    {hover.map(s => (
+                        <div key={s.key}>
+                            <span className="chart-swatch" style={{ background: s.color }}></span>
+                            {s.label}: {s.point.v}{unit}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="chart-legend">
+                {series.map(s => (
+                    <span key={s.key}>
+                        <span className="chart-swatch" style={{ background: s.color, opacity: s.dashed ? 0.6 : 1 }}></span>
+                        {s.label}{s.dashed ? ' (dashed)' : ''}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default TimeSeriesChart;
@@ -0,0 +1,550 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { authService, vulnerabilityService } from '../services/api';
+import useQueryState from '../hooks/useQueryState';
+import DeviceGroupSelect from './DeviceGroupSelect';
+import ExportMenu from './ExportMenu';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'none', 'unknown'];
+
+export const SEVERITY_BADGES = {
+    critical: 'badge-danger',
+    high: 'badge-danger',
+    medium: 'badge-warning',
+    low: 'badge-info',
+    none: 'badge-secondary',
+    unknown: 'badge-secondary'
+};
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString() : '-';
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '-';
+
+export function SeverityBadge({ severity, score }) {
+    return (
+        <span className={`badge ${SEVERITY_BADGES[severity] || 'badge-secondary'}`}>
+            {severity}{score !== null && score !== undefined && ` ${Number(score).toFixed(1)}`}
+        </span>
+    );
+}
+
+// What triggered a match: the installed package (or operating system) and version, and the affected product entry
+export function MatchEvidence({ match }) {
+    return (
+        <div style={{ fontSize: '0.9rem' }}>
+            <div>
+                {match.target_type === 'os' && <span className="badge badge-info" style={{ marginRight: '6px' }}>OS</span>}
+                <strong>{match.matched_name}</strong> {match.matched_version || <em>no version reported</em>}
+                {match.matched_vendor && <span style={{ color: 'var(--text-secondary)' }}> · {match.matched_vendor}</span>}
+            </div>
+            <div style={{ color: 'var(--text-secondary)' }}>
+                matches {match.affected_vendor ? `${match.affected_vendor} ` : ''}{match.affected_product} ({match.affected_versions})
+            </div>
+        </div>
+    );
+}
+
+// Vulnerabilities tab of the computer details page, with the Windows Update state for context
+export function ComputerVulnerabilities({ computerName }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        vulnerabilityService.getComputerVulnerabilities(computerName)
+            .then(result => { if (active) setData(result); })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [computerName]);
+
+    if (error) return <div className="alert alert-error">{error}</div>;
+    if (!data) return <div className="spinner"></div>;
+
+    const { vulnerabilities, updates } = data;
+
+    return (
+        <div className="card">
+            <h3>Known Vulnerabilities</h3>
+            <p style={{ color: 'var(--text-secondary)' }}>
+                {updates ? (
+                    <>
+                        Windows Update: last installed {formatDate(updates.last_update_date)},
+                        {' '}{updates.pending_updates ?? 0} pending, {updates.failed_updates ?? 0} failed
+                        {' '}(collected {formatTime(updates.timestamp)}).
+                    </>
+                ) : 'No Windows Update data has been collected.'}
+                {' '}Operating system matches use the reported build, so a patched build no longer matches.
+            </p>
+            {vulnerabilities.length === 0 ? (
+                <p style={{ color: 'var(--text-secondary)' }}>No CVEs from the imported feeds match this computer's software or operating system.</p>
+            ) : (
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>CVE</th>
+                            <th>Severity</th>
+                            <th>Evidence</th>
+                            <th>Published</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {vulnerabilities.map(match => (
+                            <tr key={`${match.cve_id}-${match.matched_name}-${match.affected_product}-${match.affected_versions}`}>
+                                <td>
+                                    <Link to={`/vulnerabilities?tab=endpoints&cve=${encodeURIComponent(match.cve_id)}`}>{match.cve_id}</Link>
+                                </td>
+                                <td><SeverityBadge severity={match.severity} score={match.cvss_score} /></td>
+                                <td><MatchEvidence match={match} /></td>
+                                <td>{formatDate(match.published_at)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+function CveDetail({ cveId, groupId }) {
+    const [detail, setDetail] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        vulnerabilityService.getVulnerability(cveId, groupId)
+            .then(result => { if (active) setDetail(result); })
+            .catch(err => { if (active) setError(err.message); });
+        return () => { active = false; };
+    }, [cveId, groupId]);
+
+    if (error) return <div className="alert alert-error">{error}</div>;
+    if (!detail) return <div className="spinner"></div>;
+
+    return (
+        <div>
+            <p style={{ marginTop: 0 }}>{detail.vulnerability.description || 'No description in the feed.'}</p>
+            <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                From {detail.vulnerability.source_name || 'an earlier feed'}, updated {formatTime(detail.vulnerability.updated_at)}
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Affected Product</th>
+                        <th>Type</th>
+                        <th>Versions</th>
+                        <th>Matched Computers</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {detail.products.map(product => (
+                        <tr key={product.product_id}>
+                            <td>{product.vendor ? `${product.vendor} ` : ''}{product.product}</td>
+                            <td>{product.target_type === 'os' ? 'Operating system' : 'Application'}</td>
+                            <td>{product.affected_versions}</td>
+                            <td>{product.computer_count}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function CveList({ query, setQuery, onDrill }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        let active = true;
+        // Wait for typing to settle before querying
+        const timer = setTimeout(() => {
+            vulnerabilityService.getVulnerabilities({ severity: query.severity, q: query.q, group: query.group || undefined })
+                .then(result => { if (active) { setData(result); setError(''); } })
+                .catch(err => { if (active) setError(err.message); });
+        }, 300);
+        return () => { active = false; clearTimeout(timer); };
+    }, [query.severity, query.q, query.group]);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px', flexWrap: 'wrap' }}>
+                <input
+                    type="text"
+                    className="form-control"
+                    placeholder="CVE, description or package contains..."
+                    value={query.q}
+                    onChange={(e) => setQuery({ q: e.target.value })}
+                    style={{ width: '300px' }}
+                />
+                <select className="form-control" value={query.severity} onChange={(e) => setQuery({ severity: e.target.value })} style={{ width: '180px' }}>
+                    <option value="">All severities</option>
+                    {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                </select>
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {!data && !error && <div className="spinner"></div>}
+            {data && (
+                <>
+                    <p>
+                        {data.total} matched CVE{data.total === 1 ? '' : 's'}
+                        {data.total > data.vulnerabilities.length && ` (${data.vulnerabilities.length} most severe shown; export for the full list)`}
+                    </p>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>CVE</th>
+                                    <th>Severity</th>
+                                    <th>Affected Computers</th>
+                                    <th>Matched Packages</th>
+                                    <th>Published</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {data.vulnerabilities.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="5" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                            No matched vulnerabilities
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    data.vulnerabilities.map(cve => (
+                                        <React.Fragment key={cve.cve_id}>
+                                            <tr>
+                                                <td>
+                                                    <button
+                                                        className="btn btn-small"
+                                                        onClick={() => setExpanded(expanded === cve.cve_id ? null : cve.cve_id)}
+                                                        title="Show details"
+                                                        style={{ marginRight: '8px' }}
+                                                    >
+                                                        {expanded === cve.cve_id ? '▾' : '▸'}
+                                                    </button>
+                                                    <strong>{cve.cve_id}</strong>
+                                                </td>
+                                                <td><SeverityBadge severity={cve.severity} score={cve.cvss_score} /></td>
+                                                <td>
+                                                    <button className="btn btn-small" onClick={() => onDrill({ cve: cve.cve_id })} title="Show affected computers">
+                                                        {cve.computer_count}
+                                                    </button>
+                                                </td>
+                                                <td style={{ fontSize: '0.9rem' }}>{cve.packages.join(', ')}</td>
+                                                <td>{formatDate(cve.published_at)}</td>
+                                            </tr>
+                                            {expanded === cve.cve_id && (
+                                                <tr>
+                                                    <td colSpan="5">
+                                                        <CveDetail cveId={cve.cve_id} groupId={query.group} />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+function EndpointList({ query, setQuery }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        const timer = setTimeout(() => {
+            vulnerabilityService.getEndpoints({ cve: query.cve, severity: query.severity, q: query.q, group: query.group || undefined })
+                .then(result => { if (active) { setData(result); setError(''); } })
+                .catch(err => { if (active) setError(err.message); });
+        }, 300);
+        return () => { active = false; clearTimeout(timer); };
+    }, [query.cve, query.severity, query.q, query.group]);
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px', flexWrap: 'wrap', alignItems: 'center' }}>
+                <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Computer or package contains..."
+                    value={query.q}
+                    onChange={(e) => setQuery({ q: e.target.value })}
+                    style={{ width: '280px' }}
+                />
+                <select className="form-control" value={query.severity} onChange={(e) => setQuery({ severity: e.target.value })} style={{ width: '180px' }}>
+                    <option value="">All severities</option>
+                    {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                </select>
+                {query.cve && (
+                    <span className="badge badge-info">
+                        {query.cve}{' '}
+                        <button className="btn btn-small" onClick={() => setQuery({ cve: '' })} title="Show every CVE">✕</button>
+                    </span>
+                )}
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {!data && !error && <div className="spinner"></div>}
+            {data && (
+                <>
+                    <p>
+                        {data.total} match{data.total === 1 ? '' : 'es'}
+                        {data.total > data.endpoints.length && ` (first ${data.endpoints.length} shown; export for the full list)`}
+                    </p>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Computer</th>
+                                    <th>CVE</th>
+                                    <th>Severity</th>
+                                    <th>Evidence</th>
+                                    <th>Matched</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {data.endpoints.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="5" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                            No affected computers
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    data.endpoints.map(match => (
+                                        <tr key={`${match.computer_name}-${match.cve_id}-${match.matched_name}-${match.matched_version}`}>
+                                            <td>
+                                                <Link to={`/computers/${encodeURIComponent(match.computer_name)}?tab=vulnerabilities`}>{match.computer_name}</Link>
+                                            </td>
+                                            <td>{match.cve_id}</td>
+                                            <td><SeverityBadge severity={match.severity} score={match.cvss_score} /></td>
+                                            <td><MatchEvidence match={match} /></td>
+                                            <td>{formatTime(match.matched_at)}</td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+function FeedImport({ isAdmin, onImported }) {
+    const [feeds, setFeeds] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+
+    const loadFeeds = useCallback(async () => {
+        try {
+            setFeeds(await vulnerabilityService.getFeeds());
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadFeeds();
+    }, [loadFeeds]);
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+
+        const reader = new FileReader();
+        reader.onload = async () => {
+            setBusy(true);
+            setError('');
+            setResult(null);
+            try {
+                setResult(await vulnerabilityService.importFeed(String(reader.result || ''), file.name));
+                await loadFeeds();
+                onImported();
+            } catch (err) {
+                setError(err.message);
+            } finally {
+                setBusy(false);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    return (
+        <div className="card">
+            {isAdmin && (
+                <div style={{ marginBottom: '20px' }}>
+                    <h3 style={{ marginTop: 0 }}>Import Feed</h3>
+                    <p style={{ color: 'var(--text-secondary)' }}>
+                        Choose an NVD JSON feed (1.1 or 2.0 format) or a CSV with cve_id, severity, cvss_score, published,
+                        description, type (software or os), vendor, product, version and the version_start_including,
+                        version_start_excluding, version_end_including and version_end_excluding bounds, one row per affected
+                        product. Nothing is downloaded; CVEs already loaded are replaced and every computer is matched again.
+                    </p>
+                    {error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFileChange} disabled={busy} />
+                        {busy && <span>Importing and matching...</span>}
+                    </div>
+                    {result && (
+                        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginTop: '15px' }}>
+                            <span className="badge badge-success">{result.cves} CVEs imported</span>
+                            <span className="badge badge-info">{result.products} affected products</span>
+                            <span className="badge badge-secondary">{result.skipped} skipped</span>
+                            <span className="badge badge-warning">{result.matches} matches</span>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <h3 style={{ marginTop: 0 }}>Import History</h3>
+            {!isAdmin && error && <div className="alert alert-error" style={{ marginBottom: '15px' }}>{error}</div>}
+            {!feeds ? <div className="spinner"></div> : (
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>File</th>
+                                <th>Format</th>
+                                <th>CVEs</th>
+                                <th>Affected Products</th>
+                                <th>Skipped</th>
+                                <th>Imported</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {feeds.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" style={{ textAlign: 'center', color: 'var(--text-secondary)' }}>
+                                        No feeds imported yet
+                                    </td>
+                                </tr>
+                            ) : (
+                                feeds.map(feed => (
+                                    <tr key={feed.feed_id}>
+                                        <td>{feed.source_name}</td>
+                                        <td>{feed.format === 'nvd_json' ? 'NVD JSON' : 'CSV'}</td>
+                                        <td>{feed.cve_count}</td>
+                                        <td>{feed.product_count}</td>
+                                        <td>{feed.skipped_count}</td>
+                                        <td>
+                                            {formatTime(feed.imported_at)}
+                                            {feed.imported_by_name && ` · ${feed.imported_by_name}`}
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// CVEs from locally imported feeds matched to installed software and OS builds (/vulnerabilities).
+// Every count opens the affected computers with the package and version behind each match.
+function Vulnerabilities() {
+    const isAdmin = authService.hasRole('admin');
+    const [query, setQuery] = useQueryState({ tab: 'cves', group: '', severity: '', q: '', cve: '' });
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState('');
+
+    const loadSummary = useCallback(async () => {
+        try {
+            setSummary(await vulnerabilityService.getSummary(query.group));
+            setError('');
+        } catch (err) {
+            console.error('Failed to load vulnerability summary:', err);
+            setError(err.message);
+        }
+    }, [query.group]);
+
+    useEffect(() => {
+        loadSummary();
+    }, [loadSummary]);
+
+    const showTab = (tab) => setQuery({ tab, q: '', cve: '' });
+    const drill = (filters) => setQuery({ tab: 'endpoints', q: '', severity: '', cve: '', ...filters });
+
+    const exportView = {
+        cves: { title: 'Vulnerabilities', parameters: { view: 'cves', severity: query.severity, q: query.q } },
+        endpoints: { title: 'Vulnerable Endpoints', parameters: { view: 'endpoints', severity: query.severity, q: query.q, cve: query.cve } }
+    }[query.tab];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px', flexWrap: 'wrap', gap: '10px' }}>
+                <h1 style={{ margin: 0 }}>Vulnerabilities</h1>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                    <DeviceGroupSelect value={query.group} onChange={(group) => setQuery({ group })} style={{ width: '220px' }} />
+                    {exportView && (
+                        <ExportMenu
+                            source="vulnerabilities"
+                            title={exportView.title}
+                            parameters={{ ...exportView.parameters, group: query.group }}
+                        />
+                    )}
+                </div>
+            </div>
+
+            {error && <div className="alert alert-error" style={{ marginBottom: '20px' }}>{error}</div>}
+
+            {summary && summary.feed_cves === 0 && (
+                <div className="alert" style={{ marginBottom: '20px' }}>
+                    No vulnerability feed has been imported yet.
+                    {isAdmin ? ' Import an NVD JSON or CSV file on the Feeds tab.' : ' Ask an administrator to import one.'}
+                </div>
+            )}
+
+            {summary && (
+                <>
+                    <div className="stat-cards">
+                        <div className="stat-card">
+                            <div className="stat-label">Matched CVEs</div>
+                            <div className="stat-value">{summary.cves}</div>
+                        </div>
+                        <div className="stat-card" style={{ cursor: 'pointer' }} onClick={() => drill({})}>
+                            <div className="stat-label">Affected Computers</div>
+                            <div className="stat-value">{summary.computers}</div>
+                        </div>
+                        {summary.severities.filter(s => ['critical', 'high', 'medium', 'low'].includes(s.severity)).map(s => (
+                            <div
+                                key={s.severity}
+                                className="stat-card"
+                                style={{ cursor: 'pointer' }}
+                                onClick={() => setQuery({ tab: 'cves', severity: s.severity, q: '', cve: '' })}
+                                title={`${s.computers} computer${s.computers === 1 ? '' : 's'} affected`}
+                            >
+                                <div className="stat-label" style={{ textTransform: 'capitalize' }}>{s.severity}</div>
+                                <div className="stat-value">{s.cves}</div>
+                            </div>
+                        ))}
+                    </div>
+                    <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                        {summary.feed_cves} CVEs loaded{summary.last_import && `, last import ${formatTime(summary.last_import)}`}
+                    </p>
+                </>
+            )}
+
+            <div className="tabs">
+                <button className={`tab ${query.tab === 'cves' ? 'active' : ''}`} onClick={() => showTab('cves')}>CVEs</button>
+                <button className={`tab ${query.tab === 'endpoints' ? 'active' : ''}`} onClick={() => showTab('endpoints')}>Affected Endpoints</button>
+                <button className={`tab ${query.tab === 'feeds' ? 'active' : ''}`} onClick={() => showTab('feeds')}>Feeds</button>
+            </div>
+
+            {query.tab === 'cves' && <CveList query={query} setQuery={setQuery} onDrill={drill} />}
+            {query.tab === 'endpoints' && <EndpointList query={query} setQuery={setQuery} />}
+            {query.tab === 'feeds' && <FeedImport isAdmin={isAdmin} onImported={loadSummary} />}
+        </div>
+    );
+}
+
+export default Vulnerabilities;
@@ -0,0 +1,45 @@
+import { useCallback, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Page state (filters, sort, paging, tabs) kept in URL query parameters so a
+// view can be bookmarked or shared and opens the same way.
+//
+// defaults maps each parameter to its default: a string, or an array for
+// repeated parameters (?filter=a&filter=b). Values come back as strings (or
+// arrays of strings); values equal to their default are left out of the URL.
+// Updates replace the current history entry so typing in a filter does not
+// fill the back button with one entry per keystroke.
+function useQueryState(defaults) {
+    const [searchParams, setSearchParams] = useSearchParams();
+    // Defaults are fixed for the life of the page
+    const defaultsRef = useRef(defaults);
+
+    const state = useMemo(() => Object.fromEntries(
+        Object.entries(defaultsRef.current).map(([name, fallback]) => [
+            name,
+            Array.isArray(fallback)
+                ? (searchParams.has(name) ? searchParams.getAll(name) : fallback)
+                : (searchParams.get(name) ?? fallback)
+        ])
+    ), [searchParams]);
+
+    const update = useCallback((changes) => {
+        setSearchParams(current => {
+            const next = new URLSearchParams(current);
+            Object.entries(changes).forEach(([name, value]) => {
+                const fallback = defaultsRef.current[name];
+                next.delete(name);
+                if (Array.isArray(value)) {
+                    value.forEach(item => next.append(name, String(item)));
+                } else if (value !== null && value !== undefined && value !== '' && String(value) !== String(fallback)) {
+                    next.set(name, String(value));
+                }
+            });
+            return next;
+        }, { replace: true });
+    }, [setSearchParams]);
+
+    return [state, update];
+}
+
+export default useQueryState;
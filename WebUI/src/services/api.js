@@ -1,6 +1,9 @@
 import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+// Scan progress events are served by a separate listener (API.StreamListenAddress)
+const STREAM_BASE_URL = process.env.REACT_APP_STREAM_URL || 'http://localhost:5001/api';
+const SESSION_POLL_INTERVAL_MS = 2000;
 
 // Create axios instance with default config
 const apiClient = axios.create({
@@ -22,31 +25,254 @@ apiClient.interceptors.request.use(
     (error) => Promise.reject(error)
 );
 
-// Handle auth errors
+// Error categories reported by services that return typed errors
+export const API_ERROR_TYPES = {
+    AUTH: 'auth',
+    FORBIDDEN: 'forbidden',
+    NOT_FOUND: 'not_found',
+    BAD_REQUEST: 'bad_request',
+    SERVER: 'server',
+    NETWORK: 'network',
+    CANCELLED: 'cancelled'
+};
+
+export class ApiError extends Error {
+    constructor(message, type, status = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+    }
+}
+
+// Convert an axios error into an ApiError with a usable message
+export const toApiError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    if (axios.isCancel(error)) {
+        return new ApiError('Request cancelled', API_ERROR_TYPES.CANCELLED);
+    }
+
+    if (!error.response) {
+        return new ApiError('Unable to reach the EMS API server', API_ERROR_TYPES.NETWORK);
+    }
+
+    const { status, data } = error.response;
+    const serverMessage = data?.message || data?.error;
+
+    switch (status) {
+        case 400:
+            return new ApiError(serverMessage || 'Invalid request', API_ERROR_TYPES.BAD_REQUEST, status);
+        case 401:
+            return new ApiError('Your session has expired. Please sign in again.', API_ERROR_TYPES.AUTH, status);
+        case 403:
+            return new ApiError(serverMessage || 'You are not authorized to view this data', API_ERROR_TYPES.FORBIDDEN, status);
+        case 404:
+            return new ApiError(serverMessage || 'Requested data was not found', API_ERROR_TYPES.NOT_FOUND, status);
+        default:
+            return new ApiError(serverMessage || `Server error (${status})`, API_ERROR_TYPES.SERVER, status);
+    }
+};
+
+// PowerShell serializes single-element lists as plain values
+export const asList = (value) => (Array.isArray(value) ? value : value !== null && value !== undefined ? [value] : []);
+
+// Sign-in calls answer 401 for rejected credentials rather than an expired session
+const toSignInError = (error) => {
+    const apiError = toApiError(error);
+    if (apiError.status === 401) {
+        apiError.message = error.response.data?.message || 'Authentication failed. Please check your credentials.';
+    }
+    return apiError;
+};
+
+const SESSION_KEYS = ['auth_token', 'refresh_token', 'session_expires_at', 'user'];
+const RETURN_PATH_KEY = 'return_to';
+// Auth calls whose 401s mean bad credentials rather than an expired token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout', '/auth/sso/callback'];
+// Redirect login in progress: PKCE verifier, state and nonce kept until the identity provider redirects back
+const SSO_PENDING_KEY = 'sso_pending';
+
+const storeSession = (data) => {
+    localStorage.setItem('auth_token', data.token);
+    if (data.refreshToken) localStorage.setItem('refresh_token', data.refreshToken);
+    if (data.sessionExpiresAt) localStorage.setItem('session_expires_at', String(data.sessionExpiresAt));
+    if (data.user) localStorage.setItem('user', JSON.stringify(data.user));
+};
+
+const clearSession = () => {
+    SESSION_KEYS.forEach(key => localStorage.removeItem(key));
+};
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const randomToken = () => toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+// PKCE S256 challenge for a code verifier (RFC 7636)
+const pkceChallenge = async (verifier) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return toBase64Url(new Uint8Array(digest));
+};
+
+// Exchanges the refresh token for a new access token. Requests that fail with 401
+// while a refresh is running wait for the same promise and are replayed afterwards.
+let refreshRequest = null;
+
+const refreshSession = () => {
+    if (!refreshRequest) {
+        const refreshToken = localStorage.getItem('refresh_token');
+        refreshRequest = (refreshToken
+            ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+            : Promise.reject(new ApiError('No refresh token', API_ERROR_TYPES.AUTH, 401)))
+            .then(response => {
+                storeSession(response.data);
+                return response.data;
+            })
+            .finally(() => {
+                refreshRequest = null;
+            });
+    }
+    return refreshRequest;
+};
+
+// Renew the token on 401 and replay the request; sign out only when the session cannot be renewed
 apiClient.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            localStorage.removeItem('auth_token');
-            localStorage.removeItem('user');
-            window.location.href = '/login';
-        } return Promise.reject(error);
+    async (error) => {
+        const request = error.config;
+        if (error.response?.status !== 401 || !request || request.retried || NO_REFRESH_URLS.includes(request.url)) {
+            return Promise.reject(error);
+        }
+
+        request.retried = true;
+        try {
+            await refreshSession();
+        } catch {
+            authService.expireSession();
+            return Promise.reject(error);
+        }
+        // The request interceptor attaches the new token
+        return apiClient(request);
     }
 );
 
+// Roles from lowest to highest; the API applies the same order (Test-EMSRole)
+export const ROLES = ['viewer', 'operator', 'admin'];
+
 export const authService = {
     login: async (username, password, provider = null) => {
-        const response = await apiClient.post('/auth/login', { username, password, provider });
-        if (response.data.success && response.data.token) {
-            localStorage.setItem('auth_token', response.data.token);
-            localStorage.setItem('user', JSON.stringify(response.data.user));
+        try {
+            const response = await apiClient.post('/auth/login', { username, password, provider });
+            if (response.data.success && response.data.token) {
+                storeSession(response.data);
+            }
+            return response.data;
+        } catch (error) {
+            throw toSignInError(error);
+        }
+    },
+
+    // Sends the browser to an SSO/ADFS identity provider (authorization code + PKCE).
+    // The provider redirects back to /auth/callback, which calls completeSsoLogin.
+    beginSsoLogin: async (provider, returnPath = null) => {
+        let settings;
+        try {
+            settings = (await apiClient.get(`/auth/sso/${encodeURIComponent(provider)}`)).data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+
+        const pending = {
+            provider,
+            state: randomToken(),
+            nonce: randomToken(),
+            codeVerifier: randomToken(),
+            redirectUri: settings.redirectUri,
+            returnPath
+        };
+        sessionStorage.setItem(SSO_PENDING_KEY, JSON.stringify(pending));
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: settings.clientId,
+            redirect_uri: settings.redirectUri,
+            scope: settings.scope,
+            state: pending.state,
+            nonce: pending.nonce,
+            code_challenge: await pkceChallenge(pending.codeVerifier),
+            code_challenge_method: 'S256'
+        });
+        if (settings.resource) params.set('resource', settings.resource);
+
+        window.location.assign(`${settings.authorizationEndpoint}?${params.toString()}`);
+    },
+
+    // Finishes a redirect login from the callback query string; resolves to the login response
+    completeSsoLogin: async (search) => {
+        const params = new URLSearchParams(search);
+        const pending = JSON.parse(sessionStorage.getItem(SSO_PENDING_KEY) || 'null');
+        sessionStorage.removeItem(SSO_PENDING_KEY);
+
+        if (params.get('error')) {
+            throw new ApiError(params.get('error_description') || params.get('error'), API_ERROR_TYPES.AUTH);
+        }
+        if (!pending || !params.get('code') || params.get('state') !== pending.state) {
+            throw new ApiError('Sign-in response did not match a sign-in started from this browser', API_ERROR_TYPES.BAD_REQUEST);
+        }
+
+        try {
+            const response = await apiClient.post('/auth/sso/callback', {
+                provider: pending.provider,
+                code: params.get('code'),
+                codeVerifier: pending.codeVerifier,
+                nonce: pending.nonce,
+                redirectUri: pending.redirectUri
+            });
+            storeSession(response.data);
+            return { ...response.data, returnPath: pending.returnPath };
+        } catch (error) {
+            throw toSignInError(error);
         }
-        return response.data;
     },
 
     logout: () => {
-        localStorage.removeItem('auth_token');
-        localStorage.removeItem('user');
+        const refreshToken = localStorage.getItem('refresh_token');
+        if (refreshToken) {
+            // Best effort: the session ends locally even if the API is unreachable
+            apiClient.post('/auth/logout', { refreshToken }).catch(() => {});
+        }
+        clearSession();
+    },
+
+    // "Stay signed in": renews the access token and pushes the session expiry out
+    refresh: async () => {
+        try {
+            return await refreshSession();
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Ends a session that can no longer be renewed and returns here after the next login
+    expireSession: () => {
+        if (window.location.pathname === '/login') return;
+        clearSession();
+        sessionStorage.setItem(RETURN_PATH_KEY, window.location.pathname + window.location.search);
+        window.location.href = '/login?expired=1';
+    },
+
+    // Route to open after login, set when the previous session expired
+    consumeReturnPath: () => {
+        const path = sessionStorage.getItem(RETURN_PATH_KEY);
+        sessionStorage.removeItem(RETURN_PATH_KEY);
+        return path;
+    },
+
+    // Epoch ms after which the refresh token is no longer accepted
+    getSessionExpiry: () => {
+        const value = Number(localStorage.getItem('session_expires_at'));
+        return value > 0 ? value : null;
     },
 
     validate: async () => {
@@ -67,57 +293,1149 @@ export const authService = {
         return !!localStorage.getItem('auth_token');
     },
 
+    getRole: () => {
+        return authService.getCurrentUser()?.role || null;
+    },
+
+    // True when the signed-in user has at least the given role
+    hasRole: (role) => {
+        const level = ROLES.indexOf(authService.getRole());
+        return level !== -1 && level >= ROLES.indexOf(role);
+    },
+
     getProviders: async () => {
-        const response = await apiClient.get('/auth/providers');
-        return response.data;
+        try {
+            const response = await apiClient.get('/auth/providers');
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
     }
 };
 
 export const scanService = {
     scanSingle: async (target) => {
-        const response = await apiClient.post('/scan/single', { target });
-        return response.data;
+        try {
+            const response = await apiClient.post('/scan/single', { target });
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    scanBulk: async (targets) => {
+        try {
+            const response = await apiClient.post('/scan/bulk', { targets });
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Bulk scan of a device group's current members
+    scanGroup: async (groupId) => {
+        try {
+            const response = await apiClient.post('/scan/bulk', { groupId });
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getBulkJob: async (jobId) => {
+        try {
+            const response = await apiClient.get(`/scan/bulk/${jobId}`);
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    startSession: async (target) => {
+        try {
+            const response = await apiClient.post('/scan/sessions', { target });
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getSession: async (sessionId, after = 0) => {
+        try {
+            const response = await apiClient.get(`/scan/sessions/${sessionId}`, { params: { after } });
+            const events = response.data?.events;
+            return { ...response.data, events: asList(events) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Single-use ticket that opens the event stream of a session for about a minute
+    getStreamTicket: async (sessionId) => {
+        try {
+            const response = await apiClient.post(`/scan/sessions/${sessionId}/stream-ticket`);
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    cancelSession: async (sessionId) => {
+        try {
+            const response = await apiClient.post(`/scan/sessions/${sessionId}/cancel`);
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Calls onEvent for every progress event until the session ends, then onEnd.
+    // Uses Server-Sent Events and falls back to polling if the stream cannot be opened.
+    // Returns a function that stops the subscription.
+    subscribeSession: (sessionId, { onEvent, onEnd, onError }) => {
+        let stopped = false;
+        let lastEventId = 0;
+        let pollTimer = null;
+        let source = null;
+
+        const handle = (event) => {
+            if (stopped || event.event_id <= lastEventId) return;
+            lastEventId = event.event_id;
+            onEvent(event);
+            if (event.phase === 'session') {
+                stop();
+                if (onEnd) onEnd(event);
+            }
+        };
+
+        const poll = async () => {
+            try {
+                const data = await scanService.getSession(sessionId, lastEventId);
+                data.events.forEach(handle);
+            } catch (error) {
+                if (onError) onError(toApiError(error));
+            }
+            if (!stopped) pollTimer = setTimeout(poll, SESSION_POLL_INTERVAL_MS);
+        };
+
+        const stop = () => {
+            stopped = true;
+            if (source) source.close();
+            clearTimeout(pollTimer);
+        };
+
+        const openStream = async () => {
+            let ticket;
+            try {
+                ticket = (await scanService.getStreamTicket(sessionId)).ticket;
+            } catch {
+                if (!stopped) poll();
+                return;
+            }
+            if (stopped) return;
+
+            source = new EventSource(`${STREAM_BASE_URL}/scan/stream/${sessionId}?ticket=${encodeURIComponent(ticket)}`);
+            source.addEventListener('progress', (e) => handle(JSON.parse(e.data)));
+            source.onerror = () => {
+                // Tickets are single use, so a dropped stream is not reopened; polling resumes after the last event
+                if (stopped) return;
+                source.close();
+                source = null;
+                poll();
+            };
+        };
+
+        if (typeof window.EventSource === 'function') {
+            openStream();
+        } else {
+            poll();
+        }
+
+        return stop;
     }
 };
 
 export const resultsService = {
     getResults: async (params = {}) => {
-        const response = await apiClient.get('/results', { params });
-        return response.data;
+        try {
+            const response = await apiClient.get('/results', { params });
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
     },
 
+    // Full scan with its diagnostic_details rows; details JSON is parsed
     getResultById: async (id) => {
-        const response = await apiClient.get(`/results/${id}`);
-        return response.data;
+        try {
+            const response = await apiClient.get(`/results/${id}`);
+            const rows = response.data.diagnostics;
+            const diagnostics = asList(rows).map(row => {
+                let details = row.details;
+                if (typeof details === 'string') {
+                    try {
+                        details = JSON.parse(details);
+                    } catch {
+                        // Leave unparseable details as text
+                    }
+                }
+                return { ...row, details };
+            });
+            return { ...response.data, diagnostics };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Software, services and startup snapshots closest to the scan: { software, services, startup } of { timestamp, rows }
+    getInventory: async (id) => {
+        try {
+            const response = await apiClient.get(`/results/${id}/inventory`);
+            const toSnapshot = (snapshot) => {
+                const rows = snapshot?.Rows;
+                return {
+                    timestamp: snapshot?.Timestamp || null,
+                    rows: asList(rows)
+                };
+            };
+            return {
+                software: toSnapshot(response.data.software),
+                services: toSnapshot(response.data.services),
+                startup: toSnapshot(response.data.startup)
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
     }
 };
 
 export const dashboardService = {
-    getStats: async () => {
-        const response = await apiClient.get('/dashboard/stats');
-        return response.data.statistics;
+    // groupId limits the statistics to one device group
+    getStats: async (groupId = null) => {
+        try {
+            const response = await apiClient.get('/dashboard/stats', { params: groupId ? { group: groupId } : {} });
+            return response.data.statistics;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Data for one dashboard widget; options are { limit, days, group }
+    getWidget: async (widget, options = {}) => {
+        try {
+            const response = await apiClient.get(`/dashboard/widgets/${widget}`, { params: options });
+            const data = response.data.data;
+            // These two return a summary object; the others return rows
+            if (widget === 'stale-endpoints') {
+                const endpoints = data?.endpoints;
+                return { ...data, endpoints: asList(endpoints) };
+            }
+            if (widget === 'patch-compliance') {
+                return data;
+            }
+            return asList(data);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Saved widget layout for the signed-in user, or null for the default
+    getLayout: async () => {
+        try {
+            const response = await apiClient.get('/dashboard/layout');
+            const layout = response.data.layout;
+            if (!layout) return null;
+            return asList(layout);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    saveLayout: async (layout) => {
+        try {
+            const response = await apiClient.put('/dashboard/layout', {
+                layout: layout.map(({ type, options }) => ({ type, options: options || {} }))
+            });
+            const saved = response.data.layout;
+            return asList(saved);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+// PowerShell returns a single-element target_list as a plain string
+const toSchedule = (schedule) => {
+    const targets = schedule?.target_list;
+    return { ...schedule, target_list: asList(targets) };
+};
+
+export const scheduleService = {
+    // { schedules, subnets: { ho, remote } }
+    getSchedules: async () => {
+        try {
+            const response = await apiClient.get('/schedules');
+            const schedules = response.data.schedules;
+            return {
+                schedules: asList(schedules).map(toSchedule),
+                subnets: response.data.subnets || { ho: [], remote: [] }
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { schedule, runs } with the most recent runs first
+    getSchedule: async (scheduleId) => {
+        try {
+            const response = await apiClient.get(`/schedules/${scheduleId}`);
+            const runs = response.data.runs;
+            return {
+                schedule: toSchedule(response.data.schedule),
+                runs: asList(runs)
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // schedule: { name, targetType, targetValue, targetList, cronExpression, windowStart, windowEnd, enabled }
+    createSchedule: async (schedule) => {
+        try {
+            const response = await apiClient.post('/schedules', schedule);
+            return toSchedule(response.data.schedule);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    updateSchedule: async (scheduleId, schedule) => {
+        try {
+            const response = await apiClient.put(`/schedules/${scheduleId}`, schedule);
+            return toSchedule(response.data.schedule);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    deleteSchedule: async (scheduleId) => {
+        try {
+            await apiClient.delete(`/schedules/${scheduleId}`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+const toAlertRule = (rule) => ({ ...rule, channel_ids: asList(rule?.channel_ids) });
+
+export const alertService = {
+    // filters: { status (active|open|acknowledged|snoozed|resolved|all), computer, severity, limit }
+    getAlerts: async (filters = {}) => {
+        try {
+            const response = await apiClient.get('/alerts', { params: filters });
+            return asList(response.data.alerts);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { open_critical, open_warning, open_info, acknowledged, snoozed }
+    getSummary: async () => {
+        try {
+            const response = await apiClient.get('/alerts/summary');
+            return response.data.summary || {};
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    acknowledgeAlert: async (alertId) => {
+        try {
+            await apiClient.post(`/alerts/${alertId}/acknowledge`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    snoozeAlert: async (alertId, minutes) => {
+        try {
+            await apiClient.post(`/alerts/${alertId}/snooze`, { minutes });
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    resolveAlert: async (alertId) => {
+        try {
+            await apiClient.post(`/alerts/${alertId}/resolve`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getRules: async () => {
+        try {
+            const response = await apiClient.get('/alert-rules');
+            return asList(response.data.rules).map(toAlertRule);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // rule: { name, conditionType, operator, threshold, checkName, checkStatus, severity, channelIds, enabled }
+    createRule: async (rule) => {
+        try {
+            const response = await apiClient.post('/alert-rules', rule);
+            return toAlertRule(response.data.rule);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    updateRule: async (ruleId, rule) => {
+        try {
+            const response = await apiClient.put(`/alert-rules/${ruleId}`, rule);
+            return toAlertRule(response.data.rule);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    deleteRule: async (ruleId) => {
+        try {
+            await apiClient.delete(`/alert-rules/${ruleId}`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Admin only
+    getChannels: async () => {
+        try {
+            const response = await apiClient.get('/notification-channels');
+            return asList(response.data.channels);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // channel: { name, channelType, settings: { recipients } | { url }, enabled }
+    createChannel: async (channel) => {
+        try {
+            const response = await apiClient.post('/notification-channels', channel);
+            return response.data.channel;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    updateChannel: async (channelId, channel) => {
+        try {
+            const response = await apiClient.put(`/notification-channels/${channelId}`, channel);
+            return response.data.channel;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    deleteChannel: async (channelId) => {
+        try {
+            await apiClient.delete(`/notification-channels/${channelId}`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    testChannel: async (channelId) => {
+        try {
+            await apiClient.post(`/notification-channels/${channelId}/test`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+export const searchService = {
+    // { computers, users, software, scans }; software hits list up to 25 of their computers
+    search: async (query, limit = 8) => {
+        try {
+            const response = await apiClient.get('/search', { params: { q: query, limit } });
+            return {
+                computers: asList(response.data.computers),
+                users: asList(response.data.users),
+                software: asList(response.data.software).map(s => ({ ...s, computers: asList(s.computers) })),
+                scans: asList(response.data.scans)
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
     }
 };
 
 export const computerService = {
-    getComputers: async (limit = 100) => {
-        const response = await apiClient.get(`/computers?limit=${limit}`);
-        return response.data;
+    // filters: { reachability ('up' | 'down' | 'unchecked'), offlineDays }
+    getComputers: async (limit = 100, includeDecommissioned = false, groupId = null, filters = {}) => {
+        try {
+            const response = await apiClient.get('/computers', {
+                params: {
+                    limit,
+                    includeDecommissioned: includeDecommissioned || undefined,
+                    group: groupId || undefined,
+                    reachability: filters.reachability || undefined,
+                    offlineDays: filters.offlineDays || undefined
+                }
+            });
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
     },
 
     getComputer: async (computerName) => {
-        const response = await apiClient.get(`/computers/${computerName}`);
-        return response.data;
+        try {
+            const response = await apiClient.get(`/computers/${computerName}`);
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
     },
 
     registerComputer: async (computerData) => {
-        const response = await apiClient.post('/computers', computerData);
-        return response.data;
+        try {
+            const response = await apiClient.post('/computers', computerData);
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
     },
 
     getComputerMetrics: async (computerName, metricType = 'all') => {
-        const response = await apiClient.get(`/computers/${computerName}/metrics?type=${metricType}`);
-        return response.data;
+        try {
+            const response = await apiClient.get(`/computers/${computerName}/metrics?type=${metricType}`);
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // fields: { ip_address, mac_address, computer_type, location, department, owner, asset_tag, serial_number, notes, tags }
+    updateComputer: async (computerName, fields) => {
+        try {
+            const response = await apiClient.put(`/computers/${encodeURIComponent(computerName)}`, fields);
+            return response.data.computer;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Soft decommission; scan and metric history are kept
+    decommissionComputer: async (computerName, reason) => {
+        try {
+            await apiClient.delete(`/computers/${encodeURIComponent(computerName)}`, { data: { reason } });
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    reinstateComputer: async (computerName) => {
+        try {
+            await apiClient.post(`/computers/${encodeURIComponent(computerName)}/reinstate`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { filename, csv }
+    exportInventory: async (includeDecommissioned = false) => {
+        try {
+            const response = await apiClient.get('/computers/export', { params: includeDecommissioned ? { includeDecommissioned: true } : {} });
+            return { filename: response.data.filename, csv: response.data.csv };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // apply = false validates only; returns { applied, summary, ignoredColumns, rows }
+    importInventory: async (csv, apply = false) => {
+        try {
+            const response = await apiClient.post('/computers/import', { csv, apply });
+            return {
+                applied: response.data.applied,
+                summary: response.data.summary || {},
+                ignoredColumns: asList(response.data.ignoredColumns),
+                rows: asList(response.data.rows)
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { up, down, unchecked, last_checked, offline: [{ days, computers }], intervalMinutes, monitorEnabled }
+    getReachabilitySummary: async (groupId) => {
+        try {
+            const response = await apiClient.get('/reachability/summary', { params: { group: groupId || undefined } });
+            const summary = response.data.summary || {};
+            return {
+                ...summary,
+                offline: asList(summary.offline),
+                intervalMinutes: response.data.intervalMinutes,
+                monitorEnabled: response.data.monitorEnabled
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { reachability, history }; reachability is null until the monitor has checked the computer
+    getReachability: async (computerName) => {
+        try {
+            const response = await apiClient.get(`/computers/${encodeURIComponent(computerName)}/reachability`);
+            return { reachability: response.data.reachability || null, history: asList(response.data.history) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Checks the computer now; same shape as getReachability
+    checkReachability: async (computerName) => {
+        try {
+            const response = await apiClient.post(`/computers/${encodeURIComponent(computerName)}/reachability/check`);
+            return { reachability: response.data.reachability || null, history: asList(response.data.history) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // tab: 'network' | 'software' | 'events' | 'experience'
+    // Returns { section: { collected_at, window, total, rows } } in display order
+    getMetricTab: async (computerName, tab) => {
+        try {
+            const response = await apiClient.get(`/computers/${encodeURIComponent(computerName)}/all-metrics`, { params: { tab } });
+            return Object.fromEntries(
+                Object.entries(response.data.sections || {}).map(([name, section]) => [name, { ...section, rows: asList(section.rows) }])
+            );
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { from, to, types, total, counts: { type: n }, buckets: [{ event_type, bucket, count }], events }, most recent event first
+    getTimeline: async (computerName, { from, to, types } = {}) => {
+        try {
+            const response = await apiClient.get(`/computers/${encodeURIComponent(computerName)}/timeline`, {
+                params: {
+                    from: from ? from.toISOString() : undefined,
+                    to: to ? to.toISOString() : undefined,
+                    types: types && types.length ? types.join(',') : undefined
+                }
+            });
+            const timeline = response.data.timeline || {};
+            return {
+                ...timeline,
+                counts: timeline.counts || {},
+                buckets: asList(timeline.buckets),
+                events: asList(timeline.events)
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // Adds and removes tags on several computers; returns { updated, skipped }
+    tagComputers: async (computerNames, add = [], remove = []) => {
+        try {
+            const response = await apiClient.post('/computers/tags', { computers: computerNames, add, remove });
+            return { updated: response.data.updated, skipped: response.data.skipped };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+const toDeviceGroup = (group) => ({ ...group, rules: asList(group?.rules) });
+const toGroupMembers = (data) => ({
+    total: data.total || 0,
+    computers: asList(data.computers).map(c => ({ ...c, tags: asList(c.tags) }))
+});
+
+export const groupService = {
+    getGroups: async () => {
+        try {
+            const response = await apiClient.get('/groups');
+            return asList(response.data.groups).map(toDeviceGroup);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // group: { name, description, match ('all' | 'any'), rules: [{ field, operator, value }] }
+    createGroup: async (group) => {
+        try {
+            const response = await apiClient.post('/groups', group);
+            return toDeviceGroup(response.data.group);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    updateGroup: async (groupId, group) => {
+        try {
+            const response = await apiClient.put(`/groups/${groupId}`, group);
+            return toDeviceGroup(response.data.group);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    deleteGroup: async (groupId) => {
+        try {
+            await apiClient.delete(`/groups/${groupId}`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { total, computers } for a saved group
+    getMembers: async (groupId, limit = 200) => {
+        try {
+            const response = await apiClient.get(`/groups/${groupId}/members`, { params: { limit } });
+            return toGroupMembers(response.data);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { total, computers } (first 50) for a group that has not been saved yet
+    preview: async (group) => {
+        try {
+            const response = await apiClient.post('/groups/preview', group);
+            return toGroupMembers(response.data);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+export const metricsService = {
+    // Pass an AbortController signal to cancel superseded requests
+    getMetric: async (metricType, params = {}, { signal } = {}) => {
+        // Drop empty filters so the API applies its own defaults
+        const query = Object.fromEntries(
+            Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+        );
+        // Column filters travel as a single JSON-encoded query param
+        if (Array.isArray(query.filters)) {
+            if (query.filters.length > 0) {
+                query.filters = JSON.stringify(query.filters);
+            } else {
+                delete query.filters;
+            }
+        }
+
+        try {
+            const response = await apiClient.get(`/metrics/${metricType}`, { params: query, signal });
+            if (response.data?.success === false) {
+                throw new ApiError(response.data.error || 'Metric query failed', API_ERROR_TYPES.SERVER, response.status);
+            }
+            // PowerShell serializes a single-row result as an object rather than an array
+            const rows = response.data?.data;
+            const columns = response.data?.columns;
+            return {
+                ...response.data,
+                data: asList(rows),
+                columns: asList(columns)
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // start and end are Date objects; the API picks the bucket size from the range
+    getSeries: async (metricType, { computerName, groupId, start, end }, { signal } = {}) => {
+        const params = { start: start.toISOString(), end: end.toISOString() };
+        if (computerName) params.computerName = computerName;
+        if (groupId) params.group = groupId;
+
+        try {
+            const response = await apiClient.get(`/metrics/${metricType}/series`, { params, signal });
+            if (response.data?.success === false) {
+                throw new ApiError(response.data.error || 'Metric history query failed', API_ERROR_TYPES.SERVER, response.status);
+            }
+            const rows = response.data?.data;
+            return { ...response.data, data: asList(rows) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+const toBaseline = (baseline) => ({ ...baseline, controls: asList(baseline?.controls) });
+const toComplianceEndpoint = (endpoint) => ({ ...endpoint, failed_controls: asList(endpoint?.failed_controls) });
+
+// Compliance baselines: admins define them, everyone reads the scorecards
+export const complianceService = {
+    // Catalog of controls: { id, label, category, description, parameters: [{ name, label, type, default, min, max }] }
+    getControls: async () => {
+        try {
+            const response = await apiClient.get('/compliance/controls');
+            return asList(response.data.controls).map(control => ({ ...control, parameters: asList(control.parameters) }));
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getBaselines: async () => {
+        try {
+            const response = await apiClient.get('/compliance/baselines');
+            return asList(response.data.baselines).map(toBaseline);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // baseline: { name, description, groupId, controls: [{ control, parameters }] }
+    createBaseline: async (baseline) => {
+        try {
+            const response = await apiClient.post('/compliance/baselines', baseline);
+            return toBaseline(response.data.baseline);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    updateBaseline: async (baselineId, baseline) => {
+        try {
+            const response = await apiClient.put(`/compliance/baselines/${baselineId}`, baseline);
+            return toBaseline(response.data.baseline);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    deleteBaseline: async (baselineId) => {
+        try {
+            await apiClient.delete(`/compliance/baselines/${baselineId}`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    evaluate: async (baselineId) => {
+        try {
+            const response = await apiClient.post(`/compliance/baselines/${baselineId}/evaluate`);
+            return toBaseline(response.data.baseline);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { computers, compliant, non_compliant, unknown, pass_rate, controls }
+    getScorecard: async (baselineId) => {
+        try {
+            const response = await apiClient.get(`/compliance/baselines/${baselineId}/scorecard`);
+            const scorecard = response.data.scorecard || {};
+            return { ...scorecard, controls: asList(scorecard.controls) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // filters: { status ('compliant' | 'non_compliant' | 'unknown'), q, limit }; returns { total, endpoints }
+    getEndpoints: async (baselineId, filters = {}) => {
+        try {
+            const response = await apiClient.get(`/compliance/baselines/${baselineId}/endpoints`, { params: filters });
+            return { total: response.data.total || 0, endpoints: asList(response.data.endpoints).map(toComplianceEndpoint) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { results, trend } for one computer
+    getEndpointResult: async (baselineId, computerName) => {
+        try {
+            const response = await apiClient.get(`/compliance/baselines/${baselineId}/endpoints/${encodeURIComponent(computerName)}`);
+            return { results: asList(response.data.results), trend: asList(response.data.trend) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getTrend: async (baselineId, days = 90) => {
+        try {
+            const response = await apiClient.get(`/compliance/baselines/${baselineId}/trend`, { params: { days } });
+            return asList(response.data.trend);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // filters: { control, q, limit }; returns { total, failures }
+    getFailures: async (baselineId, filters = {}) => {
+        try {
+            const response = await apiClient.get(`/compliance/baselines/${baselineId}/failures`, { params: filters });
+            return { total: response.data.total || 0, failures: asList(response.data.failures) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+// Fleet-wide software inventory from each computer's latest snapshot.
+// Every call takes an optional groupId to limit it to a device group.
+export const softwareService = {
+    // { computers, products, publishers, installs, outdated_installs, outdated_computers, blocked_installs, blocked_computers }
+    getSummary: async (groupId) => {
+        try {
+            const response = await apiClient.get('/software/summary', { params: { group: groupId || undefined } });
+            return response.data.summary || {};
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // filters: { q, vendor, status ('outdated' | 'blocked'), group, limit }; returns { total, products }
+    getProducts: async (filters = {}) => {
+        try {
+            const response = await apiClient.get('/software/products', { params: filters });
+            return { total: response.data.total || 0, products: asList(response.data.products) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getVersions: async (name, groupId) => {
+        try {
+            const response = await apiClient.get('/software/versions', { params: { name, group: groupId || undefined } });
+            return asList(response.data.versions);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // filters: { q, group, limit }; returns { total, publishers }
+    getPublishers: async (filters = {}) => {
+        try {
+            const response = await apiClient.get('/software/publishers', { params: filters });
+            return { total: response.data.total || 0, publishers: asList(response.data.publishers) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // filters: { name, version, unversioned, vendor, status, rule, q, group, limit }; returns { total, endpoints }
+    getEndpoints: async (filters = {}) => {
+        try {
+            const response = await apiClient.get('/software/endpoints', { params: filters });
+            return { total: response.data.total || 0, endpoints: asList(response.data.endpoints) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getRules: async (groupId) => {
+        try {
+            const response = await apiClient.get('/software/rules', { params: { group: groupId || undefined } });
+            return asList(response.data.rules).map(rule => ({ ...rule, products: asList(rule.products) }));
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // rule: { type ('minimum_version' | 'blocked'), pattern, minVersion, reason }
+    createRule: async (rule) => {
+        try {
+            const response = await apiClient.post('/software/rules', rule);
+            return response.data.rule;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    updateRule: async (ruleId, rule) => {
+        try {
+            const response = await apiClient.put(`/software/rules/${ruleId}`, rule);
+            return response.data.rule;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    deleteRule: async (ruleId) => {
+        try {
+            await apiClient.delete(`/software/rules/${ruleId}`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+export const vulnerabilityService = {
+    // { cves, computers, matches, feed_cves, last_import, severities: [{ severity, cves, computers }] }
+    getSummary: async (groupId) => {
+        try {
+            const response = await apiClient.get('/vulnerabilities/summary', { params: { group: groupId || undefined } });
+            const summary = response.data.summary || {};
+            return { ...summary, severities: asList(summary.severities) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // filters: { severity, q, group, limit }; returns { total, vulnerabilities }
+    getVulnerabilities: async (filters = {}) => {
+        try {
+            const response = await apiClient.get('/vulnerabilities/cves', { params: filters });
+            return {
+                total: response.data.total || 0,
+                vulnerabilities: asList(response.data.vulnerabilities).map(cve => ({ ...cve, packages: asList(cve.packages) }))
+            };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { vulnerability, products }
+    getVulnerability: async (cveId, groupId) => {
+        try {
+            const response = await apiClient.get(`/vulnerabilities/cves/${encodeURIComponent(cveId)}`, { params: { group: groupId || undefined } });
+            return { vulnerability: response.data.vulnerability, products: asList(response.data.products) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // filters: { cve, severity, q, group, limit }; returns { total, endpoints }
+    getEndpoints: async (filters = {}) => {
+        try {
+            const response = await apiClient.get('/vulnerabilities/endpoints', { params: filters });
+            return { total: response.data.total || 0, endpoints: asList(response.data.endpoints) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { vulnerabilities, updates } for the computer details tab
+    getComputerVulnerabilities: async (computerName) => {
+        try {
+            const response = await apiClient.get(`/computers/${encodeURIComponent(computerName)}/vulnerabilities`);
+            return { vulnerabilities: asList(response.data.vulnerabilities), updates: response.data.updates || null };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getFeeds: async () => {
+        try {
+            const response = await apiClient.get('/vulnerabilities/feeds');
+            return asList(response.data.feeds);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // content: NVD JSON or CSV text; returns { feedId, format, cves, products, skipped, matches }
+    importFeed: async (content, fileName) => {
+        try {
+            const response = await apiClient.post('/vulnerabilities/feeds', { content, fileName });
+            return response.data.import;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+// Exports of a metric page, the results history, a compliance scorecard, the software inventory or the vulnerability lists, see ExportMenu
+export const exportService = {
+    // request: { source ('metric' | 'results' | 'compliance' | 'software'), format ('csv' | 'xlsx' | 'json' | 'html'), title, parameters }
+    // Returns the export job; small exports come back already completed
+    createExport: async (request) => {
+        try {
+            const response = await apiClient.post('/exports', request);
+            return response.data.job;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getExports: async () => {
+        try {
+            const response = await apiClient.get('/exports');
+            return asList(response.data.jobs);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getExport: async (jobId) => {
+        try {
+            const response = await apiClient.get(`/exports/${jobId}`);
+            return response.data.job;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    // { fileName, blob }; the API sends the file base64-encoded inside JSON
+    downloadExport: async (jobId) => {
+        try {
+            const response = await apiClient.get(`/exports/${jobId}/download`);
+            const { fileName, contentType, content } = response.data;
+            const bytes = Uint8Array.from(atob(content), c => c.charCodeAt(0));
+            return { fileName, blob: new Blob([bytes], { type: contentType }) };
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    deleteExport: async (jobId) => {
+        try {
+            await apiClient.delete(`/exports/${jobId}`);
+        } catch (error) {
+            throw toApiError(error);
+        }
+    }
+};
+
+// The action catalog only changes with EMSConfig.json, so it is fetched once per page load
+let remediationActionsRequest = null;
+
+export const remediationService = {
+    getActions: () => {
+        if (!remediationActionsRequest) {
+            remediationActionsRequest = apiClient.get('/remediation/actions')
+                .then(response => {
+                    const actions = response.data?.actions;
+                    return { ...response.data, actions: asList(actions) };
+                })
+                .catch(error => {
+                    remediationActionsRequest = null;
+                    throw toApiError(error);
+                });
+        }
+        return remediationActionsRequest;
+    },
+
+    // request: { computerName, action, parameters, scanId, diagnosticDetailId, confirm }
+    // confirm must be true when the catalog reports requireConfirmation
+    run: async (request) => {
+        try {
+            const response = await apiClient.post('/remediation', request);
+            return response.data;
+        } catch (error) {
+            throw toApiError(error);
+        }
+    },
+
+    getRecord: async (remediationId) => {
+        try {
+            const response = await apiClient.get(`/remediation/${remediationId}`);
+            const remediation = response.data?.remediation || {};
+            const audit = remediation.audit;
+            return { ...remediation, audit: asList(audit) };
+        } catch (error) {
+            throw toApiError(error);
+        }
     }
 };
 
@@ -0,0 +1,230 @@
+import axios from 'axios';
+import { authService, resultsService, scanService } from './api';
+
+// Every request, including the refresh call, goes through mockAdapter
+jest.mock('axios', () => {
+    const actual = jest.requireActual('axios');
+    actual.defaults.adapter = (config) => mockAdapter(config);
+    return actual;
+});
+
+const mockAdapter = jest.fn();
+
+const respond = (config, status, data) => {
+    const response = { data, status, statusText: '', headers: {}, config, request: {} };
+    if (status >= 400) {
+        return Promise.reject(new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', config, {}, response));
+    }
+    return Promise.resolve(response);
+};
+
+// Minimal EventSource that lets a test deliver events and errors
+class FakeEventSource {
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.closed = false;
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    emit(type, data) {
+        this.listeners[type]({ data: JSON.stringify(data) });
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+const progress = (eventId, phase = 'system_health') => ({ event_id: eventId, phase, status: 'completed' });
+
+describe('scanService.subscribeSession', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        FakeEventSource.instances = [];
+        window.EventSource = FakeEventSource;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+        delete window.EventSource;
+        localStorage.clear();
+    });
+
+    it('opens the stream with a ticket instead of the access token', async () => {
+        localStorage.setItem('auth_token', 'jwt-value');
+        jest.spyOn(scanService, 'getStreamTicket').mockResolvedValue({ ticket: 'ticket+1' });
+
+        const stop = scanService.subscribeSession(7, { onEvent: jest.fn() });
+        await flushPromises();
+
+        expect(FakeEventSource.instances).toHaveLength(1);
+        expect(FakeEventSource.instances[0].url).toMatch(/\/scan\/stream\/7\?ticket=ticket%2B1$/);
+        expect(FakeEventSource.instances[0].url).not.toContain('jwt-value');
+        stop();
+    });
+
+    it('polls when no stream ticket can be issued', async () => {
+        jest.spyOn(scanService, 'getStreamTicket').mockRejectedValue(new Error('Network Error'));
+        const getSession = jest.spyOn(scanService, 'getSession').mockResolvedValue({ events: [progress(1)] });
+        const onEvent = jest.fn();
+
+        const stop = scanService.subscribeSession(7, { onEvent });
+        await flushPromises();
+
+        expect(FakeEventSource.instances).toHaveLength(0);
+        expect(getSession).toHaveBeenCalledWith(7, 0);
+        expect(onEvent).toHaveBeenCalledWith(progress(1));
+        stop();
+    });
+
+    it('falls back to polling after the last streamed event when the stream fails', async () => {
+        jest.spyOn(scanService, 'getStreamTicket').mockResolvedValue({ ticket: 'abc' });
+        const getSession = jest.spyOn(scanService, 'getSession')
+            .mockResolvedValueOnce({ events: [progress(2), progress(3, 'session')] });
+        const onEvent = jest.fn();
+        const onEnd = jest.fn();
+
+        scanService.subscribeSession(7, { onEvent, onEnd });
+        await flushPromises();
+
+        const source = FakeEventSource.instances[0];
+        source.emit('progress', progress(1));
+        source.onerror();
+        await flushPromises();
+
+        expect(source.closed).toBe(true);
+        expect(getSession).toHaveBeenCalledWith(7, 1);
+        expect(onEvent.mock.calls.map(([event]) => event.event_id)).toEqual([1, 2, 3]);
+        expect(onEnd).toHaveBeenCalledWith(progress(3, 'session'));
+
+        // The session ended, so polling stops
+        jest.advanceTimersByTime(10000);
+        expect(getSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores events already delivered by the stream', async () => {
+        jest.spyOn(scanService, 'getStreamTicket').mockResolvedValue({ ticket: 'abc' });
+        jest.spyOn(scanService, 'getSession').mockResolvedValue({ events: [progress(1), progress(2)] });
+        const onEvent = jest.fn();
+
+        const stop = scanService.subscribeSession(7, { onEvent });
+        await flushPromises();
+
+        const source = FakeEventSource.instances[0];
+        source.emit('progress', progress(1));
+        source.emit('progress', progress(2));
+        source.onerror();
+        await flushPromises();
+
+        expect(onEvent).toHaveBeenCalledTimes(2);
+        stop();
+    });
+});
+
+describe('401 handling', () => {
+    let refreshCalls;
+
+    // Accepts only the renewed token; /auth/refresh answers with it once refreshOutcome settles
+    const useServer = (refreshOutcome) => {
+        refreshCalls = 0;
+        mockAdapter.mockImplementation(async (config) => {
+            if (config.url.endsWith('/auth/refresh')) {
+                refreshCalls++;
+                const ok = await refreshOutcome;
+                return ok
+                    ? respond(config, 200, { success: true, token: 'new-token', refreshToken: 'new-refresh' })
+                    : respond(config, 401, { success: false, message: 'Refresh token expired' });
+            }
+            if (config.url === '/auth/login') {
+                return respond(config, 401, { success: false, message: 'Invalid credentials' });
+            }
+            return config.headers.Authorization === 'Bearer new-token'
+                ? respond(config, 200, { success: true, url: config.url })
+                : respond(config, 401, { error: 'Invalid token' });
+        });
+    };
+
+    beforeEach(() => {
+        localStorage.setItem('auth_token', 'old-token');
+        localStorage.setItem('refresh_token', 'old-refresh');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        mockAdapter.mockReset();
+        localStorage.clear();
+    });
+
+    it('refreshes once for concurrent 401s and replays every request with the new token', async () => {
+        let finishRefresh;
+        useServer(new Promise(resolve => { finishRefresh = resolve; }));
+
+        const pending = Promise.all([
+            resultsService.getResults(),
+            scanService.getBulkJob(3),
+            scanService.getSession(5)
+        ]);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        finishRefresh(true);
+        const [results, job, session] = await pending;
+
+        expect(refreshCalls).toBe(1);
+        expect(results.url).toBe('/results');
+        expect(job.url).toBe('/scan/bulk/3');
+        expect(session.url).toBe('/scan/sessions/5');
+        expect(localStorage.getItem('auth_token')).toBe('new-token');
+        expect(localStorage.getItem('refresh_token')).toBe('new-refresh');
+    });
+
+    it('sends the stored refresh token to /auth/refresh', async () => {
+        useServer(Promise.resolve(true));
+
+        await resultsService.getResults();
+
+        const refreshRequest = mockAdapter.mock.calls.map(([config]) => config).find(config => config.url.endsWith('/auth/refresh'));
+        expect(JSON.parse(refreshRequest.data)).toEqual({ refreshToken: 'old-refresh' });
+    });
+
+    it('expires the session and rejects the queued requests when the refresh fails', async () => {
+        const expireSession = jest.spyOn(authService, 'expireSession').mockImplementation(() => {});
+        useServer(Promise.resolve(false));
+
+        const outcomes = await Promise.allSettled([resultsService.getResults(), scanService.getBulkJob(3)]);
+
+        expect(refreshCalls).toBe(1);
+        expect(outcomes.map(outcome => outcome.status)).toEqual(['rejected', 'rejected']);
+        expect(expireSession).toHaveBeenCalled();
+        expect(localStorage.getItem('auth_token')).toBe('old-token');
+    });
+
+    it('does not refresh again when the replayed request is rejected', async () => {
+        refreshCalls = 0;
+        mockAdapter.mockImplementation(async (config) => {
+            if (config.url.endsWith('/auth/refresh')) {
+                refreshCalls++;
+                return respond(config, 200, { success: true, token: 'still-rejected' });
+            }
+            return respond(config, 401, { error: 'Invalid token' });
+        });
+
+        await expect(resultsService.getResults()).rejects.toBeDefined();
+        expect(refreshCalls).toBe(1);
+    });
+
+    it('treats a 401 from the login call as bad credentials', async () => {
+        useServer(Promise.resolve(true));
+
+        await expect(authService.login('alice', 'wrong')).rejects.toBeDefined();
+        expect(refreshCalls).toBe(0);
+    });
+});